@@ -0,0 +1,255 @@
+/**
+ * Opt-in alarm for the overview page.
+ *
+ * Plays a short alarm sound (Web Audio API, so no sound files are needed)
+ * and shows a desktop notification (Notification API) when app.js reports
+ * new problems. Both are off until turned on from the header control.
+ * Preferences, including mute and snooze, are remembered per browser in
+ * localStorage.
+ */
+
+(function bootstrapAlarm() {
+  const PREFS_KEY = "dashboard.alarm";
+  const MINUTE_MS = 60_000;
+
+  // Each sound is a list of tones: frequency (Hz), or [from, to] for a
+  // sweep, with start and length in seconds.
+  const SOUNDS = {
+    beep: [
+      { freq: 880, start: 0, length: 0.15 },
+      { freq: 880, start: 0.25, length: 0.15 },
+      { freq: 880, start: 0.5, length: 0.15 },
+    ],
+    siren: [
+      { freq: [600, 1200], start: 0, length: 0.6 },
+      { freq: [1200, 600], start: 0.6, length: 0.6 },
+      { freq: [600, 1200], start: 1.2, length: 0.6 },
+    ],
+    chime: [
+      { freq: 660, start: 0, length: 0.4 },
+      { freq: 990, start: 0.3, length: 0.6 },
+    ],
+  };
+
+  const DEFAULT_PREFS = { notifications: false, sound: "off", muted: false, snoozedUntil: null };
+
+  let prefs = loadPrefs();
+  let audioContext = null;
+  let ui = null;
+
+  function loadPrefs() {
+    try {
+      return { ...DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(PREFS_KEY) || "{}") };
+    } catch {
+      return { ...DEFAULT_PREFS };
+    }
+  }
+
+  function savePrefs() {
+    try {
+      localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+    } catch {
+      // Private browsing can refuse storage; the settings last for this visit.
+    }
+  }
+
+  // Whether the user turned on a sound or notifications.
+  function isEnabled() {
+    return prefs.notifications || (prefs.sound !== "off" && Boolean(SOUNDS[prefs.sound]));
+  }
+
+  function isSnoozed(now = Date.now()) {
+    return Boolean(prefs.snoozedUntil && now < prefs.snoozedUntil);
+  }
+
+  function isSilenced() {
+    return prefs.muted || isSnoozed();
+  }
+
+  function notificationsSupported() {
+    return typeof window.Notification === "function" && window.isSecureContext !== false;
+  }
+
+  // Browsers only start audio after a click or key press on the page, so the
+  // context is created or resumed from one.
+  function unlockAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    audioContext = audioContext || new AudioContextClass();
+    if (audioContext.state === "suspended") audioContext.resume();
+    return audioContext;
+  }
+
+  function playSound(name) {
+    const tones = SOUNDS[name];
+    const context = tones && unlockAudio();
+    if (!context) return;
+
+    const now = context.currentTime;
+
+    for (const tone of tones) {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      const [from, to] = Array.isArray(tone.freq) ? tone.freq : [tone.freq, tone.freq];
+      const start = now + tone.start;
+      const end = start + tone.length;
+
+      oscillator.type = name === "siren" ? "sawtooth" : "sine";
+      oscillator.frequency.setValueAtTime(from, start);
+      oscillator.frequency.linearRampToValueAtTime(to, end);
+      gain.gain.setValueAtTime(0.2, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, end);
+
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(end);
+    }
+  }
+
+  function showNotification({ title, body }) {
+    if (!notificationsSupported() || Notification.permission !== "granted") return;
+
+    const notification = new Notification(title, {
+      body,
+      tag: "dashboard-alarm",
+      renotify: true,
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  }
+
+  // Raises the alarm unless it is off, muted or snoozed. Returns whether it
+  // went off.
+  function alarm({ title, body }) {
+    if (!isEnabled() || isSilenced()) return false;
+
+    if (prefs.sound !== "off") playSound(prefs.sound);
+    if (prefs.notifications) showNotification({ title, body });
+    return true;
+  }
+
+  function formatClock(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+
+  // Describes why notifications cannot be shown, or returns "".
+  function describeNotificationProblem() {
+    if (!prefs.notifications) return "";
+    if (window.isSecureContext === false) {
+      return "Desktop notifications need the dashboard on HTTPS or localhost.";
+    }
+    if (typeof window.Notification !== "function") {
+      return "This browser does not support desktop notifications.";
+    }
+    if (Notification.permission === "denied") {
+      return "Notifications are blocked in this browser's site settings.";
+    }
+    return "";
+  }
+
+  // Updates the header control to match the preferences.
+  function render() {
+    if (!ui) return;
+
+    let label = "Alarm off";
+    if (isEnabled()) label = "Alarm on";
+    if (isEnabled() && isSnoozed()) label = `Snoozed until ${formatClock(prefs.snoozedUntil)}`;
+    if (isEnabled() && prefs.muted) label = "Alarm muted";
+
+    ui.toggle.textContent = label;
+    ui.toggle.classList.toggle("alarm__toggle--on", isEnabled() && !isSilenced());
+    ui.toggle.classList.toggle("alarm__toggle--silenced", isEnabled() && isSilenced());
+
+    ui.notifications.checked = prefs.notifications;
+    ui.sound.value = SOUNDS[prefs.sound] ? prefs.sound : "off";
+    ui.mute.textContent = isSilenced() ? "Unmute" : "Mute";
+    ui.note.textContent = describeNotificationProblem();
+  }
+
+  function update(changes) {
+    prefs = { ...prefs, ...changes };
+    savePrefs();
+    render();
+  }
+
+  async function handleNotificationsChange() {
+    if (!ui.notifications.checked) {
+      update({ notifications: false });
+      return;
+    }
+
+    if (notificationsSupported() && Notification.permission === "default") {
+      await Notification.requestPermission();
+    }
+
+    update({ notifications: true });
+  }
+
+  function handleSoundChange() {
+    update({ sound: ui.sound.value });
+    playSound(ui.sound.value);
+  }
+
+  function handleMute() {
+    update(isSilenced() ? { muted: false, snoozedUntil: null } : { muted: true });
+  }
+
+  function handleSnooze(event) {
+    const button = event.target.closest("button[data-snooze]");
+    if (!button) return;
+
+    update({ muted: false, snoozedUntil: Date.now() + Number(button.dataset.snooze) * MINUTE_MS });
+  }
+
+  function handleTest() {
+    playSound(prefs.sound);
+    showNotification({ title: "Test alarm", body: "Alarm notifications are working." });
+  }
+
+  function toggleMenu(open = ui.menu.hidden) {
+    ui.menu.hidden = !open;
+    ui.toggle.setAttribute("aria-expanded", String(open));
+  }
+
+  // Wires up the header control. Safe to skip on pages without one.
+  function init() {
+    const root = document.getElementById("alarm");
+    if (!root) return;
+
+    ui = {
+      toggle: document.getElementById("alarm-toggle"),
+      menu: document.getElementById("alarm-menu"),
+      notifications: document.getElementById("alarm-notifications"),
+      sound: document.getElementById("alarm-sound"),
+      mute: document.getElementById("alarm-mute"),
+      test: document.getElementById("alarm-test"),
+      note: document.getElementById("alarm-note"),
+    };
+
+    ui.toggle.addEventListener("click", () => toggleMenu());
+    ui.notifications.addEventListener("change", handleNotificationsChange);
+    ui.sound.addEventListener("change", handleSoundChange);
+    ui.mute.addEventListener("click", handleMute);
+    ui.test.addEventListener("click", handleTest);
+    ui.menu.addEventListener("click", handleSnooze);
+
+    document.addEventListener("click", (event) => {
+      if (!root.contains(event.target)) toggleMenu(false);
+      if (prefs.sound !== "off") unlockAudio();
+    });
+    document.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") toggleMenu(false);
+    });
+
+    // Keeps the snooze label current once it runs out.
+    setInterval(render, 30_000);
+    render();
+  }
+
+  init();
+
+  window.DashboardAlarm = { alarm, isEnabled };
+})();
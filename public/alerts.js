@@ -0,0 +1,377 @@
+/**
+ * alerts.js
+ *
+ * Page logic for the "Alert Rules" view.
+ *
+ * Backend provides:
+ *   GET /api/alert-rules
+ *   POST /api/alert-rules
+ *   PUT /api/alert-rules/:id
+ *   DELETE /api/alert-rules/:id
+ */
+
+// Looks up a page element by its DOM id.
+const el = (id) => document.getElementById(id);
+
+const REFRESH_MS =
+  typeof window.DASHBOARD_REFRESH_MS === "number"
+    ? window.DASHBOARD_REFRESH_MS
+    : 60_000;
+
+// Caches the DOM elements used throughout the page lifecycle.
+const ui = {
+  rows: el("rows"),
+  empty: el("empty"),
+  count: el("count"),
+  newRule: el("new-rule"),
+  form: el("rule-form"),
+  name: el("rule-name"),
+  type: el("rule-type"),
+  severity: el("rule-severity"),
+  forMinutes: el("rule-for"),
+  metric: el("rule-metric"),
+  operator: el("rule-operator"),
+  value: el("rule-value"),
+  site: el("rule-site"),
+  status: el("rule-status"),
+  direction: el("rule-direction"),
+  percent: el("rule-percent"),
+  windowMinutes: el("rule-window"),
+  submit: el("rule-submit"),
+  cancel: el("rule-cancel"),
+  formError: el("rule-error"),
+  apiDot: el("api-dot"),
+  apiStatus: el("api-status"),
+  lastUpdated: el("last-updated"),
+};
+
+const SEVERITY_BADGES = {
+  critical: "badge--down",
+  major: "badge--warning",
+  minor: "badge--neutral",
+};
+
+const STATE_BADGES = {
+  firing: "badge--down",
+  pending: "badge--warning",
+  resolved: "badge--good",
+  ok: "badge--neutral",
+};
+
+const STATE_LABELS = {
+  firing: "Firing",
+  pending: "Pending",
+  resolved: "Resolved",
+  ok: "OK",
+};
+
+const DIRECTION_LABELS = {
+  rise: "Rises by",
+  fall: "Falls by",
+};
+
+// Rules from the last load, by id, for the edit form.
+let rulesById = new Map();
+// Id of the rule being edited, or null while creating one.
+let editingId = null;
+
+// Updates the footer API indicator for the current page state.
+function setApiState(state, message) {
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
+  if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
+  if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
+  ui.apiStatus.textContent = message;
+}
+
+// Refreshes the footer timestamp after each data load.
+function setLastUpdated(date = new Date()) {
+  ui.lastUpdated.textContent = `Last updated: ${date.toLocaleString()}`;
+}
+
+// Formats a timestamp with the date, since alerts can fire for days.
+function formatTime(iso) {
+  if (!iso) return "-";
+
+  return new Date(iso).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Fills a select with options once; the server sends the allowed values.
+function fillOptions(select, values, labels = {}) {
+  if (select.options.length) return;
+
+  for (const value of values) {
+    select.appendChild(new Option(labels[value] || value, value));
+  }
+}
+
+// Shows only the form fields used by the selected rule type.
+function showFieldsForType() {
+  for (const field of ui.form.querySelectorAll("[data-types]")) {
+    field.hidden = !field.dataset.types.split(" ").includes(ui.type.value);
+  }
+}
+
+// Builds a colored badge with a capitalized label.
+function buildBadge(value, classes) {
+  const badge = document.createElement("span");
+  badge.className = `badge ${classes[value] || "badge--neutral"}`;
+  badge.textContent = value ? value[0].toUpperCase() + value.slice(1) : "-";
+  return badge;
+}
+
+// Creates a small action button bound to one rule.
+function buildActionButton(rule, action, label) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "suppress-btn";
+  btn.dataset.id = rule.id;
+  btn.dataset.action = action;
+  btn.textContent = label;
+  btn.setAttribute("aria-label", `${label} ${rule.name}`);
+  return btn;
+}
+
+// Renders the rules and their alert states into the table.
+function renderTable(rules) {
+  ui.rows.innerHTML = "";
+
+  if (!rules.length) {
+    ui.empty.hidden = false;
+    ui.count.textContent = "0 rules";
+    return;
+  }
+
+  ui.empty.hidden = true;
+  ui.count.textContent = `${rules.length} rule${rules.length === 1 ? "" : "s"}`;
+
+  const frag = document.createDocumentFragment();
+
+  for (const rule of rules) {
+    const tr = document.createElement("tr");
+    const state = rule.enabled ? rule.alert.state : null;
+
+    const nameTd = document.createElement("td");
+    nameTd.textContent = rule.name;
+
+    const severityTd = document.createElement("td");
+    severityTd.appendChild(buildBadge(rule.severity, SEVERITY_BADGES));
+
+    const conditionTd = document.createElement("td");
+    conditionTd.textContent = rule.description;
+
+    const stateTd = document.createElement("td");
+    const stateBadge = document.createElement("span");
+    stateBadge.className = `badge ${state ? STATE_BADGES[state] : "badge--neutral"}`;
+    stateBadge.textContent = state ? STATE_LABELS[state] : "Disabled";
+    stateTd.appendChild(stateBadge);
+
+    const sinceTd = document.createElement("td");
+    sinceTd.textContent = state && state !== "ok" ? formatTime(rule.alert.since) : "-";
+    if (rule.alert.firedAt) sinceTd.title = `Last fired ${formatTime(rule.alert.firedAt)}`;
+
+    const currentTd = document.createElement("td");
+    currentTd.textContent = (state && rule.alert.detail) || "-";
+
+    const actionsTd = document.createElement("td");
+    actionsTd.className = "actions-col incident-actions";
+    actionsTd.append(
+      buildActionButton(rule, "toggle", rule.enabled ? "Disable" : "Enable"),
+      buildActionButton(rule, "edit", "Edit"),
+      buildActionButton(rule, "delete", "Delete"),
+    );
+
+    tr.append(nameTd, severityTd, conditionTd, stateTd, sinceTd, currentTd, actionsTd);
+    frag.appendChild(tr);
+  }
+
+  ui.rows.appendChild(frag);
+}
+
+// Fetches rules and alert states from the backend.
+async function fetchRules() {
+  const res = await fetch("/api/alert-rules", { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
+// Sends a JSON request to the alert rules API and returns the parsed payload.
+async function sendJson(url, method, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const payload = await res.json().catch(() => null);
+
+  if (!res.ok || !payload?.ok) {
+    throw new Error(payload?.error || `HTTP ${res.status}`);
+  }
+
+  return payload;
+}
+
+// Reloads the table data and updates the page status chrome.
+async function refresh() {
+  window.DashboardLoadingUI?.startFetch();
+  ui.apiStatus.textContent = "API: Loading...";
+
+  try {
+    const payload = await fetchRules();
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    setLastUpdated(new Date());
+
+    fillOptions(ui.metric, payload.meta?.metrics || []);
+    fillOptions(ui.operator, payload.meta?.operators || []);
+    fillOptions(ui.status, payload.meta?.statuses || []);
+    fillOptions(ui.direction, payload.meta?.directions || [], DIRECTION_LABELS);
+
+    const rules = payload.rules || [];
+    rulesById = new Map(rules.map((rule) => [rule.id, rule]));
+    renderTable(rules);
+  } catch (err) {
+    console.error(err);
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    setLastUpdated(new Date());
+    renderTable([]);
+  } finally {
+    window.DashboardLoadingUI?.finishFetch();
+  }
+}
+
+// Opens the form empty for a new rule, or filled in to edit one.
+function openForm(rule = null) {
+  editingId = rule?.id || null;
+  ui.form.reset();
+  ui.formError.textContent = "";
+  ui.submit.textContent = rule ? "Save rule" : "Create rule";
+
+  if (rule) {
+    ui.name.value = rule.name;
+    ui.type.value = rule.type;
+    ui.severity.value = rule.severity;
+    ui.forMinutes.value = rule.forMinutes;
+    if (rule.metric) ui.metric.value = rule.metric;
+    if (rule.operator) ui.operator.value = rule.operator;
+    if (rule.value !== undefined) ui.value.value = rule.value;
+    ui.site.value = rule.site || "";
+    if (rule.status) ui.status.value = rule.status;
+    if (rule.direction) ui.direction.value = rule.direction;
+    if (rule.percent !== undefined) ui.percent.value = rule.percent;
+    if (rule.windowMinutes !== undefined) ui.windowMinutes.value = rule.windowMinutes;
+  }
+
+  showFieldsForType();
+  ui.form.hidden = false;
+  ui.name.focus();
+}
+
+function closeForm() {
+  editingId = null;
+  ui.form.hidden = true;
+  ui.formError.textContent = "";
+}
+
+// Builds the rule definition from the form. The server ignores fields the
+// rule type does not use.
+function readForm() {
+  const existing = editingId ? rulesById.get(editingId) : null;
+
+  return {
+    name: ui.name.value,
+    type: ui.type.value,
+    severity: ui.severity.value,
+    enabled: existing ? existing.enabled : true,
+    forMinutes: ui.forMinutes.value,
+    metric: ui.metric.value,
+    operator: ui.operator.value,
+    value: ui.value.value,
+    site: ui.site.value,
+    status: ui.status.value,
+    direction: ui.direction.value,
+    percent: ui.percent.value,
+    windowMinutes: ui.windowMinutes.value,
+  };
+}
+
+// Creates or saves a rule from the form.
+async function handleSubmit(e) {
+  e.preventDefault();
+  ui.formError.textContent = "";
+
+  try {
+    if (editingId) {
+      await sendJson(`/api/alert-rules/${encodeURIComponent(editingId)}`, "PUT", readForm());
+    } else {
+      await sendJson("/api/alert-rules", "POST", readForm());
+    }
+
+    closeForm();
+    await refresh();
+  } catch (err) {
+    console.error("Save alert rule failed:", err);
+    ui.formError.textContent = err.message;
+  }
+}
+
+// Runs a row action: enable / disable, edit or delete.
+async function handleAction(e) {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+
+  const rule = rulesById.get(btn.dataset.id);
+  if (!rule) return;
+
+  if (btn.dataset.action === "edit") {
+    openForm(rule);
+    return;
+  }
+
+  if (btn.dataset.action === "delete" && !confirm(`Delete the rule "${rule.name}"?`)) return;
+
+  btn.disabled = true;
+  const url = `/api/alert-rules/${encodeURIComponent(rule.id)}`;
+
+  try {
+    if (btn.dataset.action === "delete") {
+      await sendJson(url, "DELETE");
+    } else {
+      // The row already holds the full definition, so toggling only flips
+      // `enabled`.
+      await sendJson(url, "PUT", { ...rule, enabled: !rule.enabled });
+    }
+
+    await refresh();
+  } catch (err) {
+    console.error(`Alert rule ${btn.dataset.action} failed:`, err);
+    btn.disabled = false;
+    alert(`Failed to ${btn.dataset.action} the rule. Check console/logs.`);
+  }
+}
+
+// Wires up page events and subscribes to live updates.
+async function init() {
+  ui.newRule.addEventListener("click", () => (ui.form.hidden ? openForm() : closeForm()));
+  ui.cancel.addEventListener("click", closeForm);
+  ui.type.addEventListener("change", showFieldsForType);
+  ui.form.addEventListener("submit", handleSubmit);
+  ui.rows.addEventListener("click", handleAction);
+
+  showFieldsForType();
+  await refresh();
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["alerts"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
+}
+
+init();
@@ -0,0 +1,116 @@
+/**
+ * Shared API status helpers for dashboard pages.
+ *
+ * The backend sends a machine-readable errorCode with every ok:false payload.
+ * This turns those codes into footer text an operator can act on, so every
+ * page says "Sonar token rejected" instead of a raw HTTP error string.
+ *
+ * When Sonar is down the backend falls back to the last good payload and
+ * flags it as stale; this also renders the "stale since" banner for that.
+ * Data restored from disk after a server restart is flagged the same way
+ * until the first fresh Sonar fetch.
+ */
+
+(function bootstrapApiStatus() {
+  const ERROR_MESSAGES = {
+    SONAR_AUTH: "Sonar token rejected",
+    SONAR_CIRCUIT_OPEN: "Sonar paused after repeated failures",
+    SONAR_CONFIG: "Sonar settings missing from .env",
+    SONAR_GRAPHQL: "Sonar rejected the query",
+    SONAR_HTTP: "Sonar request refused",
+    SONAR_RATE_LIMIT: "Sonar rate limit reached",
+    SONAR_RESPONSE: "Sonar sent an unreadable response",
+    SONAR_TIMEOUT: "Sonar timed out",
+    SONAR_UNAVAILABLE: "Sonar unreachable",
+    INVALID_REQUEST: "Invalid request",
+    NOT_FOUND: "Not found",
+    EMAIL_NOT_CONFIGURED: "Email settings missing from .env",
+    EMAIL_FAILED: "Email could not be sent",
+    INTERNAL_ERROR: "Dashboard server error",
+  };
+
+  let banner = null;
+
+  // Builds an Error from an ok:false payload so page catch blocks keep the code.
+  function errorFromPayload(payload) {
+    const err = new Error(payload?.error || "API returned ok=false");
+    err.code = payload?.errorCode || null;
+    return err;
+  }
+
+  // Returns the footer text for a failed request. Errors without a known code
+  // came from fetch itself, which means the dashboard server did not answer.
+  function describeError(errOrCode) {
+    const code = typeof errOrCode === "string" ? errOrCode : errOrCode?.code;
+    const message = ERROR_MESSAGES[code];
+    return message ? `API: ${message}` : "API: Request failed";
+  }
+
+  // Returns the footer state and text for a successful (ok:true) payload.
+  function describePayload(payload) {
+    if (payload?.stale?.restored && !payload.stale.errorCode) {
+      return { state: "stale", message: "API: Showing restored data" };
+    }
+
+    if (payload?.stale) {
+      return {
+        state: "stale",
+        message: `${describeError(payload.stale.errorCode)} (showing stale data)`,
+      };
+    }
+
+    return {
+      state: "ok",
+      message: payload?.source === "cache" ? "API: Connected (cached)" : "API: Connected",
+    };
+  }
+
+  function formatTime(value) {
+    return new Date(value).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+
+  function ensureBanner() {
+    if (banner) return banner;
+
+    const header = document.querySelector(".panel__header");
+    if (!header) return null;
+
+    banner = document.createElement("div");
+    banner.className = "stale-banner";
+    banner.id = "stale-banner";
+    banner.setAttribute("role", "status");
+    banner.hidden = true;
+    header.insertAdjacentElement("afterend", banner);
+    return banner;
+  }
+
+  // Shows the "stale since HH:MM" banner for fallback payloads and hides it
+  // again as soon as fresh data arrives.
+  function renderStaleBanner(stale) {
+    const node = ensureBanner();
+    if (!node) return;
+
+    if (!stale) {
+      node.hidden = true;
+      node.textContent = "";
+      return;
+    }
+
+    if (stale.restored && !stale.errorCode) {
+      node.textContent = `Restored data from ${formatTime(stale.since)} - waiting for the first Sonar refresh.`;
+    } else {
+      const reason = describeError(stale.errorCode).replace(/^API: /, "");
+      const label = stale.restored ? "Restored data from" : "Stale since";
+      node.textContent = `${label} ${formatTime(stale.since)} - ${reason}. Showing the last good data.`;
+    }
+
+    node.hidden = false;
+  }
+
+  window.DashboardApiStatus = {
+    describeError,
+    describePayload,
+    errorFromPayload,
+    renderStaleBanner,
+  };
+})();
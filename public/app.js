@@ -5,10 +5,15 @@
  * - Calls GET /api/status-summary on the backend
  * - Updates the dashboard tiles with live data
  * - Shows API connection status
- * - Refreshes automatically on a timer
+ * - Shows a stale banner when the server falls back to last-known-good data
+ * - Shows a 24-hour sparkline and hourly delta on each tile from recorded
+ *   history, with a larger chart when a sparkline is clicked
+ * - Refreshes when the server pushes a change (polls if the stream drops)
+ * - Sounds the opt-in alarm (alarm.js) when a refresh shows newly down
+ *   infrastructure or a jump in down customers
  */
 
-// How often the dashboard refreshes (in milliseconds)
+// How often the dashboard polls while the live update stream is down (in milliseconds)
 // 60,000 ms = 60 seconds = 1 minute
 const REFRESH_MS =
   typeof window.DASHBOARD_REFRESH_MS === "number"
@@ -41,12 +46,116 @@ const ui = {
   tickets: {
     open: el("tickets-open"),
   },
+  incidents: {
+    active: el("incidents-active"),
+  },
+  flapping: {
+    section: el("flapping-section"),
+    total: el("flapping-total"),
+    label: el("flapping-label"),
+  },
 
   apiDot: el("api-dot"),
   apiStatus: el("api-status"),
   lastUpdated: el("last-updated"),
+
+  chart: {
+    dialog: el("chart-dialog"),
+    title: el("chart-title"),
+    svg: el("chart-svg"),
+    ranges: el("chart-ranges"),
+    close: el("chart-close"),
+  },
+};
+
+// Rise in down customers between two refreshes that sounds the alarm.
+const ALARM_CUSTOMER_JUMP =
+  typeof window.DASHBOARD_ALARM_CUSTOMER_JUMP === "number"
+    ? window.DASHBOARD_ALARM_CUSTOMER_JUMP
+    : 5;
+// Longest list of devices named in one alarm notification.
+const ALARM_LISTED_ITEMS = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Tiles that show a trend, keyed by the history metric they read.
+ * `read` pulls the tile's current value out of a summary payload.
+ */
+const TREND_TILES = [
+  {
+    metric: "infrastructure.good",
+    valueId: "infra-good",
+    label: "Good infrastructure",
+    read: (s) => s?.infrastructureEquipment?.good,
+  },
+  {
+    metric: "infrastructure.warning",
+    valueId: "infra-warning",
+    label: "Warning infrastructure",
+    read: (s) => s?.infrastructureEquipment?.warning,
+  },
+  {
+    metric: "infrastructure.unmonitored",
+    valueId: "infra-uninventoried",
+    label: "Unmonitored infrastructure",
+    read: (s) => s?.infrastructureEquipment?.unmonitored,
+  },
+  {
+    metric: "infrastructure.down",
+    valueId: "infra-down",
+    label: "Down infrastructure",
+    read: (s) => s?.infrastructureEquipment?.down,
+  },
+  {
+    metric: "customers.good",
+    valueId: "cust-good",
+    label: "Good customers",
+    read: (s) => s?.customerEquipment?.good,
+  },
+  {
+    metric: "customers.warning",
+    valueId: "cust-warning",
+    label: "Warning customers",
+    read: (s) => s?.customerEquipment?.warning,
+  },
+  {
+    metric: "customers.uninventoried",
+    valueId: "cust-uninventoried",
+    label: "Uninventoried customers",
+    read: (s) => s?.customerEquipment?.uninventoried,
+  },
+  {
+    metric: "customers.down",
+    valueId: "cust-down",
+    label: "Down customers",
+    read: (s) => s?.customerEquipment?.down,
+  },
+  {
+    metric: "tickets.open",
+    valueId: "tickets-open",
+    label: "Open tickets",
+    read: (s) => s?.tickets?.open,
+  },
+];
+
+// Chart ranges offered in the larger chart dialog.
+const CHART_RANGES = {
+  "24h": DAY_MS,
+  "7d": 7 * DAY_MS,
+  "30d": 30 * DAY_MS,
 };
 
+let chartMetric = null;
+
+/**
+ * Down infrastructure ids and the down-customer count from the previous
+ * refresh, or null before the first one so loading the page never sounds
+ * the alarm.
+ */
+let alarmBaseline = null;
+
 /**
  * Formats numbers for display in the UI.
  * - Adds commas (1,234)
@@ -62,10 +171,11 @@ function fmt(n) {
  * Changes the color of the dot and the status text.
  */
 function setApiState(state, message) {
-  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad");
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
 
   if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
   if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
 
   ui.apiStatus.textContent = message;
 }
@@ -92,6 +202,35 @@ function render(summary) {
   ui.cust.uninventoried.textContent = fmt(summary?.customerEquipment?.uninventoried);
   ui.cust.down.textContent = fmt(summary?.customerEquipment?.down);
   ui.tickets.open.textContent = fmt(summary?.tickets?.open);
+  renderIncidents(summary?.incidents);
+  renderFlapping(summary?.flapping);
+}
+
+/**
+ * Updates the optional "Flapping" tile. The server sends `flapping: null`
+ * when the tile is turned off.
+ */
+function renderFlapping(flapping) {
+  ui.flapping.section.hidden = !flapping;
+  if (!flapping) return;
+
+  const windowMinutes = Math.round(flapping.windowMs / 60_000);
+  ui.flapping.total.textContent = fmt(flapping.total);
+  ui.flapping.label.textContent =
+    `Flapping (${fmt(flapping.infrastructure)} infra / ${fmt(flapping.customers)} customers)`;
+  ui.flapping.section.title =
+    `More than ${flapping.threshold} status changes in the last ${windowMinutes} minutes`;
+}
+
+/**
+ * Updates the "Open Incidents" tile. Acknowledged incidents still count as
+ * open until they are resolved.
+ */
+function renderIncidents(incidents) {
+  ui.incidents.active.textContent = fmt(incidents?.active);
+  ui.incidents.active.title = incidents
+    ? `${fmt(incidents.open)} open, ${fmt(incidents.acknowledged)} acknowledged`
+    : "";
 }
 
 /**
@@ -118,6 +257,250 @@ async function fetchSummary() {
   return await res.json(); // { ok, source, summary, ... }
 }
 
+/**
+ * Fetches the visible Down infrastructure rows. Suppressed items are left
+ * out by the server, so they can never sound the alarm.
+ */
+async function fetchDownInfrastructure() {
+  const res = await fetch("/api/infrastructure-down", { cache: "no-store" });
+
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+  const payload = await res.json();
+  if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+  return payload.rows || [];
+}
+
+/**
+ * Fetches recorded history for the given metrics.
+ */
+async function fetchHistory(metrics, rangeMs, resolution) {
+  const params = new URLSearchParams({
+    from: String(Date.now() - rangeMs),
+    resolution,
+    metrics: metrics.join(","),
+  });
+  const res = await fetch(`/api/history?${params}`, { cache: "no-store" });
+
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+  const payload = await res.json();
+  if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+  return payload.series || {};
+}
+
+/**
+ * Adds the sparkline and delta slots under each trend tile's label.
+ */
+function buildTrendSlots() {
+  for (const tile of TREND_TILES) {
+    const tileEl = el(tile.valueId).closest(".tile");
+
+    const trend = document.createElement("div");
+    trend.className = "tile__trend";
+    trend.hidden = true;
+
+    const spark = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    spark.classList.add("sparkline");
+    spark.setAttribute("role", "button");
+    spark.setAttribute("tabindex", "0");
+    spark.setAttribute("aria-label", `Show chart: ${tile.label}`);
+    spark.dataset.metric = tile.metric;
+
+    const delta = document.createElement("div");
+    delta.className = "tile__delta";
+
+    trend.append(spark, delta);
+    tileEl.appendChild(trend);
+
+    tile.trend = trend;
+    tile.spark = spark;
+    tile.delta = delta;
+  }
+}
+
+/**
+ * Returns the recorded value closest to (but not after) `at`.
+ */
+function valueAt(points, at) {
+  let match = null;
+
+  for (const point of points) {
+    if (point.t > at) break;
+    match = point;
+  }
+
+  return match ? Math.round(match.avg) : null;
+}
+
+/**
+ * Formats the change over the last hour for a tile.
+ */
+function formatDelta(change) {
+  if (change === 0) return "No change since last hour";
+  const sign = change > 0 ? "+" : "-";
+  return `${sign}${fmt(Math.abs(change))} since last hour`;
+}
+
+/**
+ * Draws sparklines and hourly deltas from the last 24 hours of history.
+ * History is optional; tiles simply hide their trend when it is missing.
+ */
+async function refreshTrends(summary) {
+  try {
+    const series = await fetchHistory(TREND_TILES.map((tile) => tile.metric), DAY_MS, "15m");
+    const hourAgo = Date.now() - HOUR_MS;
+
+    for (const tile of TREND_TILES) {
+      const points = series[tile.metric] || [];
+      const shown = window.DashboardCharts.renderSparkline(tile.spark, points);
+      const current = tile.read(summary);
+      const previous = valueAt(points, hourAgo);
+
+      tile.delta.classList.remove("tile__delta--up", "tile__delta--down");
+
+      if (typeof current === "number" && previous !== null) {
+        const change = current - previous;
+        tile.delta.textContent = formatDelta(change);
+        if (change > 0) tile.delta.classList.add("tile__delta--up");
+        if (change < 0) tile.delta.classList.add("tile__delta--down");
+      } else {
+        tile.delta.textContent = "";
+      }
+
+      tile.trend.hidden = !shown && !tile.delta.textContent;
+    }
+  } catch (err) {
+    console.error("History unavailable:", err);
+    TREND_TILES.forEach((tile) => {
+      tile.trend.hidden = true;
+    });
+  }
+}
+
+/**
+ * Loads and draws the larger chart for the open metric.
+ */
+async function renderChartRange(rangeKey) {
+  for (const button of ui.chart.ranges.querySelectorAll("button")) {
+    button.classList.toggle("chart-range--active", button.dataset.range === rangeKey);
+  }
+
+  try {
+    const series = await fetchHistory([chartMetric], CHART_RANGES[rangeKey], "auto");
+    window.DashboardCharts.renderChart(ui.chart.svg, series[chartMetric] || []);
+  } catch (err) {
+    console.error("Chart history unavailable:", err);
+    window.DashboardCharts.renderChart(ui.chart.svg, []);
+  }
+}
+
+/**
+ * Opens the chart dialog for one tile's metric.
+ */
+function openChart(metric) {
+  const tile = TREND_TILES.find((item) => item.metric === metric);
+  if (!tile) return;
+
+  chartMetric = metric;
+  ui.chart.title.textContent = tile.label;
+  ui.chart.dialog.showModal();
+  renderChartRange("24h");
+}
+
+/**
+ * Wires up sparkline clicks and the chart dialog controls.
+ * Sparklines sit inside tile links, so clicks must not navigate.
+ */
+function initCharts() {
+  buildTrendSlots();
+
+  document.addEventListener("click", (event) => {
+    const spark = event.target.closest(".sparkline");
+    if (!spark) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    openChart(spark.dataset.metric);
+  });
+
+  document.addEventListener("keydown", (event) => {
+    const spark = event.target.closest?.(".sparkline");
+    if (!spark || (event.key !== "Enter" && event.key !== " ")) return;
+
+    event.preventDefault();
+    openChart(spark.dataset.metric);
+  });
+
+  ui.chart.ranges.addEventListener("click", (event) => {
+    const button = event.target.closest("button[data-range]");
+    if (button) renderChartRange(button.dataset.range);
+  });
+
+  ui.chart.close.addEventListener("click", () => ui.chart.dialog.close());
+}
+
+/**
+ * Compares a fresh summary with the previous refresh and sounds the alarm
+ * for newly down infrastructure or a jump in down customers. The summary
+ * counts already leave out suppressed customers and devices.
+ */
+async function checkAlarm(summary) {
+  if (!summary || !window.DashboardAlarm?.isEnabled()) {
+    alarmBaseline = null;
+    return;
+  }
+
+  let downItems;
+  try {
+    downItems = summary.infrastructureEquipment?.down ? await fetchDownInfrastructure() : [];
+  } catch (err) {
+    console.error("Down infrastructure unavailable for the alarm:", err);
+    return;
+  }
+
+  const previous = alarmBaseline;
+  const downCustomers = summary.customerEquipment?.down ?? 0;
+  alarmBaseline = {
+    downCustomers,
+    downItemIds: new Set(downItems.map((row) => String(row.inventoryItemId))),
+  };
+
+  if (!previous) return;
+
+  const newItems = downItems.filter(
+    (row) => !previous.downItemIds.has(String(row.inventoryItemId)),
+  );
+  const jump = downCustomers - previous.downCustomers;
+  const lines = [];
+
+  if (newItems.length) {
+    lines.push(
+      newItems.length === 1
+        ? `${newItems[0].deviceName} is down`
+        : `${newItems.length} infrastructure items are down`,
+    );
+  }
+
+  if (jump >= ALARM_CUSTOMER_JUMP) {
+    lines.push(`Down customers rose by ${fmt(jump)} to ${fmt(downCustomers)}`);
+  }
+
+  if (!lines.length) return;
+
+  const listed = newItems
+    .slice(0, ALARM_LISTED_ITEMS)
+    .map((row) => `${row.deviceName} (${row.networkSiteName || "unknown site"})`);
+  if (newItems.length > ALARM_LISTED_ITEMS) {
+    listed.push(`...and ${newItems.length - ALARM_LISTED_ITEMS} more`);
+  }
+
+  window.DashboardAlarm.alarm({
+    title: lines.join(", "),
+    body: listed.join("\n") || lines.join("\n"),
+  });
+}
+
 /**
  * Main refresh function.
  * - Fetches data
@@ -131,16 +514,19 @@ async function refresh() {
 
   try {
     const payload = await fetchSummary();
-    render(payload.summary);
+
+    // Failed payloads carry an all-zero summary; show placeholders instead so
+    // an outage never looks like the network vanished.
+    render(payload.ok ? payload.summary : null);
+    refreshTrends(payload.ok ? payload.summary : null);
+    checkAlarm(payload.ok ? payload.summary : null);
+    window.DashboardApiStatus.renderStaleBanner(payload.stale);
 
     if (payload.ok) {
-      const label =
-        payload.source === "cache"
-          ? "API: Connected (cached)"
-          : "API: Connected";
-      setApiState("ok", label);
+      const apiState = window.DashboardApiStatus.describePayload(payload);
+      setApiState(apiState.state, apiState.message);
     } else {
-      setApiState("bad", `API: Error (${payload.error || "unknown"})`);
+      setApiState("bad", window.DashboardApiStatus.describeError(payload.errorCode));
     }
 
     setLastUpdated(new Date());
@@ -154,7 +540,14 @@ async function refresh() {
 }
 
 // Run once on page load
+initCharts();
 refresh();
 
-// Automatically refresh on an interval
-setInterval(refresh, REFRESH_MS);
+// Re-fetch whenever the server reports a summary change. New transitions can
+// change the flapping count, and incident changes the incident tile, without
+// changing any other total.
+window.DashboardLiveUpdates.subscribe({
+  sources: ["summary", "transitions", "incidents"],
+  refresh,
+  intervalMs: REFRESH_MS,
+});
@@ -0,0 +1,142 @@
+/**
+ * Small SVG chart helpers for dashboard pages.
+ *
+ * Points come straight from GET /api/history series: { t, avg, min, max }.
+ * Sparklines draw the average only; the larger chart also shades the
+ * min/max range so short spikes inside a bucket stay visible.
+ */
+
+(function bootstrapCharts() {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  function createSvgElement(name, attrs) {
+    const node = document.createElementNS(SVG_NS, name);
+    for (const [key, value] of Object.entries(attrs)) node.setAttribute(key, String(value));
+    return node;
+  }
+
+  // Returns scale functions that map points into a width x height box.
+  function buildScales(points, width, height, padding) {
+    const times = points.map((point) => point.t);
+    const values = points.flatMap((point) => [point.min, point.max, point.avg]);
+    const minT = Math.min(...times);
+    const maxT = Math.max(...times);
+    // Scale to the data, not to zero, so a move from 1,480 to 1,490 is visible.
+    const minV = Math.min(...values);
+    const maxV = Math.max(minV + 1, ...values);
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    return {
+      minV,
+      maxV,
+      minT,
+      maxT,
+      x: (t) => padding.left + ((t - minT) / Math.max(maxT - minT, 1)) * plotWidth,
+      y: (v) => height - padding.bottom - ((v - minV) / (maxV - minV)) * plotHeight,
+    };
+  }
+
+  // Adds a text label to an <svg>.
+  function addLabel(svg, text, attrs) {
+    const node = createSvgElement("text", { class: "chart__label", ...attrs });
+    node.textContent = text;
+    svg.appendChild(node);
+  }
+
+  function toPath(points, x, y, field) {
+    return points
+      .map((point) => `${x(point.t).toFixed(1)},${y(point[field]).toFixed(1)}`)
+      .join(" ");
+  }
+
+  // Draws a compact trend line into an existing <svg>. Clears it when there
+  // are not enough points to show a trend.
+  function renderSparkline(svg, points) {
+    const width = 100;
+    const height = 24;
+
+    svg.replaceChildren();
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    svg.setAttribute("preserveAspectRatio", "none");
+
+    if (!points || points.length < 2) return false;
+
+    const { x, y } = buildScales(points, width, height, { top: 2, right: 1, bottom: 2, left: 1 });
+    svg.appendChild(
+      createSvgElement("polyline", {
+        class: "sparkline__line",
+        points: toPath(points, x, y, "avg"),
+        "vector-effect": "non-scaling-stroke",
+      }),
+    );
+
+    return true;
+  }
+
+  function formatChartTime(ms, rangeMs) {
+    const date = new Date(ms);
+    if (rangeMs > 2 * 24 * 60 * 60 * 1000) {
+      return date.toLocaleDateString([], { month: "short", day: "numeric" });
+    }
+    return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+
+  // Draws a larger chart with axis labels and a min/max band.
+  function renderChart(svg, points) {
+    const width = 640;
+    const height = 260;
+    const padding = { top: 14, right: 16, bottom: 28, left: 48 };
+
+    svg.replaceChildren();
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+    if (!points || !points.length) {
+      addLabel(svg, "No history recorded for this range yet", {
+        x: width / 2,
+        y: height / 2,
+        "text-anchor": "middle",
+      });
+      return;
+    }
+
+    const scales = buildScales(points, width, height, padding);
+    const { x, y } = scales;
+
+    for (const value of [scales.minV, (scales.minV + scales.maxV) / 2, scales.maxV]) {
+      svg.appendChild(
+        createSvgElement("line", {
+          class: "chart__grid",
+          x1: padding.left,
+          x2: width - padding.right,
+          y1: y(value),
+          y2: y(value),
+        }),
+      );
+      addLabel(svg, Math.round(value).toLocaleString("en-US"), {
+        x: padding.left - 6,
+        y: y(value) + 4,
+        "text-anchor": "end",
+      });
+    }
+
+    const rangeMs = scales.maxT - scales.minT;
+    addLabel(svg, formatChartTime(scales.minT, rangeMs), { x: padding.left, y: height - 8 });
+    addLabel(svg, formatChartTime(scales.maxT, rangeMs), {
+      x: width - padding.right,
+      y: height - 8,
+      "text-anchor": "end",
+    });
+
+    const band = `${toPath(points, x, y, "max")} ${toPath([...points].reverse(), x, y, "min")}`;
+    svg.appendChild(createSvgElement("polygon", { class: "chart__band", points: band }));
+    svg.appendChild(
+      createSvgElement("polyline", { class: "chart__line", points: toPath(points, x, y, "avg") }),
+    );
+  }
+
+  window.DashboardCharts = {
+    renderChart,
+    renderSparkline,
+  };
+})();
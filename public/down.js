@@ -5,12 +5,15 @@
  *
  * Backend provides:
  *   GET /api/down-customers
+ *   GET /api/outages
+ *
+ * Selected rows can be turned into an incident on /incidents.html.
  *   POST /api/suppressions/accounts/:id
  */
 
 const el = (id) => document.getElementById(id);
 
-// How often the page refreshes (in milliseconds)
+// How often the page polls while the live update stream is down (in milliseconds)
 const REFRESH_MS =
   typeof window.DASHBOARD_REFRESH_MS === "number"
     ? window.DASHBOARD_REFRESH_MS
@@ -24,12 +27,35 @@ const ui = {
   apiDot: el("api-dot"),
   apiStatus: el("api-status"),
   lastUpdated: el("last-updated"),
+  durationSort: el("sort-duration"),
+  outages: el("outages"),
+  outageCards: el("outage-cards"),
+  outageFilter: el("outage-filter"),
+  outageFilterLabel: el("outage-filter-label"),
+  outageFilterClear: el("outage-filter-clear"),
+  createIncident: el("create-incident"),
+};
+
+const selection = window.DashboardRowSelection.create({
+  tbody: ui.rows,
+  button: ui.createIncident,
+  buildHref: (ids) =>
+    `/incidents.html?${new URLSearchParams({
+      customerIds: ids.join(","),
+      title: `${ids.length} customer${ids.length === 1 ? "" : "s"} down`,
+    })}`,
+});
+
+const OUTAGE_TYPE_LABELS = {
+  pool: "IP pool",
+  site: "Network site",
 };
 
 function setApiState(state, message) {
-  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad");
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
   if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
   if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
   ui.apiStatus.textContent = message;
 }
 
@@ -50,6 +76,39 @@ function joinIps(ipAddresses) {
   return ipAddresses.filter(Boolean).join(", ");
 }
 
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60_000);
+  if (minutes < 1) return "<1m";
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function getSinceMs(row) {
+  const since = Date.parse(row.statusSince);
+  return Number.isFinite(since) ? since : null;
+}
+
+function renderDurationCell(td) {
+  const since = Date.parse(td.dataset.since);
+
+  if (!Number.isFinite(since)) {
+    td.textContent = "-";
+    td.removeAttribute("title");
+    return;
+  }
+
+  td.textContent = formatDuration(Date.now() - since);
+  td.title = `Since ${new Date(since).toLocaleString()}`;
+}
+
+function updateDurations() {
+  ui.rows.querySelectorAll(".duration-col[data-since]").forEach(renderDurationCell);
+}
+
 function joinIpPools(ipPools) {
   if (!Array.isArray(ipPools)) return "";
   return ipPools.filter(Boolean).join(", ");
@@ -81,10 +140,12 @@ function renderTable(customers) {
     a.rel = "noreferrer";
     a.textContent = c.customerName || "(unknown)";
     nameTd.appendChild(a);
+    selection.prependCheckbox(nameTd, c.customerId, c.customerName || "(unknown)");
 
     // Status
     const statusTd = document.createElement("td");
     statusTd.innerHTML = `<span class="badge badge--down">${c.status || "Down"}</span>`;
+    window.DashboardStatusBadges.appendFlappingBadge(statusTd, c);
 
     // IPs
     const ipTd = document.createElement("td");
@@ -98,6 +159,12 @@ function renderTable(customers) {
     const addrTd = document.createElement("td");
     addrTd.textContent = c.address || "-";
 
+    // Down for
+    const durationTd = document.createElement("td");
+    durationTd.className = "duration-col";
+    durationTd.dataset.since = c.statusSince || "";
+    renderDurationCell(durationTd);
+
     // Actions
     const actionsTd = document.createElement("td");
     actionsTd.className = "actions-col";
@@ -111,7 +178,7 @@ function renderTable(customers) {
 
     actionsTd.appendChild(btn);
 
-    tr.append(nameTd, statusTd, ipTd, poolTd, addrTd, actionsTd);
+    tr.append(nameTd, statusTd, ipTd, poolTd, addrTd, durationTd, actionsTd);
     frag.appendChild(tr);
   }
 
@@ -124,17 +191,113 @@ async function fetchDownCustomers() {
   return await res.json();
 }
 
+async function fetchOutages() {
+  const res = await fetch("/api/outages", { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
 let lastCustomers = [];
+let lastOutages = [];
+
+// Key of the outage card the table is drilled into, if any.
+let activeOutageKey = null;
+
+function getActiveOutage() {
+  return lastOutages.find((outage) => outage.key === activeOutageKey) || null;
+}
+
+// Renders one card per suspected outage above the table.
+function renderOutages() {
+  if (!getActiveOutage()) activeOutageKey = null;
+
+  ui.outages.hidden = !lastOutages.length;
+  ui.outageCards.innerHTML = "";
+
+  const frag = document.createDocumentFragment();
+
+  for (const outage of lastOutages) {
+    const card = document.createElement("article");
+    card.className = "outage-card";
+    card.classList.toggle("outage-card--active", outage.key === activeOutageKey);
+
+    const type = document.createElement("span");
+    type.className = "outage-card__type";
+    type.textContent = `Suspected outage · ${OUTAGE_TYPE_LABELS[outage.type] || outage.type}`;
+
+    const name = document.createElement("span");
+    name.className = "outage-card__name";
+    name.textContent = outage.name;
+
+    const counts = document.createElement("span");
+    counts.className = "outage-card__counts";
+    counts.textContent =
+      `${outage.down} of ${outage.customers} customers down (${outage.downShare}%)` +
+      (outage.warning ? `, ${outage.warning} warning` : "");
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "outage-card__toggle";
+    btn.dataset.outage = outage.key;
+    btn.textContent = outage.key === activeOutageKey ? "Showing" : "Show customers";
+    btn.setAttribute("aria-pressed", String(outage.key === activeOutageKey));
+
+    card.append(type, name, counts, btn);
+    frag.appendChild(card);
+  }
+
+  ui.outageCards.appendChild(frag);
+
+  const active = getActiveOutage();
+  ui.outageFilter.hidden = !active;
+  ui.outageFilterLabel.textContent = active
+    ? `Showing down customers in ${OUTAGE_TYPE_LABELS[active.type] || active.type} ${active.name}`
+    : "";
+}
+
+// Drills the table into one outage, or back out when it is clicked again.
+function selectOutage(key) {
+  activeOutageKey = key === activeOutageKey ? null : key;
+  renderOutages();
+  applyFilter();
+}
+
+// Sort order for the duration column: "none", "descending" or "ascending".
+let durationSort = "none";
+
+function sortByDuration(rows) {
+  if (durationSort === "none") return rows;
+
+  const direction = durationSort === "descending" ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const aSince = getSinceMs(a);
+    const bSince = getSinceMs(b);
+    if (aSince === null || bSince === null) return (aSince === null) - (bSince === null);
+    return (aSince - bSince) * direction;
+  });
+}
+
+function toggleDurationSort() {
+  durationSort = durationSort === "descending" ? "ascending" : "descending";
+  ui.durationSort.closest("th").setAttribute("aria-sort", durationSort);
+  applyFilter();
+}
 
 function applyFilter() {
   const q = normalize(ui.filter.value);
+  const outage = getActiveOutage();
+  const outageIds = outage ? new Set(outage.downCustomerIds) : null;
+  const customers = outageIds
+    ? lastCustomers.filter((c) => outageIds.has(String(c.customerId)))
+    : lastCustomers;
 
   if (!q) {
-    renderTable(lastCustomers);
+    renderTable(sortByDuration(customers));
     return;
   }
 
-  const filtered = lastCustomers.filter((c) => {
+  const filtered = customers.filter((c) => {
     const blob = [c.customerName, c.status, joinIps(c.ipAddresses), joinIpPools(c.ipPools), c.address]
       .map(normalize)
       .join(" | ");
@@ -142,7 +305,7 @@ function applyFilter() {
     return blob.includes(q);
   });
 
-  renderTable(filtered);
+  renderTable(sortByDuration(filtered));
 }
 
 async function refresh() {
@@ -150,17 +313,32 @@ async function refresh() {
   ui.apiStatus.textContent = "API: Loading...";
 
   try {
-    const payload = await fetchDownCustomers();
-    if (!payload.ok) throw new Error(payload.error || "API returned ok=false");
+    // Outage cards are extra context, so a failure there keeps the table.
+    const [payload, outagePayload] = await Promise.all([
+      fetchDownCustomers(),
+      fetchOutages().catch((err) => {
+        console.error(err);
+        return null;
+      }),
+    ]);
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
 
     lastCustomers = Array.isArray(payload.customers) ? payload.customers : [];
-    setApiState("ok", payload.source === "cache" ? "API: Connected (cached)" : "API: Connected");
+    selection.retain(lastCustomers.map((c) => c.customerId));
+    lastOutages = outagePayload?.ok ? outagePayload.outages || [] : [];
+    renderOutages();
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    window.DashboardApiStatus.renderStaleBanner(payload.stale);
     setLastUpdated(new Date());
     applyFilter();
   } catch (err) {
     console.error(err);
-    setApiState("bad", "API: Request failed");
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    window.DashboardApiStatus.renderStaleBanner(null);
     setLastUpdated(new Date());
+    lastOutages = [];
+    renderOutages();
     renderTable([]);
   } finally {
     window.DashboardLoadingUI?.finishFetch();
@@ -169,8 +347,19 @@ async function refresh() {
 
 async function init() {
   ui.filter.addEventListener("input", applyFilter);
+  ui.durationSort.addEventListener("click", toggleDurationSort);
+  ui.outageCards.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-outage]");
+    if (btn) selectOutage(btn.dataset.outage);
+  });
+  ui.outageFilterClear.addEventListener("click", () => selectOutage(null));
+  setInterval(updateDurations, 60_000);
   await refresh();
-  setInterval(refresh, REFRESH_MS);
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["downCustomers", "warningCustomers"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
 }
 
 // Suppress button handler (event delegation)
@@ -181,6 +370,9 @@ document.addEventListener("click", async (e) => {
   const id = btn.dataset.id;
   if (!id) return;
 
+  const details = await window.DashboardSuppressForm.open("Suppress customer");
+  if (!details) return;
+
   btn.disabled = true;
   const oldText = btn.textContent;
   btn.textContent = "...";
@@ -188,6 +380,8 @@ document.addEventListener("click", async (e) => {
   try {
     const res = await fetch(`/api/suppressions/accounts/${encodeURIComponent(id)}`, {
       method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(details),
     });
 
     if (!res.ok) {
@@ -0,0 +1,269 @@
+/**
+ * email.js
+ *
+ * Page logic for the "Email" view.
+ *
+ * Backend provides:
+ *   GET /api/email
+ *   POST /api/email/test
+ *   POST /api/email/digest
+ *
+ * The SMTP relay is configured in .env and recipients in
+ * data/email-recipients.json on the server; this page only shows them and
+ * sends test emails and digests.
+ */
+
+// Looks up a page element by its DOM id.
+const el = (id) => document.getElementById(id);
+
+const REFRESH_MS =
+  typeof window.DASHBOARD_REFRESH_MS === "number"
+    ? window.DASHBOARD_REFRESH_MS
+    : 60_000;
+
+// Caches the DOM elements used throughout the page lifecycle.
+const ui = {
+  rows: el("rows"),
+  empty: el("empty"),
+  count: el("count"),
+  smtpStatus: el("smtp-status"),
+  digestHint: el("digest-hint"),
+  sendDigest: el("send-digest"),
+  testForm: el("test-form"),
+  testTo: el("test-to"),
+  testSubmit: el("test-submit"),
+  testResult: el("test-result"),
+  testError: el("test-error"),
+  apiDot: el("api-dot"),
+  apiStatus: el("api-status"),
+  lastUpdated: el("last-updated"),
+};
+
+const SEVERITY_BADGES = {
+  critical: "badge--down",
+  major: "badge--warning",
+  minor: "badge--neutral",
+};
+
+const TLS_LABELS = {
+  tls: "TLS",
+  starttls: "STARTTLS when offered",
+  "starttls-required": "STARTTLS required",
+};
+
+// Updates the footer API indicator for the current page state.
+function setApiState(state, message) {
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
+  if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
+  if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
+  ui.apiStatus.textContent = message;
+}
+
+// Refreshes the footer timestamp after each data load.
+function setLastUpdated(date = new Date()) {
+  ui.lastUpdated.textContent = `Last updated: ${date.toLocaleString()}`;
+}
+
+// Builds a colored badge with a capitalized label.
+function buildBadge(value, classes) {
+  const badge = document.createElement("span");
+  badge.className = `badge ${classes[value] || "badge--neutral"}`;
+  badge.textContent = value ? value[0].toUpperCase() + value.slice(1) : "-";
+  return badge;
+}
+
+// Formats a timestamp with the date, since the last email can be days old.
+function formatTime(iso) {
+  return new Date(iso).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Formats the digest hour as a local clock time.
+function formatHour(hour) {
+  const date = new Date();
+  date.setHours(hour, 0, 0, 0);
+  return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+// Describes the relay and the digest schedule above the table.
+function renderSettings(smtp, meta) {
+  ui.smtpStatus.textContent = smtp?.configured
+    ? [
+        `Sending through ${smtp.host}:${smtp.port}`,
+        TLS_LABELS[smtp.tls] || smtp.tls,
+        smtp.auth ? "with login" : "without login",
+        `from ${smtp.from}`,
+      ].join(" | ")
+    : "Email is off. Set SMTP_HOST and SMTP_FROM in .env to turn it on.";
+
+  const hour = meta?.digestHour;
+  ui.digestHint.textContent =
+    Number.isInteger(hour) && hour >= 0 && hour <= 23
+      ? `The daily digest is sent at ${formatHour(hour)} server time.`
+      : "The daily digest is off.";
+
+  ui.sendDigest.disabled = !smtp?.configured;
+  ui.testSubmit.disabled = !smtp?.configured;
+}
+
+// Renders the recipients and the outcome of their last email.
+function renderTable(recipients) {
+  ui.rows.innerHTML = "";
+
+  if (!recipients.length) {
+    ui.empty.hidden = false;
+    ui.count.textContent = "0 recipients";
+    return;
+  }
+
+  ui.empty.hidden = true;
+  ui.count.textContent = `${recipients.length} recipient${recipients.length === 1 ? "" : "s"}`;
+
+  const frag = document.createDocumentFragment();
+
+  for (const recipient of recipients) {
+    const tr = document.createElement("tr");
+
+    const nameTd = document.createElement("td");
+    nameTd.textContent = recipient.name || "-";
+    if (!recipient.enabled) nameTd.textContent += " (disabled)";
+
+    const emailTd = document.createElement("td");
+    emailTd.textContent = recipient.email;
+
+    const severitiesTd = document.createElement("td");
+    if (recipient.severities.length) {
+      for (const severity of recipient.severities) {
+        severitiesTd.append(buildBadge(severity, SEVERITY_BADGES), " ");
+      }
+    } else {
+      severitiesTd.textContent = "None";
+    }
+
+    const digestTd = document.createElement("td");
+    digestTd.textContent = recipient.digest ? "Yes" : "No";
+
+    const lastTd = document.createElement("td");
+    const last = recipient.lastResult;
+    if (last) {
+      lastTd.append(
+        buildBadge(last.ok ? "sent" : "failed", { sent: "badge--good", failed: "badge--down" }),
+        ` ${formatTime(last.at)} ${last.subject}`,
+      );
+      if (last.error) lastTd.title = last.error;
+    } else {
+      lastTd.textContent = "-";
+    }
+
+    tr.append(nameTd, emailTd, severitiesTd, digestTd, lastTd);
+    frag.appendChild(tr);
+  }
+
+  ui.rows.appendChild(frag);
+}
+
+// Fetches relay settings and recipients from the backend.
+async function fetchEmail() {
+  const res = await fetch("/api/email", { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
+// Sends a JSON request to the email API and returns the parsed payload.
+async function sendJson(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const payload = await res.json().catch(() => null);
+
+  if (!res.ok || !payload?.ok) {
+    throw new Error(payload?.error || `HTTP ${res.status}`);
+  }
+
+  return payload;
+}
+
+// Reloads the page data and updates the page status chrome.
+async function refresh() {
+  window.DashboardLoadingUI?.startFetch();
+  ui.apiStatus.textContent = "API: Loading...";
+
+  try {
+    const payload = await fetchEmail();
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    setLastUpdated(new Date());
+    renderSettings(payload.smtp, payload.meta);
+    renderTable(payload.recipients || []);
+  } catch (err) {
+    console.error(err);
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    setLastUpdated(new Date());
+    renderTable([]);
+  } finally {
+    window.DashboardLoadingUI?.finishFetch();
+  }
+}
+
+// Sends a test email and reports whether the relay accepted it.
+async function handleTest(e) {
+  e.preventDefault();
+  ui.testResult.textContent = "";
+  ui.testError.textContent = "";
+  ui.testSubmit.disabled = true;
+
+  try {
+    await sendJson("/api/email/test", { to: ui.testTo.value });
+    ui.testResult.textContent = `Test email sent to ${ui.testTo.value}.`;
+    await refresh();
+  } catch (err) {
+    console.error("Test email failed:", err);
+    ui.testError.textContent = err.message;
+  } finally {
+    ui.testSubmit.disabled = false;
+  }
+}
+
+// Sends the daily digest right away.
+async function handleDigest() {
+  ui.sendDigest.disabled = true;
+
+  try {
+    const { sent, failed } = await sendJson("/api/email/digest");
+    alert(
+      failed
+        ? `Digest sent to ${sent} recipient(s); ${failed} failed. Check console/logs.`
+        : `Digest sent to ${sent} recipient(s).`,
+    );
+    await refresh();
+  } catch (err) {
+    console.error("Digest send failed:", err);
+    alert("Failed to send the digest. Check console/logs.");
+  } finally {
+    ui.sendDigest.disabled = false;
+  }
+}
+
+// Wires up page events and subscribes to live updates.
+async function init() {
+  ui.testForm.addEventListener("submit", handleTest);
+  ui.sendDigest.addEventListener("click", handleDigest);
+
+  await refresh();
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["email"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
+}
+
+init();
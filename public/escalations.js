@@ -0,0 +1,331 @@
+/**
+ * escalations.js
+ *
+ * Page logic for the "Escalations" view.
+ *
+ * Backend provides:
+ *   GET /api/escalations
+ *   POST /api/escalations/:id/acknowledge
+ *
+ * Notification links open this page as /escalations.html?ack=<id>, which
+ * shows a form to acknowledge that escalation.
+ */
+
+// Looks up a page element by its DOM id.
+const el = (id) => document.getElementById(id);
+
+const REFRESH_MS =
+  typeof window.DASHBOARD_REFRESH_MS === "number"
+    ? window.DASHBOARD_REFRESH_MS
+    : 60_000;
+
+// Caches the DOM elements used throughout the page lifecycle.
+const ui = {
+  rows: el("rows"),
+  empty: el("empty"),
+  count: el("count"),
+  state: el("state"),
+  onCall: el("on-call"),
+  policyHint: el("policy-hint"),
+  ackForm: el("ack-form"),
+  ackText: el("ack-text"),
+  ackAuthor: el("ack-author"),
+  ackSubmit: el("ack-submit"),
+  ackError: el("ack-error"),
+  apiDot: el("api-dot"),
+  apiStatus: el("api-status"),
+  lastUpdated: el("last-updated"),
+};
+
+const SEVERITY_BADGES = {
+  critical: "badge--down",
+  major: "badge--warning",
+  minor: "badge--neutral",
+};
+
+const STATE_BADGES = {
+  active: "badge--down",
+  acknowledged: "badge--warning",
+  resolved: "badge--good",
+};
+
+// Escalation id from an acknowledge link, if the page was opened from one.
+const ackId = new URLSearchParams(window.location.search).get("ack");
+
+// Escalations from the last load, by id, for the acknowledge form.
+let escalationsById = new Map();
+
+// Updates the footer API indicator for the current page state.
+function setApiState(state, message) {
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
+  if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
+  if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
+  ui.apiStatus.textContent = message;
+}
+
+// Refreshes the footer timestamp after each data load.
+function setLastUpdated(date = new Date()) {
+  ui.lastUpdated.textContent = `Last updated: ${date.toLocaleString()}`;
+}
+
+// Builds a colored badge with a capitalized label.
+function buildBadge(value, classes) {
+  const badge = document.createElement("span");
+  badge.className = `badge ${classes[value] || "badge--neutral"}`;
+  badge.textContent = value ? value[0].toUpperCase() + value.slice(1) : "-";
+  return badge;
+}
+
+// Formats a timestamp with the date, since rotations span a week.
+function formatTime(iso) {
+  if (!iso) return "-";
+
+  return new Date(iso).toLocaleString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Renders one card per on-call schedule and the policy summary.
+function renderOnCall(onCall, policies, meta) {
+  ui.onCall.innerHTML = "";
+
+  ui.policyHint.textContent = policies.length
+    ? `${policies.length} escalation polic${policies.length === 1 ? "y" : "ies"}, ` +
+      `${meta?.quietHours || 0} quiet hours window${meta?.quietHours === 1 ? "" : "s"}.`
+    : "No escalation policies. Copy data/escalation-policies.example.json to data/escalation-policies.json to add some.";
+
+  for (const entry of onCall) {
+    const card = document.createElement("article");
+    card.className = "webhook-card";
+
+    const name = document.createElement("div");
+    name.className = "webhook-card__name";
+    name.textContent = entry.schedule;
+
+    const member = document.createElement("div");
+    member.textContent = entry.name ? `${entry.name} (${entry.email})` : entry.email;
+
+    const until = document.createElement("div");
+    until.className = "webhook-card__meta";
+    until.textContent = `On call until ${formatTime(entry.until)}`;
+
+    card.append(name, member, until);
+    ui.onCall.appendChild(card);
+  }
+}
+
+// Describes where an escalation is in its policy.
+function describeStep(escalation) {
+  const total = escalation.policySteps.length;
+  const text = `${escalation.step} of ${total}`;
+  return escalation.nextStepAt ? `${text}, next ${formatTime(escalation.nextStepAt)}` : text;
+}
+
+// Lists the notifications sent by the latest step.
+function describeNotifications(escalation) {
+  const latest = escalation.notifications.filter((entry) => entry.step === escalation.step);
+  if (!latest.length) return "-";
+
+  return latest.map((entry) => `${entry.to} (${entry.status})`).join(", ");
+}
+
+// Renders the escalations into the table.
+function renderTable(escalations) {
+  ui.rows.innerHTML = "";
+
+  if (!escalations.length) {
+    ui.empty.hidden = false;
+    ui.count.textContent = "0 escalations";
+    return;
+  }
+
+  ui.empty.hidden = true;
+  ui.count.textContent = `${escalations.length} escalation${escalations.length === 1 ? "" : "s"}`;
+
+  const frag = document.createDocumentFragment();
+
+  for (const escalation of escalations) {
+    const tr = document.createElement("tr");
+
+    const alertTd = document.createElement("td");
+    alertTd.textContent = escalation.ruleName;
+
+    const severityTd = document.createElement("td");
+    severityTd.appendChild(buildBadge(escalation.severity, SEVERITY_BADGES));
+
+    const policyTd = document.createElement("td");
+    policyTd.textContent = escalation.policy;
+
+    const startedTd = document.createElement("td");
+    startedTd.textContent = formatTime(escalation.startedAt);
+
+    const stepTd = document.createElement("td");
+    stepTd.textContent = describeStep(escalation);
+
+    const stateTd = document.createElement("td");
+    stateTd.appendChild(buildBadge(escalation.state, STATE_BADGES));
+    if (escalation.acknowledgedAt) {
+      stateTd.title = `Acknowledged ${formatTime(escalation.acknowledgedAt)}${
+        escalation.acknowledgedBy ? ` by ${escalation.acknowledgedBy}` : ""
+      }`;
+    }
+
+    const notifiedTd = document.createElement("td");
+    notifiedTd.textContent = describeNotifications(escalation);
+
+    const actionsTd = document.createElement("td");
+    actionsTd.className = "actions-col incident-actions";
+    if (escalation.state === "active") {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "suppress-btn";
+      btn.dataset.id = escalation.id;
+      btn.textContent = "Acknowledge";
+      btn.setAttribute("aria-label", `Acknowledge ${escalation.ruleName}`);
+      actionsTd.appendChild(btn);
+    }
+
+    tr.append(alertTd, severityTd, policyTd, startedTd, stepTd, stateTd, notifiedTd, actionsTd);
+    frag.appendChild(tr);
+  }
+
+  ui.rows.appendChild(frag);
+}
+
+// Shows the acknowledge form for the escalation named in the page link.
+function renderAckForm() {
+  if (!ackId) return;
+
+  const escalation = escalationsById.get(ackId);
+  ui.ackForm.hidden = false;
+
+  if (!escalation) {
+    // A state filter can hide it; only an unfiltered list proves it is gone.
+    if (ui.state.value) return;
+    ui.ackText.textContent = `Escalation ${ackId} was not found.`;
+    ui.ackSubmit.hidden = true;
+    return;
+  }
+
+  if (escalation.state === "active") {
+    ui.ackText.textContent = `Acknowledge "${escalation.ruleName}" to stop escalating it.`;
+    ui.ackSubmit.hidden = false;
+    return;
+  }
+
+  ui.ackText.textContent =
+    escalation.state === "acknowledged"
+      ? `"${escalation.ruleName}" was acknowledged ${formatTime(escalation.acknowledgedAt)}` +
+        (escalation.acknowledgedBy ? ` by ${escalation.acknowledgedBy}.` : ".")
+      : `"${escalation.ruleName}" has resolved.`;
+  ui.ackSubmit.hidden = true;
+}
+
+// Fetches escalations and on-call members from the backend.
+async function fetchEscalations() {
+  const params = new URLSearchParams();
+  if (ui.state.value) params.set("state", ui.state.value);
+
+  const res = await fetch(`/api/escalations?${params}`, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
+// Acknowledges one escalation and returns the parsed payload.
+async function acknowledge(id, author = null) {
+  const res = await fetch(`/api/escalations/${encodeURIComponent(id)}/acknowledge`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ author }),
+  });
+  const payload = await res.json().catch(() => null);
+
+  if (!res.ok || !payload?.ok) {
+    throw new Error(payload?.error || `HTTP ${res.status}`);
+  }
+
+  return payload;
+}
+
+// Reloads the page data and updates the page status chrome.
+async function refresh() {
+  window.DashboardLoadingUI?.startFetch();
+  ui.apiStatus.textContent = "API: Loading...";
+
+  try {
+    const payload = await fetchEscalations();
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    setLastUpdated(new Date());
+
+    const escalations = payload.escalations || [];
+    escalationsById = new Map(escalations.map((entry) => [entry.id, entry]));
+    renderOnCall(payload.onCall || [], payload.policies || [], payload.meta);
+    renderTable(escalations);
+    renderAckForm();
+  } catch (err) {
+    console.error(err);
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    setLastUpdated(new Date());
+    renderTable([]);
+  } finally {
+    window.DashboardLoadingUI?.finishFetch();
+  }
+}
+
+// Acknowledges the escalation from the page link.
+async function handleAckSubmit(e) {
+  e.preventDefault();
+  ui.ackError.textContent = "";
+  ui.ackSubmit.disabled = true;
+
+  try {
+    await acknowledge(ackId, ui.ackAuthor.value.trim() || null);
+    await refresh();
+  } catch (err) {
+    console.error("Acknowledge failed:", err);
+    ui.ackError.textContent = err.message;
+  } finally {
+    ui.ackSubmit.disabled = false;
+  }
+}
+
+// Acknowledges an escalation from its table row.
+async function handleRowAck(e) {
+  const btn = e.target.closest("button[data-id]");
+  if (!btn) return;
+
+  btn.disabled = true;
+
+  try {
+    await acknowledge(btn.dataset.id);
+    await refresh();
+  } catch (err) {
+    console.error("Acknowledge failed:", err);
+    btn.disabled = false;
+    alert("Failed to acknowledge. Check console/logs.");
+  }
+}
+
+// Wires up page events and subscribes to live updates.
+async function init() {
+  ui.state.addEventListener("change", refresh);
+  ui.ackForm.addEventListener("submit", handleAckSubmit);
+  ui.rows.addEventListener("click", handleRowAck);
+
+  await refresh();
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["escalations"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
+}
+
+init();
@@ -40,9 +40,10 @@ let lastMeta = {
 };
 
 function setApiState(state, message) {
-  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad");
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
   if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
   if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
   ui.apiStatus.textContent = message;
 }
 
@@ -119,6 +120,7 @@ function renderTable(customers) {
 
     const statusTd = document.createElement("td");
     statusTd.innerHTML = `<span class="badge badge--good">${c.status || "Good"}</span>`;
+    window.DashboardStatusBadges.appendFlappingBadge(statusTd, c);
 
     const ipTd = document.createElement("td");
     ipTd.textContent = joinIps(c.ipAddresses) || "-";
@@ -243,7 +245,7 @@ async function refresh() {
 
   try {
     const payload = await fetchGoodCustomers(currentPage);
-    if (!payload.ok) throw new Error(payload.error || "API returned ok=false");
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
 
     lastCustomers = Array.isArray(payload.customers) ? payload.customers : [];
     lastMeta = payload.meta || lastMeta;
@@ -251,12 +253,15 @@ async function refresh() {
 
     updateUrlPage(currentPage);
     renderPagination();
-    setApiState("ok", payload.source === "cache" ? "API: Connected (cached)" : "API: Connected");
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    window.DashboardApiStatus.renderStaleBanner(payload.stale);
     setLastUpdated(new Date());
     applyFilter();
   } catch (err) {
     console.error(err);
-    setApiState("bad", "API: Request failed");
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    window.DashboardApiStatus.renderStaleBanner(null);
     setLastUpdated(new Date());
     lastCustomers = [];
     lastMeta = {
@@ -295,7 +300,11 @@ async function init() {
   });
 
   await refresh();
-  setInterval(refresh, REFRESH_MS);
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["goodCustomers"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
 }
 
 document.addEventListener("click", async (e) => {
@@ -305,6 +314,9 @@ document.addEventListener("click", async (e) => {
   const id = btn.dataset.id;
   if (!id) return;
 
+  const details = await window.DashboardSuppressForm.open("Suppress customer");
+  if (!details) return;
+
   btn.disabled = true;
   const oldText = btn.textContent;
   btn.textContent = "...";
@@ -312,6 +324,8 @@ document.addEventListener("click", async (e) => {
   try {
     const res = await fetch(`/api/suppressions/accounts/${encodeURIComponent(id)}`, {
       method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(details),
     });
 
     if (!res.ok) {
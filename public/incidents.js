@@ -0,0 +1,407 @@
+/**
+ * incidents.js
+ *
+ * Page logic for the "Incidents" view.
+ *
+ * Backend provides:
+ *   GET /api/incidents
+ *   POST /api/incidents
+ *   POST /api/incidents/:id/acknowledge | resolve | reopen
+ *   POST /api/incidents/:id/notes
+ *
+ * The down tables link here with ?customerIds= or ?inventoryItemIds= (and an
+ * optional title) to open the create form prefilled with the selected rows.
+ */
+
+// Looks up a page element by its DOM id.
+const el = (id) => document.getElementById(id);
+
+const REFRESH_MS =
+  typeof window.DASHBOARD_REFRESH_MS === "number"
+    ? window.DASHBOARD_REFRESH_MS
+    : 60_000;
+
+// Caches the DOM elements used throughout the page lifecycle.
+const ui = {
+  rows: el("rows"),
+  empty: el("empty"),
+  count: el("count"),
+  state: el("state"),
+  newIncident: el("new-incident"),
+  form: el("create-form"),
+  title: el("create-title"),
+  severity: el("create-severity"),
+  customers: el("create-customers"),
+  items: el("create-items"),
+  note: el("create-note"),
+  cancel: el("create-cancel"),
+  formError: el("create-error"),
+  apiDot: el("api-dot"),
+  apiStatus: el("api-status"),
+  lastUpdated: el("last-updated"),
+};
+
+const SEVERITY_BADGES = {
+  critical: "badge--down",
+  major: "badge--warning",
+  minor: "badge--neutral",
+};
+
+const STATE_BADGES = {
+  open: "badge--down",
+  acknowledged: "badge--warning",
+  resolved: "badge--good",
+};
+
+// Actions offered per state, as [endpoint, button label].
+const STATE_ACTIONS = {
+  open: [
+    ["acknowledge", "Acknowledge"],
+    ["resolve", "Resolve"],
+  ],
+  acknowledged: [["resolve", "Resolve"]],
+  resolved: [["reopen", "Reopen"]],
+};
+
+const TIMELINE_LABELS = {
+  created: "Created",
+  note: "Note",
+  acknowledged: "Acknowledged",
+  resolved: "Resolved",
+  reopened: "Reopened",
+};
+
+// Incidents whose timeline is expanded, kept across refreshes.
+const expanded = new Set();
+
+// Updates the footer API indicator for the current page state.
+function setApiState(state, message) {
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
+  if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
+  if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
+  ui.apiStatus.textContent = message;
+}
+
+// Refreshes the footer timestamp after each data load.
+function setLastUpdated(date = new Date()) {
+  ui.lastUpdated.textContent = `Last updated: ${date.toLocaleString()}`;
+}
+
+// Builds a colored badge with a capitalized label.
+function buildBadge(value, classes) {
+  const badge = document.createElement("span");
+  badge.className = `badge ${classes[value] || "badge--neutral"}`;
+  badge.textContent = value ? value[0].toUpperCase() + value.slice(1) : "-";
+  return badge;
+}
+
+// Formats a timestamp with the date, since incidents can stay open for days.
+function formatTime(iso) {
+  return new Date(iso).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Splits a comma separated id list from a form field or query string.
+function parseIdList(value) {
+  return String(value || "")
+    .split(/[\s,]+/)
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+// Describes the customers and devices linked to an incident.
+function describeLinks(incident) {
+  const parts = [];
+  const customers = incident.customerIds.length;
+  const items = incident.inventoryItemIds.length;
+
+  if (customers) parts.push(`${customers} customer${customers === 1 ? "" : "s"}`);
+  if (items) parts.push(`${items} device${items === 1 ? "" : "s"}`);
+
+  return parts.join(", ") || "-";
+}
+
+// Creates a small action button bound to one incident.
+function buildActionButton(incident, action, label) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "suppress-btn";
+  btn.dataset.id = incident.id;
+  btn.dataset.action = action;
+  btn.textContent = label;
+  return btn;
+}
+
+// Builds the expanded row with linked ids, the timeline and a note form.
+function buildDetailRow(incident) {
+  const tr = document.createElement("tr");
+  tr.className = "incident-detail";
+
+  const td = document.createElement("td");
+  td.colSpan = 6;
+
+  const links = document.createElement("p");
+  links.className = "incident-detail__links";
+  links.textContent = [
+    `Customers: ${incident.customerIds.join(", ") || "-"}`,
+    `Inventory items: ${incident.inventoryItemIds.join(", ") || "-"}`,
+  ].join(" | ");
+
+  const list = document.createElement("ol");
+  list.className = "incident-timeline";
+
+  for (const entry of incident.timeline) {
+    const li = document.createElement("li");
+    const time = document.createElement("span");
+    time.className = "incident-timeline__time";
+    time.textContent = formatTime(entry.at);
+
+    const label = document.createElement("strong");
+    label.textContent = TIMELINE_LABELS[entry.type] || entry.type;
+
+    li.append(time, label);
+    if (entry.author) li.append(` by ${entry.author}`);
+    if (entry.text) li.append(`: ${entry.text}`);
+    list.appendChild(li);
+  }
+
+  const noteForm = document.createElement("form");
+  noteForm.className = "incident-note";
+  noteForm.dataset.id = incident.id;
+
+  const noteInput = document.createElement("input");
+  noteInput.className = "filter";
+  noteInput.type = "text";
+  noteInput.name = "text";
+  noteInput.maxLength = 2000;
+  noteInput.placeholder = "Add a note...";
+  noteInput.setAttribute("aria-label", `Note for incident #${incident.id}`);
+
+  const noteBtn = document.createElement("button");
+  noteBtn.type = "submit";
+  noteBtn.className = "suppress-btn";
+  noteBtn.textContent = "Add note";
+
+  noteForm.append(noteInput, noteBtn);
+  td.append(links, list, noteForm);
+  tr.appendChild(td);
+  return tr;
+}
+
+// Renders the incidents into the table.
+function renderTable(incidents) {
+  ui.rows.innerHTML = "";
+
+  if (!incidents.length) {
+    ui.empty.hidden = false;
+    ui.count.textContent = "0 incidents";
+    return;
+  }
+
+  ui.empty.hidden = true;
+  ui.count.textContent = `${incidents.length} incident${incidents.length === 1 ? "" : "s"}`;
+
+  const frag = document.createDocumentFragment();
+
+  for (const incident of incidents) {
+    const tr = document.createElement("tr");
+
+    const openedTd = document.createElement("td");
+    openedTd.textContent = formatTime(incident.createdAt);
+    openedTd.title = `Updated ${new Date(incident.updatedAt).toLocaleString()}`;
+
+    const titleTd = document.createElement("td");
+    titleTd.textContent = `${incident.title} (#${incident.id})`;
+
+    const severityTd = document.createElement("td");
+    severityTd.appendChild(buildBadge(incident.severity, SEVERITY_BADGES));
+
+    const stateTd = document.createElement("td");
+    stateTd.appendChild(buildBadge(incident.state, STATE_BADGES));
+
+    const linksTd = document.createElement("td");
+    linksTd.textContent = describeLinks(incident);
+
+    const actionsTd = document.createElement("td");
+    actionsTd.className = "actions-col incident-actions";
+
+    for (const [action, label] of STATE_ACTIONS[incident.state] || []) {
+      actionsTd.appendChild(buildActionButton(incident, action, label));
+    }
+
+    const toggle = buildActionButton(incident, "toggle", "Timeline");
+    toggle.setAttribute("aria-expanded", String(expanded.has(incident.id)));
+    actionsTd.appendChild(toggle);
+
+    tr.append(openedTd, titleTd, severityTd, stateTd, linksTd, actionsTd);
+    frag.appendChild(tr);
+
+    if (expanded.has(incident.id)) frag.appendChild(buildDetailRow(incident));
+  }
+
+  ui.rows.appendChild(frag);
+}
+
+// Fetches incidents matching the state filter from the backend.
+async function fetchIncidents() {
+  const params = new URLSearchParams();
+  if (ui.state.value) params.set("state", ui.state.value);
+
+  const res = await fetch(`/api/incidents?${params}`, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
+// Sends a JSON POST to the incidents API and returns the parsed payload.
+async function postJson(url, body = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const payload = await res.json().catch(() => null);
+
+  if (!res.ok || !payload?.ok) {
+    throw new Error(payload?.error || `HTTP ${res.status}`);
+  }
+
+  return payload;
+}
+
+// Reloads the table data and updates the page status chrome.
+async function refresh() {
+  window.DashboardLoadingUI?.startFetch();
+  ui.apiStatus.textContent = "API: Loading...";
+
+  try {
+    const payload = await fetchIncidents();
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    setLastUpdated(new Date());
+    renderTable(payload.incidents || []);
+  } catch (err) {
+    console.error(err);
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    setLastUpdated(new Date());
+    renderTable([]);
+  } finally {
+    window.DashboardLoadingUI?.finishFetch();
+  }
+}
+
+// Shows or hides the create form.
+function toggleForm(show) {
+  ui.form.hidden = !show;
+  ui.formError.textContent = "";
+  if (show) ui.title.focus();
+}
+
+// Opens the create form prefilled from ?customerIds= / ?inventoryItemIds=.
+function prefillFromQuery() {
+  const params = new URLSearchParams(window.location.search);
+  const customerIds = parseIdList(params.get("customerIds"));
+  const inventoryItemIds = parseIdList(params.get("inventoryItemIds"));
+
+  if (!customerIds.length && !inventoryItemIds.length && !params.has("title")) return;
+
+  ui.customers.value = customerIds.join(", ");
+  ui.items.value = inventoryItemIds.join(", ");
+  ui.title.value = params.get("title") || "";
+  toggleForm(true);
+}
+
+// Creates an incident from the form.
+async function handleCreate(e) {
+  e.preventDefault();
+  ui.formError.textContent = "";
+
+  try {
+    await postJson("/api/incidents", {
+      title: ui.title.value,
+      severity: ui.severity.value,
+      customerIds: parseIdList(ui.customers.value),
+      inventoryItemIds: parseIdList(ui.items.value),
+      note: ui.note.value,
+    });
+
+    ui.form.reset();
+    toggleForm(false);
+    // Drop the prefill query so a reload does not reopen the form.
+    window.history.replaceState(null, "", window.location.pathname);
+    await refresh();
+  } catch (err) {
+    console.error("Create incident failed:", err);
+    ui.formError.textContent = err.message;
+  }
+}
+
+// Runs a row action: a state change or expanding the timeline.
+async function handleAction(e) {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+
+  const { id, action } = btn.dataset;
+
+  if (action === "toggle") {
+    if (expanded.has(id)) expanded.delete(id);
+    else expanded.add(id);
+    await refresh();
+    return;
+  }
+
+  btn.disabled = true;
+
+  try {
+    await postJson(`/api/incidents/${encodeURIComponent(id)}/${action}`);
+    await refresh();
+  } catch (err) {
+    console.error(`Incident ${action} failed:`, err);
+    btn.disabled = false;
+    alert(`Failed to ${action} the incident. Check console/logs.`);
+  }
+}
+
+// Adds a note from an expanded timeline.
+async function handleNote(e) {
+  const form = e.target.closest(".incident-note");
+  if (!form) return;
+
+  e.preventDefault();
+  const text = form.elements.text.value.trim();
+  if (!text) return;
+
+  try {
+    await postJson(`/api/incidents/${encodeURIComponent(form.dataset.id)}/notes`, { text });
+    await refresh();
+  } catch (err) {
+    console.error("Add note failed:", err);
+    alert("Failed to add the note. Check console/logs.");
+  }
+}
+
+// Wires up page events and subscribes to live updates.
+async function init() {
+  ui.state.addEventListener("change", refresh);
+  ui.newIncident.addEventListener("click", () => toggleForm(ui.form.hidden));
+  ui.cancel.addEventListener("click", () => toggleForm(false));
+  ui.form.addEventListener("submit", handleCreate);
+  ui.rows.addEventListener("click", handleAction);
+  ui.rows.addEventListener("submit", handleNote);
+
+  prefillFromQuery();
+  await refresh();
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["incidents"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
+}
+
+init();
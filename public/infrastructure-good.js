@@ -27,9 +27,10 @@ const ui = {
 
 // Updates the footer API indicator for the current page state.
 function setApiState(state, message) {
-  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad");
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
   if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
   if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
   ui.apiStatus.textContent = message;
 }
 
@@ -77,6 +78,7 @@ function renderTable(rows) {
 
     const statusTd = document.createElement("td");
     statusTd.innerHTML = `<span class="badge badge--good">${row.status || "Good"}</span>`;
+    window.DashboardStatusBadges.appendFlappingBadge(statusTd, row);
 
     const ipTd = document.createElement("td");
     ipTd.textContent = joinIps(row.ipAddresses) || "-";
@@ -150,18 +152,18 @@ async function refresh() {
 
   try {
     const payload = await fetchInfrastructureGoodRows();
-    if (!payload.ok) throw new Error(payload.error || "API returned ok=false");
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
 
     lastRows = Array.isArray(payload.rows) ? payload.rows : [];
-    setApiState(
-      "ok",
-      payload.source === "cache" ? "API: Connected (cached)" : "API: Connected",
-    );
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    window.DashboardApiStatus.renderStaleBanner(payload.stale);
     setLastUpdated(new Date());
     applyFilter();
   } catch (err) {
     console.error(err);
-    setApiState("bad", "API: Request failed");
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    window.DashboardApiStatus.renderStaleBanner(null);
     setLastUpdated(new Date());
     renderTable([]);
   } finally {
@@ -169,11 +171,15 @@ async function refresh() {
   }
 }
 
-// Wires up page events and starts the refresh loop.
+// Wires up page events and subscribes to live updates.
 async function init() {
   ui.filter.addEventListener("input", applyFilter);
   await refresh();
-  setInterval(refresh, REFRESH_MS);
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["infrastructureSnapshot"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
 }
 
 document.addEventListener("click", async (e) => {
@@ -183,6 +189,9 @@ document.addEventListener("click", async (e) => {
   const id = btn.dataset.id;
   if (!id) return;
 
+  const details = await window.DashboardSuppressForm.open("Suppress device");
+  if (!details) return;
+
   btn.disabled = true;
   const oldText = btn.textContent;
   btn.textContent = "...";
@@ -192,6 +201,8 @@ document.addEventListener("click", async (e) => {
       `/api/suppressions/infrastructure-items/${encodeURIComponent(id)}`,
       {
         method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(details),
       },
     );
 
@@ -3,6 +3,12 @@
  *
  * Page logic for the "Suppressed Infrastructure Equipment" view.
  *
+ * Lists suppressed devices, devices matched by a suppression rule and devices
+ * in an active maintenance window. Devices only hidden by a rule or a window
+ * link to it instead of offering unsuppress; they come back on their own when
+ * the rule is removed or the window ends. Suppressed devices show
+ * why they were suppressed, by whom, when, and when the suppression expires.
+ *
  * Backend provides:
  *   GET    /api/suppressed-infrastructure
  *   DELETE /api/suppressions/infrastructure-items/:id
@@ -27,9 +33,10 @@ const ui = {
 
 // Updates the footer API indicator for the current page state.
 function setApiState(state, message) {
-  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad");
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
   if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
   if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
   ui.apiStatus.textContent = message;
 }
 
@@ -86,6 +93,9 @@ function renderTable(rows) {
 
     const statusTd = document.createElement("td");
     statusTd.innerHTML = `<span class="badge ${getStatusBadgeClass(row.status)}">${row.status || "Unmonitored"}</span>`;
+    window.DashboardStatusBadges.appendRuleBadge(statusTd, row);
+    window.DashboardStatusBadges.appendMaintenanceBadge(statusTd, row);
+    window.DashboardStatusBadges.appendFlappingBadge(statusTd, row);
 
     const ipTd = document.createElement("td");
     ipTd.textContent = joinIps(row.ipAddresses) || "-";
@@ -103,19 +113,30 @@ function renderTable(rows) {
       siteTd.textContent = row.networkSiteName || "-";
     }
 
+    const reasonTd = document.createElement("td");
+    reasonTd.appendChild(window.DashboardStatusBadges.buildSuppressionDetails(row));
+
     const actionsTd = document.createElement("td");
     actionsTd.className = "actions-col";
 
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className = "unsuppress-btn";
-    btn.dataset.id = String(row.inventoryItemId || "");
-    btn.textContent = "Unsuppress";
-    btn.title = "Restore this infrastructure device";
-
-    actionsTd.appendChild(btn);
+    if (row.suppressed === false) {
+      // Hidden by a rule or a maintenance window; link to what hides it.
+      if (row.rule) actionsTd.appendChild(window.DashboardStatusBadges.buildRuleLink(row));
+      if (row.maintenance) {
+        actionsTd.appendChild(window.DashboardStatusBadges.buildMaintenanceLink(row));
+      }
+    } else {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "unsuppress-btn";
+      btn.dataset.id = String(row.inventoryItemId || "");
+      btn.textContent = "Unsuppress";
+      btn.title = "Restore this infrastructure device";
+
+      actionsTd.appendChild(btn);
+    }
 
-    tr.append(deviceTd, statusTd, ipTd, siteTd, actionsTd);
+    tr.append(deviceTd, statusTd, ipTd, siteTd, reasonTd, actionsTd);
     frag.appendChild(tr);
   }
 
@@ -146,6 +167,10 @@ function applyFilter() {
       row.status,
       joinIps(row.ipAddresses),
       row.networkSiteName,
+      row.suppression?.reason,
+      row.suppression?.author,
+      row.rule?.name,
+      row.maintenance ? "in maintenance" : "",
     ]
       .map(normalize)
       .join(" | ");
@@ -163,18 +188,18 @@ async function refresh() {
 
   try {
     const payload = await fetchSuppressedInfrastructureRows();
-    if (!payload.ok) throw new Error(payload.error || "API returned ok=false");
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
 
     lastRows = Array.isArray(payload.rows) ? payload.rows : [];
-    setApiState(
-      "ok",
-      payload.source === "cache" ? "API: Connected (cached)" : "API: Connected",
-    );
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    window.DashboardApiStatus.renderStaleBanner(payload.stale);
     setLastUpdated(new Date());
     applyFilter();
   } catch (err) {
     console.error(err);
-    setApiState("bad", "API: Request failed");
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    window.DashboardApiStatus.renderStaleBanner(null);
     setLastUpdated(new Date());
     renderTable([]);
   } finally {
@@ -182,11 +207,15 @@ async function refresh() {
   }
 }
 
-// Wires up page events and starts the refresh loop.
+// Wires up page events and subscribes to live updates.
 async function init() {
   ui.filter.addEventListener("input", applyFilter);
   await refresh();
-  setInterval(refresh, REFRESH_MS);
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["infrastructureSnapshot"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
 }
 
 document.addEventListener("click", async (e) => {
@@ -23,13 +23,15 @@ const ui = {
   apiDot: el("api-dot"),
   apiStatus: el("api-status"),
   lastUpdated: el("last-updated"),
+  durationSort: el("sort-duration"),
 };
 
 // Updates the footer API indicator for the current page state.
 function setApiState(state, message) {
-  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad");
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
   if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
   if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
   ui.apiStatus.textContent = message;
 }
 
@@ -54,6 +56,43 @@ function joinIps(ipAddresses) {
   return ipAddresses.filter(Boolean).join(", ");
 }
 
+// Formats time spent in a status, e.g. "35m", "4h 10m" or "2d 3h".
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60_000);
+  if (minutes < 1) return "<1m";
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Returns when a row entered its status in ms, or null when unknown.
+function getSinceMs(row) {
+  const since = Date.parse(row.statusSince);
+  return Number.isFinite(since) ? since : null;
+}
+
+// Fills a duration cell from its data-since timestamp.
+function renderDurationCell(td) {
+  const since = Date.parse(td.dataset.since);
+
+  if (!Number.isFinite(since)) {
+    td.textContent = "-";
+    td.removeAttribute("title");
+    return;
+  }
+
+  td.textContent = formatDuration(Date.now() - since);
+  td.title = `Since ${new Date(since).toLocaleString()}`;
+}
+
+// Keeps duration cells current between data refreshes.
+function updateDurations() {
+  ui.rows.querySelectorAll(".duration-col[data-since]").forEach(renderDurationCell);
+}
+
 // Renders the visible infrastructure rows into the table.
 function renderTable(rows) {
   ui.rows.innerHTML = "";
@@ -77,6 +116,7 @@ function renderTable(rows) {
 
     const statusTd = document.createElement("td");
     statusTd.innerHTML = `<span class="badge badge--warning">${row.status || "Warning"}</span>`;
+    window.DashboardStatusBadges.appendFlappingBadge(statusTd, row);
 
     const ipTd = document.createElement("td");
     ipTd.textContent = joinIps(row.ipAddresses) || "-";
@@ -90,6 +130,11 @@ function renderTable(rows) {
     siteLink.textContent = row.networkSiteName || "(unknown)";
     siteTd.appendChild(siteLink);
 
+    const durationTd = document.createElement("td");
+    durationTd.className = "duration-col";
+    durationTd.dataset.since = row.statusSince || "";
+    renderDurationCell(durationTd);
+
     const actionsTd = document.createElement("td");
     actionsTd.className = "actions-col";
 
@@ -102,7 +147,7 @@ function renderTable(rows) {
 
     actionsTd.appendChild(btn);
 
-    tr.append(deviceTd, statusTd, ipTd, siteTd, actionsTd);
+    tr.append(deviceTd, statusTd, ipTd, siteTd, durationTd, actionsTd);
     frag.appendChild(tr);
   }
 
@@ -118,12 +163,37 @@ async function fetchInfrastructureWarningRows() {
 
 let lastRows = [];
 
+// Sort order for the duration column: "none", "descending" or "ascending".
+let durationSort = "none";
+
+// Orders rows by time in status, longest first when descending. Rows
+// without a known start time always go last.
+function sortByDuration(rows) {
+  if (durationSort === "none") return rows;
+
+  const direction = durationSort === "descending" ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const aSince = getSinceMs(a);
+    const bSince = getSinceMs(b);
+    if (aSince === null || bSince === null) return (aSince === null) - (bSince === null);
+    return (aSince - bSince) * direction;
+  });
+}
+
+// Flips the duration sort between longest and shortest first.
+function toggleDurationSort() {
+  durationSort = durationSort === "descending" ? "ascending" : "descending";
+  ui.durationSort.closest("th").setAttribute("aria-sort", durationSort);
+  applyFilter();
+}
+
 // Applies the current text filter to the last fetched row set.
 function applyFilter() {
   const q = normalize(ui.filter.value);
 
   if (!q) {
-    renderTable(lastRows);
+    renderTable(sortByDuration(lastRows));
     return;
   }
 
@@ -140,7 +210,7 @@ function applyFilter() {
     return blob.includes(q);
   });
 
-  renderTable(filtered);
+  renderTable(sortByDuration(filtered));
 }
 
 // Reloads the table data and updates the page status chrome.
@@ -150,18 +220,18 @@ async function refresh() {
 
   try {
     const payload = await fetchInfrastructureWarningRows();
-    if (!payload.ok) throw new Error(payload.error || "API returned ok=false");
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
 
     lastRows = Array.isArray(payload.rows) ? payload.rows : [];
-    setApiState(
-      "ok",
-      payload.source === "cache" ? "API: Connected (cached)" : "API: Connected",
-    );
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    window.DashboardApiStatus.renderStaleBanner(payload.stale);
     setLastUpdated(new Date());
     applyFilter();
   } catch (err) {
     console.error(err);
-    setApiState("bad", "API: Request failed");
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    window.DashboardApiStatus.renderStaleBanner(null);
     setLastUpdated(new Date());
     renderTable([]);
   } finally {
@@ -169,11 +239,17 @@ async function refresh() {
   }
 }
 
-// Wires up page events and starts the refresh loop.
+// Wires up page events and subscribes to live updates.
 async function init() {
   ui.filter.addEventListener("input", applyFilter);
+  ui.durationSort.addEventListener("click", toggleDurationSort);
+  setInterval(updateDurations, 60_000);
   await refresh();
-  setInterval(refresh, REFRESH_MS);
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["infrastructureSnapshot"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
 }
 
 document.addEventListener("click", async (e) => {
@@ -183,6 +259,9 @@ document.addEventListener("click", async (e) => {
   const id = btn.dataset.id;
   if (!id) return;
 
+  const details = await window.DashboardSuppressForm.open("Suppress device");
+  if (!details) return;
+
   btn.disabled = true;
   const oldText = btn.textContent;
   btn.textContent = "...";
@@ -192,6 +271,8 @@ document.addEventListener("click", async (e) => {
       `/api/suppressions/infrastructure-items/${encodeURIComponent(id)}`,
       {
         method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(details),
       },
     );
 
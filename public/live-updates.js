@@ -0,0 +1,62 @@
+/**
+ * Shared live update subscription for dashboard pages.
+ *
+ * Pages used to poll their endpoint on window.DASHBOARD_REFRESH_MS. Now they
+ * listen on the /api/events stream and re-fetch only when the server says
+ * something they show has changed. If the stream drops (or EventSource is
+ * not available) they fall back to polling until it reconnects.
+ */
+
+(function bootstrapLiveUpdates() {
+  // Subscribes a page to live updates.
+  // - sources: data source keys the page shows ("summary", "downCustomers", ...)
+  // - refresh: the page's fetch-and-render function
+  // - intervalMs: polling interval used while the stream is down
+  function subscribe({ sources, refresh, intervalMs }) {
+    let pollTimer = null;
+    let dropped = false;
+
+    function startPolling() {
+      if (pollTimer) return;
+      pollTimer = setInterval(refresh, intervalMs);
+    }
+
+    function stopPolling() {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+
+    if (typeof window.EventSource !== "function") {
+      startPolling();
+      return;
+    }
+
+    const stream = new EventSource("/api/events");
+
+    stream.addEventListener("ready", () => {
+      stopPolling();
+
+      // Anything could have changed while we were disconnected.
+      if (dropped) {
+        dropped = false;
+        refresh();
+      }
+    });
+
+    stream.addEventListener("update", (event) => {
+      const data = JSON.parse(event.data);
+      if ((data.sources || []).some((source) => sources.includes(source))) refresh();
+    });
+
+    // Suppressions change what every page shows.
+    stream.addEventListener("suppressions", () => refresh());
+
+    // EventSource reconnects by itself; poll in the meantime.
+    stream.addEventListener("error", () => {
+      dropped = true;
+      startPolling();
+    });
+  }
+
+  window.DashboardLiveUpdates = { subscribe };
+})();
@@ -0,0 +1,476 @@
+/**
+ * maintenance.js
+ *
+ * Page logic for the "Maintenance" view: a week calendar of scheduled
+ * maintenance windows, a table of the week's windows, and the form that
+ * schedules or edits one. Devices and customers a window targets are
+ * treated as suppressed while it runs.
+ *
+ * Opening the page with ?window=<id> jumps to that window's week.
+ *
+ * Backend provides:
+ *   GET /api/maintenance
+ *   POST /api/maintenance
+ *   PUT /api/maintenance/:id
+ *   DELETE /api/maintenance/:id
+ */
+
+// Looks up a page element by its DOM id.
+const el = (id) => document.getElementById(id);
+
+const REFRESH_MS =
+  typeof window.DASHBOARD_REFRESH_MS === "number"
+    ? window.DASHBOARD_REFRESH_MS
+    : 60_000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Caches the DOM elements used throughout the page lifecycle.
+const ui = {
+  calendar: el("calendar"),
+  rows: el("rows"),
+  empty: el("empty"),
+  count: el("count"),
+  weekLabel: el("week-label"),
+  prevWeek: el("prev-week"),
+  thisWeek: el("this-week"),
+  nextWeek: el("next-week"),
+  newWindow: el("new-window"),
+  form: el("window-form"),
+  title: el("window-title"),
+  startsAt: el("window-starts"),
+  endsAt: el("window-ends"),
+  items: el("window-items"),
+  sites: el("window-sites"),
+  pools: el("window-pools"),
+  accounts: el("window-accounts"),
+  note: el("window-note"),
+  submit: el("window-submit"),
+  cancel: el("window-cancel"),
+  formError: el("window-error"),
+  apiDot: el("api-dot"),
+  apiStatus: el("api-status"),
+  lastUpdated: el("last-updated"),
+};
+
+const STATE_BADGES = {
+  active: "badge--warning",
+  scheduled: "badge--neutral",
+  ended: "badge--good",
+};
+
+const TARGET_LABELS = {
+  inventoryItems: "Items",
+  networkSites: "Sites",
+  ipPools: "IP pools",
+  accounts: "Accounts",
+};
+
+// Windows from the last load, by id, for the edit form.
+let windowsById = new Map();
+// Id of the window being edited, or null while scheduling one.
+let editingId = null;
+// Midnight on the Monday of the week on show.
+let weekStart = startOfWeek(new Date());
+
+// Updates the footer API indicator for the current page state.
+function setApiState(state, message) {
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
+  if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
+  if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
+  ui.apiStatus.textContent = message;
+}
+
+// Refreshes the footer timestamp after each data load.
+function setLastUpdated(date = new Date()) {
+  ui.lastUpdated.textContent = `Last updated: ${date.toLocaleString()}`;
+}
+
+// Returns local midnight on the Monday of a date's week.
+function startOfWeek(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+// Returns the date `days` days later at the same local time, even across a
+// daylight saving change.
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+// Formats a timestamp with the date, since windows can span days.
+function formatTime(iso) {
+  if (!iso) return "-";
+
+  return new Date(iso).toLocaleString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function formatClock(date) {
+  return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+function formatDay(date) {
+  return date.toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" });
+}
+
+// Formats a date for a datetime-local input, in local time.
+function toLocalInput(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+// Describes a window's targets in one line, e.g. "Sites: Ridge Tower".
+function describeTargets(targets) {
+  return Object.entries(TARGET_LABELS)
+    .filter(([key]) => targets[key]?.length)
+    .map(([key, label]) => `${label}: ${targets[key].join(", ")}`)
+    .join("; ");
+}
+
+// Whether a window overlaps the time from `start` up to `end`.
+function overlaps(entry, start, end) {
+  return Date.parse(entry.startsAt) < end.getTime() && Date.parse(entry.endsAt) > start.getTime();
+}
+
+// Builds a colored badge with a capitalized label.
+function buildBadge(value, classes) {
+  const badge = document.createElement("span");
+  badge.className = `badge ${classes[value] || "badge--neutral"}`;
+  badge.textContent = value ? value[0].toUpperCase() + value.slice(1) : "-";
+  return badge;
+}
+
+// Creates a small action button bound to one window.
+function buildActionButton(entry, action, label) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "suppress-btn";
+  btn.dataset.id = entry.id;
+  btn.dataset.action = action;
+  btn.textContent = label;
+  btn.setAttribute("aria-label", `${label} ${entry.title}`);
+  return btn;
+}
+
+// Builds the calendar block for the part of a window that falls on one day.
+function buildBlock(entry, day) {
+  const dayEnd = addDays(day, 1);
+  const start = new Date(Math.max(Date.parse(entry.startsAt), day.getTime()));
+  const end = new Date(Math.min(Date.parse(entry.endsAt), dayEnd.getTime()));
+  const from = start.getTime() === day.getTime() ? "" : formatClock(start);
+  const to = end.getTime() === dayEnd.getTime() ? "" : formatClock(end);
+
+  const block = document.createElement("button");
+  block.type = "button";
+  block.className = `maintenance-block maintenance-block--${entry.state}`;
+  block.dataset.id = entry.id;
+  block.dataset.action = "edit";
+  block.title = `${entry.title}\n${formatTime(entry.startsAt)} - ${formatTime(entry.endsAt)}`;
+
+  const time = document.createElement("span");
+  time.className = "maintenance-block__time";
+  time.textContent = from || to ? `${from || "..."} - ${to || "..."}` : "All day";
+
+  const title = document.createElement("span");
+  title.textContent = entry.title;
+
+  block.append(time, title);
+  return block;
+}
+
+// Renders the week on show as seven day columns of window blocks.
+function renderCalendar(windows) {
+  ui.calendar.innerHTML = "";
+
+  const today = startOfWeek(new Date()).getTime() === weekStart.getTime() ? new Date() : null;
+  const frag = document.createDocumentFragment();
+
+  for (let i = 0; i < 7; i += 1) {
+    const day = addDays(weekStart, i);
+    const column = document.createElement("div");
+    column.className = "maintenance-day";
+    if (today && today.getDay() === day.getDay()) column.classList.add("maintenance-day--today");
+
+    const header = document.createElement("button");
+    header.type = "button";
+    header.className = "maintenance-day__header";
+    header.dataset.day = toLocalInput(day);
+    header.textContent = formatDay(day);
+    header.title = "Schedule a window on this day";
+
+    column.appendChild(header);
+
+    for (const entry of windows.filter((item) => overlaps(item, day, addDays(day, 1)))) {
+      column.appendChild(buildBlock(entry, day));
+    }
+
+    frag.appendChild(column);
+  }
+
+  ui.calendar.appendChild(frag);
+}
+
+// Renders the week's windows into the table.
+function renderTable(windows) {
+  ui.rows.innerHTML = "";
+
+  if (!windows.length) {
+    ui.empty.hidden = false;
+    ui.count.textContent = "0 windows";
+    return;
+  }
+
+  ui.empty.hidden = true;
+  ui.count.textContent = `${windows.length} window${windows.length === 1 ? "" : "s"}`;
+
+  const frag = document.createDocumentFragment();
+
+  for (const entry of windows) {
+    const tr = document.createElement("tr");
+
+    const titleTd = document.createElement("td");
+    titleTd.textContent = entry.title;
+    if (entry.note) titleTd.title = entry.note;
+
+    const stateTd = document.createElement("td");
+    stateTd.appendChild(buildBadge(entry.state, STATE_BADGES));
+
+    const startsTd = document.createElement("td");
+    startsTd.textContent = formatTime(entry.startsAt);
+
+    const endsTd = document.createElement("td");
+    endsTd.textContent = formatTime(entry.endsAt);
+
+    const targetsTd = document.createElement("td");
+    targetsTd.textContent = describeTargets(entry.targets) || "-";
+
+    const actionsTd = document.createElement("td");
+    actionsTd.className = "actions-col incident-actions";
+    actionsTd.append(
+      buildActionButton(entry, "edit", "Edit"),
+      buildActionButton(entry, "delete", entry.state === "active" ? "End now" : "Delete"),
+    );
+
+    tr.append(titleTd, stateTd, startsTd, endsTd, targetsTd, actionsTd);
+    frag.appendChild(tr);
+  }
+
+  ui.rows.appendChild(frag);
+}
+
+// Renders the calendar and table for the week on show.
+function render() {
+  const weekEnd = addDays(weekStart, 7);
+  const windows = [...windowsById.values()].filter((entry) => overlaps(entry, weekStart, weekEnd));
+
+  ui.weekLabel.textContent = `${formatDay(weekStart)} - ${formatDay(addDays(weekStart, 6))}`;
+  renderCalendar(windows);
+  renderTable(windows);
+}
+
+// Fetches maintenance windows from the backend.
+async function fetchWindows() {
+  const res = await fetch("/api/maintenance", { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
+// Sends a JSON request to the maintenance API and returns the parsed payload.
+async function sendJson(url, method, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const payload = await res.json().catch(() => null);
+
+  if (!res.ok || !payload?.ok) {
+    throw new Error(payload?.error || `HTTP ${res.status}`);
+  }
+
+  return payload;
+}
+
+// Reloads the windows and updates the page status chrome.
+async function refresh() {
+  window.DashboardLoadingUI?.startFetch();
+  ui.apiStatus.textContent = "API: Loading...";
+
+  try {
+    const payload = await fetchWindows();
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    setLastUpdated(new Date());
+
+    windowsById = new Map((payload.windows || []).map((entry) => [entry.id, entry]));
+  } catch (err) {
+    console.error(err);
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    setLastUpdated(new Date());
+    windowsById = new Map();
+  } finally {
+    render();
+    window.DashboardLoadingUI?.finishFetch();
+  }
+}
+
+function showWeek(date) {
+  weekStart = startOfWeek(date);
+  render();
+}
+
+// Opens the form empty for a new window, or filled in to edit one. A new
+// window starts at `start`, or at the next full hour, and lasts two hours.
+function openForm(entry = null, start = null) {
+  editingId = entry?.id || null;
+  ui.form.reset();
+  ui.formError.textContent = "";
+  ui.submit.textContent = entry ? "Save window" : "Schedule window";
+
+  if (entry) {
+    ui.title.value = entry.title;
+    ui.startsAt.value = toLocalInput(new Date(entry.startsAt));
+    ui.endsAt.value = toLocalInput(new Date(entry.endsAt));
+    ui.items.value = entry.targets.inventoryItems.join(", ");
+    ui.sites.value = entry.targets.networkSites.join(", ");
+    ui.pools.value = entry.targets.ipPools.join(", ");
+    ui.accounts.value = entry.targets.accounts.join(", ");
+    ui.note.value = entry.note || "";
+  } else {
+    const from = start || new Date(Math.ceil(Date.now() / HOUR_MS) * HOUR_MS);
+    ui.startsAt.value = toLocalInput(from);
+    ui.endsAt.value = toLocalInput(new Date(from.getTime() + 2 * HOUR_MS));
+  }
+
+  ui.form.hidden = false;
+  ui.title.focus();
+}
+
+function closeForm() {
+  editingId = null;
+  ui.form.hidden = true;
+  ui.formError.textContent = "";
+}
+
+// Builds the window definition from the form. Target lists are sent as
+// typed; the server splits them on commas.
+function readForm() {
+  const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+  return {
+    title: ui.title.value,
+    startsAt: toIso(ui.startsAt.value),
+    endsAt: toIso(ui.endsAt.value),
+    targets: {
+      inventoryItems: ui.items.value,
+      networkSites: ui.sites.value,
+      ipPools: ui.pools.value,
+      accounts: ui.accounts.value,
+    },
+    note: ui.note.value,
+  };
+}
+
+// Schedules or saves a window from the form.
+async function handleSubmit(e) {
+  e.preventDefault();
+  ui.formError.textContent = "";
+
+  try {
+    const definition = readForm();
+
+    if (editingId) {
+      await sendJson(`/api/maintenance/${encodeURIComponent(editingId)}`, "PUT", definition);
+    } else {
+      await sendJson("/api/maintenance", "POST", definition);
+    }
+
+    closeForm();
+    if (definition.startsAt) weekStart = startOfWeek(new Date(definition.startsAt));
+    await refresh();
+  } catch (err) {
+    console.error("Save maintenance window failed:", err);
+    ui.formError.textContent = err.message;
+  }
+}
+
+// Runs an action from a table row or calendar: edit, delete, or schedule a
+// window on the day whose header was clicked.
+async function handleAction(e) {
+  const dayHeader = e.target.closest("button[data-day]");
+  if (dayHeader) {
+    const start = new Date(dayHeader.dataset.day);
+    start.setHours(new Date().getHours() + 1);
+    openForm(null, start);
+    return;
+  }
+
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+
+  const entry = windowsById.get(btn.dataset.id);
+  if (!entry) return;
+
+  if (btn.dataset.action === "edit") {
+    openForm(entry);
+    return;
+  }
+
+  const ending = entry.state === "active";
+  const question = ending
+    ? `End "${entry.title}" now? Its devices and customers will count again.`
+    : `Delete the window "${entry.title}"?`;
+  if (!confirm(question)) return;
+
+  btn.disabled = true;
+
+  try {
+    await sendJson(`/api/maintenance/${encodeURIComponent(entry.id)}`, "DELETE");
+    await refresh();
+  } catch (err) {
+    console.error("Delete maintenance window failed:", err);
+    btn.disabled = false;
+    alert(`Failed to ${ending ? "end" : "delete"} the window. Check console/logs.`);
+  }
+}
+
+// Wires up page events and subscribes to live updates.
+async function init() {
+  ui.prevWeek.addEventListener("click", () => showWeek(addDays(weekStart, -7)));
+  ui.thisWeek.addEventListener("click", () => showWeek(new Date()));
+  ui.nextWeek.addEventListener("click", () => showWeek(addDays(weekStart, 7)));
+  ui.newWindow.addEventListener("click", () => (ui.form.hidden ? openForm() : closeForm()));
+  ui.cancel.addEventListener("click", closeForm);
+  ui.form.addEventListener("submit", handleSubmit);
+  ui.calendar.addEventListener("click", handleAction);
+  ui.rows.addEventListener("click", handleAction);
+
+  await refresh();
+
+  const linked = windowsById.get(new URLSearchParams(window.location.search).get("window"));
+  if (linked) showWeek(new Date(linked.startsAt));
+
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["maintenance"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
+}
+
+init();
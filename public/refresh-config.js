@@ -1,3 +1,8 @@
 // Shared refresh configuration for all dashboard pages.
+// Pages poll on this interval only while the live update stream is down.
 // Override in the console or by editing this file.
 window.DASHBOARD_REFRESH_MS = 60_000;
+
+// Rise in down customers between two overview refreshes that sounds the
+// overview alarm (when it is turned on in the header).
+window.DASHBOARD_ALARM_CUSTOMER_JUMP = 5;
@@ -0,0 +1,62 @@
+/**
+ * Shared row selection for the down tables.
+ *
+ * Each row gets a checkbox in its first cell, and a toolbar button opens the
+ * incidents page with the selected ids prefilled. Selections survive live
+ * refreshes as long as the row is still in the table.
+ */
+
+(function bootstrapRowSelection() {
+  // Creates a selection bound to one table body and toolbar button.
+  // - tbody: the table body that holds the rows
+  // - button: the "Create incident" toolbar button
+  // - buildHref: turns the selected ids into the page to open
+  function create({ tbody, button, buildHref }) {
+    const selected = new Set();
+
+    function updateButton() {
+      button.disabled = !selected.size;
+      button.textContent = selected.size ? `Create incident (${selected.size})` : "Create incident";
+    }
+
+    // Adds a checkbox for one row to the start of a table cell.
+    function prependCheckbox(td, id, label) {
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.className = "row-select";
+      box.dataset.selectId = String(id);
+      box.checked = selected.has(String(id));
+      box.setAttribute("aria-label", `Select ${label}`);
+      td.prepend(box);
+    }
+
+    // Drops selected ids that are no longer in the data.
+    function retain(ids) {
+      const present = new Set(ids.map(String));
+
+      for (const id of selected) {
+        if (!present.has(id)) selected.delete(id);
+      }
+
+      updateButton();
+    }
+
+    tbody.addEventListener("change", (e) => {
+      const box = e.target.closest("input[data-select-id]");
+      if (!box) return;
+
+      if (box.checked) selected.add(box.dataset.selectId);
+      else selected.delete(box.dataset.selectId);
+      updateButton();
+    });
+
+    button.addEventListener("click", () => {
+      if (selected.size) window.location.href = buildHref([...selected]);
+    });
+
+    updateButton();
+    return { prependCheckbox, retain };
+  }
+
+  window.DashboardRowSelection = { create };
+})();
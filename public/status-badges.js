@@ -0,0 +1,118 @@
+/**
+ * Shared status badge helpers for dashboard tables.
+ *
+ * Rows from the list endpoints carry `flapping` and `recentChanges` when a
+ * device or customer keeps bouncing between statuses. Tables show a
+ * "Flapping" badge next to the status badge for those rows.
+ *
+ * Rows on the suppressed pages carry `maintenance` while a scheduled
+ * maintenance window covers them; those get an "In maintenance" badge.
+ * Rows hidden by a suppression rule carry `rule` and get a badge naming it.
+ * Suppressed rows also carry `suppression` with the reason, author, time and
+ * optional expiry recorded when they were suppressed.
+ */
+
+(function bootstrapStatusBadges() {
+  // Appends a "Flapping" badge to a status cell when the row is flapping.
+  function appendFlappingBadge(statusTd, row) {
+    if (!row?.flapping) return;
+
+    const badge = document.createElement("span");
+    badge.className = "badge badge--flapping";
+    badge.textContent = "Flapping";
+    badge.title = `Changed status ${row.recentChanges} times recently`;
+    statusTd.appendChild(badge);
+  }
+
+  // Appends an "In maintenance" badge to a status cell when a maintenance
+  // window covers the row.
+  function appendMaintenanceBadge(statusTd, row) {
+    if (!row?.maintenance) return;
+
+    const badge = document.createElement("span");
+    badge.className = "badge badge--maintenance";
+    badge.textContent = "In maintenance";
+    badge.title = `${row.maintenance.title}, until ${new Date(row.maintenance.endsAt).toLocaleString()}`;
+    statusTd.appendChild(badge);
+  }
+
+  // Appends a badge naming the suppression rule that hides the row.
+  function appendRuleBadge(statusTd, row) {
+    if (!row?.rule) return;
+
+    const badge = document.createElement("span");
+    badge.className = "badge badge--rule";
+    badge.textContent = `Rule: ${row.rule.name}`;
+    badge.title = row.rule.description;
+    statusTd.appendChild(badge);
+  }
+
+  // Builds the link shown instead of an unsuppress button on rows that are
+  // only hidden by a maintenance window.
+  function buildMaintenanceLink(row) {
+    const link = document.createElement("a");
+    link.className = "pc-link";
+    link.href = `/maintenance.html?window=${encodeURIComponent(row.maintenance.id)}`;
+    link.textContent = "View window";
+    return link;
+  }
+
+  // Builds the link shown instead of an unsuppress button on rows that are
+  // only hidden by a suppression rule.
+  function buildRuleLink(row) {
+    const link = document.createElement("a");
+    link.className = "pc-link";
+    link.href = `/suppression-rules.html?rule=${encodeURIComponent(row.rule.id)}`;
+    link.textContent = "View rule";
+    return link;
+  }
+
+  // Builds the reason cell for a suppressed row: the reason, then who
+  // suppressed it, when, and when the suppression expires. Rows only hidden
+  // by a rule show the rule and what it matches instead.
+  function buildSuppressionDetails(row) {
+    const details = row?.suppression;
+    const cell = document.createElement("div");
+    cell.className = "suppression-details";
+
+    const reason = document.createElement("div");
+    reason.className = "suppression-details__reason";
+
+    const meta = document.createElement("div");
+    meta.className = "suppression-details__meta";
+
+    if (!details && row?.rule) {
+      reason.textContent = `Matched rule "${row.rule.name}"`;
+      meta.textContent = row.rule.description;
+      cell.append(reason, meta);
+      return cell;
+    }
+
+    if (!details) {
+      cell.textContent = "-";
+      return cell;
+    }
+
+    reason.textContent = details.reason || "No reason given";
+
+    const created = details.createdAt
+      ? `Suppressed ${new Date(details.createdAt).toLocaleString()}`
+      : "Suppressed before details were recorded";
+    const expiry = details.expiresAt
+      ? `expires ${new Date(details.expiresAt).toLocaleString()}`
+      : "no expiry";
+    meta.textContent = `${created}${details.author ? ` by ${details.author}` : ""} · ${expiry}`;
+
+    cell.append(reason, meta);
+    return cell;
+  }
+
+  window.DashboardStatusBadges = {
+    appendFlappingBadge,
+    appendMaintenanceBadge,
+    appendRuleBadge,
+    buildMaintenanceLink,
+    buildRuleLink,
+    buildSuppressionDetails,
+  };
+})();
@@ -0,0 +1,103 @@
+/**
+ * Shared suppress dialog for the customer and infrastructure tables.
+ *
+ * Clicking Suppress opens a small form for the reason, who is suppressing
+ * and an optional expiry. `open()` resolves with the JSON body for
+ * POST /api/suppressions/... ({ reason, author, expiresAt }), or with null
+ * when the dialog is cancelled.
+ */
+
+(function bootstrapSuppressForm() {
+  let ui = null;
+  // Resolves the promise returned by the open() call being answered.
+  let pending = null;
+
+  // Builds the dialog the first time it is needed.
+  function build() {
+    const dialog = document.createElement("dialog");
+    dialog.className = "suppress-dialog";
+    dialog.setAttribute("aria-labelledby", "suppress-dialog-title");
+    dialog.innerHTML = `
+      <form class="incident-form" method="dialog">
+        <h2 class="suppress-dialog__title" id="suppress-dialog-title">Suppress</h2>
+        <label class="incident-form__field incident-form__field--full">
+          <span>Reason</span>
+          <input class="filter" name="reason" type="text" maxlength="500" />
+        </label>
+        <label class="incident-form__field incident-form__field--wide">
+          <span>Your name</span>
+          <input class="filter" name="author" type="text" maxlength="200" />
+        </label>
+        <label class="incident-form__field incident-form__field--wide">
+          <span>Expires (optional)</span>
+          <input class="filter" name="expiresAt" type="datetime-local" />
+        </label>
+        <div class="incident-form__actions">
+          <button type="submit" class="suppress-btn">Suppress</button>
+          <button type="button" class="suppress-btn" data-cancel>Cancel</button>
+          <span class="incident-form__error" role="alert"></span>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(dialog);
+
+    const form = dialog.querySelector("form");
+    ui = {
+      dialog,
+      form,
+      title: dialog.querySelector(".suppress-dialog__title"),
+      reason: form.elements.reason,
+      author: form.elements.author,
+      expiresAt: form.elements.expiresAt,
+      error: dialog.querySelector(".incident-form__error"),
+    };
+
+    form.addEventListener("submit", handleSubmit);
+    // Escape and Cancel both close the dialog without a result.
+    dialog.querySelector("[data-cancel]").addEventListener("click", () => finish(null));
+    dialog.addEventListener("cancel", () => finish(null));
+  }
+
+  function finish(details) {
+    const resolve = pending;
+    pending = null;
+    if (ui.dialog.open) ui.dialog.close();
+    resolve?.(details);
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+
+    // datetime-local values have no zone, so they are read as local time.
+    const expiry = ui.expiresAt.value ? new Date(ui.expiresAt.value) : null;
+    if (expiry && expiry.getTime() <= Date.now()) {
+      ui.error.textContent = "The expiry must be in the future.";
+      return;
+    }
+
+    finish({
+      reason: ui.reason.value.trim(),
+      author: ui.author.value.trim(),
+      expiresAt: expiry ? expiry.toISOString() : null,
+    });
+  }
+
+  // Opens the dialog titled `title` and resolves with the details entered,
+  // or null when it is cancelled.
+  function open(title) {
+    if (!ui) build();
+    if (pending) finish(null);
+
+    ui.form.reset();
+    ui.error.textContent = "";
+    ui.title.textContent = title;
+    ui.dialog.showModal();
+    ui.reason.focus();
+
+    return new Promise((resolve) => {
+      pending = resolve;
+    });
+  }
+
+  window.DashboardSuppressForm = { open };
+})();
@@ -3,6 +3,13 @@
  *
  * Page logic for the "Suppressed Customers" view.
  *
+ * Lists suppressed customers, customers matched by a suppression rule and
+ * customers in an active maintenance window. Customers only hidden by a rule
+ * or a window link to it instead of offering unsuppress; they come back on
+ * their own when the rule is removed or the window ends. Suppressed
+ * customers show why they were suppressed, by whom, when, and when the
+ * suppression expires.
+ *
  * Backend provides:
  *   GET    /api/suppressed-customers
  *   DELETE /api/suppressions/accounts/:id
@@ -10,7 +17,7 @@
 
 const el = (id) => document.getElementById(id);
 
-// How often the page refreshes (in milliseconds)
+// How often the page polls while the live update stream is down (in milliseconds)
 const REFRESH_MS =
   typeof window.DASHBOARD_REFRESH_MS === "number"
     ? window.DASHBOARD_REFRESH_MS
@@ -27,9 +34,10 @@ const ui = {
 };
 
 function setApiState(state, message) {
-  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad");
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
   if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
   if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
   ui.apiStatus.textContent = message;
 }
 
@@ -84,7 +92,12 @@ function renderTable(customers) {
 
     // Status
     const statusTd = document.createElement("td");
-    statusTd.innerHTML = `<span class="badge badge--suppressed">Suppressed</span>`;
+    if (c.suppressed !== false) {
+      statusTd.innerHTML = `<span class="badge badge--suppressed">Suppressed</span>`;
+    }
+    window.DashboardStatusBadges.appendRuleBadge(statusTd, c);
+    window.DashboardStatusBadges.appendMaintenanceBadge(statusTd, c);
+    window.DashboardStatusBadges.appendFlappingBadge(statusTd, c);
 
     // IPs
     const ipTd = document.createElement("td");
@@ -98,20 +111,32 @@ function renderTable(customers) {
     const addrTd = document.createElement("td");
     addrTd.textContent = c.address || "-";
 
+    // Reason, author, time and expiry
+    const reasonTd = document.createElement("td");
+    reasonTd.appendChild(window.DashboardStatusBadges.buildSuppressionDetails(c));
+
     // Actions
     const actionsTd = document.createElement("td");
     actionsTd.className = "actions-col";
 
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className = "unsuppress-btn";
-    btn.dataset.id = String(c.customerId);
-    btn.textContent = "Unsuppress";
-    btn.title = "Restore this account";
-
-    actionsTd.appendChild(btn);
+    if (c.suppressed === false) {
+      // Hidden by a rule or a maintenance window; link to what hides it.
+      if (c.rule) actionsTd.appendChild(window.DashboardStatusBadges.buildRuleLink(c));
+      if (c.maintenance) {
+        actionsTd.appendChild(window.DashboardStatusBadges.buildMaintenanceLink(c));
+      }
+    } else {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "unsuppress-btn";
+      btn.dataset.id = String(c.customerId);
+      btn.textContent = "Unsuppress";
+      btn.title = "Restore this account";
+
+      actionsTd.appendChild(btn);
+    }
 
-    tr.append(nameTd, statusTd, ipTd, poolTd, addrTd, actionsTd);
+    tr.append(nameTd, statusTd, ipTd, poolTd, addrTd, reasonTd, actionsTd);
     frag.appendChild(tr);
   }
 
@@ -135,7 +160,16 @@ function applyFilter() {
   }
 
   const filtered = lastCustomers.filter((c) => {
-    const blob = [c.customerName, joinIps(c.ipAddresses), joinIpPools(c.ipPools), c.address]
+    const blob = [
+      c.customerName,
+      joinIps(c.ipAddresses),
+      joinIpPools(c.ipPools),
+      c.address,
+      c.suppression?.reason,
+      c.suppression?.author,
+      c.rule?.name,
+      c.maintenance ? "in maintenance" : "",
+    ]
       .map(normalize)
       .join(" | ");
 
@@ -151,15 +185,18 @@ async function refresh() {
 
   try {
     const payload = await fetchSuppressedCustomers();
-    if (!payload.ok) throw new Error(payload.error || "API returned ok=false");
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
 
     lastCustomers = Array.isArray(payload.customers) ? payload.customers : [];
-    setApiState("ok", "API: Connected");
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    window.DashboardApiStatus.renderStaleBanner(payload.stale);
     setLastUpdated(new Date());
     applyFilter();
   } catch (err) {
     console.error(err);
-    setApiState("bad", "API: Request failed");
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    window.DashboardApiStatus.renderStaleBanner(null);
     setLastUpdated(new Date());
     renderTable([]);
   } finally {
@@ -170,7 +207,11 @@ async function refresh() {
 async function init() {
   ui.filter.addEventListener("input", applyFilter);
   await refresh();
-  setInterval(refresh, REFRESH_MS);
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["suppressedCustomers"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
 }
 
 // Unsuppress handler
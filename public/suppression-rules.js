@@ -0,0 +1,320 @@
+/**
+ * suppression-rules.js
+ *
+ * Page logic for the "Suppression Rules" view: the list of rule-based
+ * suppressions and the form that creates or edits one. A rule hides every
+ * customer or device whose IP pool, address, network site, device name,
+ * model or IP address matches it, including ones added later.
+ *
+ * Opening the page with ?rule=<id> highlights that rule.
+ *
+ * Backend provides:
+ *   GET /api/suppression-rules
+ *   POST /api/suppression-rules
+ *   PUT /api/suppression-rules/:id
+ *   DELETE /api/suppression-rules/:id
+ */
+
+// Looks up a page element by its DOM id.
+const el = (id) => document.getElementById(id);
+
+const REFRESH_MS =
+  typeof window.DASHBOARD_REFRESH_MS === "number"
+    ? window.DASHBOARD_REFRESH_MS
+    : 60_000;
+
+// Caches the DOM elements used throughout the page lifecycle.
+const ui = {
+  rows: el("rows"),
+  empty: el("empty"),
+  count: el("count"),
+  newRule: el("new-rule"),
+  form: el("rule-form"),
+  name: el("rule-name"),
+  appliesTo: el("rule-applies-to"),
+  field: el("rule-field"),
+  value: el("rule-value"),
+  submit: el("rule-submit"),
+  cancel: el("rule-cancel"),
+  formError: el("rule-error"),
+  apiDot: el("api-dot"),
+  apiStatus: el("api-status"),
+  lastUpdated: el("last-updated"),
+};
+
+const TARGET_LABELS = {
+  customers: "Customers",
+  infrastructure: "Infrastructure",
+};
+
+// Example values shown in the value input for each field.
+const FIELD_PLACEHOLDERS = {
+  ipPools: "e.g. Seasonal",
+  address: "e.g. Lakeshore Dr",
+  networkSiteName: "e.g. Lab",
+  deviceName: "e.g. Ridge Tower AP",
+  model: "e.g. AirFiber 5XHD",
+  ipAddresses: "e.g. 10.20.0.0/24",
+};
+
+// Rules from the last load, by id, for the edit form.
+let rulesById = new Map();
+// Matchable fields from the API: [{ key, label, targets }].
+let ruleFields = [];
+// Id of the rule being edited, or null while creating one.
+let editingId = null;
+// Id of the rule linked with ?rule=<id>.
+const linkedId = new URLSearchParams(window.location.search).get("rule");
+
+// Updates the footer API indicator for the current page state.
+function setApiState(state, message) {
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
+  if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
+  if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
+  ui.apiStatus.textContent = message;
+}
+
+// Refreshes the footer timestamp after each data load.
+function setLastUpdated(date = new Date()) {
+  ui.lastUpdated.textContent = `Last updated: ${date.toLocaleString()}`;
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : "-";
+}
+
+// Creates a small action button bound to one rule.
+function buildActionButton(rule, action, label) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "suppress-btn";
+  btn.dataset.id = rule.id;
+  btn.dataset.action = action;
+  btn.textContent = label;
+  btn.setAttribute("aria-label", `${label} ${rule.name}`);
+  return btn;
+}
+
+// Renders the rules into the table.
+function renderTable(rules) {
+  ui.rows.innerHTML = "";
+
+  if (!rules.length) {
+    ui.empty.hidden = false;
+    ui.count.textContent = "0 rules";
+    return;
+  }
+
+  ui.empty.hidden = true;
+  ui.count.textContent = `${rules.length} rule${rules.length === 1 ? "" : "s"}`;
+
+  const frag = document.createDocumentFragment();
+
+  for (const rule of rules) {
+    const tr = document.createElement("tr");
+    if (rule.id === linkedId) tr.classList.add("rule-row--linked");
+
+    const nameTd = document.createElement("td");
+    nameTd.textContent = rule.name;
+
+    const targetTd = document.createElement("td");
+    targetTd.textContent = TARGET_LABELS[rule.appliesTo] || rule.appliesTo;
+
+    const conditionTd = document.createElement("td");
+    conditionTd.textContent = rule.description;
+
+    const createdTd = document.createElement("td");
+    createdTd.textContent = formatTime(rule.createdAt);
+
+    const actionsTd = document.createElement("td");
+    actionsTd.className = "actions-col incident-actions";
+    actionsTd.append(
+      buildActionButton(rule, "edit", "Edit"),
+      buildActionButton(rule, "delete", "Delete"),
+    );
+
+    tr.append(nameTd, targetTd, conditionTd, createdTd, actionsTd);
+    frag.appendChild(tr);
+  }
+
+  ui.rows.appendChild(frag);
+}
+
+// Fills the field select with the fields the chosen target can match.
+function renderFieldOptions(selected = null) {
+  const fields = ruleFields.filter((field) => field.targets.includes(ui.appliesTo.value));
+  ui.field.innerHTML = "";
+
+  for (const field of fields) {
+    const option = document.createElement("option");
+    option.value = field.key;
+    option.textContent = field.label;
+    ui.field.appendChild(option);
+  }
+
+  if (selected && fields.some((field) => field.key === selected)) ui.field.value = selected;
+  updatePlaceholder();
+}
+
+function updatePlaceholder() {
+  ui.value.placeholder = FIELD_PLACEHOLDERS[ui.field.value] || "";
+}
+
+// Fetches suppression rules from the backend.
+async function fetchRules() {
+  const res = await fetch("/api/suppression-rules", { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
+// Sends a JSON request to the rules API and returns the parsed payload.
+async function sendJson(url, method, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const payload = await res.json().catch(() => null);
+
+  if (!res.ok || !payload?.ok) {
+    throw new Error(payload?.error || `HTTP ${res.status}`);
+  }
+
+  return payload;
+}
+
+// Reloads the rules and updates the page status chrome.
+async function refresh() {
+  window.DashboardLoadingUI?.startFetch();
+  ui.apiStatus.textContent = "API: Loading...";
+
+  try {
+    const payload = await fetchRules();
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    setLastUpdated(new Date());
+
+    const rules = Array.isArray(payload.rules) ? payload.rules : [];
+    rulesById = new Map(rules.map((rule) => [rule.id, rule]));
+    if (!ruleFields.length) {
+      ruleFields = payload.meta?.fields || [];
+      renderFieldOptions();
+    }
+    renderTable(rules);
+  } catch (err) {
+    console.error(err);
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    setLastUpdated(new Date());
+    rulesById = new Map();
+    renderTable([]);
+  } finally {
+    window.DashboardLoadingUI?.finishFetch();
+  }
+}
+
+// Opens the form empty for a new rule, or filled in to edit one.
+function openForm(rule = null) {
+  editingId = rule?.id || null;
+  ui.form.reset();
+  ui.formError.textContent = "";
+  ui.submit.textContent = rule ? "Save rule" : "Create rule";
+
+  if (rule) {
+    ui.name.value = rule.name;
+    ui.appliesTo.value = rule.appliesTo;
+    ui.value.value = rule.value;
+  }
+
+  renderFieldOptions(rule?.field);
+  ui.form.hidden = false;
+  ui.name.focus();
+}
+
+function closeForm() {
+  editingId = null;
+  ui.form.hidden = true;
+  ui.formError.textContent = "";
+}
+
+// Builds the rule definition from the form.
+function readForm() {
+  return {
+    name: ui.name.value,
+    appliesTo: ui.appliesTo.value,
+    field: ui.field.value,
+    value: ui.value.value,
+  };
+}
+
+// Creates or saves a rule from the form.
+async function handleSubmit(e) {
+  e.preventDefault();
+  ui.formError.textContent = "";
+
+  try {
+    const definition = readForm();
+
+    if (editingId) {
+      await sendJson(`/api/suppression-rules/${encodeURIComponent(editingId)}`, "PUT", definition);
+    } else {
+      await sendJson("/api/suppression-rules", "POST", definition);
+    }
+
+    closeForm();
+    await refresh();
+  } catch (err) {
+    console.error("Save suppression rule failed:", err);
+    ui.formError.textContent = err.message;
+  }
+}
+
+// Runs an edit or delete action from a table row.
+async function handleAction(e) {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+
+  const rule = rulesById.get(btn.dataset.id);
+  if (!rule) return;
+
+  if (btn.dataset.action === "edit") {
+    openForm(rule);
+    return;
+  }
+
+  if (!confirm(`Delete the rule "${rule.name}"? Everything it hides will count again.`)) return;
+
+  btn.disabled = true;
+
+  try {
+    await sendJson(`/api/suppression-rules/${encodeURIComponent(rule.id)}`, "DELETE");
+    await refresh();
+  } catch (err) {
+    console.error("Delete suppression rule failed:", err);
+    btn.disabled = false;
+    alert("Failed to delete the rule. Check console/logs.");
+  }
+}
+
+// Wires up page events and subscribes to live updates.
+async function init() {
+  ui.newRule.addEventListener("click", () => (ui.form.hidden ? openForm() : closeForm()));
+  ui.cancel.addEventListener("click", closeForm);
+  ui.appliesTo.addEventListener("change", () => renderFieldOptions(ui.field.value));
+  ui.field.addEventListener("change", updatePlaceholder);
+  ui.form.addEventListener("submit", handleSubmit);
+  ui.rows.addEventListener("click", handleAction);
+
+  await refresh();
+
+  // Rule changes arrive as "suppressions" events, which refresh every page.
+  window.DashboardLiveUpdates.subscribe({
+    sources: [],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
+}
+
+init();
@@ -0,0 +1,199 @@
+/**
+ * timeline.js
+ *
+ * Page logic for the "Status Timeline" view.
+ *
+ * Backend provides:
+ *   GET /api/transitions
+ */
+
+// Looks up a page element by its DOM id.
+const el = (id) => document.getElementById(id);
+
+const REFRESH_MS =
+  typeof window.DASHBOARD_REFRESH_MS === "number"
+    ? window.DASHBOARD_REFRESH_MS
+    : 60_000;
+
+// Waits this long after the last keystroke before querying the server.
+const SEARCH_DELAY_MS = 300;
+
+// Caches the DOM elements used throughout the page lifecycle.
+const ui = {
+  rows: el("rows"),
+  empty: el("empty"),
+  count: el("count"),
+  kind: el("kind"),
+  status: el("status"),
+  site: el("site"),
+  customer: el("customer"),
+  apiDot: el("api-dot"),
+  apiStatus: el("api-status"),
+  lastUpdated: el("last-updated"),
+};
+
+const KIND_LABELS = {
+  infrastructure: "Infrastructure",
+  customer: "Customer",
+};
+
+const STATUS_BADGES = {
+  Down: "badge--down",
+  Warning: "badge--warning",
+  Good: "badge--good",
+};
+
+// Updates the footer API indicator for the current page state.
+function setApiState(state, message) {
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
+  if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
+  if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
+  ui.apiStatus.textContent = message;
+}
+
+// Refreshes the footer timestamp after each data load.
+function setLastUpdated(date = new Date()) {
+  ui.lastUpdated.textContent = `Last updated: ${date.toLocaleString()}`;
+}
+
+// Builds a colored status badge.
+function buildBadge(status) {
+  const badge = document.createElement("span");
+  badge.className = `badge ${STATUS_BADGES[status] || "badge--neutral"}`;
+  badge.textContent = status || "-";
+  return badge;
+}
+
+// Formats a transition time with the date, since the log spans many days.
+function formatTime(iso) {
+  return new Date(iso).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Keeps the site dropdown in sync with the sites seen in the log.
+function renderSiteOptions(sites) {
+  const selected = ui.site.value;
+  const options = [new Option("All sites", "")];
+
+  for (const site of sites) options.push(new Option(site, site));
+
+  // Keep the current choice even if it dropped out of the log.
+  if (selected && !sites.includes(selected)) options.push(new Option(selected, selected));
+
+  ui.site.replaceChildren(...options);
+  ui.site.value = selected;
+}
+
+// Renders the transitions into the table.
+function renderTable(transitions, total) {
+  ui.rows.innerHTML = "";
+
+  if (!transitions.length) {
+    ui.empty.hidden = false;
+    ui.count.textContent = "0 changes";
+    return;
+  }
+
+  ui.empty.hidden = true;
+  ui.count.textContent =
+    total > transitions.length
+      ? `Latest ${transitions.length} of ${total} changes`
+      : `${total} change${total === 1 ? "" : "s"}`;
+
+  const frag = document.createDocumentFragment();
+
+  for (const entry of transitions) {
+    const tr = document.createElement("tr");
+
+    const timeTd = document.createElement("td");
+    timeTd.textContent = formatTime(entry.at);
+    timeTd.title = new Date(entry.at).toLocaleString();
+
+    const kindTd = document.createElement("td");
+    kindTd.textContent = KIND_LABELS[entry.kind] || entry.kind;
+
+    const nameTd = document.createElement("td");
+    nameTd.textContent = `${entry.name || "(unknown)"} (#${entry.id})`;
+
+    const siteTd = document.createElement("td");
+    siteTd.textContent = entry.site || "-";
+
+    const changeTd = document.createElement("td");
+    changeTd.className = "transition";
+    const arrow = document.createElement("span");
+    arrow.className = "transition__arrow";
+    arrow.textContent = "->";
+    changeTd.append(buildBadge(entry.from), arrow, buildBadge(entry.to));
+
+    tr.append(timeTd, kindTd, nameTd, siteTd, changeTd);
+    frag.appendChild(tr);
+  }
+
+  ui.rows.appendChild(frag);
+}
+
+// Fetches transitions matching the current filters from the backend.
+async function fetchTransitions() {
+  const params = new URLSearchParams();
+  if (ui.kind.value) params.set("kind", ui.kind.value);
+  if (ui.status.value) params.set("status", ui.status.value);
+  if (ui.site.value) params.set("site", ui.site.value);
+  if (ui.customer.value.trim()) params.set("customer", ui.customer.value.trim());
+
+  const res = await fetch(`/api/transitions?${params}`, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
+// Reloads the table data and updates the page status chrome.
+async function refresh() {
+  window.DashboardLoadingUI?.startFetch();
+  ui.apiStatus.textContent = "API: Loading...";
+
+  try {
+    const payload = await fetchTransitions();
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    setLastUpdated(new Date());
+    renderSiteOptions(payload.meta?.sites || []);
+    renderTable(payload.transitions || [], payload.meta?.total || 0);
+  } catch (err) {
+    console.error(err);
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    setLastUpdated(new Date());
+    renderTable([], 0);
+  } finally {
+    window.DashboardLoadingUI?.finishFetch();
+  }
+}
+
+let searchTimer = null;
+
+// Re-queries after the customer search box settles.
+function handleCustomerInput() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(refresh, SEARCH_DELAY_MS);
+}
+
+// Wires up page events and subscribes to live updates.
+async function init() {
+  ui.kind.addEventListener("change", refresh);
+  ui.status.addEventListener("change", refresh);
+  ui.site.addEventListener("change", refresh);
+  ui.customer.addEventListener("input", handleCustomerInput);
+  await refresh();
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["transitions"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
+}
+
+init();
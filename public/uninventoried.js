@@ -10,7 +10,7 @@
 
 const el = (id) => document.getElementById(id);
 
-// How often the page refreshes (in milliseconds)
+// How often the page polls while the live update stream is down (in milliseconds)
 const REFRESH_MS =
   typeof window.DASHBOARD_REFRESH_MS === "number"
     ? window.DASHBOARD_REFRESH_MS
@@ -27,9 +27,10 @@ const ui = {
 };
 
 function setApiState(state, message) {
-  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad");
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
   if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
   if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
   ui.apiStatus.textContent = message;
 }
 
@@ -86,6 +87,7 @@ function renderTable(customers) {
     const statusTd = document.createElement("td");
     statusTd.innerHTML =
       `<span class="badge badge--neutral">${c.status || "Uninventoried"}</span>`;
+    window.DashboardStatusBadges.appendFlappingBadge(statusTd, c);
 
     // IPs
     const ipTd = document.createElement("td");
@@ -152,15 +154,18 @@ async function refresh() {
 
   try {
     const payload = await fetchUninventoriedCustomers();
-    if (!payload.ok) throw new Error(payload.error || "API returned ok=false");
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
 
     lastCustomers = Array.isArray(payload.customers) ? payload.customers : [];
-    setApiState("ok", payload.source === "cache" ? "API: Connected (cached)" : "API: Connected");
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    window.DashboardApiStatus.renderStaleBanner(payload.stale);
     setLastUpdated(new Date());
     applyFilter();
   } catch (err) {
     console.error(err);
-    setApiState("bad", "API: Request failed");
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    window.DashboardApiStatus.renderStaleBanner(null);
     setLastUpdated(new Date());
     renderTable([]);
   } finally {
@@ -171,7 +176,11 @@ async function refresh() {
 async function init() {
   ui.filter.addEventListener("input", applyFilter);
   await refresh();
-  setInterval(refresh, REFRESH_MS);
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["uninventoriedCustomers"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
 }
 
 // Suppress button handler (event delegation)
@@ -182,6 +191,9 @@ document.addEventListener("click", async (e) => {
   const id = btn.dataset.id;
   if (!id) return;
 
+  const details = await window.DashboardSuppressForm.open("Suppress customer");
+  if (!details) return;
+
   btn.disabled = true;
   const oldText = btn.textContent;
   btn.textContent = "...";
@@ -189,6 +201,8 @@ document.addEventListener("click", async (e) => {
   try {
     const res = await fetch(`/api/suppressions/accounts/${encodeURIComponent(id)}`, {
       method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(details),
     });
 
     if (!res.ok) {
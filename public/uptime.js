@@ -0,0 +1,240 @@
+/**
+ * uptime.js
+ *
+ * Page logic for the "Infrastructure Uptime" report.
+ *
+ * Backend provides:
+ *   GET /api/uptime
+ *   GET /api/uptime?format=csv
+ */
+
+// Looks up a page element by its DOM id.
+const el = (id) => document.getElementById(id);
+
+const REFRESH_MS =
+  typeof window.DASHBOARD_REFRESH_MS === "number"
+    ? window.DASHBOARD_REFRESH_MS
+    : 60_000;
+
+// Caches the DOM elements used throughout the page lifecycle.
+const ui = {
+  rows: el("rows"),
+  empty: el("empty"),
+  count: el("count"),
+  columns: el("columns"),
+  ranges: el("ranges"),
+  customRange: el("custom-range"),
+  customFrom: el("custom-from"),
+  customTo: el("custom-to"),
+  customApply: el("custom-apply"),
+  level: el("level"),
+  downloadCsv: el("download-csv"),
+  apiDot: el("api-dot"),
+  apiStatus: el("api-status"),
+  lastUpdated: el("last-updated"),
+};
+
+// The first two columns differ between the site and device views.
+const LEVELS = {
+  sites: { columns: ["Network Site", "Devices"], noun: "site" },
+  items: { columns: ["Device", "Network Site"], noun: "device" },
+};
+
+let selectedRange = "24h";
+let lastReport = null;
+
+// Updates the footer API indicator for the current page state.
+function setApiState(state, message) {
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
+  if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
+  if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
+  ui.apiStatus.textContent = message;
+}
+
+// Refreshes the footer timestamp after each data load.
+function setLastUpdated(date = new Date()) {
+  ui.lastUpdated.textContent = `Last updated: ${date.toLocaleString()}`;
+}
+
+// Formats a minute count as "45m", "3h 20m" or "2d 4h".
+function formatMinutes(value) {
+  if (value === null || value === undefined) return "-";
+
+  const minutes = Math.round(value);
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Formats an availability percentage.
+function formatAvailability(value) {
+  return value === null || value === undefined ? "-" : `${value.toFixed(3)}%`;
+}
+
+// Builds the query string for the selected range. Returns null when the
+// custom range is incomplete.
+function buildRangeParams() {
+  const params = new URLSearchParams();
+
+  if (selectedRange !== "custom") {
+    params.set("range", selectedRange);
+    return params;
+  }
+
+  const from = Date.parse(ui.customFrom.value);
+  const to = ui.customTo.value ? Date.parse(ui.customTo.value) : Date.now();
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+
+  params.set("from", new Date(from).toISOString());
+  params.set("to", new Date(to).toISOString());
+  return params;
+}
+
+// Points the CSV link at the current range and level.
+function updateCsvLink() {
+  const params = buildRangeParams() || new URLSearchParams({ range: "24h" });
+  params.set("format", "csv");
+  params.set("level", ui.level.value);
+  ui.downloadCsv.href = `/api/uptime?${params}`;
+}
+
+// Marks the selected range button and shows the custom inputs when needed.
+function renderRangeButtons() {
+  for (const button of ui.ranges.querySelectorAll("[data-range]")) {
+    const active = button.dataset.range === selectedRange;
+    button.classList.toggle("chart-range--active", active);
+    button.setAttribute("aria-pressed", String(active));
+  }
+
+  ui.customRange.hidden = selectedRange !== "custom";
+}
+
+// Creates a plain text table cell.
+function buildCell(text) {
+  const td = document.createElement("td");
+  td.textContent = text;
+  return td;
+}
+
+// Renders the report rows for the selected level.
+function renderTable() {
+  const level = LEVELS[ui.level.value];
+  const rows = lastReport ? lastReport[ui.level.value] || [] : [];
+
+  level.columns.forEach((label, index) => {
+    ui.columns.children[index].textContent = label;
+  });
+
+  ui.rows.innerHTML = "";
+
+  if (!rows.length) {
+    ui.empty.hidden = false;
+    ui.count.textContent = `0 ${level.noun}s`;
+    return;
+  }
+
+  ui.empty.hidden = true;
+  ui.count.textContent = `${rows.length} ${level.noun}${rows.length === 1 ? "" : "s"}`;
+
+  const frag = document.createDocumentFragment();
+
+  for (const row of rows) {
+    const tr = document.createElement("tr");
+    const leading =
+      ui.level.value === "sites"
+        ? [row.networkSiteName || "(unknown)", String(row.devices)]
+        : [row.deviceName || "(unknown)", row.networkSiteName || "(unknown)"];
+
+    const availabilityTd = buildCell(formatAvailability(row.availability));
+    if (row.availability !== null && row.availability < 99) {
+      availabilityTd.classList.add("availability--low");
+    }
+
+    tr.append(
+      ...leading.map(buildCell),
+      availabilityTd,
+      buildCell(`${Math.round(row.downtimeMinutes || 0)} min`),
+      buildCell(String(row.outages)),
+      buildCell(formatMinutes(row.mttrMinutes)),
+      buildCell(formatMinutes(row.mtbfMinutes)),
+    );
+    frag.appendChild(tr);
+  }
+
+  ui.rows.appendChild(frag);
+}
+
+// Fetches the report for the selected range from the backend.
+async function fetchReport(params) {
+  const res = await fetch(`/api/uptime?${params}`, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
+// Reloads the report and updates the page status chrome.
+async function refresh() {
+  const params = buildRangeParams();
+  if (!params) return;
+
+  window.DashboardLoadingUI?.startFetch();
+  ui.apiStatus.textContent = "API: Loading...";
+
+  try {
+    const payload = await fetchReport(params);
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+
+    lastReport = payload;
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    setLastUpdated(new Date());
+    renderTable();
+  } catch (err) {
+    console.error(err);
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    setLastUpdated(new Date());
+    lastReport = null;
+    renderTable();
+  } finally {
+    window.DashboardLoadingUI?.finishFetch();
+  }
+}
+
+// Switches the report range. "custom" waits for Apply.
+function handleRangeClick(e) {
+  const button = e.target.closest("[data-range]");
+  if (!button) return;
+
+  selectedRange = button.dataset.range;
+  renderRangeButtons();
+  updateCsvLink();
+
+  if (selectedRange !== "custom") refresh();
+}
+
+// Wires up page events and subscribes to live updates.
+async function init() {
+  ui.ranges.addEventListener("click", handleRangeClick);
+  ui.customApply.addEventListener("click", () => {
+    updateCsvLink();
+    refresh();
+  });
+  ui.level.addEventListener("change", () => {
+    updateCsvLink();
+    renderTable();
+  });
+
+  renderRangeButtons();
+  updateCsvLink();
+  await refresh();
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["transitions"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
+}
+
+init();
@@ -10,7 +10,7 @@
 
 const el = (id) => document.getElementById(id);
 
-// How often the page refreshes (in milliseconds)
+// How often the page polls while the live update stream is down (in milliseconds)
 const REFRESH_MS =
   typeof window.DASHBOARD_REFRESH_MS === "number"
     ? window.DASHBOARD_REFRESH_MS
@@ -24,12 +24,14 @@ const ui = {
   apiDot: el("api-dot"),
   apiStatus: el("api-status"),
   lastUpdated: el("last-updated"),
+  durationSort: el("sort-duration"),
 };
 
 function setApiState(state, message) {
-  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad");
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
   if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
   if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
   ui.apiStatus.textContent = message;
 }
 
@@ -50,6 +52,39 @@ function joinIps(ipAddresses) {
   return ipAddresses.filter(Boolean).join(", ");
 }
 
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60_000);
+  if (minutes < 1) return "<1m";
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function getSinceMs(row) {
+  const since = Date.parse(row.statusSince);
+  return Number.isFinite(since) ? since : null;
+}
+
+function renderDurationCell(td) {
+  const since = Date.parse(td.dataset.since);
+
+  if (!Number.isFinite(since)) {
+    td.textContent = "-";
+    td.removeAttribute("title");
+    return;
+  }
+
+  td.textContent = formatDuration(Date.now() - since);
+  td.title = `Since ${new Date(since).toLocaleString()}`;
+}
+
+function updateDurations() {
+  ui.rows.querySelectorAll(".duration-col[data-since]").forEach(renderDurationCell);
+}
+
 function joinIpPools(ipPools) {
   if (!Array.isArray(ipPools)) return "";
   return ipPools.filter(Boolean).join(", ");
@@ -85,6 +120,7 @@ function renderTable(customers) {
     // Status
     const statusTd = document.createElement("td");
     statusTd.innerHTML = `<span class="badge badge--warning">${c.status || "Warning"}</span>`;
+    window.DashboardStatusBadges.appendFlappingBadge(statusTd, c);
 
     // IPs
     const ipTd = document.createElement("td");
@@ -98,6 +134,12 @@ function renderTable(customers) {
     const addrTd = document.createElement("td");
     addrTd.textContent = c.address || "-";
 
+    // Warning for
+    const durationTd = document.createElement("td");
+    durationTd.className = "duration-col";
+    durationTd.dataset.since = c.statusSince || "";
+    renderDurationCell(durationTd);
+
     // Actions
     const actionsTd = document.createElement("td");
     actionsTd.className = "actions-col";
@@ -111,7 +153,7 @@ function renderTable(customers) {
 
     actionsTd.appendChild(btn);
 
-    tr.append(nameTd, statusTd, ipTd, poolTd, addrTd, actionsTd);
+    tr.append(nameTd, statusTd, ipTd, poolTd, addrTd, durationTd, actionsTd);
     frag.appendChild(tr);
   }
 
@@ -126,11 +168,33 @@ async function fetchWarningCustomers() {
 
 let lastCustomers = [];
 
+// Sort order for the duration column: "none", "descending" or "ascending".
+let durationSort = "none";
+
+function sortByDuration(rows) {
+  if (durationSort === "none") return rows;
+
+  const direction = durationSort === "descending" ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const aSince = getSinceMs(a);
+    const bSince = getSinceMs(b);
+    if (aSince === null || bSince === null) return (aSince === null) - (bSince === null);
+    return (aSince - bSince) * direction;
+  });
+}
+
+function toggleDurationSort() {
+  durationSort = durationSort === "descending" ? "ascending" : "descending";
+  ui.durationSort.closest("th").setAttribute("aria-sort", durationSort);
+  applyFilter();
+}
+
 function applyFilter() {
   const q = normalize(ui.filter.value);
 
   if (!q) {
-    renderTable(lastCustomers);
+    renderTable(sortByDuration(lastCustomers));
     return;
   }
 
@@ -142,7 +206,7 @@ function applyFilter() {
     return blob.includes(q);
   });
 
-  renderTable(filtered);
+  renderTable(sortByDuration(filtered));
 }
 
 async function refresh() {
@@ -151,15 +215,18 @@ async function refresh() {
 
   try {
     const payload = await fetchWarningCustomers();
-    if (!payload.ok) throw new Error(payload.error || "API returned ok=false");
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
 
     lastCustomers = Array.isArray(payload.customers) ? payload.customers : [];
-    setApiState("ok", payload.source === "cache" ? "API: Connected (cached)" : "API: Connected");
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    window.DashboardApiStatus.renderStaleBanner(payload.stale);
     setLastUpdated(new Date());
     applyFilter();
   } catch (err) {
     console.error(err);
-    setApiState("bad", "API: Request failed");
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    window.DashboardApiStatus.renderStaleBanner(null);
     setLastUpdated(new Date());
     renderTable([]);
   } finally {
@@ -169,8 +236,14 @@ async function refresh() {
 
 async function init() {
   ui.filter.addEventListener("input", applyFilter);
+  ui.durationSort.addEventListener("click", toggleDurationSort);
+  setInterval(updateDurations, 60_000);
   await refresh();
-  setInterval(refresh, REFRESH_MS);
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["warningCustomers"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
 }
 
 // Suppress button handler (event delegation)
@@ -181,6 +254,9 @@ document.addEventListener("click", async (e) => {
   const id = btn.dataset.id;
   if (!id) return;
 
+  const details = await window.DashboardSuppressForm.open("Suppress customer");
+  if (!details) return;
+
   btn.disabled = true;
   const oldText = btn.textContent;
   btn.textContent = "...";
@@ -188,6 +264,8 @@ document.addEventListener("click", async (e) => {
   try {
     const res = await fetch(`/api/suppressions/accounts/${encodeURIComponent(id)}`, {
       method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(details),
     });
 
     if (!res.ok) {
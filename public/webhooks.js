@@ -0,0 +1,257 @@
+/**
+ * webhooks.js
+ *
+ * Page logic for the "Webhooks" view.
+ *
+ * Backend provides:
+ *   GET /api/webhooks
+ *   POST /api/webhooks/:name/test
+ *
+ * Webhooks are configured in data/webhooks.json on the server; this page
+ * only lists them, sends test messages and shows the delivery log.
+ */
+
+// Looks up a page element by its DOM id.
+const el = (id) => document.getElementById(id);
+
+const REFRESH_MS =
+  typeof window.DASHBOARD_REFRESH_MS === "number"
+    ? window.DASHBOARD_REFRESH_MS
+    : 60_000;
+
+// Caches the DOM elements used throughout the page lifecycle.
+const ui = {
+  rows: el("rows"),
+  empty: el("empty"),
+  count: el("count"),
+  webhook: el("webhook"),
+  status: el("status"),
+  cards: el("webhook-cards"),
+  hint: el("webhook-hint"),
+  apiDot: el("api-dot"),
+  apiStatus: el("api-status"),
+  lastUpdated: el("last-updated"),
+};
+
+const STATUS_BADGES = {
+  delivered: "badge--good",
+  failed: "badge--down",
+  retrying: "badge--warning",
+  pending: "badge--neutral",
+};
+
+const FORMAT_LABELS = {
+  json: "JSON",
+  slack: "Slack",
+  teams: "Teams",
+};
+
+// Updates the footer API indicator for the current page state.
+function setApiState(state, message) {
+  ui.apiDot.classList.remove("status__dot--ok", "status__dot--bad", "status__dot--stale");
+  if (state === "ok") ui.apiDot.classList.add("status__dot--ok");
+  if (state === "bad") ui.apiDot.classList.add("status__dot--bad");
+  if (state === "stale") ui.apiDot.classList.add("status__dot--stale");
+  ui.apiStatus.textContent = message;
+}
+
+// Refreshes the footer timestamp after each data load.
+function setLastUpdated(date = new Date()) {
+  ui.lastUpdated.textContent = `Last updated: ${date.toLocaleString()}`;
+}
+
+// Builds a colored badge with a capitalized label.
+function buildBadge(value, classes) {
+  const badge = document.createElement("span");
+  badge.className = `badge ${classes[value] || "badge--neutral"}`;
+  badge.textContent = value ? value[0].toUpperCase() + value.slice(1) : "-";
+  return badge;
+}
+
+// Formats a timestamp with the date, since the log spans several days.
+function formatTime(iso) {
+  return new Date(iso).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+}
+
+// Keeps the webhook filter in sync with the configured webhooks.
+function renderWebhookOptions(webhooks) {
+  const current = ui.webhook.value;
+  const names = webhooks.map((webhook) => webhook.name);
+
+  ui.webhook.innerHTML = "";
+  ui.webhook.appendChild(new Option("All webhooks", ""));
+  for (const name of names) ui.webhook.appendChild(new Option(name, name));
+
+  ui.webhook.value = names.includes(current) ? current : "";
+}
+
+// Renders one card per configured webhook with a test button.
+function renderWebhooks(webhooks, meta) {
+  ui.cards.innerHTML = "";
+
+  const threshold = meta?.customerDownThreshold;
+  ui.hint.textContent = webhooks.length
+    ? threshold
+      ? `Customer threshold alerts fire when ${threshold} or more customers are down.`
+      : "No customer down threshold is set."
+    : "No webhooks configured. Copy data/webhooks.example.json to data/webhooks.json to add some.";
+
+  for (const webhook of webhooks) {
+    const card = document.createElement("article");
+    card.className = `webhook-card${webhook.enabled ? "" : " webhook-card--disabled"}`;
+
+    const name = document.createElement("div");
+    name.className = "webhook-card__name";
+    name.textContent = webhook.name;
+
+    const target = document.createElement("div");
+    target.className = "webhook-card__meta";
+    target.textContent = [
+      FORMAT_LABELS[webhook.format] || webhook.format,
+      webhook.target,
+      webhook.signed ? "Signed" : "Unsigned",
+      webhook.enabled ? null : "Disabled",
+    ]
+      .filter(Boolean)
+      .join(" | ");
+
+    const events = document.createElement("div");
+    events.className = "webhook-card__meta";
+    events.textContent = webhook.events.includes("*") ? "All events" : webhook.events.join(", ");
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "suppress-btn";
+    btn.dataset.webhook = webhook.name;
+    btn.textContent = "Send test";
+    btn.setAttribute("aria-label", `Send test to ${webhook.name}`);
+
+    card.append(name, target, events, btn);
+    ui.cards.appendChild(card);
+  }
+}
+
+// Renders the delivery log into the table.
+function renderTable(deliveries) {
+  ui.rows.innerHTML = "";
+
+  if (!deliveries.length) {
+    ui.empty.hidden = false;
+    ui.count.textContent = "0 deliveries";
+    return;
+  }
+
+  ui.empty.hidden = true;
+  ui.count.textContent = `${deliveries.length} deliver${deliveries.length === 1 ? "y" : "ies"}`;
+
+  const frag = document.createDocumentFragment();
+
+  for (const delivery of deliveries) {
+    const tr = document.createElement("tr");
+
+    const sentTd = document.createElement("td");
+    sentTd.textContent = formatTime(delivery.at);
+
+    const webhookTd = document.createElement("td");
+    webhookTd.textContent = delivery.webhook;
+
+    const eventTd = document.createElement("td");
+    eventTd.textContent = delivery.event;
+
+    const messageTd = document.createElement("td");
+    messageTd.textContent = delivery.text || "-";
+
+    const statusTd = document.createElement("td");
+    statusTd.appendChild(buildBadge(delivery.status, STATUS_BADGES));
+    if (delivery.error) statusTd.title = delivery.error;
+
+    const attemptsTd = document.createElement("td");
+    attemptsTd.textContent = delivery.responseStatus
+      ? `${delivery.attempts} (HTTP ${delivery.responseStatus})`
+      : String(delivery.attempts);
+
+    tr.append(sentTd, webhookTd, eventTd, messageTd, statusTd, attemptsTd);
+    frag.appendChild(tr);
+  }
+
+  ui.rows.appendChild(frag);
+}
+
+// Fetches webhooks and deliveries matching the filters from the backend.
+async function fetchWebhooks() {
+  const params = new URLSearchParams();
+  if (ui.webhook.value) params.set("webhook", ui.webhook.value);
+  if (ui.status.value) params.set("status", ui.status.value);
+
+  const res = await fetch(`/api/webhooks?${params}`, { cache: "no-store" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return await res.json();
+}
+
+// Reloads the page data and updates the page status chrome.
+async function refresh() {
+  window.DashboardLoadingUI?.startFetch();
+  ui.apiStatus.textContent = "API: Loading...";
+
+  try {
+    const payload = await fetchWebhooks();
+    if (!payload.ok) throw window.DashboardApiStatus.errorFromPayload(payload);
+
+    const apiState = window.DashboardApiStatus.describePayload(payload);
+    setApiState(apiState.state, apiState.message);
+    setLastUpdated(new Date());
+    renderWebhookOptions(payload.webhooks || []);
+    renderWebhooks(payload.webhooks || [], payload.meta);
+    renderTable(payload.deliveries || []);
+  } catch (err) {
+    console.error(err);
+    setApiState("bad", window.DashboardApiStatus.describeError(err));
+    setLastUpdated(new Date());
+    renderTable([]);
+  } finally {
+    window.DashboardLoadingUI?.finishFetch();
+  }
+}
+
+// Sends a test message; the delivery shows up through the live update.
+async function handleTest(e) {
+  const btn = e.target.closest("button[data-webhook]");
+  if (!btn) return;
+
+  btn.disabled = true;
+
+  try {
+    const res = await fetch(`/api/webhooks/${encodeURIComponent(btn.dataset.webhook)}/test`, {
+      method: "POST",
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    await refresh();
+  } catch (err) {
+    console.error("Test send failed:", err);
+    alert("Failed to send the test. Check console/logs.");
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// Wires up page events and subscribes to live updates.
+async function init() {
+  ui.webhook.addEventListener("change", refresh);
+  ui.status.addEventListener("change", refresh);
+  ui.cards.addEventListener("click", handleTest);
+
+  await refresh();
+  window.DashboardLiveUpdates.subscribe({
+    sources: ["webhooks"],
+    refresh,
+    intervalMs: REFRESH_MS,
+  });
+}
+
+init();
@@ -5,6 +5,12 @@
  * - Load env
  * - Serve static files
  * - Mount /api routes
+ * - Restore the last saved Sonar data and start the background poller
+ * - Record overview counts into the history store
+ * - Record device and customer status transitions
+ * - Evaluate alert rules
+ * - Send webhook and email notifications and escalate firing alerts
+ * - Apply and lift scheduled maintenance windows
  * - Print LAN URLs
  */
 
@@ -12,11 +18,30 @@ const path = require("path");
 const express = require("express");
 const dotenv = require("dotenv");
 
+// Load env before the routes so module-level settings (cache TTLs, breaker
+// thresholds) see values from .env.
+dotenv.config();
+
 const { router: apiRouter } = require("./src/routes/api");
+const { startAlertEngine } = require("./src/services/alertEngine");
+const { restoreFromDisk, startPolling } = require("./src/services/dashboardData");
+const { startEmailNotifications } = require("./src/services/emailNotifier");
+const { startEscalations } = require("./src/services/escalationEngine");
+const { startHistoryRecorder } = require("./src/services/historyRecorder");
+const { startMaintenanceWatch } = require("./src/services/maintenanceStore");
+const { startSuppressionExpiry } = require("./src/services/suppressionStore");
+const { startTransitionTracking } = require("./src/services/transitionTracker");
+const { startWebhookNotifications } = require("./src/services/webhookNotifier");
 const { getLocalIPs } = require("./src/utils/network");
+const alertRulesRouter = require("./src/routes/alertRules");
+const emailRouter = require("./src/routes/email");
+const escalationsRouter = require("./src/routes/escalations");
+const eventsRouter = require("./src/routes/events");
+const incidentsRouter = require("./src/routes/incidents");
+const maintenanceRouter = require("./src/routes/maintenance");
+const suppressionRulesRouter = require("./src/routes/suppressionRules");
 const suppressionsRouter = require("./src/routes/suppressions");
-
-dotenv.config();
+const webhooksRouter = require("./src/routes/webhooks");
 
 const app = express();
 
@@ -33,6 +58,27 @@ app.get("/health", (req, res) => res.json({ ok: true }));
 // API
 app.use("/api", apiRouter);
 app.use("/api/suppressions", suppressionsRouter);
+app.use("/api/suppression-rules", suppressionRulesRouter);
+app.use("/api/incidents", incidentsRouter);
+app.use("/api/webhooks", webhooksRouter);
+app.use("/api/alert-rules", alertRulesRouter);
+app.use("/api/email", emailRouter);
+app.use("/api/escalations", escalationsRouter);
+app.use("/api/maintenance", maintenanceRouter);
+app.use("/api/events", eventsRouter);
+
+// Serve the last saved data until the first refresh finishes, then keep
+// dashboard data warm so page loads never wait on Sonar.
+restoreFromDisk();
+startHistoryRecorder();
+startTransitionTracking();
+startAlertEngine();
+startWebhookNotifications();
+startEmailNotifications();
+startEscalations();
+startMaintenanceWatch();
+startSuppressionExpiry();
+startPolling();
 
 app.listen(PORT, HOST, () => {
   console.log("Dashboard server started.");
@@ -6,50 +6,239 @@
  * of the server code stays clean and simple.
  */
 
+const {
+  SonarAuthError,
+  SonarError,
+  SonarGraphqlError,
+  SonarRateLimitError,
+  SonarResponseError,
+  SonarTimeoutError,
+  SonarUnavailableError
+} = require("./src/sonar/errors");
+
+// Defaults used when the caller does not pass request tuning options.
+const DEFAULT_TIMEOUT_MS = 15_000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+
+// Upper bound for any single backoff wait, including Retry-After values.
+const MAX_RETRY_DELAY_MS = 30_000;
+
+/**
+ * Pulls the operation name out of a GraphQL query string for logging.
+ *
+ * @param {string} query - GraphQL query string
+ * @returns {string} The operation name, or "anonymous" when none is declared
+ */
+function getQueryName(query) {
+  const match = /^\s*(?:query|mutation)\s+([A-Za-z0-9_]+)/.exec(String(query || ""));
+  return match ? match[1] : "anonymous";
+}
+
+/**
+ * Reads a Retry-After header value in milliseconds.
+ * Sonar may send either a number of seconds or an HTTP date.
+ *
+ * @param {string|null} value - Raw Retry-After header
+ * @returns {number|null} Delay in milliseconds, or null when missing/invalid
+ */
+function parseRetryAfterMs(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+/**
+ * Exponential backoff with jitter so several dashboards do not retry in lockstep.
+ *
+ * @param {number} attempt - 1-based attempt number that just failed
+ * @param {number} baseMs - Base delay for the first retry
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelayMs(attempt, baseMs) {
+  const exponential = baseMs * 2 ** (attempt - 1);
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.min(Math.round(jittered), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Decides whether a failed attempt is worth retrying.
+ * Timeouts, network failures, 5xx and 429 are transient; GraphQL validation
+ * errors, bodies that are not JSON and other 4xx responses will fail the
+ * same way every time.
+ *
+ * @param {Error} err - Error thrown by a single attempt
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  return (
+    err instanceof SonarTimeoutError ||
+    err instanceof SonarUnavailableError ||
+    err instanceof SonarRateLimitError
+  );
+}
+
+/**
+ * Maps a non-2xx Sonar response onto the matching error type.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} text - Response body, included for troubleshooting
+ * @param {number|null} retryAfterMs - Parsed Retry-After header
+ * @returns {SonarError}
+ */
+function buildHttpError(status, text, retryAfterMs) {
+  const message = `Sonar GraphQL HTTP ${status}: ${text}`;
+
+  if (status === 401 || status === 403) return new SonarAuthError(message, { status });
+  if (status === 429) return new SonarRateLimitError(message, { retryAfterMs });
+  if (status >= 500) return new SonarUnavailableError(message, { status, retryAfterMs });
+  return new SonarError(message, { code: "SONAR_HTTP", status });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends one GraphQL request and enforces the per-request timeout.
+ *
+ * @returns {Object} The `data` field from the GraphQL response
+ */
+async function sendOnce({ endpoint, token, query, variables, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    // Send POST request to Sonar GraphQL API
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        // Required for GraphQL JSON payloads
+        "Content-Type": "application/json",
+
+        // Sonar uses Bearer token authentication
+        "Authorization": `Bearer ${token}`
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: controller.signal
+    });
+
+    // If Sonar responds with a non-200 status, treat it as an error
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw buildHttpError(
+        res.status,
+        text,
+        parseRetryAfterMs(res.headers.get("retry-after"))
+      );
+    }
+
+    // Parse the JSON response. A proxy in front of Sonar may answer 200 with
+    // an HTML error page, which is reported as-is instead of as an outage.
+    const text = await res.text();
+    let json;
+
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+
+    if (!json || typeof json !== "object") {
+      throw new SonarResponseError(
+        `Sonar GraphQL HTTP ${res.status} response is not GraphQL JSON: ${text.slice(0, 200)}`,
+        { status: res.status }
+      );
+    }
+
+    // GraphQL can return 200 OK but still include errors
+    if (json.errors?.length) {
+      throw new SonarGraphqlError(`Sonar GraphQL errors: ${JSON.stringify(json.errors)}`, {
+        graphqlErrors: json.errors
+      });
+    }
+
+    // Return only the `data` field
+    return json.data;
+  } catch (err) {
+    if (err instanceof SonarError) throw err;
+
+    if (controller.signal.aborted) {
+      throw new SonarTimeoutError(`Sonar GraphQL request timed out after ${timeoutMs}ms`, {
+        timeoutMs
+      });
+    }
+
+    // fetch() rejects with a TypeError for DNS, connection and socket failures.
+    throw new SonarUnavailableError(`Sonar unreachable: ${err.cause?.message || err.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 /**
  * Sends a GraphQL request to Sonar and returns the parsed data.
+ * Transient failures are retried with exponential backoff, and every
+ * attempt is logged with the query name and duration.
  *
  * @param {Object} params
  * @param {string} params.endpoint - Sonar GraphQL endpoint URL
  * @param {string} params.token - Sonar API token
  * @param {string} params.query - GraphQL query string
  * @param {Object} params.variables - Optional GraphQL variables
+ * @param {number} params.timeoutMs - Abort each attempt after this many milliseconds
+ * @param {number} params.maxRetries - Extra attempts after the first failure
+ * @param {number} params.retryBaseMs - Base delay for exponential backoff
  *
  * @returns {Object} The `data` field from the GraphQL response
  *
- * @throws Will throw if the HTTP request fails or Sonar returns GraphQL errors
- */
-async function sonarGraphqlRequest({ endpoint, token, query, variables = {} }) {
-  // Send POST request to Sonar GraphQL API
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      // Required for GraphQL JSON payloads
-      "Content-Type": "application/json",
-
-      // Sonar uses Bearer token authentication
-      "Authorization": `Bearer ${token}`
-    },
-    body: JSON.stringify({ query, variables })
-  });
-
-  // If Sonar responds with a non-200 status, treat it as an error
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Sonar GraphQL HTTP ${res.status}: ${text}`);
-  }
+ * @throws {SonarError} A typed subclass describing why the request failed
+ */
+async function sonarGraphqlRequest({
+  endpoint,
+  token,
+  query,
+  variables = {},
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryBaseMs = DEFAULT_RETRY_BASE_MS
+}) {
+  const queryName = getQueryName(query);
+  const totalAttempts = Math.max(0, maxRetries) + 1;
 
-  // Parse the JSON response
-  const json = await res.json();
+  for (let attempt = 1; ; attempt += 1) {
+    const startedAt = Date.now();
 
-  // GraphQL can return 200 OK but still include errors
-  if (json.errors?.length) {
-    throw new Error(`Sonar GraphQL errors: ${JSON.stringify(json.errors)}`);
-  }
+    try {
+      const data = await sendOnce({ endpoint, token, query, variables, timeoutMs });
+      console.log(
+        `[sonar] ${queryName} attempt ${attempt}/${totalAttempts} ok in ${Date.now() - startedAt}ms`
+      );
+      return data;
+    } catch (err) {
+      const durationMs = Date.now() - startedAt;
+      const retryable = isRetryableError(err);
 
-  // Return only the `data` field
-  return json.data;
+      console.warn(
+        `[sonar] ${queryName} attempt ${attempt}/${totalAttempts} failed in ${durationMs}ms: ${err.message}`
+      );
+
+      if (!retryable || attempt >= totalAttempts) throw err;
+
+      const delayMs = Math.min(
+        err.retryAfterMs ?? getBackoffDelayMs(attempt, retryBaseMs),
+        MAX_RETRY_DELAY_MS
+      );
+      await sleep(delayMs);
+    }
+  }
 }
 
 // Export the function so server.js can use it
-module.exports = { sonarGraphqlRequest };
\ No newline at end of file
+module.exports = { sonarGraphqlRequest };
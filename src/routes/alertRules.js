@@ -0,0 +1,100 @@
+// src/routes/alertRules.js (CommonJS)
+//
+// REST routes for alert rules and their current alert states. Every change
+// re-evaluates the rules right away and is announced as an "alerts" update
+// so open pages re-fetch.
+
+const express = require("express");
+const {
+  ALERT_DIRECTIONS,
+  ALERT_ITEM_STATUSES,
+  ALERT_METRICS,
+  ALERT_OPERATORS,
+  createAlertRule,
+  deleteAlertRule,
+  describeAlertRule,
+  listAlertRules,
+  updateAlertRule,
+  validateAlertRule,
+} = require("../services/alertRuleStore");
+const { evaluateAlertRules, getAlertState } = require("../services/alertEngine");
+const { dashboardEvents } = require("../services/dashboardEvents");
+
+const router = express.Router();
+
+router.use(express.json());
+
+// Tells connected dashboards that alert rules changed so they re-fetch.
+function announceChange() {
+  evaluateAlertRules();
+  dashboardEvents.emit("update", { sources: ["alerts"], at: new Date().toISOString() });
+}
+
+function sendInvalid(res, error) {
+  res.status(400).json({ ok: false, source: "error", error, errorCode: "INVALID_REQUEST" });
+}
+
+function sendNotFound(res) {
+  res.status(404).json({
+    ok: false,
+    source: "error",
+    error: "Alert rule not found",
+    errorCode: "NOT_FOUND",
+  });
+}
+
+// Adds the readable condition and current alert state to a rule.
+function describeRule(rule) {
+  return { ...rule, description: describeAlertRule(rule), alert: getAlertState(rule.id) };
+}
+
+// Lists rules with their alert states, plus the options the rule form uses.
+router.get("/", (req, res) => {
+  const rules = listAlertRules().map(describeRule);
+  const countState = (state) => rules.filter((rule) => rule.alert.state === state).length;
+
+  res.json({
+    ok: true,
+    source: "local",
+    rules,
+    meta: {
+      firing: countState("firing"),
+      pending: countState("pending"),
+      metrics: ALERT_METRICS,
+      operators: ALERT_OPERATORS,
+      statuses: ALERT_ITEM_STATUSES,
+      directions: ALERT_DIRECTIONS,
+    },
+  });
+});
+
+// Creates a rule. Body: a rule definition (see alertRuleStore).
+router.post("/", (req, res) => {
+  const { rule, error } = validateAlertRule(req.body);
+  if (error) return sendInvalid(res, error);
+
+  const created = createAlertRule(rule);
+  announceChange();
+  res.status(201).json({ ok: true, source: "local", rule: describeRule(created) });
+});
+
+// Replaces a rule's definition.
+router.put("/:id", (req, res) => {
+  const { rule, error } = validateAlertRule(req.body);
+  if (error) return sendInvalid(res, error);
+
+  const updated = updateAlertRule(req.params.id, rule);
+  if (!updated) return sendNotFound(res);
+
+  announceChange();
+  res.json({ ok: true, source: "local", rule: describeRule(updated) });
+});
+
+router.delete("/:id", (req, res) => {
+  if (!deleteAlertRule(req.params.id)) return sendNotFound(res);
+
+  announceChange();
+  res.json({ ok: true, source: "local" });
+});
+
+module.exports = router;
@@ -1,44 +1,205 @@
 // src/routes/api.js (CommonJS)
 const express = require("express");
 const {
-  getCustomerEquipmentSummary,
-  getCustomersByIds,
-  getDownCustomers,
-  getGoodCustomers,
-  getInfrastructureDownRows,
-  getInfrastructureEquipmentSummary,
-  getInfrastructureGoodRows,
-  getInfrastructureUnmonitoredRows,
-  getInfrastructureWarningRows,
-  getOpenTicketCount,
+  describeInfrastructureSnapshot,
+  getInfrastructureRowsByStatus,
+  getSonarCircuitState,
+  getSonarCoalescingStats,
   getSuppressedInfrastructureRows,
-  getUninventoriedCustomers,
-  getWarningCustomers,
 } = require("../services/sonarService");
 
 const {
+  SUMMARY_SOURCES,
+  getCacheStats,
+  getPollerStatus,
+  invalidateSuppressedCustomers,
+  peekSource,
+  readSource,
+} = require("../services/dashboardData");
+const {
+  getAccountSuppression,
+  getInfrastructureItemSuppression,
   getSuppressedAccounts,
   getSuppressedInfrastructureItems,
 } = require("../services/suppressionStore");
-const { getEnvInt } = require("../utils/env");
+const { dashboardEvents } = require("../services/dashboardEvents");
+const { getHistoryStats, querySeries, resolveStep } = require("../services/historyStore");
+const {
+  buildStatusSummary,
+  filterSuppressed,
+  getHiddenCustomers,
+  getHiddenInfrastructureItems,
+} = require("../services/statusSummary");
+const {
+  describeMaintenance,
+  findCustomerWindow,
+  findInfrastructureWindow,
+  getActiveMaintenanceWindows,
+} = require("../services/maintenanceStore");
+const {
+  describeSuppressionRule,
+  findCustomerRule,
+  findInfrastructureRule,
+  listSuppressionRules,
+} = require("../services/suppressionRuleStore");
+const {
+  TRANSITION_KINDS,
+  getStatusSince,
+  getTransitionSites,
+  getTransitionStats,
+  queryTransitions,
+} = require("../services/transitionStore");
+const { buildUptimeReport } = require("../services/uptimeReport");
+const {
+  OUTAGE_DOWN_SHARE_PERCENT,
+  OUTAGE_MIN_DOWN,
+  buildOutageGroups,
+} = require("../services/outageCorrelation");
+const { getFlappingCounts, getFlappingSummary } = require("../services/flapDetection");
+const { getIncidentCounts } = require("../services/incidentStore");
+const { toCsv } = require("../utils/csv");
+const { SonarError } = require("../sonar/errors");
 
 const router = express.Router();
-const CACHE_TTL_MS = getEnvInt("CACHE_TTL_MS") ?? 60_000;
 
-// Creates a simple in-memory cache record for one endpoint.
-function makeCache(ttlMs) {
-  return { ttlMs, ts: 0, value: null };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Preset report ranges accepted by /api/uptime.
+const UPTIME_RANGES = {
+  "24h": DAY_MS,
+  "7d": 7 * DAY_MS,
+  "30d": 30 * DAY_MS,
+};
+
+// Sources the outage groups are built from.
+const OUTAGE_SOURCES = [
+  "downCustomers",
+  "warningCustomers",
+  "goodCustomers",
+  "infrastructureSnapshot",
+];
+
+// Customer lists searched for customers hidden by a suppression rule or an
+// active maintenance window.
+const MATCHED_CUSTOMER_SOURCES = [
+  "downCustomers",
+  "warningCustomers",
+  "uninventoriedCustomers",
+  "goodCustomers",
+];
+
+// CSV columns for the two uptime report levels.
+const UPTIME_CSV_COLUMNS = {
+  sites: [
+    { key: "networkSiteId", label: "Network Site ID" },
+    { key: "networkSiteName", label: "Network Site" },
+    { key: "devices", label: "Devices" },
+    { key: "availability", label: "Availability %" },
+    { key: "downtimeMinutes", label: "Downtime (min)" },
+    { key: "outages", label: "Outages" },
+    { key: "mttrMinutes", label: "MTTR (min)" },
+    { key: "mtbfMinutes", label: "MTBF (min)" },
+    { key: "monitoredMinutes", label: "Monitored (min)" },
+  ],
+  items: [
+    { key: "inventoryItemId", label: "Inventory Item ID" },
+    { key: "deviceName", label: "Device" },
+    { key: "networkSiteId", label: "Network Site ID" },
+    { key: "networkSiteName", label: "Network Site" },
+    { key: "status", label: "Current Status" },
+    { key: "availability", label: "Availability %" },
+    { key: "downtimeMinutes", label: "Downtime (min)" },
+    { key: "outages", label: "Outages" },
+    { key: "mttrMinutes", label: "MTTR (min)" },
+    { key: "mtbfMinutes", label: "MTBF (min)" },
+    { key: "monitoredMinutes", label: "Monitored (min)" },
+  ],
+};
+
+// Returns the machine-readable error code sent to the UI with ok:false payloads.
+function getErrorCode(err) {
+  return err instanceof SonarError ? err.code : "INTERNAL_ERROR";
 }
 
-// Checks whether a cache entry is still valid.
-function cacheFresh(cache) {
-  return cache.value && Date.now() - cache.ts < cache.ttlMs;
+// Describes how old a fallback value is so pages can show a stale banner.
+// `err` is null for restored data that is simply waiting on its first refresh.
+function buildStaleInfo(ts, err, { restored = false } = {}) {
+  return {
+    since: new Date(ts).toISOString(),
+    ageMs: Date.now() - ts,
+    restored,
+    error: err ? err.message : null,
+    errorCode: err ? getErrorCode(err) : null,
+  };
 }
 
-// Removes suppressed customers from a customer row list.
-function filterSuppressed(customers) {
-  const suppressed = getSuppressedAccounts();
-  return customers.filter((customer) => !suppressed.has(String(customer.customerId)));
+// Reads the data sources one response needs. `source` is "sonar" when
+// anything was fetched for this request and "cache" otherwise.
+//
+// When Sonar fails, the last good values are used instead and the response
+// is flagged stale. That happens either because a background refresh failed
+// or because the data was too old to serve and the blocking fetch failed.
+// Data restored from disk after a restart is flagged the same way until its
+// first fresh load. Throws only when a source has never loaded at all.
+async function readSources(keys) {
+  let results;
+  let failure = null;
+
+  try {
+    results = await Promise.all(keys.map(readSource));
+  } catch (err) {
+    results = keys.map(peekSource);
+    if (results.some((result) => !result)) throw err;
+    failure = err;
+  }
+
+  const values = {};
+  keys.forEach((key, index) => {
+    values[key] = results[index].value;
+  });
+
+  const failed = results.filter((result) => result.error);
+  if (!failure && failed.length) failure = failed[0].error;
+
+  const restored = results.some((result) => result.restored);
+
+  if (failure || restored) {
+    const oldest = Math.min(...results.map((result) => result.ts));
+
+    return {
+      values,
+      source: restored ? "restored" : "stale",
+      stale: buildStaleInfo(oldest, failure, { restored }),
+    };
+  }
+
+  return {
+    values,
+    source: results.every((result) => result.fromCache) ? "cache" : "sonar",
+    stale: null,
+  };
+}
+
+// Adds status tracking details to table rows:
+// - statusSince: when the row entered its status. Suppressed rows carry no
+//   live status, so they get the time the item entered whatever status it
+//   was last seen in.
+// - flapping / recentChanges: whether the row keeps bouncing between
+//   statuses and, if so, how many changes it had in the flap window.
+function withStatusDetails(kind, rows, idField) {
+  const flappingCounts = getFlappingCounts(kind);
+
+  return rows.map((row) => {
+    const id = String(row[idField]);
+    const recentChanges = flappingCounts.get(id) || 0;
+
+    return {
+      ...row,
+      statusSince: getStatusSince(kind, id, row.status === "Suppressed" ? null : row.status),
+      flapping: recentChanges > 0,
+      recentChanges,
+    };
+  });
 }
 
 // Parses a positive integer query parameter with bounds.
@@ -52,6 +213,15 @@ function parsePositiveInt(value, fallback, { min = 1, max = Number.MAX_SAFE_INTE
   return Math.min(Math.max(parsed, min), max);
 }
 
+// Parses a time query parameter given as an ISO date or epoch milliseconds.
+// Returns null when the value is present but unreadable.
+function parseTimeParam(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  return Number.isFinite(ms) ? ms : null;
+}
+
 // Slices a full row list into one page and returns pagination metadata.
 function paginateRows(rows, requestedPage, pageSize) {
   const total = rows.length;
@@ -73,99 +243,43 @@ function paginateRows(rows, requestedPage, pageSize) {
   };
 }
 
-const summaryCache = makeCache(CACHE_TTL_MS);
+// Every customer row on hand for the overview, including the cached Good
+// list, so flapping customers hidden by a rule or window are found too.
+function listKnownCustomers(values) {
+  return [
+    ...(values.downCustomers || []),
+    ...(values.warningCustomers || []),
+    ...(values.uninventoriedCustomers || []),
+    ...(peekSource("goodCustomers")?.value || []),
+  ];
+}
 
 router.get("/status-summary", async (req, res) => {
   try {
-    if (cacheFresh(summaryCache)) {
-      return res.json({
-        ok: true,
-        source: "cache",
-        summary: summaryCache.value,
-      });
-    }
-
-    const suppressed = getSuppressedAccounts();
-    const suppressedInfrastructureItems = getSuppressedInfrastructureItems();
-
     // Pull everything we need for the overview at the same time.
-    const [
-      infrastructureSummary,
-      customerSummary,
-      downCustomers,
-      warningCustomers,
-      uninventoriedCustomers,
-      openTickets,
-    ] = await Promise.all([
-      getInfrastructureEquipmentSummary({
-        suppressedItemIds: suppressedInfrastructureItems,
-      }),
-      getCustomerEquipmentSummary(),
-      getDownCustomers(),
-      getWarningCustomers(),
-      getUninventoriedCustomers(),
-      getOpenTicketCount(),
-    ]);
-
-    const visibleDown = downCustomers.filter(
-      (customer) => !suppressed.has(String(customer.customerId)),
-    );
-    const visibleWarning = warningCustomers.filter(
-      (customer) => !suppressed.has(String(customer.customerId)),
-    );
-    const visibleUninventoried = uninventoriedCustomers.filter(
-      (customer) => !suppressed.has(String(customer.customerId)),
-    );
+    const { values, source, stale } = await readSources(SUMMARY_SOURCES);
 
-    const suppressedDown = downCustomers.length - visibleDown.length;
-    const suppressedWarning = warningCustomers.length - visibleWarning.length;
-    const suppressedUninventoried =
-      uninventoriedCustomers.length - visibleUninventoried.length;
-
-    const visibleTotal =
-      customerSummary.customerEquipment.total -
-      suppressedDown -
-      suppressedWarning -
-      suppressedUninventoried;
-
-    const customerEquipment = {
-      down: visibleDown.length,
-      warning: visibleWarning.length,
-      uninventoried: visibleUninventoried.length,
-      good:
-        visibleTotal -
-        visibleDown.length -
-        visibleWarning.length -
-        visibleUninventoried.length,
-      total: visibleTotal,
-    };
-
-    const payload = {
-      infrastructureEquipment: infrastructureSummary.infrastructureEquipment,
-      customerEquipment,
-      // Tickets are shown as a single overview card for now.
-      tickets: {
-        open: openTickets,
-      },
-      meta: {
-        suppressed: {
-          down: suppressedDown,
-          warning: suppressedWarning,
-          uninventoried: suppressedUninventoried,
-        },
+    res.json({
+      ok: true,
+      source,
+      summary: {
+        ...buildStatusSummary(values),
+        flapping: getFlappingSummary({
+          hiddenItemIds: getHiddenInfrastructureItems(values.infrastructureSnapshot),
+          hiddenCustomerIds: getHiddenCustomers(listKnownCustomers(values)),
+        }),
+        incidents: getIncidentCounts(),
       },
-    };
-
-    summaryCache.ts = Date.now();
-    summaryCache.value = payload;
-
-    res.json({ ok: true, source: "sonar", summary: payload });
+      ...(stale && { stale }),
+    });
   } catch (err) {
     console.error("Status summary error:", err);
+
     res.status(200).json({
       ok: false,
       source: "error",
       error: err.message,
+      errorCode: getErrorCode(err),
       summary: {
         infrastructureEquipment: { good: 0, warning: 0, unmonitored: 0, down: 0, total: 0 },
         customerEquipment: { good: 0, warning: 0, uninventoried: 0, down: 0, total: 0 },
@@ -175,77 +289,63 @@ router.get("/status-summary", async (req, res) => {
   }
 });
 
-const downCache = makeCache(CACHE_TTL_MS);
-const goodCache = makeCache(CACHE_TTL_MS);
+// Creates the handler for one non-paginated customer status list.
+function handleCustomerList(key, errorLabel) {
+  return async (req, res) => {
+    try {
+      const { values, source, stale } = await readSources([key]);
+      const customers = values[key];
+      const visibleCustomers = filterSuppressed(customers);
 
-router.get("/down-customers", async (req, res) => {
-  try {
-    if (cacheFresh(downCache)) {
-      return res.json({
+      res.json({
         ok: true,
-        source: "cache",
-        customers: downCache.value,
+        source,
+        customers: withStatusDetails("customer", visibleCustomers, "customerId"),
+        meta: {
+          raw: customers.length,
+          suppressed: customers.length - visibleCustomers.length,
+          visible: visibleCustomers.length,
+        },
+        ...(stale && { stale }),
+      });
+    } catch (err) {
+      console.error(`${errorLabel}:`, err);
+
+      res.status(200).json({
+        ok: false,
+        source: "error",
+        error: err.message,
+        errorCode: getErrorCode(err),
+        customers: [],
       });
     }
+  };
+}
 
-    const customers = await getDownCustomers();
-    const visibleCustomers = filterSuppressed(customers);
-
-    downCache.ts = Date.now();
-    downCache.value = visibleCustomers;
-
-    res.json({
-      ok: true,
-      source: "sonar",
-      customers: visibleCustomers,
-      meta: {
-        raw: customers.length,
-        suppressed: customers.length - visibleCustomers.length,
-        visible: visibleCustomers.length,
-      },
-    });
-  } catch (err) {
-    console.error("Down customers error:", err);
-    res
-      .status(200)
-      .json({ ok: false, source: "error", error: err.message, customers: [] });
-  }
-});
-
-const warningCache = makeCache(CACHE_TTL_MS);
-const uninventoriedCache = makeCache(CACHE_TTL_MS);
-const infrastructureDownCache = makeCache(CACHE_TTL_MS);
-const infrastructureGoodCache = makeCache(CACHE_TTL_MS);
-const infrastructureUnmonitoredCache = makeCache(CACHE_TTL_MS);
-const infrastructureWarningCache = makeCache(CACHE_TTL_MS);
-const suppressedInfrastructureCache = makeCache(CACHE_TTL_MS);
+router.get("/down-customers", handleCustomerList("downCustomers", "Down customers error"));
 
 router.get("/good-customers", async (req, res) => {
   try {
     const page = parsePositiveInt(req.query.page, 1);
     const pageSize = parsePositiveInt(req.query.pageSize, 500, { min: 1, max: 500 });
-    const fromCache = cacheFresh(goodCache);
-
-    if (!fromCache) {
-      const customers = await getGoodCustomers();
-      goodCache.ts = Date.now();
-      goodCache.value = filterSuppressed(customers);
-    }
-
-    const pagination = paginateRows(goodCache.value || [], page, pageSize);
+    const { values, source, stale } = await readSources(["goodCustomers"]);
+    const pagination = paginateRows(filterSuppressed(values.goodCustomers), page, pageSize);
 
     res.json({
       ok: true,
-      source: fromCache ? "cache" : "sonar",
-      customers: pagination.rows,
+      source,
+      customers: withStatusDetails("customer", pagination.rows, "customerId"),
       meta: pagination.meta,
+      ...(stale && { stale }),
     });
   } catch (err) {
     console.error("Good customers error:", err);
+
     res.status(200).json({
       ok: false,
       source: "error",
       error: err.message,
+      errorCode: getErrorCode(err),
       customers: [],
       meta: {
         page: 1,
@@ -259,332 +359,436 @@ router.get("/good-customers", async (req, res) => {
   }
 });
 
-router.get("/warning-customers", async (req, res) => {
+router.get(
+  "/warning-customers",
+  handleCustomerList("warningCustomers", "Warning customers error"),
+);
+
+router.get(
+  "/uninventoried-customers",
+  handleCustomerList("uninventoriedCustomers", "Uninventoried customers error"),
+);
+
+// Lists suppressed customers, customers matched by a suppression rule and
+// customers in an active maintenance window. Every row says whether it is
+// `suppressed`, with the reason, author, time and expiry in `suppression`,
+// which rule, if any, hides it (`rule`) and which window, if any, it is in
+// (`maintenance`).
+router.get("/suppressed-customers", async (req, res) => {
   try {
-    if (cacheFresh(warningCache)) {
+    const suppressed = getSuppressedAccounts();
+    const rules = listSuppressionRules().filter((rule) => rule.appliesTo === "customers");
+    const windows = getActiveMaintenanceWindows();
+    const matching = rules.length > 0 || windows.length > 0;
+
+    if (!suppressed.size && !matching) {
       return res.json({
         ok: true,
-        source: "cache",
-        customers: warningCache.value,
+        source: "local",
+        customers: [],
       });
     }
 
-    const customers = await getWarningCustomers();
-    const visibleCustomers = filterSuppressed(customers);
+    const { values, source, stale } = await readSources([
+      ...(suppressed.size ? ["suppressedCustomers"] : []),
+      ...(matching ? MATCHED_CUSTOMER_SOURCES : []),
+    ]);
 
-    warningCache.ts = Date.now();
-    warningCache.value = visibleCustomers;
+    // A stale fallback can still list accounts that were unsuppressed since.
+    const customers = (values.suppressedCustomers || []).filter((customer) =>
+      suppressed.has(String(customer.customerId)),
+    );
+    const seen = new Set(customers.map((customer) => String(customer.customerId)));
 
-    res.json({
-      ok: true,
-      source: "sonar",
-      customers: visibleCustomers,
-      meta: {
-        raw: customers.length,
-        suppressed: customers.length - visibleCustomers.length,
-        visible: visibleCustomers.length,
-      },
-    });
-  } catch (err) {
-    console.error("Warning customers error:", err);
-    res
-      .status(200)
-      .json({ ok: false, source: "error", error: err.message, customers: [] });
-  }
-});
+    for (const key of matching ? MATCHED_CUSTOMER_SOURCES : []) {
+      for (const customer of values[key]) {
+        const id = String(customer.customerId);
+        if (seen.has(id)) continue;
+        if (!findCustomerRule(customer, rules) && !findCustomerWindow(customer, windows)) continue;
 
-router.get("/infrastructure-good", async (req, res) => {
-  try {
-    if (cacheFresh(infrastructureGoodCache)) {
-      return res.json({
-        ok: true,
-        source: "cache",
-        rows: infrastructureGoodCache.value,
-      });
+        seen.add(id);
+        customers.push(customer);
+      }
     }
 
-    const suppressedInfrastructureItems = getSuppressedInfrastructureItems();
-    const rows = await getInfrastructureGoodRows({
-      suppressedItemIds: suppressedInfrastructureItems,
+    const rows = customers.map((customer) => {
+      const rule = findCustomerRule(customer, rules);
+      const window = findCustomerWindow(customer, windows);
+
+      return {
+        ...customer,
+        suppressed: suppressed.has(String(customer.customerId)),
+        suppression: getAccountSuppression(customer.customerId),
+        rule: rule && describeSuppressionRule(rule),
+        maintenance: window && describeMaintenance(window),
+      };
     });
 
-    infrastructureGoodCache.ts = Date.now();
-    infrastructureGoodCache.value = rows;
-
     res.json({
       ok: true,
-      source: "sonar",
-      rows,
-      meta: {
-        visible: rows.length,
-        suppressed: suppressedInfrastructureItems.size,
-      },
+      source,
+      customers: withStatusDetails("customer", rows, "customerId"),
+      ...(stale && { stale }),
     });
   } catch (err) {
-    console.error("Infrastructure good rows error:", err);
+    console.error("Suppressed customers error:", err);
+
     res.status(200).json({
       ok: false,
       source: "error",
       error: err.message,
-      rows: [],
+      errorCode: getErrorCode(err),
+      customers: [],
     });
   }
 });
 
-router.get("/uninventoried-customers", async (req, res) => {
+// Groups down and warning customers by IP pool and network site and flags
+// groups that look like one shared outage. Suppressed customers are left out.
+router.get("/outages", async (req, res) => {
   try {
-    if (cacheFresh(uninventoriedCache)) {
-      return res.json({
-        ok: true,
-        source: "cache",
-        customers: uninventoriedCache.value,
-      });
-    }
-
-    const customers = await getUninventoriedCustomers();
-    const visibleCustomers = filterSuppressed(customers);
-
-    uninventoriedCache.ts = Date.now();
-    uninventoriedCache.value = visibleCustomers;
+    const { values, source, stale } = await readSources(OUTAGE_SOURCES);
+    const groups = buildOutageGroups({
+      downCustomers: filterSuppressed(values.downCustomers),
+      warningCustomers: filterSuppressed(values.warningCustomers),
+      goodCustomers: filterSuppressed(values.goodCustomers),
+      infrastructureSnapshot: values.infrastructureSnapshot,
+    });
 
     res.json({
       ok: true,
-      source: "sonar",
-      customers: visibleCustomers,
+      source,
+      outages: groups.filter((group) => group.suspected),
+      groups,
       meta: {
-        raw: customers.length,
-        suppressed: customers.length - visibleCustomers.length,
-        visible: visibleCustomers.length,
+        downSharePercent: OUTAGE_DOWN_SHARE_PERCENT,
+        minDown: OUTAGE_MIN_DOWN,
       },
+      ...(stale && { stale }),
     });
   } catch (err) {
-    console.error("Uninventoried customers error:", err);
+    console.error("Outages error:", err);
+
     res.status(200).json({
       ok: false,
       source: "error",
       error: err.message,
-      customers: [],
+      errorCode: getErrorCode(err),
+      outages: [],
+      groups: [],
     });
   }
 });
 
-// Returns the visible infrastructure rows that are currently WARNING.
-router.get("/infrastructure-warning", async (req, res) => {
-  try {
-    if (cacheFresh(infrastructureWarningCache)) {
-      return res.json({
+// Builds the list body for one infrastructure status bucket from a snapshot.
+// Suppressed devices and devices in maintenance are left out.
+function buildInfrastructureListBody(snapshot, status) {
+  const hiddenItemIds = getHiddenInfrastructureItems(snapshot);
+  const rows = getInfrastructureRowsByStatus(snapshot, status, {
+    suppressedItemIds: hiddenItemIds,
+  });
+
+  return {
+    rows: withStatusDetails("infrastructure", rows, "inventoryItemId"),
+    snapshot: describeInfrastructureSnapshot(snapshot),
+    meta: {
+      visible: rows.length,
+      suppressed: hiddenItemIds.size,
+    },
+  };
+}
+
+// Creates the handler for one infrastructure status table.
+function handleInfrastructureList(status, errorLabel) {
+  return async (req, res) => {
+    try {
+      const { values, source, stale } = await readSources(["infrastructureSnapshot"]);
+
+      res.json({
         ok: true,
-        source: "cache",
-        rows: infrastructureWarningCache.value,
+        source,
+        ...buildInfrastructureListBody(values.infrastructureSnapshot, status),
+        ...(stale && { stale }),
+      });
+    } catch (err) {
+      console.error(`${errorLabel}:`, err);
+
+      res.status(200).json({
+        ok: false,
+        source: "error",
+        error: err.message,
+        errorCode: getErrorCode(err),
+        rows: [],
       });
     }
+  };
+}
 
-    const suppressedInfrastructureItems = getSuppressedInfrastructureItems();
-    const rows = await getInfrastructureWarningRows({
-      suppressedItemIds: suppressedInfrastructureItems,
-    });
-
-    infrastructureWarningCache.ts = Date.now();
-    infrastructureWarningCache.value = rows;
+// Returns the visible infrastructure rows that are currently GOOD.
+router.get(
+  "/infrastructure-good",
+  handleInfrastructureList("GOOD", "Infrastructure good rows error"),
+);
 
-    res.json({
-      ok: true,
-      source: "sonar",
-      rows,
-      meta: {
-        visible: rows.length,
-        suppressed: suppressedInfrastructureItems.size,
-      },
-    });
-  } catch (err) {
-    console.error("Infrastructure warning rows error:", err);
-    res.status(200).json({
-      ok: false,
-      source: "error",
-      error: err.message,
-      rows: [],
-    });
-  }
-});
+// Returns the visible infrastructure rows that are currently WARNING.
+router.get(
+  "/infrastructure-warning",
+  handleInfrastructureList("WARNING", "Infrastructure warning rows error"),
+);
 
 // Returns the visible infrastructure rows that are currently DOWN.
-router.get("/infrastructure-down", async (req, res) => {
+router.get(
+  "/infrastructure-down",
+  handleInfrastructureList("DOWN", "Infrastructure down rows error"),
+);
+
+// Returns the visible infrastructure rows that land in the unmonitored bucket.
+router.get(
+  "/infrastructure-unmonitored",
+  handleInfrastructureList("UNMONITORED", "Infrastructure unmonitored rows error"),
+);
+
+// Builds the suppressed infrastructure body from a snapshot. Devices matched
+// by a suppression rule or in an active maintenance window are listed too;
+// every row says whether it is `suppressed`, with its details in
+// `suppression`, which rule, if any, hides it (`rule`) and which window, if
+// any, it is in (`maintenance`).
+function buildSuppressedInfrastructureBody(snapshot) {
+  const suppressedInfrastructureItems = getSuppressedInfrastructureItems();
+  const rules = listSuppressionRules();
+  const windows = getActiveMaintenanceWindows();
+
+  // Rehydrate suppressed inventory item IDs back into table rows so the UI
+  // can show context and offer unsuppress actions.
+  const rows = getSuppressedInfrastructureRows(snapshot, {
+    suppressedItemIds: getHiddenInfrastructureItems(snapshot),
+  }).map((row) => {
+    const rule = findInfrastructureRule(row, rules);
+    const window = findInfrastructureWindow(row, windows);
+
+    return {
+      ...row,
+      suppressed: suppressedInfrastructureItems.has(String(row.inventoryItemId)),
+      suppression: getInfrastructureItemSuppression(row.inventoryItemId),
+      rule: rule && describeSuppressionRule(rule),
+      maintenance: window && describeMaintenance(window),
+    };
+  });
+
+  return {
+    rows: withStatusDetails("infrastructure", rows, "inventoryItemId"),
+    snapshot: describeInfrastructureSnapshot(snapshot),
+    meta: {
+      stored: suppressedInfrastructureItems.size,
+      rules: rows.filter((row) => row.rule).length,
+      maintenance: rows.filter((row) => row.maintenance).length,
+      visible: rows.length,
+    },
+  };
+}
+
+router.get("/suppressed-infrastructure", async (req, res) => {
   try {
-    if (cacheFresh(infrastructureDownCache)) {
+    const hasRules = listSuppressionRules().some((rule) => rule.appliesTo === "infrastructure");
+
+    if (
+      !getSuppressedInfrastructureItems().size &&
+      !hasRules &&
+      !getActiveMaintenanceWindows().length
+    ) {
       return res.json({
         ok: true,
-        source: "cache",
-        rows: infrastructureDownCache.value,
+        source: "local",
+        rows: [],
       });
     }
 
-    const suppressedInfrastructureItems = getSuppressedInfrastructureItems();
-    const rows = await getInfrastructureDownRows({
-      suppressedItemIds: suppressedInfrastructureItems,
-    });
-
-    infrastructureDownCache.ts = Date.now();
-    infrastructureDownCache.value = rows;
+    const { values, source, stale } = await readSources(["infrastructureSnapshot"]);
 
     res.json({
       ok: true,
-      source: "sonar",
-      rows,
-      meta: {
-        visible: rows.length,
-        suppressed: suppressedInfrastructureItems.size,
-      },
+      source,
+      ...buildSuppressedInfrastructureBody(values.infrastructureSnapshot),
+      ...(stale && { stale }),
     });
   } catch (err) {
-    console.error("Infrastructure down rows error:", err);
+    console.error("Suppressed infrastructure error:", err);
+
     res.status(200).json({
       ok: false,
       source: "error",
       error: err.message,
+      errorCode: getErrorCode(err),
       rows: [],
     });
   }
 });
 
-// Returns the visible infrastructure rows that land in the unmonitored bucket.
-router.get("/infrastructure-unmonitored", async (req, res) => {
-  try {
-    if (cacheFresh(infrastructureUnmonitoredCache)) {
-      return res.json({
-        ok: true,
-        source: "cache",
-        rows: infrastructureUnmonitoredCache.value,
-      });
-    }
-
-    const suppressedInfrastructureItems = getSuppressedInfrastructureItems();
-    const rows = await getInfrastructureUnmonitoredRows({
-      suppressedItemIds: suppressedInfrastructureItems,
+// Returns recorded overview counts as per-metric series.
+// Query: from/to (ISO date or epoch ms, default last 24h), resolution
+// (raw, 1m, 5m, 15m, 1h, 6h, 1d or auto) and an optional comma-separated
+// metrics list such as "customers.down,infrastructure.down".
+router.get("/history", (req, res) => {
+  const to = parseTimeParam(req.query.to, Date.now());
+  const from = to === null ? null : parseTimeParam(req.query.from, to - DAY_MS);
+  const resolution = req.query.resolution || "auto";
+  const stepMs = from === null ? null : resolveStep(resolution, to - from);
+
+  if (from === null || to === null || from > to || stepMs === null) {
+    return res.status(400).json({
+      ok: false,
+      source: "error",
+      error: "Invalid from, to or resolution",
+      errorCode: "INVALID_REQUEST",
+      series: {},
     });
+  }
 
-    infrastructureUnmonitoredCache.ts = Date.now();
-    infrastructureUnmonitoredCache.value = rows;
+  const metrics = req.query.metrics
+    ? String(req.query.metrics)
+        .split(",")
+        .map((metric) => metric.trim())
+        .filter(Boolean)
+    : null;
+
+  res.json({
+    ok: true,
+    source: "local",
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    resolution,
+    stepMs,
+    series: querySeries({ from, to, stepMs, metrics }),
+  });
+});
 
-    res.json({
-      ok: true,
-      source: "sonar",
-      rows,
-      meta: {
-        visible: rows.length,
-        suppressed: suppressedInfrastructureItems.size,
-      },
-    });
-  } catch (err) {
-    console.error("Infrastructure unmonitored rows error:", err);
-    res.status(200).json({
+// Returns recorded status transitions, newest first.
+// Query: kind (infrastructure or customer), site (exact site name), customer
+// (text matched against customer names and ids), status (matches either side
+// of a change), from/to (ISO date or epoch ms) and limit (default 500).
+router.get("/transitions", (req, res) => {
+  const kind = req.query.kind || null;
+  const from = parseTimeParam(req.query.from, null);
+  const to = parseTimeParam(req.query.to, null);
+
+  if (
+    (kind && !TRANSITION_KINDS.includes(kind)) ||
+    (req.query.from && from === null) ||
+    (req.query.to && to === null)
+  ) {
+    return res.status(400).json({
       ok: false,
       source: "error",
-      error: err.message,
-      rows: [],
+      error: "Invalid kind, from or to",
+      errorCode: "INVALID_REQUEST",
+      transitions: [],
     });
   }
-});
-
-router.get("/suppressed-customers", async (req, res) => {
-  try {
-    const suppressed = [...getSuppressedAccounts()];
-
-    if (!suppressed.length) {
-      return res.json({
-        ok: true,
-        source: "local",
-        customers: [],
-      });
-    }
 
-    const customers = await getCustomersByIds(suppressed);
+  const { total, transitions } = queryTransitions({
+    kind,
+    site: req.query.site || null,
+    customer: req.query.customer || null,
+    status: req.query.status || null,
+    from,
+    to,
+    limit: parsePositiveInt(req.query.limit, 500, { max: 5000 }),
+  });
+
+  res.json({
+    ok: true,
+    source: "local",
+    transitions,
+    meta: {
+      total,
+      returned: transitions.length,
+      sites: getTransitionSites(),
+    },
+  });
+});
 
-    res.json({
-      ok: true,
-      source: "sonar",
-      customers,
-    });
-  } catch (err) {
-    console.error("Suppressed customers error:", err);
-    res.status(200).json({
+// Returns infrastructure availability per network site and inventory item,
+// built from the recorded status transitions.
+// Query: range (24h, 7d or 30d; default 24h) or a custom from/to (ISO date
+// or epoch ms). With format=csv the response is a CSV download of one level
+// (level=sites, the default, or level=items).
+router.get("/uptime", (req, res) => {
+  const now = Date.now();
+  const custom = Boolean(req.query.from);
+  const range = custom ? "custom" : req.query.range || "24h";
+  // Nothing is recorded after now, so a later end is reported as now.
+  const to = custom ? Math.min(parseTimeParam(req.query.to, now), now) : now;
+  const from = custom ? parseTimeParam(req.query.from, null) : now - UPTIME_RANGES[range];
+  const level = req.query.level || "sites";
+
+  if (
+    !Number.isFinite(from) ||
+    !Number.isFinite(to) ||
+    from >= to ||
+    !Object.hasOwn(UPTIME_CSV_COLUMNS, level)
+  ) {
+    return res.status(400).json({
       ok: false,
       source: "error",
-      error: err.message,
-      customers: [],
+      error: "Invalid range, from, to or level",
+      errorCode: "INVALID_REQUEST",
+      sites: [],
+      items: [],
     });
   }
-});
 
-router.get("/suppressed-infrastructure", async (req, res) => {
-  try {
-    if (cacheFresh(suppressedInfrastructureCache)) {
-      return res.json({
-        ok: true,
-        source: "cache",
-        rows: suppressedInfrastructureCache.value,
-      });
-    }
+  // Leaves out the same devices the dashboard lists hide: suppressed ones,
+  // ones matched by a suppression rule and ones in a maintenance window.
+  const report = buildUptimeReport({
+    from,
+    to,
+    excludedItemIds: getHiddenInfrastructureItems(peekSource("infrastructureSnapshot")?.value),
+  });
 
-    const suppressedInfrastructureItems = getSuppressedInfrastructureItems();
+  if (req.query.format === "csv") {
+    const day = (ms) => new Date(ms).toISOString().slice(0, 10);
 
-    if (!suppressedInfrastructureItems.size) {
-      return res.json({
-        ok: true,
-        source: "local",
-        rows: [],
-      });
-    }
-
-    // Rehydrate suppressed inventory item IDs back into table rows so the UI
-    // can show context and offer unsuppress actions.
-    const rows = await getSuppressedInfrastructureRows({
-      suppressedItemIds: suppressedInfrastructureItems,
-    });
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.attachment(`uptime-${level}-${day(from)}-to-${day(to)}.csv`);
+    return res.send(toCsv(UPTIME_CSV_COLUMNS[level], report[level]));
+  }
 
-    suppressedInfrastructureCache.ts = Date.now();
-    suppressedInfrastructureCache.value = rows;
+  res.json({
+    ok: true,
+    source: "local",
+    range,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    sites: report.sites,
+    items: report.items,
+  });
+});
 
-    res.json({
-      ok: true,
-      source: "sonar",
-      rows,
-      meta: {
-        stored: suppressedInfrastructureItems.size,
-        visible: rows.length,
-      },
-    });
-  } catch (err) {
-    console.error("Suppressed infrastructure error:", err);
-    res.status(200).json({
-      ok: false,
-      source: "error",
-      error: err.message,
-      rows: [],
-    });
-  }
+// Reports Sonar connection health for troubleshooting.
+router.get("/diagnostics", (req, res) => {
+  res.json({
+    ok: true,
+    sonar: {
+      circuit: getSonarCircuitState(),
+      coalescing: getSonarCoalescingStats(),
+    },
+    cache: getCacheStats(),
+    poller: getPollerStatus(),
+    events: {
+      // Each open /api/events stream holds one "update" listener.
+      streams: dashboardEvents.listenerCount("update"),
+    },
+    history: getHistoryStats(),
+    transitions: getTransitionStats(),
+  });
 });
 
-// Clears cached customer responses after suppression changes.
+// Reloads cached customer data after suppression changes.
 function clearCustomerCaches() {
-  summaryCache.ts = 0;
-  downCache.ts = 0;
-  goodCache.ts = 0;
-  warningCache.ts = 0;
-  uninventoriedCache.ts = 0;
-}
-
-// Clears cached infrastructure responses after suppression changes.
-function clearInfrastructureCaches() {
-  summaryCache.ts = 0;
-  infrastructureDownCache.ts = 0;
-  infrastructureGoodCache.ts = 0;
-  infrastructureUnmonitoredCache.ts = 0;
-  infrastructureWarningCache.ts = 0;
-  suppressedInfrastructureCache.ts = 0;
+  invalidateSuppressedCustomers();
 }
 
 module.exports = {
-  clearInfrastructureCaches,
   router,
   clearCustomerCaches,
 };
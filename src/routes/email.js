@@ -0,0 +1,77 @@
+// src/routes/email.js (CommonJS)
+//
+// Email settings and recipients for the email page, plus test and digest
+// sends. SMTP settings live in .env and recipients in
+// data/email-recipients.json; neither is editable here.
+
+const express = require("express");
+const { getLastResult, sendDigest, sendTestEmail } = require("../services/emailNotifier");
+const { isEmailAddress, listRecipients } = require("../services/emailRecipients");
+const { describeSmtpSettings, isEmailConfigured } = require("../services/mailer");
+const { getEnvInt } = require("../utils/env");
+
+const router = express.Router();
+
+router.use(express.json());
+
+function sendError(res, error, errorCode) {
+  res.status(200).json({ ok: false, source: "error", error, errorCode });
+}
+
+// Returns an error payload when SMTP is not set up, or null.
+function checkConfigured(res) {
+  if (isEmailConfigured()) return false;
+  sendError(res, "Email is not configured (set SMTP_HOST and SMTP_FROM)", "EMAIL_NOT_CONFIGURED");
+  return true;
+}
+
+// Lists the relay settings (without secrets) and recipients with the
+// outcome of the last email each one was sent.
+router.get("/", (req, res) => {
+  res.json({
+    ok: true,
+    source: "local",
+    smtp: describeSmtpSettings(),
+    recipients: listRecipients().map((recipient) => ({
+      ...recipient,
+      lastResult: getLastResult(recipient.email),
+    })),
+    meta: { digestHour: getEnvInt("EMAIL_DIGEST_HOUR") ?? 7 },
+  });
+});
+
+// Sends a test email. Body: { to }
+router.post("/test", async (req, res) => {
+  const to = req.body?.to;
+
+  if (!isEmailAddress(to)) {
+    return res.status(400).json({
+      ok: false,
+      source: "error",
+      error: "A valid email address is required",
+      errorCode: "INVALID_REQUEST",
+    });
+  }
+
+  if (checkConfigured(res)) return;
+
+  const result = await sendTestEmail(to.trim());
+  if (!result.ok) return sendError(res, result.error, "EMAIL_FAILED");
+
+  res.json({ ok: true, source: "local", result });
+});
+
+// Sends the daily digest now to every digest recipient.
+router.post("/digest", async (req, res) => {
+  if (checkConfigured(res)) return;
+
+  try {
+    const { sent, failed } = await sendDigest();
+    res.json({ ok: true, source: "local", sent, failed });
+  } catch (err) {
+    console.error("Email digest error:", err);
+    sendError(res, err.message, "EMAIL_FAILED");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// src/routes/escalations.js (CommonJS)
+//
+// Escalations of firing alerts, who is on call, and acknowledging an
+// escalation to stop it. Policies and schedules live in
+// data/escalation-policies.json and are not editable here.
+
+const express = require("express");
+const { loadEscalationConfig } = require("../services/escalationConfig");
+const {
+  ESCALATION_STATES,
+  acknowledgeEscalation,
+  listEscalations,
+  listOnCall,
+} = require("../services/escalationEngine");
+
+const router = express.Router();
+
+router.use(express.json());
+
+const MAX_AUTHOR_LENGTH = 200;
+
+function sendInvalid(res, error) {
+  res.status(400).json({ ok: false, source: "error", error, errorCode: "INVALID_REQUEST" });
+}
+
+// Lists escalations, newest first, with the current on-call members and
+// configured policies. Query: state (active, acknowledged or resolved).
+router.get("/", (req, res) => {
+  const state = req.query.state || null;
+
+  if (state && !ESCALATION_STATES.includes(state)) {
+    return sendInvalid(res, `state must be one of: ${ESCALATION_STATES.join(", ")}`);
+  }
+
+  const { policies, quietHours } = loadEscalationConfig();
+
+  res.json({
+    ok: true,
+    source: "local",
+    escalations: listEscalations({ state }),
+    onCall: listOnCall(),
+    policies: policies.map((policy) => ({
+      name: policy.name,
+      severities: policy.severities,
+      rules: policy.rules,
+      steps: policy.steps,
+    })),
+    meta: { quietHours: quietHours.length },
+  });
+});
+
+// Acknowledges an escalation so it stops. Body: { author? }
+router.post("/:id/acknowledge", (req, res) => {
+  const author = req.body?.author;
+
+  if (
+    author !== undefined &&
+    author !== null &&
+    (typeof author !== "string" || author.length > MAX_AUTHOR_LENGTH)
+  ) {
+    return sendInvalid(res, "Invalid author");
+  }
+
+  const escalation = acknowledgeEscalation(req.params.id, { author: author?.trim() || null });
+
+  if (!escalation) {
+    return res.status(404).json({
+      ok: false,
+      source: "error",
+      error: "Escalation not found",
+      errorCode: "NOT_FOUND",
+    });
+  }
+
+  res.json({ ok: true, source: "local", escalation });
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// src/routes/events.js (CommonJS)
+//
+// Server-Sent Events stream. Browsers keep one connection open and re-fetch
+// their endpoint only when something they show has changed, instead of every
+// screen polling on a timer.
+
+const express = require("express");
+const { dashboardEvents } = require("../services/dashboardEvents");
+
+const router = express.Router();
+
+// Comment lines keep proxies and browsers from closing an idle stream.
+const HEARTBEAT_MS = 25_000;
+// How long browsers wait before reconnecting after the stream drops.
+const RECONNECT_MS = 5_000;
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+router.get("/", (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+  });
+
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+  writeEvent(res, "ready", { at: new Date().toISOString() });
+
+  const onUpdate = (data) => writeEvent(res, "update", data);
+  const onSuppressions = (data) => writeEvent(res, "suppressions", data);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  dashboardEvents.on("update", onUpdate);
+  dashboardEvents.on("suppressions", onSuppressions);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    dashboardEvents.off("update", onUpdate);
+    dashboardEvents.off("suppressions", onSuppressions);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+// src/routes/incidents.js (CommonJS)
+//
+// REST routes for locally stored incidents. Every change is announced as an
+// "incidents" update so open pages and the overview tile re-fetch.
+
+const express = require("express");
+const {
+  INCIDENT_SEVERITIES,
+  addIncidentNote,
+  createIncident,
+  getIncident,
+  getIncidentCounts,
+  listIncidents,
+  setIncidentState,
+} = require("../services/incidentStore");
+const { dashboardEvents } = require("../services/dashboardEvents");
+
+const router = express.Router();
+
+router.use(express.json());
+
+// Filters accepted by GET /api/incidents?state=
+const STATE_FILTERS = ["open", "acknowledged", "resolved", "active"];
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTE_LENGTH = 2000;
+
+// Tells connected dashboards that incidents changed so they re-fetch.
+function announceChange() {
+  dashboardEvents.emit("update", { sources: ["incidents"], at: new Date().toISOString() });
+}
+
+function sendInvalid(res, error) {
+  res.status(400).json({ ok: false, source: "error", error, errorCode: "INVALID_REQUEST" });
+}
+
+function sendNotFound(res) {
+  res.status(404).json({
+    ok: false,
+    source: "error",
+    error: "Incident not found",
+    errorCode: "NOT_FOUND",
+  });
+}
+
+// Reads an optional free-text field from a request body. Returns undefined
+// when the value is present but not a string or too long.
+function readText(value, maxLength) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string" || value.length > maxLength) return undefined;
+  return value.trim() || null;
+}
+
+// Returns true for a missing list or an array of ids.
+function isIdList(value) {
+  return (
+    value === undefined ||
+    (Array.isArray(value) && value.every((id) => typeof id === "string" || Number.isInteger(id)))
+  );
+}
+
+// Lists incidents, newest first. Query: state (open, acknowledged, resolved
+// or active for anything not resolved).
+router.get("/", (req, res) => {
+  const state = req.query.state || null;
+
+  if (state && !STATE_FILTERS.includes(state)) {
+    return sendInvalid(res, "Invalid state");
+  }
+
+  res.json({
+    ok: true,
+    source: "local",
+    incidents: listIncidents({ state }),
+    meta: getIncidentCounts(),
+  });
+});
+
+router.get("/:id", (req, res) => {
+  const incident = getIncident(req.params.id);
+  if (!incident) return sendNotFound(res);
+
+  res.json({ ok: true, source: "local", incident });
+});
+
+// Creates an incident.
+// Body: { title, severity, customerIds?, inventoryItemIds?, note?, author? }
+router.post("/", (req, res) => {
+  const body = req.body || {};
+  const title = readText(body.title, MAX_TITLE_LENGTH);
+  const note = readText(body.note, MAX_NOTE_LENGTH);
+  const author = readText(body.author, MAX_TITLE_LENGTH);
+
+  if (!title || !INCIDENT_SEVERITIES.includes(body.severity)) {
+    return sendInvalid(res, "A title and a severity (critical, major or minor) are required");
+  }
+
+  if (
+    note === undefined ||
+    author === undefined ||
+    !isIdList(body.customerIds) ||
+    !isIdList(body.inventoryItemIds)
+  ) {
+    return sendInvalid(res, "Invalid note, author, customerIds or inventoryItemIds");
+  }
+
+  const incident = createIncident({
+    title,
+    severity: body.severity,
+    customerIds: body.customerIds,
+    inventoryItemIds: body.inventoryItemIds,
+    note,
+    author,
+  });
+
+  announceChange();
+  res.status(201).json({ ok: true, source: "local", incident });
+});
+
+// Creates the handler that moves an incident to `state`.
+// Body: { note?, author? }
+function handleStateChange(state) {
+  return (req, res) => {
+    const note = readText(req.body?.note, MAX_NOTE_LENGTH);
+    const author = readText(req.body?.author, MAX_TITLE_LENGTH);
+
+    if (note === undefined || author === undefined) {
+      return sendInvalid(res, "Invalid note or author");
+    }
+
+    const incident = setIncidentState(req.params.id, state, { note, author });
+    if (!incident) return sendNotFound(res);
+
+    announceChange();
+    res.json({ ok: true, source: "local", incident });
+  };
+}
+
+router.post("/:id/acknowledge", handleStateChange("acknowledged"));
+router.post("/:id/resolve", handleStateChange("resolved"));
+router.post("/:id/reopen", handleStateChange("open"));
+
+// Adds a note to the incident timeline. Body: { text, author? }
+router.post("/:id/notes", (req, res) => {
+  const text = readText(req.body?.text, MAX_NOTE_LENGTH);
+  const author = readText(req.body?.author, MAX_TITLE_LENGTH);
+
+  if (!text || author === undefined) {
+    return sendInvalid(res, "A note text is required");
+  }
+
+  const incident = addIncidentNote(req.params.id, { text, author });
+  if (!incident) return sendNotFound(res);
+
+  announceChange();
+  res.json({ ok: true, source: "local", incident });
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+// src/routes/maintenance.js (CommonJS)
+//
+// REST routes for scheduled maintenance windows. Every change is announced
+// as a "maintenance" update so open pages re-fetch, and a window that starts
+// or ends because of the change takes effect right away.
+
+const express = require("express");
+const { dashboardEvents } = require("../services/dashboardEvents");
+const {
+  MAINTENANCE_TARGETS,
+  checkMaintenanceWindows,
+  createMaintenanceWindow,
+  deleteMaintenanceWindow,
+  getWindowState,
+  listMaintenanceWindows,
+  updateMaintenanceWindow,
+  validateMaintenanceWindow,
+} = require("../services/maintenanceStore");
+
+const router = express.Router();
+
+router.use(express.json());
+
+// Tells connected dashboards that maintenance windows changed.
+function announceChange() {
+  checkMaintenanceWindows();
+  dashboardEvents.emit("update", { sources: ["maintenance"], at: new Date().toISOString() });
+}
+
+function sendInvalid(res, error) {
+  res.status(400).json({ ok: false, source: "error", error, errorCode: "INVALID_REQUEST" });
+}
+
+function sendNotFound(res) {
+  res.status(404).json({
+    ok: false,
+    source: "error",
+    error: "Maintenance window not found",
+    errorCode: "NOT_FOUND",
+  });
+}
+
+// Adds whether the window is scheduled, active or ended.
+function describeWindow(window, now = Date.now()) {
+  return { ...window, state: getWindowState(window, now) };
+}
+
+// Lists windows by start time. Windows that ended more than 30 days ago
+// are dropped when the file is next saved.
+router.get("/", (req, res) => {
+  const now = Date.now();
+  const windows = listMaintenanceWindows().map((window) => describeWindow(window, now));
+
+  res.json({
+    ok: true,
+    source: "local",
+    windows,
+    meta: {
+      active: windows.filter((window) => window.state === "active").length,
+      targets: MAINTENANCE_TARGETS,
+    },
+  });
+});
+
+// Schedules a window. Body: { title, startsAt, endsAt, targets, note? }
+// where `targets` holds lists of inventoryItems, networkSites, ipPools and
+// accounts.
+router.post("/", (req, res) => {
+  const { window, error } = validateMaintenanceWindow(req.body);
+  if (error) return sendInvalid(res, error);
+
+  const created = createMaintenanceWindow(window);
+  announceChange();
+  res.status(201).json({ ok: true, source: "local", window: describeWindow(created) });
+});
+
+// Replaces a window's definition.
+router.put("/:id", (req, res) => {
+  const { window, error } = validateMaintenanceWindow(req.body);
+  if (error) return sendInvalid(res, error);
+
+  const updated = updateMaintenanceWindow(req.params.id, window);
+  if (!updated) return sendNotFound(res);
+
+  announceChange();
+  res.json({ ok: true, source: "local", window: describeWindow(updated) });
+});
+
+// Removes a window. Removing an active window lifts it right away.
+router.delete("/:id", (req, res) => {
+  if (!deleteMaintenanceWindow(req.params.id)) return sendNotFound(res);
+
+  announceChange();
+  res.json({ ok: true, source: "local" });
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// src/routes/suppressionRules.js (CommonJS)
+//
+// REST routes for rule-based suppressions. Every change is announced as a
+// suppression change, so open pages re-fetch and totals and alerts are
+// re-checked right away.
+
+const express = require("express");
+const { dashboardEvents } = require("../services/dashboardEvents");
+const {
+  RULE_FIELDS,
+  RULE_TARGETS,
+  createSuppressionRule,
+  deleteSuppressionRule,
+  listSuppressionRules,
+  updateSuppressionRule,
+  validateSuppressionRule,
+} = require("../services/suppressionRuleStore");
+
+const router = express.Router();
+
+router.use(express.json());
+
+// Tells connected dashboards that a rule was added, changed or removed.
+function announceChange(rule, action) {
+  dashboardEvents.emit("suppressions", {
+    kind: "rules",
+    id: String(rule.id),
+    action,
+    title: rule.name,
+    at: new Date().toISOString(),
+  });
+}
+
+function sendInvalid(res, error) {
+  res.status(400).json({ ok: false, source: "error", error, errorCode: "INVALID_REQUEST" });
+}
+
+function sendNotFound(res) {
+  res.status(404).json({
+    ok: false,
+    source: "error",
+    error: "Suppression rule not found",
+    errorCode: "NOT_FOUND",
+  });
+}
+
+// Lists rules, plus the fields each target can match for the rule form.
+router.get("/", (req, res) => {
+  const fields = Object.entries(RULE_FIELDS).map(([key, field]) => ({
+    key,
+    label: field.label,
+    targets: field.targets,
+  }));
+
+  res.json({
+    ok: true,
+    source: "local",
+    rules: listSuppressionRules(),
+    meta: { targets: RULE_TARGETS, fields },
+  });
+});
+
+// Creates a rule. Body: { name, appliesTo, field, value }
+router.post("/", (req, res) => {
+  const { rule, error } = validateSuppressionRule(req.body);
+  if (error) return sendInvalid(res, error);
+
+  const created = createSuppressionRule(rule);
+  announceChange(created, "suppressed");
+  res.status(201).json({ ok: true, source: "local", rule: created });
+});
+
+// Replaces a rule's definition.
+router.put("/:id", (req, res) => {
+  const { rule, error } = validateSuppressionRule(req.body);
+  if (error) return sendInvalid(res, error);
+
+  const updated = updateSuppressionRule(req.params.id, rule);
+  if (!updated) return sendNotFound(res);
+
+  announceChange(updated, "updated");
+  res.json({ ok: true, source: "local", rule: updated });
+});
+
+// Removes a rule. Everything it hid counts again right away.
+router.delete("/:id", (req, res) => {
+  const removed = deleteSuppressionRule(req.params.id);
+  if (!removed) return sendNotFound(res);
+
+  announceChange(removed, "unsuppressed");
+  res.json({ ok: true, source: "local" });
+});
+
+module.exports = router;
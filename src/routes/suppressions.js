@@ -6,11 +6,30 @@ const {
   suppressInfrastructureItem,
   unsuppressAccount,
   unsuppressInfrastructureItem,
+  validateSuppressionDetails,
 } = require("../services/suppressionStore");
-const { clearCustomerCaches, clearInfrastructureCaches } = require("./api");
+const { clearCustomerCaches } = require("./api");
+const { dashboardEvents } = require("../services/dashboardEvents");
 
 const router = express.Router();
 
+router.use(express.json());
+
+// Tells connected dashboards that a suppression changed so they re-fetch.
+function announceChange(kind, id, action, details = {}) {
+  dashboardEvents.emit("suppressions", {
+    kind,
+    id: String(id),
+    action,
+    ...(details.reason && { reason: details.reason }),
+    at: new Date().toISOString(),
+  });
+}
+
+function sendInvalid(res, error) {
+  res.status(400).json({ ok: false, source: "error", error, errorCode: "INVALID_REQUEST" });
+}
+
 // List all suppressed accounts.
 router.get("/", (req, res) => {
   res.json({
@@ -21,9 +40,14 @@ router.get("/", (req, res) => {
 });
 
 // Suppress account by ID and clear cached data.
+// Body (all optional): { reason, author, expiresAt }
 router.post("/accounts/:id", (req, res) => {
-  suppressAccount(req.params.id);
+  const { details, error } = validateSuppressionDetails(req.body);
+  if (error) return sendInvalid(res, error);
+
+  suppressAccount(req.params.id, details);
   clearCustomerCaches();
+  announceChange("accounts", req.params.id, "suppressed", details);
   res.json({ ok: true });
 });
 
@@ -31,18 +55,23 @@ router.post("/accounts/:id", (req, res) => {
 router.delete("/accounts/:id", (req, res) => {
   unsuppressAccount(req.params.id);
   clearCustomerCaches();
+  announceChange("accounts", req.params.id, "unsuppressed");
   res.json({ ok: true });
 });
 
+// Body (all optional): { reason, author, expiresAt }
 router.post("/infrastructure-items/:id", (req, res) => {
-  suppressInfrastructureItem(req.params.id);
-  clearInfrastructureCaches();
+  const { details, error } = validateSuppressionDetails(req.body);
+  if (error) return sendInvalid(res, error);
+
+  suppressInfrastructureItem(req.params.id, details);
+  announceChange("infrastructure-items", req.params.id, "suppressed", details);
   res.json({ ok: true });
 });
 
 router.delete("/infrastructure-items/:id", (req, res) => {
   unsuppressInfrastructureItem(req.params.id);
-  clearInfrastructureCaches();
+  announceChange("infrastructure-items", req.params.id, "unsuppressed");
   res.json({ ok: true });
 });
 
@@ -0,0 +1,68 @@
+// src/routes/webhooks.js (CommonJS)
+//
+// Read-only view of the configured webhooks and their delivery log, plus a
+// test send. Webhooks themselves are configured in data/webhooks.json.
+
+const express = require("express");
+const { sendTestNotification } = require("../services/webhookNotifier");
+const { listDeliveries, loadWebhookConfig } = require("../services/webhookStore");
+
+const router = express.Router();
+
+// Delivery statuses accepted by GET /api/webhooks?status=
+const STATUS_FILTERS = ["pending", "retrying", "delivered", "failed"];
+
+// Describes a webhook for the browser. Secrets and full URLs (which often
+// carry tokens) never leave the server.
+function describeWebhook(webhook) {
+  return {
+    name: webhook.name,
+    format: webhook.format,
+    events: webhook.events,
+    target: new URL(webhook.url).host,
+    signed: Boolean(webhook.secret),
+    enabled: webhook.enabled,
+  };
+}
+
+// Lists configured webhooks and recent deliveries, newest first.
+// Query: webhook (name), status.
+router.get("/", (req, res) => {
+  const webhook = req.query.webhook || null;
+  const status = req.query.status || null;
+
+  if (status && !STATUS_FILTERS.includes(status)) {
+    return res.status(400).json({
+      ok: false,
+      source: "error",
+      error: "Invalid status",
+      errorCode: "INVALID_REQUEST",
+    });
+  }
+
+  const config = loadWebhookConfig();
+
+  res.json({
+    ok: true,
+    source: "local",
+    webhooks: config.webhooks.map(describeWebhook),
+    deliveries: listDeliveries({ webhook, status }),
+    meta: { customerDownThreshold: config.customerDownThreshold },
+  });
+});
+
+// Sends a test notification. The result shows up in the delivery log.
+router.post("/:name/test", (req, res) => {
+  if (!sendTestNotification(req.params.name)) {
+    return res.status(404).json({
+      ok: false,
+      source: "error",
+      error: "Webhook not found",
+      errorCode: "NOT_FOUND",
+    });
+  }
+
+  res.status(202).json({ ok: true, source: "local" });
+});
+
+module.exports = router;
@@ -0,0 +1,355 @@
+// src/services/alertEngine.js
+//
+// Evaluates alert rules against every new summary and infrastructure
+// snapshot, and on a timer so "for N minutes" conditions fire even when
+// Sonar data stops changing.
+//
+// Each rule has one alert that moves through:
+//   ok -> pending -> firing -> resolved
+// A rule whose condition holds waits in "pending" for its `forMinutes`, then
+// fires once. It stays firing, without paging again, until the condition
+// clears. Devices that go down while an item rule is already firing join the
+// same alert, so one outage is one page. States are saved to disk so a
+// restart does not page again for an alert that is still firing.
+//
+// Firing and resolving alerts are announced as "alerts" events on the
+// dashboard event bus.
+
+const path = require("path");
+const { describeAlertRule, listAlertRules } = require("./alertRuleStore");
+const { SUMMARY_SOURCES, peekSource } = require("./dashboardData");
+const { dashboardEvents } = require("./dashboardEvents");
+const { querySeries } = require("./historyStore");
+const { getInfrastructureRowsByStatus } = require("./sonarService");
+const {
+  buildStatusSummary,
+  getHiddenInfrastructureItems,
+  summaryToMetrics,
+} = require("./statusSummary");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+
+const ALERT_STATE_DATA_PATH = path.resolve(__dirname, "../../data/alert-state.json");
+const ALERT_STATE_FORMAT_VERSION = 1;
+
+// How often rules are re-checked while data is unchanged.
+const EVALUATE_INTERVAL_MS = 15_000;
+// Longest list of matching devices kept on an alert.
+const MAX_MATCHES = 50;
+// State changes close together are written to disk in one go.
+const SAVE_DELAY_MS = 2_000;
+
+const MINUTE_MS = 60_000;
+
+// Infrastructure metrics whose devices are listed on the alert.
+const INFRASTRUCTURE_MATCH_STATUSES = ["down", "warning", "unmonitored"];
+
+// Alert state per rule id.
+const alerts = loadAlerts();
+let saveTimer = null;
+
+function loadAlerts() {
+  const raw = readJsonFile(ALERT_STATE_DATA_PATH);
+  if (raw?.version !== ALERT_STATE_FORMAT_VERSION || !raw.alerts) return new Map();
+  return new Map(Object.entries(raw.alerts));
+}
+
+function saveAlerts() {
+  try {
+    writeJsonFileAtomic(ALERT_STATE_DATA_PATH, {
+      version: ALERT_STATE_FORMAT_VERSION,
+      alerts: Object.fromEntries(alerts),
+    });
+  } catch (err) {
+    console.error("Could not save alert states:", err.message);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveAlerts();
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+// Returns the current summary and snapshot, or null while any overview
+// source is missing, restored from disk or failing, so alerts only ever
+// react to data Sonar just reported.
+function readFreshData() {
+  const results = SUMMARY_SOURCES.map(peekSource);
+  if (results.some((result) => !result || result.restored || result.error)) return null;
+
+  const values = {};
+  SUMMARY_SOURCES.forEach((key, index) => {
+    values[key] = results[index].value;
+  });
+
+  return {
+    metrics: summaryToMetrics(buildStatusSummary(values)),
+    snapshot: values.infrastructureSnapshot,
+  };
+}
+
+function compare(value, operator, target) {
+  if (operator === ">") return value > target;
+  if (operator === ">=") return value >= target;
+  if (operator === "<") return value < target;
+  if (operator === "<=") return value <= target;
+  return value === target;
+}
+
+// Keeps the fields of a device row that alert messages show.
+function toMatch(row) {
+  return {
+    inventoryItemId: String(row.inventoryItemId),
+    deviceName: row.deviceName,
+    networkSiteId: row.networkSiteId,
+    networkSiteName: row.networkSiteName,
+    ipAddresses: row.ipAddresses,
+  };
+}
+
+// Returns visible device rows with a status, e.g. "DOWN". Devices that are
+// suppressed or in maintenance never alert.
+function getVisibleRows(snapshot, status) {
+  return getInfrastructureRowsByStatus(snapshot, status, {
+    suppressedItemIds: getHiddenInfrastructureItems(snapshot),
+  });
+}
+
+// Lists the devices behind an infrastructure metric such as
+// "infrastructure.down", so alerts on counts still name the devices.
+function getMetricMatches(metric, snapshot) {
+  const [group, status] = metric.split(".");
+  if (group !== "infrastructure" || !INFRASTRUCTURE_MATCH_STATUSES.includes(status)) return [];
+
+  return getVisibleRows(snapshot, status.toUpperCase()).slice(0, MAX_MATCHES).map(toMatch);
+}
+
+// Each check returns `{ active, value, detail, matches }` for one rule.
+function checkThreshold(rule, { metrics, snapshot }) {
+  const value = metrics[rule.metric] ?? 0;
+
+  return {
+    active: compare(value, rule.operator, rule.value),
+    value,
+    detail: `${rule.metric} is ${value}`,
+    matches: getMetricMatches(rule.metric, snapshot),
+  };
+}
+
+function checkItemStatus(rule, { snapshot }) {
+  const site = rule.site?.toLowerCase() || null;
+  const rows = getVisibleRows(snapshot, rule.status.toUpperCase()).filter(
+    (row) => !site || String(row.networkSiteName || "").toLowerCase() === site,
+  );
+
+  const names = rows.slice(0, 5).map((row) => row.deviceName || `#${row.inventoryItemId}`);
+  if (rows.length > names.length) names.push(`${rows.length - names.length} more`);
+
+  return {
+    active: rows.length > 0,
+    value: rows.length,
+    detail: rows.length ? `${rule.status}: ${names.join(", ")}` : `No device is ${rule.status}`,
+    matches: rows.slice(0, MAX_MATCHES).map(toMatch),
+  };
+}
+
+// Compares the current value with the lowest (rise) or highest (fall) value
+// recorded in history during the window. A baseline of 0 counts as 1 so a
+// jump from nothing still registers as a change.
+function checkChange(rule, { metrics, snapshot }, now) {
+  const value = metrics[rule.metric] ?? 0;
+  const points =
+    querySeries({
+      from: now - rule.windowMinutes * MINUTE_MS,
+      to: now,
+      stepMs: 0,
+      metrics: [rule.metric],
+    })[rule.metric] || [];
+
+  if (!points.length) {
+    return { active: false, value, detail: "Not enough history yet", matches: [] };
+  }
+
+  const rise = rule.direction === "rise";
+  const baseline = rise
+    ? Math.min(...points.map((point) => point.min))
+    : Math.max(...points.map((point) => point.max));
+  const change = rise ? value - baseline : baseline - value;
+  const percent = Math.round((change / Math.max(baseline, 1)) * 1000) / 10;
+
+  return {
+    active: change > 0 && percent >= rule.percent,
+    value,
+    detail: `${rule.metric} ${baseline} -> ${value} (${rise ? "+" : "-"}${Math.max(percent, 0)}%)`,
+    matches: getMetricMatches(rule.metric, snapshot),
+  };
+}
+
+const RULE_CHECKS = {
+  threshold: checkThreshold,
+  item_status: checkItemStatus,
+  change: checkChange,
+};
+
+// Works out a rule's next alert state from its previous state and the
+// latest check. Returns the new state object.
+function advance(previous, rule, result, now) {
+  const at = new Date(now).toISOString();
+  const base = {
+    state: previous?.state || "ok",
+    since: previous?.since || at,
+    pendingSince: previous?.pendingSince || null,
+    firedAt: previous?.firedAt || null,
+    resolvedAt: previous?.resolvedAt || null,
+    value: result.value,
+    detail: result.detail,
+    matches: result.matches,
+    evaluatedAt: at,
+  };
+
+  if (result.active) {
+    if (base.state === "firing") return base;
+
+    const pendingSince = base.state === "pending" ? base.pendingSince : at;
+    const heldMs = now - Date.parse(pendingSince);
+
+    if (heldMs >= rule.forMinutes * MINUTE_MS) {
+      return { ...base, state: "firing", since: at, pendingSince, firedAt: at, resolvedAt: null };
+    }
+
+    return base.state === "pending" ? base : { ...base, state: "pending", since: at, pendingSince };
+  }
+
+  // A resolved alert keeps the devices it fired for, so its message can say
+  // what recovered.
+  if (base.state === "firing") {
+    return {
+      ...base,
+      state: "resolved",
+      since: at,
+      pendingSince: null,
+      resolvedAt: at,
+      matches: previous.matches || [],
+    };
+  }
+
+  if (base.state === "pending") {
+    return { ...base, state: "ok", since: at, pendingSince: null };
+  }
+
+  return base;
+}
+
+// Keeps the fields of an alert that the page shows, to tell whether a
+// re-check changed anything worth a page refresh.
+function visibleFields(alert) {
+  return JSON.stringify([alert?.state, alert?.value, alert?.detail]);
+}
+
+// Checks every rule against the latest data and records state changes.
+// Does nothing while Sonar data is missing or stale, so alerts hold their
+// state through a Sonar outage instead of resolving.
+function evaluateAlertRules(now = Date.now()) {
+  const data = readFreshData();
+  if (!data) return;
+
+  const rules = listAlertRules();
+  const ruleIds = new Set(rules.map((rule) => rule.id));
+  let changed = false;
+  let stateChanged = false;
+
+  for (const id of [...alerts.keys()]) {
+    if (ruleIds.has(id)) continue;
+    alerts.delete(id);
+    changed = stateChanged = true;
+  }
+
+  for (const rule of rules) {
+    const previous = alerts.get(rule.id);
+    let next;
+
+    if (!rule.enabled) {
+      // A disabled rule drops its alert quietly; re-enabling starts over.
+      if (!previous) continue;
+      alerts.delete(rule.id);
+      changed = stateChanged = true;
+      continue;
+    }
+
+    try {
+      next = advance(previous, rule, RULE_CHECKS[rule.type](rule, data, now), now);
+    } catch (err) {
+      console.error(`[alerts] could not evaluate rule ${rule.id}:`, err.message);
+      continue;
+    }
+
+    alerts.set(rule.id, next);
+    if (visibleFields(previous) !== visibleFields(next)) changed = true;
+    if (previous?.state === next.state) continue;
+
+    stateChanged = true;
+    if (next.state !== "firing" && next.state !== "resolved") continue;
+
+    console.log(`[alerts] ${rule.name}: ${next.state}`);
+    dashboardEvents.emit("alerts", {
+      rule: { ...rule, description: describeAlertRule(rule) },
+      alert: { ...next },
+      at: next.since,
+    });
+  }
+
+  if (stateChanged) scheduleSave();
+  if (changed) {
+    dashboardEvents.emit("update", { sources: ["alerts"], at: new Date(now).toISOString() });
+  }
+}
+
+// Returns the current alert for a rule, or an "ok" placeholder for rules
+// that have not matched since they were created.
+function getAlertState(ruleId) {
+  return (
+    alerts.get(String(ruleId)) || {
+      state: "ok",
+      since: null,
+      pendingSince: null,
+      firedAt: null,
+      resolvedAt: null,
+      value: null,
+      detail: null,
+      matches: [],
+      evaluatedAt: null,
+    }
+  );
+}
+
+// Returns every enabled rule that has an alert, with its current state:
+// `[{ rule, alert }]`.
+function listAlerts() {
+  return listAlertRules()
+    .filter((rule) => rule.enabled && alerts.has(rule.id))
+    .map((rule) => ({
+      rule: { ...rule, description: describeAlertRule(rule) },
+      alert: { ...alerts.get(rule.id) },
+    }));
+}
+
+// Starts evaluating rules on data changes and on a timer.
+function startAlertEngine() {
+  dashboardEvents.on("update", ({ sources }) => {
+    if (sources.includes("summary")) evaluateAlertRules();
+  });
+  dashboardEvents.on("suppressions", () => evaluateAlertRules());
+
+  setInterval(() => evaluateAlertRules(), EVALUATE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  evaluateAlertRules,
+  getAlertState,
+  listAlerts,
+  startAlertEngine,
+};
@@ -0,0 +1,255 @@
+// src/services/alertRuleStore.js
+//
+// Alert rules, saved to data/alert-rules.json. Rules are managed on
+// /alerts.html but the file can also be edited by hand: it is re-read on
+// every evaluation, so edits apply without a restart.
+//
+// Every rule has a `severity` (critical, major or minor; email recipients
+// subscribe by severity) and `forMinutes`, how long the condition must hold
+// before the alert fires. Rule types:
+// - threshold: an overview metric compared to a value, e.g.
+//   { metric: "infrastructure.down", operator: ">", value: 3, forMinutes: 5 }
+// - item_status: a visible device with a status, optionally in one site, e.g.
+//   { site: "Ridge Tower", status: "Down" }
+// - change: a metric rising or falling by a percentage within a window, e.g.
+//   { metric: "customers.down", direction: "rise", percent: 20, windowMinutes: 10 }
+
+const path = require("path");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+
+const ALERT_RULES_DATA_PATH = path.resolve(__dirname, "../../data/alert-rules.json");
+const ALERT_RULES_FORMAT_VERSION = 1;
+
+const ALERT_RULE_TYPES = ["threshold", "item_status", "change"];
+const ALERT_SEVERITIES = ["critical", "major", "minor"];
+const ALERT_OPERATORS = [">", ">=", "<", "<=", "="];
+const ALERT_ITEM_STATUSES = ["Down", "Warning", "Good", "Unmonitored"];
+const ALERT_DIRECTIONS = ["rise", "fall"];
+
+// Metric names match the history store (see summaryToMetrics).
+const ALERT_METRICS = [
+  "infrastructure.down",
+  "infrastructure.warning",
+  "infrastructure.good",
+  "infrastructure.unmonitored",
+  "infrastructure.total",
+  "customers.down",
+  "customers.warning",
+  "customers.uninventoried",
+  "customers.good",
+  "customers.total",
+  "tickets.open",
+];
+
+// The overview summary's own names are accepted too, so a rule can be
+// written as "infrastructureEquipment.down".
+const METRIC_PREFIX_ALIASES = {
+  "infrastructureEquipment.": "infrastructure.",
+  "customerEquipment.": "customers.",
+};
+
+const MAX_NAME_LENGTH = 200;
+// Longest `forMinutes` / `windowMinutes` accepted: one week.
+const MAX_MINUTES = 7 * 24 * 60;
+
+// Config problems already logged. The file is re-read on every evaluation,
+// so each problem is only reported once.
+const reportedProblems = new Set();
+
+function warnOnce(message) {
+  if (reportedProblems.has(message)) return;
+  reportedProblems.add(message);
+  console.warn(message);
+}
+
+function normalizeMetric(value) {
+  let metric = String(value ?? "").trim();
+
+  for (const [alias, prefix] of Object.entries(METRIC_PREFIX_ALIASES)) {
+    if (metric.startsWith(alias)) metric = prefix + metric.slice(alias.length);
+  }
+
+  return ALERT_METRICS.includes(metric) ? metric : null;
+}
+
+// Reads a non-negative number, or `fallback` when the value is missing.
+// Returns null when the value is present but invalid.
+function readNumber(value, { fallback = null, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === "") return fallback;
+
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 && n <= max ? n : null;
+}
+
+// Validates a rule definition from the API or the rules file. Returns
+// `{ rule }` with only the fields its type uses, or `{ error }`.
+function validateAlertRule(input) {
+  const raw = input || {};
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+
+  if (!name || name.length > MAX_NAME_LENGTH) return { error: "A rule name is required" };
+  if (!ALERT_RULE_TYPES.includes(raw.type)) {
+    return { error: "Type must be threshold, item_status or change" };
+  }
+
+  const severity = raw.severity ?? "major";
+  if (!ALERT_SEVERITIES.includes(severity)) {
+    return { error: "Severity must be critical, major or minor" };
+  }
+
+  const forMinutes = readNumber(raw.forMinutes, { fallback: 0, max: MAX_MINUTES });
+  if (forMinutes === null) return { error: "forMinutes must be a number of minutes" };
+
+  const rule = { name, type: raw.type, enabled: raw.enabled !== false, severity, forMinutes };
+
+  if (raw.type === "threshold") {
+    const metric = normalizeMetric(raw.metric);
+    const value = readNumber(raw.value);
+
+    if (!metric) return { error: "Unknown metric" };
+    if (!ALERT_OPERATORS.includes(raw.operator)) return { error: "Unknown operator" };
+    if (value === null) return { error: "A threshold value is required" };
+
+    return { rule: { ...rule, metric, operator: raw.operator, value } };
+  }
+
+  if (raw.type === "item_status") {
+    const status = ALERT_ITEM_STATUSES.find(
+      (entry) => entry.toLowerCase() === String(raw.status ?? "").toLowerCase(),
+    );
+    const site = typeof raw.site === "string" ? raw.site.trim() : "";
+
+    if (!status) return { error: "Status must be Down, Warning, Good or Unmonitored" };
+    if (site.length > MAX_NAME_LENGTH) return { error: "Site name is too long" };
+
+    return { rule: { ...rule, site: site || null, status } };
+  }
+
+  const metric = normalizeMetric(raw.metric);
+  const percent = readNumber(raw.percent);
+  const windowMinutes = readNumber(raw.windowMinutes, { max: MAX_MINUTES });
+
+  if (!metric) return { error: "Unknown metric" };
+  if (!ALERT_DIRECTIONS.includes(raw.direction)) return { error: "Direction must be rise or fall" };
+  if (!percent) return { error: "A percentage above 0 is required" };
+  if (!windowMinutes) return { error: "A window of at least one minute is required" };
+
+  return { rule: { ...rule, metric, direction: raw.direction, percent, windowMinutes } };
+}
+
+// Describes a rule's condition in one line, e.g. "infrastructure.down > 3
+// for 5 min".
+function describeAlertRule(rule) {
+  let condition;
+
+  if (rule.type === "threshold") {
+    condition = `${rule.metric} ${rule.operator} ${rule.value}`;
+  } else if (rule.type === "item_status") {
+    condition = `Device ${rule.site ? `in ${rule.site} ` : ""}is ${rule.status}`;
+  } else {
+    const verb = rule.direction === "rise" ? "rises" : "falls";
+    condition = `${rule.metric} ${verb} ${rule.percent}% in ${rule.windowMinutes} min`;
+  }
+
+  return rule.forMinutes ? `${condition} for ${rule.forMinutes} min` : condition;
+}
+
+// Reads the raw rule entries from the rules file, valid or not, so saving
+// through the API never drops a hand-written rule that has a typo in it.
+function readRuleEntries() {
+  const raw = readJsonFile(ALERT_RULES_DATA_PATH);
+  if (raw?.version !== ALERT_RULES_FORMAT_VERSION || !Array.isArray(raw.rules)) return [];
+  return raw.rules;
+}
+
+function saveRuleEntries(entries) {
+  writeJsonFileAtomic(ALERT_RULES_DATA_PATH, {
+    version: ALERT_RULES_FORMAT_VERSION,
+    rules: entries,
+  });
+}
+
+function findEntryIndex(entries, id) {
+  return entries.findIndex((entry) => String(entry?.id ?? "") === String(id));
+}
+
+// Returns every valid rule in file order. Invalid rules are skipped with a
+// warning.
+function listAlertRules() {
+  const rules = [];
+
+  readRuleEntries().forEach((entry, index) => {
+    const { rule, error } = validateAlertRule(entry);
+    const id = String(entry?.id ?? "").trim();
+
+    if (!rule || !id) {
+      warnOnce(`[alerts] skipping rule ${index + 1}: ${error || "missing id"}`);
+      return;
+    }
+
+    rules.push({
+      id,
+      ...rule,
+      createdAt: entry.createdAt || null,
+      updatedAt: entry.updatedAt || null,
+    });
+  });
+
+  return rules;
+}
+
+// Creates a rule from a validated definition.
+function createAlertRule(definition) {
+  const entries = readRuleEntries();
+  const now = new Date().toISOString();
+  const nextId = entries.reduce((max, entry) => Math.max(max, Number(entry?.id) || 0), 0) + 1;
+  const rule = { id: String(nextId), ...definition, createdAt: now, updatedAt: now };
+
+  entries.push(rule);
+  saveRuleEntries(entries);
+  return rule;
+}
+
+// Replaces a rule's definition. Returns null when the rule does not exist.
+function updateAlertRule(id, definition) {
+  const entries = readRuleEntries();
+  const index = findEntryIndex(entries, id);
+  if (index === -1) return null;
+
+  const rule = {
+    id: String(entries[index].id),
+    ...definition,
+    createdAt: entries[index].createdAt || null,
+    updatedAt: new Date().toISOString(),
+  };
+
+  entries[index] = rule;
+  saveRuleEntries(entries);
+  return rule;
+}
+
+// Removes a rule. Returns false when it does not exist.
+function deleteAlertRule(id) {
+  const entries = readRuleEntries();
+  const index = findEntryIndex(entries, id);
+  if (index === -1) return false;
+
+  entries.splice(index, 1);
+  saveRuleEntries(entries);
+  return true;
+}
+
+module.exports = {
+  ALERT_DIRECTIONS,
+  ALERT_ITEM_STATUSES,
+  ALERT_METRICS,
+  ALERT_OPERATORS,
+  ALERT_RULE_TYPES,
+  ALERT_SEVERITIES,
+  createAlertRule,
+  deleteAlertRule,
+  describeAlertRule,
+  listAlertRules,
+  updateAlertRule,
+  validateAlertRule,
+};
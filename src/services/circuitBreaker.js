@@ -0,0 +1,103 @@
+// src/services/circuitBreaker.js
+//
+// Small circuit breaker for outbound calls. After enough consecutive failures
+// the circuit opens and calls fail fast for a cooldown period. Once the
+// cooldown passes a single trial call is let through (half-open); if it
+// succeeds the circuit closes again, otherwise the cooldown restarts.
+
+// Creates one breaker. `isFailure` decides which errors count toward opening,
+// and `buildOpenError` creates the error thrown while the circuit is open.
+function createCircuitBreaker({
+  name,
+  failureThreshold = 5,
+  resetTimeoutMs = 30_000,
+  isFailure = () => true,
+  buildOpenError = (state) => new Error(`${name} circuit is open until ${state.retryAt}`),
+} = {}) {
+  let state = "closed";
+  let consecutiveFailures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+  let lastError = null;
+
+  // Returns a plain snapshot of the breaker for logging and diagnostics.
+  function getState() {
+    return {
+      name,
+      state,
+      consecutiveFailures,
+      failureThreshold,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: openedAt ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+      lastError: lastError?.message || null,
+    };
+  }
+
+  function open() {
+    state = "open";
+    openedAt = Date.now();
+    console.warn(
+      `[${name}] circuit opened after ${consecutiveFailures} failures; retrying after ${resetTimeoutMs}ms`,
+    );
+  }
+
+  function recordSuccess() {
+    if (state !== "closed") {
+      console.log(`[${name}] circuit closed`);
+    }
+
+    state = "closed";
+    consecutiveFailures = 0;
+    openedAt = 0;
+    lastError = null;
+  }
+
+  function recordFailure(err) {
+    consecutiveFailures += 1;
+    lastError = err;
+
+    // Calls that were already in flight when the circuit opened should not
+    // keep pushing the retry time out.
+    if (state === "open") return;
+
+    if (state === "half-open" || consecutiveFailures >= failureThreshold) {
+      open();
+    }
+  }
+
+  // Runs `fn` through the breaker, failing fast while the circuit is open.
+  async function execute(fn) {
+    if (state === "open" && Date.now() - openedAt >= resetTimeoutMs) {
+      state = "half-open";
+    }
+
+    if (state === "open" || (state === "half-open" && trialInFlight)) {
+      throw buildOpenError(getState());
+    }
+
+    const isTrial = state === "half-open";
+    if (isTrial) trialInFlight = true;
+
+    try {
+      const result = await fn();
+      recordSuccess();
+      return result;
+    } catch (err) {
+      // Errors that prove the remote side answered (bad query, bad input)
+      // should not trip the breaker.
+      if (isFailure(err)) {
+        recordFailure(err);
+      } else {
+        recordSuccess();
+      }
+
+      throw err;
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  }
+
+  return { execute, getState };
+}
+
+module.exports = { createCircuitBreaker };
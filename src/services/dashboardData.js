@@ -0,0 +1,264 @@
+// src/services/dashboardData.js
+//
+// Owns the Sonar data behind every dashboard endpoint. A background poller
+// keeps it warm so routes read from memory and never wait on Sonar. If the
+// poller is disabled (POLL_INTERVAL_MS=0) or not started, reads fall back to
+// the stale-while-revalidate cache and fetch on demand.
+//
+// Every successful load is also saved to data/ so a restart can serve the
+// last known data, marked as restored, until Sonar answers again. Loads that
+// actually change something are announced on the dashboard event bus.
+
+const crypto = require("crypto");
+const {
+  fetchInfrastructureSnapshot,
+  getCustomerEquipmentSummary,
+  getCustomersByIds,
+  getDownCustomers,
+  getGoodCustomers,
+  getOpenTicketCount,
+  getUninventoriedCustomers,
+  getWarningCustomers,
+  seedInfrastructureSnapshotVersion,
+} = require("./sonarService");
+const { getSuppressedAccounts } = require("./suppressionStore");
+const { loadSnapshot, saveSnapshot } = require("./snapshotStore");
+const { dashboardEvents } = require("./dashboardEvents");
+const { createPoller } = require("./poller");
+const { createSwrCache } = require("./swrCache");
+const { getEnvInt } = require("../utils/env");
+
+const CACHE_TTL_MS = getEnvInt("CACHE_TTL_MS") ?? 60_000;
+const CACHE_MAX_STALE_MS = getEnvInt("CACHE_MAX_STALE_MS") ?? 300_000;
+const POLL_INTERVAL_MS = getEnvInt("POLL_INTERVAL_MS") ?? 60_000;
+// Loads that finish close together are written to disk in one go.
+const SNAPSHOT_SAVE_DELAY_MS = 1_000;
+// A poll stores several sources at once; announce them as one update.
+const UPDATE_EVENT_DELAY_MS = 250;
+
+// Sources the overview summary is built from.
+const SUMMARY_SOURCES = [
+  "infrastructureSnapshot",
+  "customerSummary",
+  "downCustomers",
+  "warningCustomers",
+  "uninventoriedCustomers",
+  "openTickets",
+];
+
+let snapshotSaveTimer = null;
+let updateEventTimer = null;
+const changedSources = new Set();
+const sourceFingerprints = new Map();
+
+// Raw Sonar data. Suppressions are applied per request by the routes, so
+// suppressing something never has to wait for a refresh.
+const dataCache = createSwrCache({
+  ttlMs: CACHE_TTL_MS,
+  maxStaleMs: CACHE_MAX_STALE_MS,
+  onStore: (key, value) => {
+    scheduleSnapshotSave();
+    trackSourceChange(key, value);
+  },
+});
+
+// Cached data sources by key. Each one can override the cache TTL and
+// max-stale window with its own ttlMs / maxStaleMs. `changeKey` picks the
+// part of a value that counts as a change (defaults to the whole value).
+const dataSources = {
+  // Every infrastructure table and count is derived from this one snapshot,
+  // so they can never disagree. Its id and fetch time change on every load.
+  infrastructureSnapshot: {
+    load: fetchInfrastructureSnapshot,
+    changeKey: (snapshot) => snapshot.sites,
+  },
+  customerSummary: { load: getCustomerEquipmentSummary },
+  downCustomers: { load: getDownCustomers },
+  warningCustomers: { load: getWarningCustomers },
+  uninventoriedCustomers: { load: getUninventoriedCustomers },
+  goodCustomers: { load: loadGoodCustomers },
+  openTickets: { load: getOpenTicketCount },
+  // Only holds the currently suppressed accounts, so it is reloaded
+  // whenever that list changes.
+  suppressedCustomers: {
+    load: () => getCustomersByIds([...getSuppressedAccounts()]),
+  },
+};
+
+const dataPoller =
+  POLL_INTERVAL_MS > 0
+    ? createPoller({ name: "poller", intervalMs: POLL_INTERVAL_MS, task: refreshAllSources })
+    : null;
+
+function isPolling() {
+  return Boolean(dataPoller?.getStatus().enabled);
+}
+
+// Reads one data source. With the poller running this only returns warm
+// data; otherwise it goes through the stale-while-revalidate cache.
+function readSource(key) {
+  if (isPolling()) return dataCache.read(key);
+
+  const { load, ttlMs, maxStaleMs } = dataSources[key];
+  return dataCache.get(key, load, { ttlMs, maxStaleMs });
+}
+
+// Returns the last good value for a source without loading anything.
+function peekSource(key) {
+  return dataCache.peek(key);
+}
+
+function refreshSource(key) {
+  const { load, ttlMs, maxStaleMs } = dataSources[key];
+  return dataCache.refresh(key, load, { ttlMs, maxStaleMs });
+}
+
+// Builds the GOOD bucket from the cached Down/Warning/Uninventoried lists
+// instead of fetching them from Sonar a second time.
+async function loadGoodCustomers() {
+  const [down, warning, uninventoried] = await Promise.all([
+    readSource("downCustomers"),
+    readSource("warningCustomers"),
+    readSource("uninventoriedCustomers"),
+  ]);
+
+  return getGoodCustomers({
+    downCustomers: down.value,
+    warningCustomers: warning.value,
+    uninventoriedCustomers: uninventoried.value,
+  });
+}
+
+// Refreshes every data source once. The GOOD bucket is built from the other
+// customer lists, so it runs after them. Throws the first failure so the
+// poller records it; sources that did load keep their new values.
+async function refreshAllSources() {
+  const keys = Object.keys(dataSources).filter((key) => key !== "goodCustomers");
+  const results = await Promise.allSettled(keys.map(refreshSource));
+  results.push(...(await Promise.allSettled([refreshSource("goodCustomers")])));
+
+  const failed = results.filter((result) => result.status === "rejected");
+  if (failed.length) {
+    console.error(`[poller] ${failed.length} of ${results.length} sources failed`);
+    throw failed[0].reason;
+  }
+}
+
+// Reloads the suppressed-customer rows after suppression changes. Every
+// other list is filtered per request and needs no clearing.
+function invalidateSuppressedCustomers() {
+  dataCache.invalidate("suppressedCustomers");
+
+  if (isPolling()) {
+    refreshSource("suppressedCustomers").catch((err) => {
+      console.error("Suppressed customers refresh failed:", err.message);
+    });
+  }
+}
+
+// Writes the current value of every source to disk.
+function saveSourcesToDisk() {
+  const sources = {};
+
+  for (const key of Object.keys(dataSources)) {
+    const result = dataCache.peek(key);
+    if (result) sources[key] = { value: result.value, ts: result.ts };
+  }
+
+  try {
+    saveSnapshot(sources);
+  } catch (err) {
+    console.error("Could not save dashboard snapshot:", err.message);
+  }
+}
+
+function scheduleSnapshotSave() {
+  if (snapshotSaveTimer) return;
+
+  snapshotSaveTimer = setTimeout(() => {
+    snapshotSaveTimer = null;
+    saveSourcesToDisk();
+  }, SNAPSHOT_SAVE_DELAY_MS);
+  snapshotSaveTimer.unref();
+}
+
+function fingerprint(value) {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(value) ?? "")
+    .digest("hex");
+}
+
+// Queues an "update" event when a freshly loaded value differs from the last
+// one for that source.
+function trackSourceChange(key, value) {
+  const changeKey = dataSources[key]?.changeKey;
+  const next = fingerprint(changeKey ? changeKey(value) : value);
+  if (sourceFingerprints.get(key) === next) return;
+
+  sourceFingerprints.set(key, next);
+  changedSources.add(key);
+
+  if (updateEventTimer) return;
+
+  updateEventTimer = setTimeout(() => {
+    updateEventTimer = null;
+
+    const sources = [...changedSources];
+    changedSources.clear();
+    if (sources.some((source) => SUMMARY_SOURCES.includes(source))) sources.push("summary");
+
+    dashboardEvents.emit("update", { sources, at: new Date().toISOString() });
+  }, UPDATE_EVENT_DELAY_MS);
+  updateEventTimer.unref();
+}
+
+// Seeds the cache from the snapshot saved by a previous run. Restored values
+// keep their original timestamps and stay flagged until a fresh load.
+function restoreFromDisk() {
+  const snapshot = loadSnapshot();
+  if (!snapshot) return;
+
+  let restored = 0;
+
+  for (const key of Object.keys(dataSources)) {
+    const saved = snapshot.sources[key];
+    if (!saved) continue;
+
+    dataCache.restore(key, saved.value, saved.ts);
+    restored += 1;
+  }
+
+  seedInfrastructureSnapshotVersion(snapshot.sources.infrastructureSnapshot?.value?.id);
+
+  console.log(`[snapshot] restored ${restored} sources saved at ${snapshot.savedAt}`);
+}
+
+// Starts the background poller; it refreshes everything immediately.
+function startPolling() {
+  if (!dataPoller) {
+    console.log("[poller] disabled; Sonar data loads on demand");
+    return;
+  }
+
+  dataPoller.start();
+}
+
+function getCacheStats() {
+  return dataCache.getStats();
+}
+
+function getPollerStatus() {
+  return dataPoller ? dataPoller.getStatus() : { name: "poller", enabled: false };
+}
+
+module.exports = {
+  SUMMARY_SOURCES,
+  getCacheStats,
+  getPollerStatus,
+  invalidateSuppressedCustomers,
+  peekSource,
+  readSource,
+  restoreFromDisk,
+  startPolling,
+};
@@ -0,0 +1,34 @@
+// src/services/dashboardEvents.js
+//
+// In-process event bus for dashboard changes. Services publish here and the
+// SSE route forwards events to connected browsers.
+//
+// Events:
+// - "update": { sources, at } when cached Sonar data changed. `sources` lists
+//   the data source keys that changed, plus "summary" when any overview input
+//   did. The transition tracker sends "transitions" when it records status
+//   changes, and the incident routes send "incidents" when an incident is
+//   created or changed, and the webhook notifier sends "webhooks" when a
+//   delivery is logged or updated. The alert engine and alert rule routes
+//   send "alerts" when a rule or alert state changed.
+// - "suppressions": { kind, id, action, at } after a suppression is added or
+//   removed. New suppressions carry their `reason` when one was given, and
+//   suppressions lifted because they expired carry `expired: true`.
+//   Suppression rules being added, edited or removed are sent with kind
+//   "rules" and the rule name as `title`. A maintenance window starting or
+//   ending is sent the same way, with kind "maintenance", the window's
+//   `title`, and action "suppressed", "unsuppressed", or "updated" when an
+//   active window was edited.
+// - "transitions": { transitions, at } with the status changes the transition
+//   tracker just recorded. Server-side only; browsers get the "update".
+// - "alerts": { rule, alert, at } when an alert rule starts firing or
+//   resolves. Server-side only.
+
+const { EventEmitter } = require("events");
+
+const dashboardEvents = new EventEmitter();
+
+// Every open SSE stream adds its own listeners.
+dashboardEvents.setMaxListeners(0);
+
+module.exports = { dashboardEvents };
@@ -0,0 +1,148 @@
+// src/services/emailNotifier.js
+//
+// Emails alerts to the recipients subscribed to their severity, and sends a
+// daily digest at EMAIL_DIGEST_HOUR (server local time). Each recipient gets
+// their own copy so addresses are never shared. Alert emails are held back
+// during quiet hours for the email channel. The outcome of the last send per
+// recipient is kept in memory for the email page.
+
+const { listAlerts } = require("./alertEngine");
+const { SUMMARY_SOURCES, peekSource } = require("./dashboardData");
+const { dashboardEvents } = require("./dashboardEvents");
+const { buildAlertEmail, buildDigestEmail, buildTestEmail } = require("./emailTemplates");
+const { getAlertRecipients, getDigestRecipients } = require("./emailRecipients");
+const { isQuietTime } = require("./escalationConfig");
+const { isEmailConfigured, sendEmail } = require("./mailer");
+const { getInfrastructureRowsByStatus } = require("./sonarService");
+const { buildStatusSummary, getHiddenInfrastructureItems } = require("./statusSummary");
+const { queryTransitions } = require("./transitionStore");
+const { getEnvInt } = require("../utils/env");
+
+const EMAIL_DIGEST_HOUR = getEnvInt("EMAIL_DIGEST_HOUR") ?? 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Last send per address: `{ at, ok, subject, error }`.
+const lastResults = new Map();
+
+// Sends one message and records the outcome. Resolves with the outcome;
+// never rejects.
+async function deliver(to, message) {
+  const result = { at: new Date().toISOString(), ok: true, subject: message.subject, error: null };
+
+  try {
+    await sendEmail({ to, ...message });
+  } catch (err) {
+    result.ok = false;
+    result.error = err.message;
+    console.error(`[email] could not send "${message.subject}" to ${to}:`, err.message);
+  }
+
+  lastResults.set(to.toLowerCase(), result);
+  dashboardEvents.emit("update", { sources: ["email"], at: result.at });
+  return result;
+}
+
+// Emails a firing or resolved alert to everyone subscribed to its severity.
+function handleAlert({ rule, alert }) {
+  if (!isEmailConfigured()) return;
+  if (isQuietTime({ channel: "email", severity: rule.severity })) return;
+
+  const recipients = getAlertRecipients(rule.severity);
+  if (!recipients.length) return;
+
+  const message = buildAlertEmail({ rule, alert });
+  for (const recipient of recipients) deliver(recipient.email, message);
+}
+
+// Gathers what the digest reports. Counts come from the last known data,
+// even if it is stale, since a digest that skips a day is worse.
+function collectDigest(now = Date.now()) {
+  const results = SUMMARY_SOURCES.map(peekSource);
+  const values = {};
+  SUMMARY_SOURCES.forEach((key, index) => {
+    values[key] = results[index]?.value;
+  });
+
+  const hasData = results.every(Boolean);
+  const alerts = listAlerts();
+  const since = new Date(now - DAY_MS).toISOString();
+
+  return {
+    date: new Date(now),
+    summary: hasData ? buildStatusSummary(values) : null,
+    firing: alerts.filter(({ alert }) => alert.state === "firing"),
+    resolved: alerts.filter(({ alert }) => alert.state === "resolved" && alert.resolvedAt >= since),
+    downDevices: values.infrastructureSnapshot
+      ? getInfrastructureRowsByStatus(values.infrastructureSnapshot, "DOWN", {
+          suppressedItemIds: getHiddenInfrastructureItems(values.infrastructureSnapshot),
+        })
+      : [],
+    changes: queryTransitions({ kind: "infrastructure", from: now - DAY_MS, limit: 1 }).total,
+  };
+}
+
+// Sends the digest to every recipient that wants it. Returns how many
+// messages were sent and how many failed.
+async function sendDigest() {
+  const recipients = getDigestRecipients();
+  if (!recipients.length) return { sent: 0, failed: 0 };
+
+  const message = buildDigestEmail(collectDigest());
+  const results = await Promise.all(
+    recipients.map((recipient) => deliver(recipient.email, message)),
+  );
+  const failed = results.filter((result) => !result.ok).length;
+
+  console.log(`[email] digest sent to ${results.length - failed} of ${results.length} recipients`);
+  return { sent: results.length - failed, failed };
+}
+
+// Sends a test email to one address and resolves with the outcome.
+function sendTestEmail(to) {
+  return deliver(to, buildTestEmail());
+}
+
+// Emails one escalation step for a firing alert and resolves with the
+// outcome. `escalation` is `{ step, steps, policy, ackUrl }`.
+function sendEscalationEmail(to, { rule, alert, escalation }) {
+  return deliver(to, buildAlertEmail({ rule, alert, escalation }));
+}
+
+// Returns the last send outcome for an address, or null.
+function getLastResult(email) {
+  return lastResults.get(String(email).toLowerCase()) || null;
+}
+
+// Waits until the next EMAIL_DIGEST_HOUR, sends the digest, and repeats.
+// A failed digest is logged and the next one is still scheduled.
+function scheduleDigest() {
+  const next = new Date();
+  next.setHours(EMAIL_DIGEST_HOUR, 0, 0, 0);
+  if (next.getTime() <= Date.now()) next.setDate(next.getDate() + 1);
+
+  const timer = setTimeout(async () => {
+    try {
+      if (isEmailConfigured()) await sendDigest();
+    } catch (err) {
+      console.error("[email] digest failed:", err);
+    }
+    scheduleDigest();
+  }, next.getTime() - Date.now());
+  timer.unref();
+}
+
+// Starts emailing alerts and schedules the daily digest. A digest hour
+// outside 0-23 turns the digest off.
+function startEmailNotifications() {
+  dashboardEvents.on("alerts", handleAlert);
+
+  if (EMAIL_DIGEST_HOUR >= 0 && EMAIL_DIGEST_HOUR <= 23) scheduleDigest();
+}
+
+module.exports = {
+  getLastResult,
+  sendDigest,
+  sendEscalationEmail,
+  sendTestEmail,
+  startEmailNotifications,
+};
@@ -0,0 +1,87 @@
+// src/services/emailRecipients.js
+//
+// Email recipients and their subscriptions, configured by hand in
+// data/email-recipients.json (see data/email-recipients.example.json). The
+// file is re-read before every send, so edits apply without a restart.
+//
+// Each recipient picks the alert severities they want and whether they get
+// the daily digest.
+
+const path = require("path");
+const { ALERT_SEVERITIES } = require("./alertRuleStore");
+const { readJsonFile } = require("../utils/jsonFile");
+
+const RECIPIENTS_CONFIG_PATH = path.resolve(__dirname, "../../data/email-recipients.json");
+
+// Loose check; the relay has the final say on addresses.
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+// Config problems already logged. The config is re-read on every send, so
+// each problem is only reported once.
+const reportedProblems = new Set();
+
+function warnOnce(message) {
+  if (reportedProblems.has(message)) return;
+  reportedProblems.add(message);
+  console.warn(message);
+}
+
+function isEmailAddress(value) {
+  return typeof value === "string" && EMAIL_PATTERN.test(value.trim());
+}
+
+// Turns one config entry into a usable recipient, or null when it is
+// invalid. `severities` defaults to every severity.
+function normalizeRecipient(raw) {
+  if (!isEmailAddress(raw?.email)) return null;
+
+  const severities = Array.isArray(raw.severities)
+    ? raw.severities.filter((severity) => ALERT_SEVERITIES.includes(severity))
+    : [...ALERT_SEVERITIES];
+
+  return {
+    email: raw.email.trim(),
+    name: raw.name ? String(raw.name) : null,
+    severities,
+    digest: raw.digest !== false,
+    enabled: raw.enabled !== false,
+  };
+}
+
+// Returns every valid recipient. Invalid entries are skipped with a warning.
+function listRecipients() {
+  const raw = readJsonFile(RECIPIENTS_CONFIG_PATH, {}) || {};
+  const recipients = [];
+
+  (Array.isArray(raw.recipients) ? raw.recipients : []).forEach((entry, index) => {
+    const recipient = normalizeRecipient(entry);
+
+    if (!recipient) {
+      warnOnce(`[email] skipping recipient ${index + 1}: missing or invalid email`);
+      return;
+    }
+
+    recipients.push(recipient);
+  });
+
+  return recipients;
+}
+
+// Returns enabled recipients subscribed to a severity.
+function getAlertRecipients(severity) {
+  return listRecipients().filter(
+    (recipient) => recipient.enabled && recipient.severities.includes(severity),
+  );
+}
+
+// Returns enabled recipients that want the daily digest.
+function getDigestRecipients() {
+  return listRecipients().filter((recipient) => recipient.enabled && recipient.digest);
+}
+
+module.exports = {
+  getAlertRecipients,
+  getDigestRecipients,
+  isEmailAddress,
+  listRecipients,
+};
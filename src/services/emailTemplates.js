@@ -0,0 +1,255 @@
+// src/services/emailTemplates.js
+//
+// Plain-text and HTML bodies for alert, digest and test emails. Every
+// builder returns `{ subject, text, html }`. Device lists show the network
+// site, IP addresses and a deep link to the site in Sonar.
+
+// Longest device list written into one email.
+const MAX_LISTED_DEVICES = 100;
+
+// Shown on escalation emails when DASHBOARD_URL is not set for a link.
+const ACKNOWLEDGE_HINT = "Acknowledge it on the dashboard's Escalations page to stop escalating.";
+
+const STATE_LABELS = {
+  firing: "FIRING",
+  resolved: "RESOLVED",
+};
+
+const SEVERITY_COLORS = {
+  critical: "#e85b5b",
+  major: "#f2c94c",
+  minor: "#8a94a6",
+};
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Sonar's web app lives on the same host as its GraphQL endpoint.
+function getSonarAppUrl() {
+  try {
+    return `${new URL(process.env.SONAR_ENDPOINT).origin}/app#`;
+  } catch {
+    return null;
+  }
+}
+
+function buildSonarSiteUrl(siteId) {
+  const base = getSonarAppUrl();
+  return base && siteId ? `${base}/network/sites/show/${encodeURIComponent(siteId)}` : null;
+}
+
+// Link to a dashboard page, when DASHBOARD_URL says where the dashboard is
+// reachable from a mail client.
+function buildDashboardUrl(pagePath) {
+  const base = process.env.DASHBOARD_URL;
+  return base ? `${base.replace(/\/+$/, "")}${pagePath}` : null;
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : "-";
+}
+
+// Lists devices as plain-text lines.
+function devicesToText(devices) {
+  const lines = devices.slice(0, MAX_LISTED_DEVICES).map((device) => {
+    const ips = (device.ipAddresses || []).join(", ") || "no IP";
+    const link = buildSonarSiteUrl(device.networkSiteId);
+    return `- ${device.deviceName} | ${device.networkSiteName} | ${ips}${link ? ` | ${link}` : ""}`;
+  });
+
+  if (devices.length > MAX_LISTED_DEVICES) {
+    lines.push(`...and ${devices.length - MAX_LISTED_DEVICES} more`);
+  }
+
+  return lines.join("\n");
+}
+
+// Lists devices as an HTML table.
+function devicesToHtml(devices) {
+  const rows = devices.slice(0, MAX_LISTED_DEVICES).map((device) => {
+    const link = buildSonarSiteUrl(device.networkSiteId);
+    const site = link
+      ? `<a href="${escapeHtml(link)}">${escapeHtml(device.networkSiteName)}</a>`
+      : escapeHtml(device.networkSiteName);
+
+    return (
+      "<tr>" +
+      `<td style="padding:4px 8px">${escapeHtml(device.deviceName)}</td>` +
+      `<td style="padding:4px 8px">${site}</td>` +
+      `<td style="padding:4px 8px">${escapeHtml((device.ipAddresses || []).join(", ") || "-")}</td>` +
+      "</tr>"
+    );
+  });
+
+  const more =
+    devices.length > MAX_LISTED_DEVICES
+      ? `<p>...and ${devices.length - MAX_LISTED_DEVICES} more</p>`
+      : "";
+
+  return (
+    '<table style="border-collapse:collapse;font-size:13px">' +
+    '<thead><tr style="text-align:left;background:#f0f2f5">' +
+    '<th style="padding:4px 8px">Device</th>' +
+    '<th style="padding:4px 8px">Network site</th>' +
+    '<th style="padding:4px 8px">IP addresses</th>' +
+    `</tr></thead><tbody>${rows.join("")}</tbody></table>${more}`
+  );
+}
+
+// Wraps email content in a minimal HTML document.
+function wrapHtml(title, body) {
+  return (
+    "<!doctype html><html><body " +
+    'style="font-family:Arial,Helvetica,sans-serif;color:#1a2330;font-size:14px">' +
+    `<h2 style="margin:0 0 12px">${escapeHtml(title)}</h2>${body}</body></html>`
+  );
+}
+
+function dashboardLinkText(pagePath) {
+  const url = buildDashboardUrl(pagePath);
+  return url ? `\n\nOpen in the dashboard: ${url}` : "";
+}
+
+function dashboardLinkHtml(pagePath) {
+  const url = buildDashboardUrl(pagePath);
+  return url ? `<p><a href="${escapeHtml(url)}">Open in the dashboard</a></p>` : "";
+}
+
+function escalationText({ step, steps, policy, ackUrl }) {
+  const action = ackUrl ? `Acknowledge to stop escalating: ${ackUrl}` : ACKNOWLEDGE_HINT;
+  return `Escalation step ${step} of ${steps} (${policy}).\n${action}`;
+}
+
+function escalationHtml({ step, steps, policy, ackUrl }) {
+  const action = ackUrl
+    ? `<a href="${escapeHtml(ackUrl)}" style="font-weight:bold">Acknowledge</a> to stop escalating.`
+    : ACKNOWLEDGE_HINT;
+
+  return `<p>Escalation step ${step} of ${steps} (${escapeHtml(policy)}). ${action}</p>`;
+}
+
+// Builds the email for an alert that started firing or resolved. An
+// escalation step (`{ step, steps, policy, ackUrl }`) adds which step this
+// is and the link that acknowledges the alert and stops the escalation.
+function buildAlertEmail({ rule, alert, escalation = null }) {
+  const label = STATE_LABELS[alert.state] || alert.state.toUpperCase();
+  const stepTag = escalation ? `[step ${escalation.step}]` : "";
+  const subject = `[${label}][${rule.severity}]${stepTag} ${rule.name}`;
+  const devices = alert.matches || [];
+  const when =
+    alert.state === "resolved"
+      ? `Resolved: ${formatTime(alert.resolvedAt)} (fired ${formatTime(alert.firedAt)})`
+      : `Fired: ${formatTime(alert.firedAt)}`;
+
+  const text = [
+    `${rule.name} is ${alert.state}.`,
+    "",
+    `Condition: ${rule.description}`,
+    `Severity: ${rule.severity}`,
+    when,
+    `Current: ${alert.detail || "-"}`,
+    escalation ? `\n${escalationText(escalation)}` : "",
+    devices.length ? `\nAffected devices:\n${devicesToText(devices)}` : "",
+  ]
+    .join("\n")
+    .trim();
+
+  const color = SEVERITY_COLORS[rule.severity] || SEVERITY_COLORS.minor;
+  const html = wrapHtml(
+    `${label}: ${rule.name}`,
+    `<p style="border-left:4px solid ${color};padding-left:8px">` +
+      `<strong>Condition:</strong> ${escapeHtml(rule.description)}<br>` +
+      `<strong>Severity:</strong> ${escapeHtml(rule.severity)}<br>` +
+      `${escapeHtml(when)}<br>` +
+      `<strong>Current:</strong> ${escapeHtml(alert.detail || "-")}</p>` +
+      (escalation ? escalationHtml(escalation) : "") +
+      (devices.length ? `<h3>Affected devices</h3>${devicesToHtml(devices)}` : "") +
+      dashboardLinkHtml("/alerts.html"),
+  );
+
+  return { subject, text: text + dashboardLinkText("/alerts.html"), html };
+}
+
+// Builds the daily digest.
+// - summary: the overview summary, or null when Sonar data is unavailable
+// - firing: `[{ rule, alert }]` alerts firing right now
+// - resolved: `[{ rule, alert }]` alerts resolved during the digest period
+// - downDevices: visible devices that are Down right now
+// - changes: device status changes recorded during the digest period
+function buildDigestEmail({ date, summary, firing, resolved, downDevices, changes }) {
+  const day = date.toLocaleDateString();
+  const down = downDevices.length;
+  const subject = `Network digest for ${day}: ${firing.length} firing, ${down} device${down === 1 ? "" : "s"} down`;
+
+  const counts = summary
+    ? [
+        `Infrastructure: ${summary.infrastructureEquipment.down} down, ` +
+          `${summary.infrastructureEquipment.warning} warning, ` +
+          `${summary.infrastructureEquipment.good} good`,
+        `Customers: ${summary.customerEquipment.down} down, ` +
+          `${summary.customerEquipment.warning} warning, ` +
+          `${summary.customerEquipment.good} good`,
+        `Open tickets: ${summary.tickets.open}`,
+      ]
+    : ["Overview counts are not available (Sonar data has not loaded)."];
+
+  const alertLine = ({ rule, alert }) =>
+    `- [${rule.severity}] ${rule.name}: ${rule.description} ` +
+    `(${alert.state === "firing" ? `since ${formatTime(alert.firedAt)}` : `resolved ${formatTime(alert.resolvedAt)}`})`;
+
+  const text = [
+    `Network status for ${day}`,
+    "",
+    ...counts,
+    `Device status changes in the last 24 hours: ${changes}`,
+    "",
+    `Alerts firing (${firing.length}):`,
+    firing.length ? firing.map(alertLine).join("\n") : "- none",
+    "",
+    `Alerts resolved in the last 24 hours (${resolved.length}):`,
+    resolved.length ? resolved.map(alertLine).join("\n") : "- none",
+    "",
+    `Devices down (${downDevices.length}):`,
+    downDevices.length ? devicesToText(downDevices) : "- none",
+  ].join("\n");
+
+  const alertItems = (entries) =>
+    entries.length
+      ? `<ul>${entries.map((entry) => `<li>${escapeHtml(alertLine(entry).slice(2))}</li>`).join("")}</ul>`
+      : "<p>None.</p>";
+
+  const html = wrapHtml(
+    `Network status for ${day}`,
+    `<p>${counts.map(escapeHtml).join("<br>")}<br>` +
+      `Device status changes in the last 24 hours: ${changes}</p>` +
+      `<h3>Alerts firing (${firing.length})</h3>${alertItems(firing)}` +
+      `<h3>Alerts resolved in the last 24 hours (${resolved.length})</h3>${alertItems(resolved)}` +
+      `<h3>Devices down (${downDevices.length})</h3>` +
+      (downDevices.length ? devicesToHtml(downDevices) : "<p>None.</p>") +
+      dashboardLinkHtml("/"),
+  );
+
+  return { subject, text: text + dashboardLinkText("/"), html };
+}
+
+function buildTestEmail() {
+  const subject = "Test email from the network dashboard";
+  const text = "Email delivery from the network dashboard is set up correctly.";
+
+  return {
+    subject,
+    text: text + dashboardLinkText("/email.html"),
+    html: wrapHtml(subject, `<p>${escapeHtml(text)}</p>${dashboardLinkHtml("/email.html")}`),
+  };
+}
+
+module.exports = {
+  buildAlertEmail,
+  buildDigestEmail,
+  buildTestEmail,
+};
@@ -0,0 +1,218 @@
+// src/services/escalationConfig.js
+//
+// Escalation policies, on-call schedules and quiet hours, configured by hand
+// in data/escalation-policies.json (see data/escalation-policies.example.json).
+// The file is re-read whenever it is needed, so edits apply without a
+// restart.
+//
+// - policies: ordered steps that notify email addresses, on-call schedules
+//   or webhooks, each step waiting `delayMinutes` after the previous one
+// - schedules: on-call rotations that hand over to the next member weekly
+// - quietHours: daily windows in which notifications of some severities on
+//   some channels are not sent
+
+const path = require("path");
+const { ALERT_SEVERITIES } = require("./alertRuleStore");
+const { readJsonFile } = require("../utils/jsonFile");
+
+const ESCALATION_CONFIG_PATH = path.resolve(__dirname, "../../data/escalation-policies.json");
+
+const ESCALATION_CHANNELS = ["email", "webhook"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Config problems already logged. The config is re-read on every check, so
+// each problem is only reported once.
+const reportedProblems = new Set();
+
+function warnOnce(message) {
+  if (reportedProblems.has(message)) return;
+  reportedProblems.add(message);
+  console.warn(message);
+}
+
+// Keeps the entries of `values` found in `allowed`, or all of `allowed`
+// when `values` is not a list.
+function pickList(values, allowed) {
+  return Array.isArray(values)
+    ? values.map((value) => String(value).toLowerCase()).filter((value) => allowed.includes(value))
+    : [...allowed];
+}
+
+// Parses "HH:MM" into minutes after midnight, or null.
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(String(value ?? "").trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Turns one schedule entry into a usable rotation, or null when it is
+// invalid. `handoff` is the local date and time the first member starts.
+function normalizeSchedule(raw) {
+  const members = (Array.isArray(raw?.members) ? raw.members : [])
+    .map((member) => (typeof member === "string" ? { email: member } : member))
+    .filter((member) => typeof member?.email === "string" && member.email.includes("@"))
+    .map((member) => ({ name: member.name ? String(member.name) : null, email: member.email }));
+
+  const handoff = Date.parse(raw?.handoff);
+  if (!raw?.name || !members.length || Number.isNaN(handoff)) return null;
+
+  return { name: String(raw.name), members, handoff };
+}
+
+// Turns one notify target into `{ channel, to }` or `{ channel, schedule }`,
+// or null when it is invalid.
+function normalizeTarget(raw) {
+  if (raw?.channel === "webhook" && raw.webhook) {
+    return { channel: "webhook", webhook: String(raw.webhook) };
+  }
+
+  if (raw?.channel === "email" && raw.schedule) {
+    return { channel: "email", schedule: String(raw.schedule) };
+  }
+
+  if (raw?.channel === "email" && typeof raw.to === "string" && raw.to.includes("@")) {
+    return { channel: "email", to: raw.to.trim() };
+  }
+
+  return null;
+}
+
+// Turns one policy entry into a usable policy, or null when it is invalid.
+// `severities` defaults to every severity; `rules` (ids or names) limits
+// the policy to some alert rules.
+function normalizePolicy(raw) {
+  const steps = (Array.isArray(raw?.steps) ? raw.steps : [])
+    .map((step) => ({
+      delayMinutes: Math.max(0, Number(step?.delayMinutes) || 0),
+      notify: (Array.isArray(step?.notify) ? step.notify : []).map(normalizeTarget).filter(Boolean),
+    }))
+    .filter((step) => step.notify.length);
+
+  if (!raw?.name || !steps.length) return null;
+
+  return {
+    name: String(raw.name),
+    severities: pickList(raw.severities, ALERT_SEVERITIES),
+    rules: Array.isArray(raw.rules) ? raw.rules.map(String) : null,
+    steps,
+  };
+}
+
+// Turns one quiet hours entry into a usable window, or null when it is
+// invalid. `days` are the days the window starts on.
+function normalizeQuietHours(raw) {
+  const start = parseTime(raw?.start);
+  const end = parseTime(raw?.end);
+  if (start === null || end === null || start === end) return null;
+
+  return {
+    start,
+    end,
+    days: pickList(raw.days, WEEKDAYS),
+    channels: pickList(raw.channels, ESCALATION_CHANNELS),
+    severities: pickList(raw.severities, ALERT_SEVERITIES),
+  };
+}
+
+// Normalizes one section of the config, skipping invalid entries with a
+// warning.
+function normalizeSection(raw, key, normalize) {
+  const entries = [];
+
+  (Array.isArray(raw[key]) ? raw[key] : []).forEach((entry, index) => {
+    const normalized = normalize(entry);
+
+    if (!normalized) {
+      warnOnce(`[escalations] skipping ${key} entry ${index + 1}: invalid or incomplete`);
+      return;
+    }
+
+    entries.push(normalized);
+  });
+
+  return entries;
+}
+
+// Reads the escalation config. Returns `{ policies, schedules, quietHours }`.
+function loadEscalationConfig() {
+  const raw = readJsonFile(ESCALATION_CONFIG_PATH, {}) || {};
+
+  return {
+    policies: normalizeSection(raw, "policies", normalizePolicy),
+    schedules: normalizeSection(raw, "schedules", normalizeSchedule),
+    quietHours: normalizeSection(raw, "quietHours", normalizeQuietHours),
+  };
+}
+
+// Returns the first policy that covers an alert rule, or null.
+function findPolicy(rule, config = loadEscalationConfig()) {
+  return (
+    config.policies.find(
+      (policy) =>
+        policy.severities.includes(rule.severity) &&
+        (!policy.rules || policy.rules.includes(rule.id) || policy.rules.includes(rule.name)),
+    ) || null
+  );
+}
+
+// Returns the handoff `weeks` local calendar weeks after `handoff`, at the
+// same local time of day even when a DST change falls in between.
+function addLocalWeeks(handoff, weeks) {
+  const date = new Date(handoff);
+  date.setDate(date.getDate() + weeks * 7);
+  return date.getTime();
+}
+
+// Returns who is on call for a schedule at a time, and when they hand over:
+// `{ name, email, until }`. Rotations move to the next member every week
+// from the schedule's first handoff, at its local time of day.
+function getOnCall(schedule, now = Date.now()) {
+  // Whole weeks of elapsed time can be an hour off the local calendar after
+  // DST changes, so the estimate is corrected by one week either way.
+  let weeks = Math.floor((now - schedule.handoff) / WEEK_MS);
+  if (addLocalWeeks(schedule.handoff, weeks) > now) weeks -= 1;
+  else if (addLocalWeeks(schedule.handoff, weeks + 1) <= now) weeks += 1;
+
+  const count = schedule.members.length;
+  const member = schedule.members[((weeks % count) + count) % count];
+
+  return { ...member, until: new Date(addLocalWeeks(schedule.handoff, weeks + 1)).toISOString() };
+}
+
+// Whether a window covers a time, including windows that run past
+// midnight into the next day.
+function inQuietWindow(window, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const today = WEEKDAYS[date.getDay()];
+  const yesterday = WEEKDAYS[(date.getDay() + 6) % 7];
+
+  if (window.start < window.end) {
+    return window.days.includes(today) && minutes >= window.start && minutes < window.end;
+  }
+
+  return (
+    (window.days.includes(today) && minutes >= window.start) ||
+    (window.days.includes(yesterday) && minutes < window.end)
+  );
+}
+
+// Whether notifications on a channel for a severity are held back right
+// now. Times are server local time.
+function isQuietTime({ channel, severity }, date = new Date(), config = loadEscalationConfig()) {
+  return config.quietHours.some(
+    (window) =>
+      window.channels.includes(channel) &&
+      window.severities.includes(severity) &&
+      inQuietWindow(window, date),
+  );
+}
+
+module.exports = {
+  ESCALATION_CHANNELS,
+  findPolicy,
+  getOnCall,
+  isQuietTime,
+  loadEscalationConfig,
+};
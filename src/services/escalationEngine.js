@@ -0,0 +1,292 @@
+// src/services/escalationEngine.js
+//
+// Runs escalation policies for firing alerts. When an alert fires and a
+// policy covers its rule, an escalation starts and works through the
+// policy's steps: each step notifies its targets, then waits the next
+// step's `delayMinutes` before going on. Acknowledging the escalation, or
+// the alert resolving, stops it.
+//
+// An escalation follows the policy as it was when the alert fired, so
+// config edits only apply to new escalations. Escalations are saved to
+// data/escalations.json so a restart picks up where it left off.
+
+const path = require("path");
+const { listAlerts } = require("./alertEngine");
+const { dashboardEvents } = require("./dashboardEvents");
+const { sendEscalationEmail } = require("./emailNotifier");
+const { findPolicy, getOnCall, isQuietTime, loadEscalationConfig } = require("./escalationConfig");
+const { sendEscalationNotification } = require("./webhookNotifier");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+
+const ESCALATIONS_DATA_PATH = path.resolve(__dirname, "../../data/escalations.json");
+const ESCALATIONS_FORMAT_VERSION = 1;
+
+const ESCALATION_STATES = ["active", "acknowledged", "resolved"];
+
+// How often due steps are checked for.
+const CHECK_INTERVAL_MS = 15_000;
+// Finished escalations kept for the escalations page.
+const MAX_FINISHED = 200;
+
+const MINUTE_MS = 60_000;
+
+let store = loadStore();
+
+function loadStore() {
+  const raw = readJsonFile(ESCALATIONS_DATA_PATH);
+
+  if (raw?.version !== ESCALATIONS_FORMAT_VERSION) {
+    return { nextId: 1, escalations: [] };
+  }
+
+  return {
+    nextId: Number(raw.nextId) || 1,
+    escalations: Array.isArray(raw.escalations) ? raw.escalations : [],
+  };
+}
+
+// Saves escalations and tells the escalations page to re-fetch.
+function saveStore() {
+  const finished = store.escalations.filter((entry) => entry.state === "resolved");
+  if (finished.length > MAX_FINISHED) {
+    const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED));
+    store.escalations = store.escalations.filter((entry) => !dropped.has(entry));
+  }
+
+  try {
+    writeJsonFileAtomic(ESCALATIONS_DATA_PATH, { version: ESCALATIONS_FORMAT_VERSION, ...store });
+  } catch (err) {
+    console.error("Could not save escalations:", err.message);
+  }
+
+  dashboardEvents.emit("update", { sources: ["escalations"], at: new Date().toISOString() });
+}
+
+// Link that opens the escalation on the dashboard with its acknowledge
+// button, when DASHBOARD_URL says where the dashboard is reachable.
+function buildAckUrl(id) {
+  const base = process.env.DASHBOARD_URL;
+  return base ? `${base.replace(/\/+$/, "")}/escalations.html?ack=${encodeURIComponent(id)}` : null;
+}
+
+// Returns the unfinished escalation for a rule, or undefined.
+function findOpenEscalation(ruleId) {
+  return store.escalations.find((entry) => entry.ruleId === ruleId && entry.state !== "resolved");
+}
+
+// Turns a step target into the address or webhook to notify:
+// `{ channel, to, schedule }`, with `error` set when it cannot be sent.
+function resolveTarget(target, config, now) {
+  if (target.channel === "webhook") return { channel: "webhook", to: target.webhook };
+  if (!target.schedule) return { channel: "email", to: target.to };
+
+  const schedule = config.schedules.find((entry) => entry.name === target.schedule);
+  if (!schedule) {
+    return { channel: "email", to: target.schedule, error: `Unknown schedule ${target.schedule}` };
+  }
+
+  return { channel: "email", to: getOnCall(schedule, now).email, schedule: schedule.name };
+}
+
+// Sends one notification and resolves with `{ status, error }`.
+async function send({ channel, to }, message) {
+  if (channel === "email") {
+    const result = await sendEscalationEmail(to, message);
+    return { status: result.ok ? "sent" : "failed", error: result.error };
+  }
+
+  const entry = await sendEscalationNotification(to, message);
+  if (!entry) return { status: "failed", error: `Unknown or disabled webhook ${to}` };
+  return { status: entry.status === "delivered" ? "sent" : "failed", error: entry.error };
+}
+
+// Notifies every target of the escalation's next step and schedules the
+// step after it. Notifications held back by quiet hours are logged as
+// "quiet"; the escalation still moves on, so a later step can reach
+// someone whose channel is not quiet.
+function runStep(escalation, { rule, alert }, now) {
+  const config = loadEscalationConfig();
+  const index = escalation.step;
+  const step = escalation.policySteps[index];
+  const at = new Date(now).toISOString();
+  const message = {
+    rule,
+    alert,
+    escalation: {
+      id: escalation.id,
+      step: index + 1,
+      steps: escalation.policySteps.length,
+      policy: escalation.policy,
+      ackUrl: buildAckUrl(escalation.id),
+    },
+  };
+
+  for (const target of step.notify) {
+    const resolved = resolveTarget(target, config, now);
+    const entry = {
+      at,
+      step: index + 1,
+      channel: resolved.channel,
+      to: resolved.to,
+      schedule: resolved.schedule || null,
+      status: "sending",
+      error: null,
+    };
+    escalation.notifications.push(entry);
+
+    if (resolved.error) {
+      Object.assign(entry, { status: "failed", error: resolved.error });
+      continue;
+    }
+
+    if (
+      isQuietTime({ channel: resolved.channel, severity: rule.severity }, new Date(now), config)
+    ) {
+      entry.status = "quiet";
+      continue;
+    }
+
+    send(resolved, message)
+      .then((result) => Object.assign(entry, result))
+      .catch((err) => {
+        console.error(`[escalations] ${resolved.channel} ${resolved.to} failed:`, err);
+        Object.assign(entry, { status: "failed", error: err.message });
+      })
+      .finally(saveStore);
+  }
+
+  const next = escalation.policySteps[index + 1];
+  escalation.step = index + 1;
+  escalation.nextStepAt = next ? new Date(now + next.delayMinutes * MINUTE_MS).toISOString() : null;
+  console.log(`[escalations] ${escalation.ruleName}: step ${index + 1} (${escalation.policy})`);
+}
+
+// Ends an escalation because its alert is no longer firing.
+function resolveEscalation(escalation, at) {
+  escalation.state = "resolved";
+  escalation.nextStepAt = null;
+  escalation.endedAt = at;
+}
+
+// Runs due steps and ends escalations whose alert stopped firing, which
+// also catches alerts that resolved while the server was down.
+function checkEscalations(now = Date.now()) {
+  const firing = new Map(
+    listAlerts()
+      .filter(({ alert }) => alert.state === "firing")
+      .map((entry) => [entry.rule.id, entry]),
+  );
+  let changed = false;
+
+  for (const escalation of store.escalations) {
+    if (escalation.state === "resolved") continue;
+
+    const current = firing.get(escalation.ruleId);
+    if (!current) {
+      resolveEscalation(escalation, new Date(now).toISOString());
+      changed = true;
+      continue;
+    }
+
+    if (escalation.state !== "active" || !escalation.nextStepAt) continue;
+    if (Date.parse(escalation.nextStepAt) > now) continue;
+
+    runStep(escalation, current, now);
+    changed = true;
+  }
+
+  if (changed) saveStore();
+}
+
+// Starts an escalation when an alert fires and a policy covers its rule.
+function handleAlert({ rule, alert }) {
+  if (alert.state === "resolved") {
+    const escalation = findOpenEscalation(rule.id);
+    if (!escalation) return;
+
+    resolveEscalation(escalation, alert.resolvedAt);
+    saveStore();
+    return;
+  }
+
+  if (findOpenEscalation(rule.id)) return;
+
+  const policy = findPolicy(rule);
+  if (!policy) return;
+
+  const now = Date.now();
+  const escalation = {
+    id: String(store.nextId),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    severity: rule.severity,
+    policy: policy.name,
+    policySteps: policy.steps,
+    state: "active",
+    startedAt: new Date(now).toISOString(),
+    step: 0,
+    nextStepAt: new Date(now + policy.steps[0].delayMinutes * MINUTE_MS).toISOString(),
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    endedAt: null,
+    notifications: [],
+  };
+  store.escalations.push(escalation);
+  store.nextId += 1;
+
+  if (policy.steps[0].delayMinutes === 0) runStep(escalation, { rule, alert }, now);
+  saveStore();
+}
+
+// Lists escalations, newest first, optionally only those in one state.
+function listEscalations({ state = null } = {}) {
+  return store.escalations
+    .filter((entry) => !state || entry.state === state)
+    .slice()
+    .reverse();
+}
+
+function getEscalation(id) {
+  return store.escalations.find((entry) => entry.id === String(id)) || null;
+}
+
+// Acknowledges an escalation so no further steps run. Acknowledging one
+// that is already acknowledged or resolved changes nothing. Returns null
+// when it does not exist.
+function acknowledgeEscalation(id, { author = null } = {}) {
+  const escalation = getEscalation(id);
+  if (!escalation) return null;
+  if (escalation.state !== "active") return escalation;
+
+  escalation.state = "acknowledged";
+  escalation.acknowledgedAt = new Date().toISOString();
+  escalation.acknowledgedBy = author;
+  escalation.nextStepAt = null;
+  console.log(`[escalations] ${escalation.ruleName}: acknowledged`);
+
+  saveStore();
+  return escalation;
+}
+
+// Describes who is on call for each schedule right now.
+function listOnCall(now = Date.now()) {
+  return loadEscalationConfig().schedules.map((schedule) => ({
+    schedule: schedule.name,
+    ...getOnCall(schedule, now),
+  }));
+}
+
+// Starts escalating firing alerts and checking for due steps.
+function startEscalations() {
+  dashboardEvents.on("alerts", handleAlert);
+  setInterval(() => checkEscalations(), CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  ESCALATION_STATES,
+  acknowledgeEscalation,
+  getEscalation,
+  listEscalations,
+  listOnCall,
+  startEscalations,
+};
@@ -0,0 +1,68 @@
+// src/services/flapDetection.js
+//
+// Flags devices and customers whose status keeps bouncing (for example an AP
+// toggling Good/Warning/Down every few minutes). Anything that changed status
+// more than FLAP_THRESHOLD times within the last FLAP_WINDOW_MS counts as
+// flapping. Built on the transition log, so it needs no extra state.
+
+const { countChangesSince, getStatusSince } = require("./transitionStore");
+const {
+  getSuppressedAccounts,
+  getSuppressedInfrastructureItems,
+} = require("./suppressionStore");
+const { getEnvInt } = require("../utils/env");
+
+const FLAP_THRESHOLD = getEnvInt("FLAP_THRESHOLD") ?? 4;
+const FLAP_WINDOW_MS = getEnvInt("FLAP_WINDOW_MS") ?? 60 * 60 * 1000;
+// Set SHOW_FLAPPING_TILE=0 to hide the overview tile.
+const SHOW_FLAPPING_TILE = (getEnvInt("SHOW_FLAPPING_TILE") ?? 1) !== 0;
+
+// Returns how often each entity of one kind changed status in the window,
+// keeping only the ones over the threshold.
+function getFlappingCounts(kind, now = Date.now()) {
+  const counts = countChangesSince(kind, new Date(now - FLAP_WINDOW_MS).toISOString());
+
+  for (const [id, changes] of counts) {
+    if (changes <= FLAP_THRESHOLD) counts.delete(id);
+  }
+
+  return counts;
+}
+
+// Counts flapping entities that are still tracked and not suppressed.
+function countVisibleFlapping(kind, suppressedIds) {
+  let count = 0;
+
+  for (const id of getFlappingCounts(kind).keys()) {
+    if (suppressedIds.has(id) || !getStatusSince(kind, id)) continue;
+    count += 1;
+  }
+
+  return count;
+}
+
+// Returns the overview "Flapping" tile data, or null when the tile is off.
+// `hiddenItemIds` and `hiddenCustomerIds` are the devices and customers left
+// out of the overview, suppressed ones by default.
+function getFlappingSummary({
+  hiddenItemIds = getSuppressedInfrastructureItems(),
+  hiddenCustomerIds = getSuppressedAccounts(),
+} = {}) {
+  if (!SHOW_FLAPPING_TILE) return null;
+
+  const infrastructure = countVisibleFlapping("infrastructure", hiddenItemIds);
+  const customers = countVisibleFlapping("customer", hiddenCustomerIds);
+
+  return {
+    infrastructure,
+    customers,
+    total: infrastructure + customers,
+    threshold: FLAP_THRESHOLD,
+    windowMs: FLAP_WINDOW_MS,
+  };
+}
+
+module.exports = {
+  getFlappingCounts,
+  getFlappingSummary,
+};
@@ -0,0 +1,47 @@
+// src/services/historyRecorder.js
+//
+// Feeds overview counts into the history store. A sample is recorded as soon
+// as the summary changes (new Sonar data or a suppression change), and at
+// least every HISTORY_SAMPLE_MS while nothing changes so quiet periods still
+// have points.
+
+const { SUMMARY_SOURCES, peekSource } = require("./dashboardData");
+const { dashboardEvents } = require("./dashboardEvents");
+const { appendSample } = require("./historyStore");
+const { buildStatusSummary, summaryToMetrics } = require("./statusSummary");
+const { getEnvInt } = require("../utils/env");
+
+const HISTORY_SAMPLE_MS = getEnvInt("HISTORY_SAMPLE_MS") ?? 60_000;
+
+let sampleTimer = null;
+
+// Records the current summary. Restored or stale data is skipped so history
+// only holds counts Sonar actually reported at that time.
+function recordSample() {
+  clearTimeout(sampleTimer);
+  sampleTimer = setTimeout(recordSample, HISTORY_SAMPLE_MS);
+  sampleTimer.unref();
+
+  const results = SUMMARY_SOURCES.map(peekSource);
+  if (results.some((result) => !result || result.restored || result.error)) return;
+
+  const values = {};
+  SUMMARY_SOURCES.forEach((key, index) => {
+    values[key] = results[index].value;
+  });
+
+  appendSample(summaryToMetrics(buildStatusSummary(values)));
+}
+
+// Starts recording. The first sample is taken once data has loaded.
+function startHistoryRecorder() {
+  dashboardEvents.on("update", ({ sources }) => {
+    if (sources.includes("summary")) recordSample();
+  });
+  dashboardEvents.on("suppressions", recordSample);
+
+  sampleTimer = setTimeout(recordSample, HISTORY_SAMPLE_MS);
+  sampleTimer.unref();
+}
+
+module.exports = { startHistoryRecorder };
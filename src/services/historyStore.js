@@ -0,0 +1,219 @@
+// src/services/historyStore.js
+//
+// Local time-series store for overview counts, saved to data/history.json.
+//
+// Samples are kept at full resolution for two days, then rolled up into
+// 5-minute buckets, and after two weeks into hourly buckets until they pass
+// HISTORY_RETENTION_DAYS. Buckets keep avg/min/max per metric so a short
+// spike still shows up after downsampling.
+
+const path = require("path");
+const { getEnvInt } = require("../utils/env");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+
+const HISTORY_DATA_PATH = path.resolve(__dirname, "../../data/history.json");
+const HISTORY_FORMAT_VERSION = 1;
+
+const MINUTE_MS = 60_000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const RAW_RETENTION_MS = 2 * DAY_MS;
+const FIVE_MINUTE_RETENTION_MS = 14 * DAY_MS;
+const RETENTION_MS = (getEnvInt("HISTORY_RETENTION_DAYS") ?? 90) * DAY_MS;
+// Appends close together are written to disk in one go.
+const SAVE_DELAY_MS = 5_000;
+
+// Named resolutions accepted by querySeries().
+const RESOLUTIONS = {
+  raw: 0,
+  "1m": MINUTE_MS,
+  "5m": 5 * MINUTE_MS,
+  "15m": 15 * MINUTE_MS,
+  "1h": HOUR_MS,
+  "6h": 6 * HOUR_MS,
+  "1d": DAY_MS,
+};
+
+// "auto" picks the finest resolution that keeps a series under this size.
+const AUTO_MAX_POINTS = 300;
+
+let history = loadHistory();
+let saveTimer = null;
+
+function loadHistory() {
+  const raw = readJsonFile(HISTORY_DATA_PATH);
+
+  if (raw?.version !== HISTORY_FORMAT_VERSION) {
+    return { raw: [], fiveMinute: [], hourly: [] };
+  }
+
+  return {
+    raw: raw.raw || [],
+    fiveMinute: raw.fiveMinute || [],
+    hourly: raw.hourly || [],
+  };
+}
+
+function saveHistory() {
+  try {
+    writeJsonFileAtomic(HISTORY_DATA_PATH, { version: HISTORY_FORMAT_VERSION, ...history });
+  } catch (err) {
+    console.error("Could not save status history:", err.message);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveHistory();
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+// Turns a raw sample `{ t, v }` into a one-sample bucket.
+function sampleToBucket(sample) {
+  return { t: sample.t, n: 1, avg: sample.v, min: sample.v, max: sample.v };
+}
+
+// Combines two buckets, weighting averages by sample count.
+function mergeBuckets(a, b, t = a.t) {
+  const n = a.n + b.n;
+  const merged = { t, n, avg: {}, min: {}, max: {} };
+  const metrics = new Set([...Object.keys(a.avg), ...Object.keys(b.avg)]);
+
+  for (const metric of metrics) {
+    if (!(metric in a.avg)) {
+      merged.avg[metric] = b.avg[metric];
+      merged.min[metric] = b.min[metric];
+      merged.max[metric] = b.max[metric];
+    } else if (!(metric in b.avg)) {
+      merged.avg[metric] = a.avg[metric];
+      merged.min[metric] = a.min[metric];
+      merged.max[metric] = a.max[metric];
+    } else {
+      merged.avg[metric] = (a.avg[metric] * a.n + b.avg[metric] * b.n) / n;
+      merged.min[metric] = Math.min(a.min[metric], b.min[metric]);
+      merged.max[metric] = Math.max(a.max[metric], b.max[metric]);
+    }
+  }
+
+  return merged;
+}
+
+// Adds a bucket to a sorted tier, merging it into the last bucket when they
+// share a start time.
+function addToTier(tier, bucket, stepMs) {
+  const t = Math.floor(bucket.t / stepMs) * stepMs;
+  const last = tier[tier.length - 1];
+
+  if (last && last.t === t) {
+    tier[tier.length - 1] = mergeBuckets(last, bucket, t);
+  } else {
+    tier.push(mergeBuckets({ t, n: 0, avg: {}, min: {}, max: {} }, bucket, t));
+  }
+}
+
+// Rolls data that aged out of one tier into the next and drops anything past
+// the overall retention.
+function compact(now = Date.now()) {
+  while (history.raw.length && history.raw[0].t < now - RAW_RETENTION_MS) {
+    addToTier(history.fiveMinute, sampleToBucket(history.raw.shift()), 5 * MINUTE_MS);
+  }
+
+  while (history.fiveMinute.length && history.fiveMinute[0].t < now - FIVE_MINUTE_RETENTION_MS) {
+    addToTier(history.hourly, history.fiveMinute.shift(), HOUR_MS);
+  }
+
+  while (history.hourly.length && history.hourly[0].t < now - RETENTION_MS) {
+    history.hourly.shift();
+  }
+}
+
+// Appends one sample of metric values (`{ "customers.down": 4, ... }`).
+function appendSample(values, at = Date.now()) {
+  const last = history.raw[history.raw.length - 1];
+
+  // Keep the raw tier sorted even if the clock steps backwards.
+  if (last && at < last.t) return;
+
+  history.raw.push({ t: at, v: values });
+  compact(at);
+  scheduleSave();
+}
+
+// Picks a bucket size for a range when the caller asked for "auto".
+function pickAutoStep(rangeMs) {
+  const steps = Object.values(RESOLUTIONS).filter(Boolean);
+  return steps.find((step) => rangeMs / step <= AUTO_MAX_POINTS) || steps[steps.length - 1];
+}
+
+// Returns the step in ms for a resolution name, or null when it is unknown.
+function resolveStep(resolution, rangeMs) {
+  if (!resolution || resolution === "auto") return pickAutoStep(rangeMs);
+  return resolution in RESOLUTIONS ? RESOLUTIONS[resolution] : null;
+}
+
+// Returns per-metric series between `from` and `to` (ms timestamps) at the
+// given step. A step of 0 returns stored points as they are. Each point is
+// `{ t, avg, min, max }`.
+function querySeries({ from, to, stepMs, metrics = null }) {
+  const points = [
+    ...history.hourly,
+    ...history.fiveMinute,
+    ...history.raw.map(sampleToBucket),
+  ].filter((bucket) => bucket.t >= from && bucket.t <= to);
+
+  let buckets = points;
+
+  if (stepMs > 0) {
+    const grouped = new Map();
+
+    for (const point of points) {
+      const t = Math.floor(point.t / stepMs) * stepMs;
+      const existing = grouped.get(t);
+      grouped.set(t, existing ? mergeBuckets(existing, point, t) : { ...point, t });
+    }
+
+    buckets = [...grouped.values()];
+  }
+
+  const names = metrics || [...new Set(buckets.flatMap((bucket) => Object.keys(bucket.avg)))];
+  const series = {};
+
+  for (const name of names) {
+    series[name] = buckets
+      .filter((bucket) => name in bucket.avg)
+      .map((bucket) => ({
+        t: bucket.t,
+        avg: Math.round(bucket.avg[name] * 100) / 100,
+        min: bucket.min[name],
+        max: bucket.max[name],
+      }));
+  }
+
+  return series;
+}
+
+// Returns how much history is stored, for diagnostics.
+function getHistoryStats() {
+  const oldest = history.hourly[0] || history.fiveMinute[0] || history.raw[0];
+
+  return {
+    raw: history.raw.length,
+    fiveMinute: history.fiveMinute.length,
+    hourly: history.hourly.length,
+    oldest: oldest ? new Date(oldest.t).toISOString() : null,
+    retentionDays: RETENTION_MS / DAY_MS,
+  };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  appendSample,
+  getHistoryStats,
+  querySeries,
+  resolveStep,
+};
@@ -0,0 +1,151 @@
+// src/services/incidentStore.js
+//
+// Locally stored incidents, saved to data/incidents.json. An incident ties a
+// set of customers and inventory items to one title and severity, moves
+// through open -> acknowledged -> resolved, and keeps a timeline of notes
+// and state changes. Incidents are written on every change since they are
+// created by hand and rarely change more than a few times a minute.
+
+const path = require("path");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+
+const INCIDENTS_DATA_PATH = path.resolve(__dirname, "../../data/incidents.json");
+const INCIDENTS_FORMAT_VERSION = 1;
+
+const INCIDENT_SEVERITIES = ["critical", "major", "minor"];
+const INCIDENT_STATES = ["open", "acknowledged", "resolved"];
+
+let store = loadStore();
+
+function loadStore() {
+  const raw = readJsonFile(INCIDENTS_DATA_PATH);
+
+  if (raw?.version !== INCIDENTS_FORMAT_VERSION) {
+    return { nextId: 1, incidents: [] };
+  }
+
+  return {
+    nextId: Number(raw.nextId) || 1,
+    incidents: Array.isArray(raw.incidents) ? raw.incidents : [],
+  };
+}
+
+function saveStore() {
+  writeJsonFileAtomic(INCIDENTS_DATA_PATH, { version: INCIDENTS_FORMAT_VERSION, ...store });
+}
+
+// Normalizes a list of ids to unique, non-empty strings.
+function normalizeIds(ids) {
+  return [...new Set((ids || []).map((id) => String(id ?? "").trim()).filter(Boolean))];
+}
+
+// Appends a timeline entry and bumps the incident's updatedAt.
+function addTimelineEntry(incident, type, { text = null, author = null, at } = {}) {
+  const entry = { at: at || new Date().toISOString(), type, text, author };
+  incident.timeline.push(entry);
+  incident.updatedAt = entry.at;
+  return entry;
+}
+
+// Returns incidents newest first, optionally filtered by state. "active"
+// matches every incident that is not resolved.
+function listIncidents({ state = null } = {}) {
+  return store.incidents
+    .filter((incident) => {
+      if (!state) return true;
+      if (state === "active") return incident.state !== "resolved";
+      return incident.state === state;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getIncident(id) {
+  return store.incidents.find((incident) => incident.id === String(id)) || null;
+}
+
+// Creates an incident in the open state. Input is expected to be validated.
+function createIncident({
+  title,
+  severity,
+  customerIds = [],
+  inventoryItemIds = [],
+  note = null,
+  author = null,
+}) {
+  const now = new Date().toISOString();
+  const incident = {
+    id: String(store.nextId),
+    title: String(title).trim(),
+    severity,
+    state: "open",
+    customerIds: normalizeIds(customerIds),
+    inventoryItemIds: normalizeIds(inventoryItemIds),
+    timeline: [],
+    createdAt: now,
+    updatedAt: now,
+    acknowledgedAt: null,
+    resolvedAt: null,
+  };
+
+  addTimelineEntry(incident, "created", { text: note, author, at: now });
+
+  store.nextId += 1;
+  store.incidents.push(incident);
+  saveStore();
+  return incident;
+}
+
+// Moves an incident to a new state and records it on the timeline. Moving
+// back to "open" reopens a resolved or acknowledged incident. Returns null
+// when the incident does not exist.
+function setIncidentState(id, state, { note = null, author = null } = {}) {
+  const incident = getIncident(id);
+  if (!incident) return null;
+  if (incident.state === state) return incident;
+
+  const entry = addTimelineEntry(incident, state === "open" ? "reopened" : state, {
+    text: note,
+    author,
+  });
+
+  incident.state = state;
+  if (state === "acknowledged") incident.acknowledgedAt = entry.at;
+  if (state === "resolved") incident.resolvedAt = entry.at;
+  if (state === "open") {
+    incident.acknowledgedAt = null;
+    incident.resolvedAt = null;
+  }
+
+  saveStore();
+  return incident;
+}
+
+// Adds a note to an incident's timeline. Returns null when it does not exist.
+function addIncidentNote(id, { text, author = null }) {
+  const incident = getIncident(id);
+  if (!incident) return null;
+
+  addTimelineEntry(incident, "note", { text: String(text).trim(), author });
+  saveStore();
+  return incident;
+}
+
+// Counts incidents per state for the overview tile.
+function getIncidentCounts() {
+  const counts = Object.fromEntries(INCIDENT_STATES.map((state) => [state, 0]));
+
+  for (const incident of store.incidents) counts[incident.state] += 1;
+
+  return { ...counts, active: counts.open + counts.acknowledged };
+}
+
+module.exports = {
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATES,
+  addIncidentNote,
+  createIncident,
+  getIncident,
+  getIncidentCounts,
+  listIncidents,
+  setIncidentState,
+};
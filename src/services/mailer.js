@@ -0,0 +1,90 @@
+// src/services/mailer.js
+//
+// SMTP delivery through the relay configured in .env. Email is off until
+// SMTP_HOST and SMTP_FROM are set. For local testing point it at a catcher
+// such as MailHog or smtp4dev (SMTP_HOST=localhost SMTP_PORT=1025).
+
+const nodemailer = require("nodemailer");
+const { getEnvInt } = require("../utils/env");
+
+let transport = null;
+
+// Reads the SMTP settings from the environment. SMTP_SECURE=1 uses TLS from
+// the first byte (usually port 465); otherwise STARTTLS is used when the
+// server offers it, and SMTP_REQUIRE_TLS=1 refuses to send without it.
+function getSmtpSettings() {
+  const secure = process.env.SMTP_SECURE === "1";
+
+  return {
+    host: process.env.SMTP_HOST || null,
+    port: getEnvInt("SMTP_PORT") ?? (secure ? 465 : 587),
+    secure,
+    requireTLS: process.env.SMTP_REQUIRE_TLS === "1",
+    rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== "0",
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from: process.env.SMTP_FROM || null,
+    timeoutMs: getEnvInt("SMTP_TIMEOUT_MS") ?? 15_000,
+  };
+}
+
+function isEmailConfigured() {
+  const { host, from } = getSmtpSettings();
+  return Boolean(host && from);
+}
+
+// Describes the relay for the browser, without the password.
+function describeSmtpSettings() {
+  const settings = getSmtpSettings();
+
+  return {
+    configured: isEmailConfigured(),
+    host: settings.host,
+    port: settings.port,
+    tls: settings.secure ? "tls" : settings.requireTLS ? "starttls-required" : "starttls",
+    auth: Boolean(settings.user),
+    from: settings.from,
+  };
+}
+
+function getTransport() {
+  if (transport) return transport;
+
+  const settings = getSmtpSettings();
+
+  transport = nodemailer.createTransport({
+    host: settings.host,
+    port: settings.port,
+    secure: settings.secure,
+    requireTLS: settings.requireTLS,
+    tls: { rejectUnauthorized: settings.rejectUnauthorized },
+    auth: settings.user ? { user: settings.user, pass: settings.pass || "" } : undefined,
+    connectionTimeout: settings.timeoutMs,
+    greetingTimeout: settings.timeoutMs,
+    socketTimeout: settings.timeoutMs,
+  });
+
+  return transport;
+}
+
+// Sends one message. Rejects when email is not configured or the relay
+// refuses it.
+async function sendEmail({ to, subject, text, html }) {
+  if (!isEmailConfigured()) {
+    throw new Error("Email is not configured (set SMTP_HOST and SMTP_FROM)");
+  }
+
+  return getTransport().sendMail({
+    from: getSmtpSettings().from,
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+module.exports = {
+  describeSmtpSettings,
+  isEmailConfigured,
+  sendEmail,
+};
@@ -0,0 +1,285 @@
+// src/services/maintenanceStore.js
+//
+// Scheduled maintenance windows, saved to data/maintenance.json. Windows are
+// managed on /maintenance.html; the file is re-read on every use, so hand
+// edits apply without a restart.
+//
+// A window has a start and end time and targets any mix of:
+// - inventoryItems: infrastructure inventory item IDs
+// - networkSites: network site IDs or names (every device at the site)
+// - ipPools: IP pool names (every customer with an address in the pool)
+// - accounts: customer account IDs
+//
+// While a window is active its matching rows are treated as suppressed.
+// Nothing has to be undone afterwards: once the end time passes the rows
+// count again.
+
+const path = require("path");
+const { dashboardEvents } = require("./dashboardEvents");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+
+const MAINTENANCE_DATA_PATH = path.resolve(__dirname, "../../data/maintenance.json");
+const MAINTENANCE_FORMAT_VERSION = 1;
+
+const MAINTENANCE_TARGETS = ["inventoryItems", "networkSites", "ipPools", "accounts"];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_TARGETS = 500;
+// How often windows starting or ending are checked for.
+const CHECK_INTERVAL_MS = 15_000;
+// Longest window accepted: 30 days.
+const MAX_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+// Ended windows are dropped from the file after this long.
+const KEEP_ENDED_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Config problems already logged. The file is re-read on every use, so each
+// problem is only reported once.
+const reportedProblems = new Set();
+
+// Windows active at the last check, by id.
+let activeWindows = new Map();
+
+function warnOnce(message) {
+  if (reportedProblems.has(message)) return;
+  reportedProblems.add(message);
+  console.warn(message);
+}
+
+// Reads a list of target values from an array or a comma separated string.
+function readTargetList(value) {
+  const values = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return [...new Set(values.map((entry) => String(entry ?? "").trim()).filter(Boolean))];
+}
+
+// Validates a window definition from the API or the maintenance file.
+// Returns `{ window }` or `{ error }`.
+function validateMaintenanceWindow(input) {
+  const raw = input || {};
+  const title = typeof raw.title === "string" ? raw.title.trim() : "";
+  const note = typeof raw.note === "string" ? raw.note.trim() : "";
+  const startsAt = Date.parse(raw.startsAt);
+  const endsAt = Date.parse(raw.endsAt);
+
+  if (!title || title.length > MAX_TITLE_LENGTH) return { error: "A title is required" };
+  if (note.length > MAX_NOTE_LENGTH) return { error: "Note is too long" };
+  if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) {
+    return { error: "startsAt and endsAt must be dates" };
+  }
+  if (endsAt <= startsAt) return { error: "The window must end after it starts" };
+  if (endsAt - startsAt > MAX_WINDOW_MS) return { error: "A window can last at most 30 days" };
+
+  const targets = {};
+  for (const key of MAINTENANCE_TARGETS) {
+    targets[key] = readTargetList(raw.targets?.[key]);
+    if (targets[key].length > MAX_TARGETS) return { error: `Too many ${key}` };
+  }
+
+  if (!MAINTENANCE_TARGETS.some((key) => targets[key].length)) {
+    return { error: "Pick at least one inventory item, network site, IP pool or account" };
+  }
+
+  return {
+    window: {
+      title,
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: new Date(endsAt).toISOString(),
+      targets,
+      note: note || null,
+    },
+  };
+}
+
+// Reads the raw window entries, valid or not, so saving through the API
+// never drops a hand-written window that has a typo in it.
+function readWindowEntries() {
+  const raw = readJsonFile(MAINTENANCE_DATA_PATH);
+  if (raw?.version !== MAINTENANCE_FORMAT_VERSION || !Array.isArray(raw.windows)) return [];
+  return raw.windows;
+}
+
+// Saves the windows, dropping those that ended more than KEEP_ENDED_MS ago.
+function saveWindowEntries(entries, now = Date.now()) {
+  writeJsonFileAtomic(MAINTENANCE_DATA_PATH, {
+    version: MAINTENANCE_FORMAT_VERSION,
+    windows: entries.filter((entry) => !(Date.parse(entry?.endsAt) < now - KEEP_ENDED_MS)),
+  });
+}
+
+function findEntryIndex(entries, id) {
+  return entries.findIndex((entry) => String(entry?.id ?? "") === String(id));
+}
+
+// Returns "scheduled", "active" or "ended" for a window at a time.
+function getWindowState(window, now = Date.now()) {
+  if (now < Date.parse(window.startsAt)) return "scheduled";
+  if (now < Date.parse(window.endsAt)) return "active";
+  return "ended";
+}
+
+// Returns every valid window ordered by start time. Invalid windows are
+// skipped with a warning.
+function listMaintenanceWindows() {
+  const windows = [];
+
+  readWindowEntries().forEach((entry, index) => {
+    const { window, error } = validateMaintenanceWindow(entry);
+    const id = String(entry?.id ?? "").trim();
+
+    if (!window || !id) {
+      warnOnce(`[maintenance] skipping window ${index + 1}: ${error || "missing id"}`);
+      return;
+    }
+
+    windows.push({
+      id,
+      ...window,
+      createdAt: entry.createdAt || null,
+      updatedAt: entry.updatedAt || null,
+    });
+  });
+
+  return windows.sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+}
+
+// Returns the windows in effect at a time.
+function getActiveMaintenanceWindows(now = Date.now()) {
+  return listMaintenanceWindows().filter((window) => getWindowState(window, now) === "active");
+}
+
+// Creates a window from a validated definition.
+function createMaintenanceWindow(definition) {
+  const entries = readWindowEntries();
+  const now = new Date().toISOString();
+  const nextId = entries.reduce((max, entry) => Math.max(max, Number(entry?.id) || 0), 0) + 1;
+  const window = { id: String(nextId), ...definition, createdAt: now, updatedAt: now };
+
+  entries.push(window);
+  saveWindowEntries(entries);
+  return window;
+}
+
+// Replaces a window's definition. Returns null when it does not exist.
+function updateMaintenanceWindow(id, definition) {
+  const entries = readWindowEntries();
+  const index = findEntryIndex(entries, id);
+  if (index === -1) return null;
+
+  const window = {
+    id: String(entries[index].id),
+    ...definition,
+    createdAt: entries[index].createdAt || null,
+    updatedAt: new Date().toISOString(),
+  };
+
+  entries[index] = window;
+  saveWindowEntries(entries);
+  return window;
+}
+
+// Removes a window. Returns false when it does not exist.
+function deleteMaintenanceWindow(id) {
+  const entries = readWindowEntries();
+  const index = findEntryIndex(entries, id);
+  if (index === -1) return false;
+
+  entries.splice(index, 1);
+  saveWindowEntries(entries);
+  return true;
+}
+
+// Whether a list of target values holds a value. Names compare without
+// regard to case; IDs are compared as strings.
+function targetsInclude(values, value) {
+  const needle = String(value ?? "").toLowerCase();
+  return Boolean(needle) && values.some((entry) => entry.toLowerCase() === needle);
+}
+
+// Returns the first of `windows` that covers an infrastructure row, or null.
+function findInfrastructureWindow(row, windows) {
+  return (
+    windows.find(
+      ({ targets }) =>
+        targetsInclude(targets.inventoryItems, row.inventoryItemId) ||
+        targetsInclude(targets.networkSites, row.networkSiteId) ||
+        targetsInclude(targets.networkSites, row.networkSiteName),
+    ) || null
+  );
+}
+
+// Returns the first of `windows` that covers a customer row, or null.
+function findCustomerWindow(customer, windows) {
+  return (
+    windows.find(
+      ({ targets }) =>
+        targetsInclude(targets.accounts, customer.customerId) ||
+        (customer.ipPools || []).some((pool) => targetsInclude(targets.ipPools, pool)),
+    ) || null
+  );
+}
+
+// Keeps the window fields shown next to a row in maintenance.
+function describeMaintenance(window) {
+  return { id: window.id, title: window.title, endsAt: window.endsAt };
+}
+
+const MAINTENANCE_LOG_LABELS = {
+  suppressed: "started",
+  unsuppressed: "ended",
+  updated: "changed",
+};
+
+// Announces windows that started, ended or were edited while active since
+// the last check as suppression changes, so views, totals and alerts pick
+// them up right away. The first check only records what is active; nothing
+// changed for anyone at startup.
+function checkMaintenanceWindows({ announce = true } = {}) {
+  const current = new Map(getActiveMaintenanceWindows().map((window) => [window.id, window]));
+  const previous = activeWindows;
+  activeWindows = current;
+  if (!announce) return;
+
+  const at = new Date().toISOString();
+  const announceChange = (window, action) => {
+    console.log(`[maintenance] "${window.title}" ${MAINTENANCE_LOG_LABELS[action]}`);
+    dashboardEvents.emit("suppressions", {
+      kind: "maintenance",
+      id: window.id,
+      action,
+      title: window.title,
+      at,
+    });
+  };
+
+  for (const window of previous.values()) {
+    if (!current.has(window.id)) announceChange(window, "unsuppressed");
+  }
+
+  for (const window of current.values()) {
+    const before = previous.get(window.id);
+    if (!before) announceChange(window, "suppressed");
+    else if (before.updatedAt !== window.updatedAt) announceChange(window, "updated");
+  }
+}
+
+// Starts lifting and applying windows as their times come.
+function startMaintenanceWatch() {
+  checkMaintenanceWindows({ announce: false });
+  setInterval(() => checkMaintenanceWindows(), CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  MAINTENANCE_TARGETS,
+  checkMaintenanceWindows,
+  createMaintenanceWindow,
+  deleteMaintenanceWindow,
+  describeMaintenance,
+  findCustomerWindow,
+  findInfrastructureWindow,
+  getActiveMaintenanceWindows,
+  getWindowState,
+  listMaintenanceWindows,
+  startMaintenanceWatch,
+  updateMaintenanceWindow,
+  validateMaintenanceWindow,
+};
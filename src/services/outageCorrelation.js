@@ -0,0 +1,161 @@
+// src/services/outageCorrelation.js
+//
+// Groups down and warning customers by what they have in common so a tower
+// or pool failure shows up as one suspected outage instead of dozens of
+// separate rows. Customers are grouped two ways:
+// - by IP pool, straight from the ipPools on each customer row
+// - by network site, by finding the site whose infrastructure subnet (for
+//   example a tower router at 10.20.0.1/24) contains the customer's address
+//
+// Good customers are counted too, so each group knows what share of its
+// customers is down. A group is a suspected outage once that share reaches
+// OUTAGE_DOWN_SHARE_PERCENT and at least OUTAGE_MIN_DOWN customers are down.
+
+const { cidrContains, parseCidr } = require("../utils/network");
+const { getEnvInt } = require("../utils/env");
+
+const OUTAGE_DOWN_SHARE_PERCENT = getEnvInt("OUTAGE_DOWN_SHARE_PERCENT") ?? 50;
+const OUTAGE_MIN_DOWN = getEnvInt("OUTAGE_MIN_DOWN") ?? 3;
+
+// Site subnet lists are rebuilt only when a new snapshot arrives.
+const siteRangeCache = new WeakMap();
+
+// Collects the infrastructure subnets of every network site, most specific
+// first, so a customer address matches the narrowest range that holds it.
+function getSiteRanges(snapshot) {
+  if (!snapshot) return [];
+  if (siteRangeCache.has(snapshot)) return siteRangeCache.get(snapshot);
+
+  const ranges = [];
+
+  for (const site of snapshot.sites || []) {
+    for (const history of site?.ip_assignment_histories?.entities || []) {
+      if (history?.removed_datetime) continue;
+
+      const range = parseCidr(history?.subnet);
+
+      // A /32 is the device's own address and cannot hold customers.
+      if (!range || range.prefix === 32) continue;
+
+      ranges.push({
+        ...range,
+        siteId: site?.id ?? null,
+        siteName: site?.name || "(unknown)",
+      });
+    }
+  }
+
+  ranges.sort((a, b) => b.prefix - a.prefix);
+  siteRangeCache.set(snapshot, ranges);
+  return ranges;
+}
+
+// Returns the network site a customer's addresses fall under, or null.
+function findCustomerSite(customer, siteRanges) {
+  for (const address of customer.ipAddresses || []) {
+    const match = siteRanges.find((range) => cidrContains(range, address));
+    if (match) return match;
+  }
+
+  return null;
+}
+
+// Adds one customer to a group, creating the group on first use.
+function addToGroup(groups, key, details, customer, status) {
+  let group = groups.get(key);
+
+  if (!group) {
+    group = { key, ...details, customers: 0, down: 0, warning: 0, downIds: [], warningIds: [] };
+    groups.set(key, group);
+  }
+
+  group.customers += 1;
+
+  if (status === "down") {
+    group.down += 1;
+    group.downIds.push(String(customer.customerId));
+  }
+
+  if (status === "warning") {
+    group.warning += 1;
+    group.warningIds.push(String(customer.customerId));
+  }
+}
+
+// Turns the working group into the API shape and applies the thresholds.
+function describeGroup(group) {
+  const downShare = group.customers ? (group.down / group.customers) * 100 : 0;
+
+  return {
+    key: group.key,
+    type: group.type,
+    name: group.name,
+    networkSiteId: group.networkSiteId ?? null,
+    customers: group.customers,
+    down: group.down,
+    warning: group.warning,
+    downShare: Number(downShare.toFixed(1)),
+    suspected: group.down >= OUTAGE_MIN_DOWN && downShare >= OUTAGE_DOWN_SHARE_PERCENT,
+    downCustomerIds: group.downIds,
+    warningCustomerIds: group.warningIds,
+  };
+}
+
+// Orders suspected outages first, then by how many customers are down.
+function compareGroups(a, b) {
+  return (
+    Number(b.suspected) - Number(a.suspected) ||
+    b.down - a.down ||
+    b.warning - a.warning ||
+    String(a.name).localeCompare(String(b.name), "en", { sensitivity: "base" })
+  );
+}
+
+// Builds pool and site groups from already-filtered customer lists. Only
+// groups with at least one down or warning customer are returned.
+function buildOutageGroups({
+  downCustomers = [],
+  warningCustomers = [],
+  goodCustomers = [],
+  infrastructureSnapshot = null,
+}) {
+  const siteRanges = getSiteRanges(infrastructureSnapshot);
+  const groups = new Map();
+
+  const lists = [
+    ["down", downCustomers],
+    ["warning", warningCustomers],
+    ["good", goodCustomers],
+  ];
+
+  for (const [status, customers] of lists) {
+    for (const customer of customers) {
+      for (const pool of customer.ipPools || []) {
+        addToGroup(groups, `pool:${pool}`, { type: "pool", name: pool }, customer, status);
+      }
+
+      const site = findCustomerSite(customer, siteRanges);
+
+      if (site) {
+        addToGroup(
+          groups,
+          `site:${site.siteId ?? site.siteName}`,
+          { type: "site", name: site.siteName, networkSiteId: site.siteId },
+          customer,
+          status,
+        );
+      }
+    }
+  }
+
+  return [...groups.values()]
+    .filter((group) => group.down || group.warning)
+    .map(describeGroup)
+    .sort(compareGroups);
+}
+
+module.exports = {
+  OUTAGE_DOWN_SHARE_PERCENT,
+  OUTAGE_MIN_DOWN,
+  buildOutageGroups,
+};
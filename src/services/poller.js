@@ -0,0 +1,99 @@
+// src/services/poller.js
+//
+// Runs a task on a fixed interval in the background. The next run is only
+// scheduled once the current one settles, so slow Sonar responses can never
+// stack up overlapping runs.
+
+// Creates one poller. Nothing runs until start() is called.
+function createPoller({ name, intervalMs, task }) {
+  let timer = null;
+  let started = false;
+  let running = false;
+  let runs = 0;
+  let failures = 0;
+  let consecutiveFailures = 0;
+  let lastRun = null;
+  let nextRunAt = 0;
+
+  // Runs the task once and records how it went. Errors are logged, not thrown.
+  async function runOnce() {
+    if (running) return;
+
+    running = true;
+    const startedAt = Date.now();
+
+    try {
+      await task();
+      consecutiveFailures = 0;
+      lastRun = {
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        ok: true,
+        error: null,
+        errorCode: null,
+      };
+    } catch (err) {
+      failures += 1;
+      consecutiveFailures += 1;
+      lastRun = {
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        ok: false,
+        error: err.message,
+        errorCode: err.code || null,
+      };
+      console.error(`[${name}] poll failed after ${lastRun.durationMs}ms:`, err.message);
+    } finally {
+      runs += 1;
+      running = false;
+    }
+  }
+
+  function schedule() {
+    nextRunAt = Date.now() + intervalMs;
+    timer = setTimeout(async () => {
+      await runOnce();
+      if (started) schedule();
+    }, intervalMs);
+
+    // The HTTP server keeps the process alive; the poller should not.
+    timer.unref();
+  }
+
+  // Runs the task right away, then keeps running it every intervalMs.
+  function start() {
+    if (started) return;
+
+    started = true;
+    console.log(`[${name}] polling every ${intervalMs}ms`);
+    runOnce().then(() => {
+      if (started) schedule();
+    });
+  }
+
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = 0;
+  }
+
+  // Returns a plain snapshot of the poller for diagnostics.
+  function getStatus() {
+    return {
+      name,
+      enabled: started,
+      intervalMs,
+      running,
+      runs,
+      failures,
+      consecutiveFailures,
+      lastRun,
+      nextRunAt: nextRunAt ? new Date(nextRunAt).toISOString() : null,
+    };
+  }
+
+  return { getStatus, runOnce, start, stop };
+}
+
+module.exports = { createPoller };
@@ -0,0 +1,45 @@
+// src/services/singleFlight.js
+//
+// Coalesces identical in-progress work. While a call for a key is running,
+// later callers with the same key get the same promise instead of starting
+// a second copy. Nothing is cached once the promise settles.
+
+function createSingleFlight() {
+  const inFlight = new Map();
+  let started = 0;
+  let coalesced = 0;
+
+  // Runs `fn` for `key`, or joins the call that is already running for it.
+  function run(key, fn) {
+    const existing = inFlight.get(key);
+
+    if (existing) {
+      coalesced += 1;
+      return existing;
+    }
+
+    started += 1;
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        inFlight.delete(key);
+      });
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  // Returns counters for diagnostics. `coalesced` is the number of calls saved.
+  function getStats() {
+    return {
+      started,
+      coalesced,
+      inFlight: inFlight.size,
+    };
+  }
+
+  return { getStats, run };
+}
+
+module.exports = { createSingleFlight };
@@ -0,0 +1,33 @@
+// src/services/snapshotStore.js
+//
+// Saves the latest Sonar data to disk so a restart can show it right away
+// instead of errors while the first fetch runs. Writes are atomic, so a
+// crash mid-write never leaves a corrupt snapshot behind.
+
+const path = require("path");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+
+const SNAPSHOT_DATA_PATH = path.resolve(__dirname, "../../data/dashboard-snapshot.json");
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+// Reads the saved snapshot. Returns `{ savedAt, sources }` where each source
+// is `{ value, ts }`, or null when there is no usable file.
+function loadSnapshot() {
+  const raw = readJsonFile(SNAPSHOT_DATA_PATH);
+  if (raw?.version !== SNAPSHOT_FORMAT_VERSION || !raw.sources) return null;
+  return { savedAt: raw.savedAt, sources: raw.sources };
+}
+
+// Writes every source to disk atomically.
+function saveSnapshot(sources) {
+  writeJsonFileAtomic(SNAPSHOT_DATA_PATH, {
+    version: SNAPSHOT_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    sources,
+  });
+}
+
+module.exports = {
+  loadSnapshot,
+  saveSnapshot,
+};
@@ -1,6 +1,15 @@
 // src/services/sonarService.js
 
 const { sonarGraphqlRequest } = require("../../sonarClient");
+const {
+  SonarAuthError,
+  SonarCircuitOpenError,
+  SonarConfigError,
+  SonarError,
+  SonarGraphqlError,
+} = require("../sonar/errors");
+const { createCircuitBreaker } = require("./circuitBreaker");
+const { createSingleFlight } = require("./singleFlight");
 const { getEnvInt, requireEnv } = require("../utils/env");
 const { pickCount, uniqStrings, firstNonEmpty } = require("../utils/normalize");
 const {
@@ -8,11 +17,7 @@ const {
   CUSTOMER_EQUIPMENT_SUMMARY_QUERY,
   DOWN_ACCOUNTS_QUERY,
   GOOD_ACCOUNTS_QUERY,
-  INFRASTRUCTURE_DOWN_TABLE_QUERY,
-  INFRASTRUCTURE_GOOD_TABLE_QUERY,
-  INFRASTRUCTURE_INVENTORY_SNAPSHOT_QUERY,
   INFRASTRUCTURE_TABLE_SNAPSHOT_QUERY,
-  INFRASTRUCTURE_WARNING_TABLE_QUERY,
   OPEN_TICKET_COUNT_QUERY,
   UNINVENTORIED_ACCOUNTS_QUERY,
   WARNING_ACCOUNTS_QUERY,
@@ -20,6 +25,35 @@ const {
 
 const CUSTOMER_QUERY_PAGE_SIZE = 1000;
 
+// Incremented on every infrastructure snapshot fetch. Seeded from the
+// snapshot restored at startup so ids keep increasing across restarts.
+let infrastructureSnapshotVersion = 0;
+
+// Stops sending traffic to Sonar after repeated transport failures so an
+// outage does not turn every dashboard refresh into a pile of timeouts.
+// GraphQL errors mean Sonar answered, and a rejected token or missing
+// settings will not fix themselves by waiting, so none of these count toward
+// opening.
+const sonarCircuit = createCircuitBreaker({
+  name: "sonar",
+  failureThreshold: getEnvInt("SONAR_BREAKER_FAILURE_THRESHOLD") ?? 5,
+  resetTimeoutMs: getEnvInt("SONAR_BREAKER_RESET_MS") ?? 30_000,
+  isFailure: (err) =>
+    err instanceof SonarError &&
+    !(err instanceof SonarGraphqlError) &&
+    !(err instanceof SonarAuthError) &&
+    !(err instanceof SonarConfigError),
+  buildOpenError: (state) =>
+    new SonarCircuitOpenError(
+      `Sonar requests paused after ${state.consecutiveFailures} failures (${state.lastError})`,
+      { retryAt: state.retryAt },
+    ),
+});
+
+// Shares one in-progress request between callers asking Sonar for the same
+// query and variables, e.g. a cold summary and down list loading together.
+const sonarFlights = createSingleFlight();
+
 // Loads the Sonar connection settings and shared query variables.
 function getSonarConfig() {
   const endpoint = requireEnv("SONAR_ENDPOINT");
@@ -31,6 +65,13 @@ function getSonarConfig() {
   return {
     endpoint,
     token,
+    // Per-request timeout and retry tuning. Unset values fall back to the
+    // defaults in sonarClient.js.
+    request: {
+      timeoutMs: getEnvInt("SONAR_TIMEOUT_MS") ?? undefined,
+      maxRetries: getEnvInt("SONAR_MAX_RETRIES") ?? undefined,
+      retryBaseMs: getEnvInt("SONAR_RETRY_BASE_MS") ?? undefined,
+    },
     variables: {
       companyId: companyId ?? null,
       accountStatusID: accountStatusID ?? null,
@@ -39,15 +80,34 @@ function getSonarConfig() {
 }
 
 // Tiny wrapper so the rest of the file does not repeat the request boilerplate.
+// Identical concurrent queries are coalesced, then every real Sonar call goes
+// through the circuit breaker.
 async function runSonarQuery(query, variables) {
-  const { endpoint, token } = getSonarConfig();
+  const { endpoint, token, request } = getSonarConfig();
+  const flightKey = `${query}\n${JSON.stringify(variables ?? {})}`;
+
+  return sonarFlights.run(flightKey, () =>
+    sonarCircuit.execute(() =>
+      sonarGraphqlRequest({
+        endpoint,
+        token,
+        query,
+        variables,
+        ...request,
+      }),
+    ),
+  );
+}
 
-  return sonarGraphqlRequest({
-    endpoint,
-    token,
-    query,
-    variables,
-  });
+// Returns the current Sonar circuit breaker state for diagnostics.
+function getSonarCircuitState() {
+  return sonarCircuit.getState();
+}
+
+// Returns how many Sonar calls were started versus shared with an
+// identical in-progress call.
+function getSonarCoalescingStats() {
+  return sonarFlights.getStats();
 }
 
 // Returns the variable set used by account-scoped queries.
@@ -90,7 +150,18 @@ function isUnmonitoredInfrastructureStatus(status) {
   return status !== "GOOD" && status !== "WARNING" && status !== "DOWN";
 }
 
+// Checks a normalized status against a requested bucket. "UNMONITORED"
+// matches anything that is not GOOD, WARNING or DOWN.
+function matchesInfrastructureStatus(status, desiredStatus) {
+  if (!desiredStatus) return true;
+  if (desiredStatus === "UNMONITORED") return isUnmonitoredInfrastructureStatus(status);
+  return status === desiredStatus;
+}
+
 // Totals infrastructure equipment counts while excluding suppressed items.
+// `suppressedItemIds` holds every hidden device: suppressed by ID, matched by
+// a suppression rule, or in a maintenance window (see statusSummary.js).
+// Counts come from the same rows the tables show, so totals always match.
 function summarizeInfrastructureEquipment(sites, suppressedItemIds = new Set()) {
   const summary = {
     good: 0,
@@ -100,28 +171,19 @@ function summarizeInfrastructureEquipment(sites, suppressedItemIds = new Set())
     total: 0,
   };
 
-  for (const site of sites || []) {
-    const inventoryItems = site?.inventory_items?.entities || [];
+  const rows = mapInfrastructureRows(sites, { excludedItemIds: suppressedItemIds });
 
-    for (const item of inventoryItems) {
-      const itemId = String(item?.id || "").trim();
+  for (const row of rows) {
+    summary.total += 1;
 
-      if (itemId && suppressedItemIds.has(itemId)) {
-        continue;
-      }
-
-      const status = getNormalizedInfrastructureStatus(item);
-      summary.total += 1;
-
-      if (status === "GOOD") {
-        summary.good += 1;
-      } else if (status === "WARNING") {
-        summary.warning += 1;
-      } else if (status === "DOWN") {
-        summary.down += 1;
-      } else {
-        summary.unmonitored += 1;
-      }
+    if (row.status === "Good") {
+      summary.good += 1;
+    } else if (row.status === "Warning") {
+      summary.warning += 1;
+    } else if (row.status === "Down") {
+      summary.down += 1;
+    } else {
+      summary.unmonitored += 1;
     }
   }
 
@@ -150,6 +212,7 @@ function buildMissingSuppressedInfrastructureRow(itemId) {
   return {
     inventoryItemId: itemId,
     deviceName: "(not found in current snapshot)",
+    model: null,
     status: "Suppressed",
     ipAddresses: [],
     networkSiteId: null,
@@ -159,6 +222,8 @@ function buildMissingSuppressedInfrastructureRow(itemId) {
 
 // Sonar exposes infrastructure IP assignments through InventoryModelFieldData,
 // so we flatten that relation into table rows keyed by inventory item ID.
+// Inventory items without a current IP assignment still get a row so every
+// piece of equipment at a site is represented exactly once.
 function mapInfrastructureRows(
   sites,
   {
@@ -169,6 +234,34 @@ function mapInfrastructureRows(
 ) {
   const rowsByItemId = new Map();
 
+  // Adds or extends the row for one inventory item after applying the filters.
+  function addRow(site, itemId, item, description, subnet) {
+    if (!itemId) return;
+    if (includedItemIds && !includedItemIds.has(itemId)) return;
+    if (excludedItemIds.has(itemId)) return;
+
+    const status = getNormalizedInfrastructureStatus(item);
+
+    if (!matchesInfrastructureStatus(status, desiredStatus)) return;
+
+    const existing = rowsByItemId.get(itemId);
+
+    if (existing) {
+      existing.ipAddresses = uniqStrings([...existing.ipAddresses, subnet]);
+      return;
+    }
+
+    rowsByItemId.set(itemId, {
+      inventoryItemId: itemId,
+      deviceName: firstNonEmpty([description, item?.inventory_model?.name]) || "(unknown)",
+      model: item?.inventory_model?.name || null,
+      status: getInfrastructureStatusLabel(status),
+      ipAddresses: uniqStrings([subnet]),
+      networkSiteId: site?.id || null,
+      networkSiteName: site?.name || "(unknown)",
+    });
+  }
+
   for (const site of sites || []) {
     const histories = site?.ip_assignment_histories?.entities || [];
 
@@ -186,120 +279,58 @@ function mapInfrastructureRows(
       const item = assignable?.inventory_item;
       const itemId = String(assignable?.inventory_item_id || item?.id || "").trim();
 
-      if (!itemId) {
-        continue;
-      }
-
-      if (includedItemIds && !includedItemIds.has(itemId)) {
-        continue;
-      }
-
-      if (excludedItemIds.has(itemId)) {
-        continue;
-      }
-
-      const status = getNormalizedInfrastructureStatus(item);
-
-      if (desiredStatus && status !== desiredStatus) {
-        continue;
-      }
+      addRow(site, itemId, item, history?.description, history?.subnet);
+    }
+  }
 
-      const existing = rowsByItemId.get(itemId);
+  // Second pass so assigned rows keep their IP description as device name.
+  for (const site of sites || []) {
+    for (const item of site?.inventory_items?.entities || []) {
+      const itemId = String(item?.id || "").trim();
 
-      if (existing) {
-        existing.ipAddresses = uniqStrings([...existing.ipAddresses, history?.subnet]);
+      if (rowsByItemId.has(itemId)) {
         continue;
       }
 
-      rowsByItemId.set(itemId, {
-        inventoryItemId: itemId,
-        deviceName:
-          firstNonEmpty([history?.description, item?.inventory_model?.name]) || "(unknown)",
-        status: getInfrastructureStatusLabel(status),
-        ipAddresses: uniqStrings([history?.subnet]),
-        networkSiteId: site?.id || null,
-        networkSiteName: site?.name || "(unknown)",
-      });
+      addRow(site, itemId, item, null, null);
     }
   }
 
   return [...rowsByItemId.values()].sort(compareInfrastructureRows);
 }
 
-// Builds a lookup of current IP assignments for one network site.
-function buildCurrentInfrastructureHistoryMap(site) {
-  const historyMap = new Map();
-
-  for (const history of site?.ip_assignment_histories?.entities || []) {
-    if (history?.removed_datetime) {
-      continue;
-    }
-
-    const assignable = history?.ipassignmentable;
-
-    if (assignable?.__typename !== "InventoryModelFieldData") {
-      continue;
-    }
-
-    const itemId = String(assignable?.inventory_item_id || "").trim();
-
-    if (!itemId) {
-      continue;
-    }
-
-    const existing = historyMap.get(itemId) || {
-      descriptions: [],
-      ipAddresses: [],
-    };
+// Fetches the infrastructure snapshot every infrastructure view and count is
+// derived from. Each fetch gets a new version id so responses can say
+// exactly which snapshot they were built from.
+async function fetchInfrastructureSnapshot() {
+  const data = await runSonarQuery(
+    INFRASTRUCTURE_TABLE_SNAPSHOT_QUERY,
+    getInfrastructureQueryVariables(),
+  );
 
-    existing.descriptions = uniqStrings([...existing.descriptions, history?.description]);
-    existing.ipAddresses = uniqStrings([...existing.ipAddresses, history?.subnet]);
-    historyMap.set(itemId, existing);
-  }
+  infrastructureSnapshotVersion += 1;
 
-  return historyMap;
+  return {
+    id: infrastructureSnapshotVersion,
+    fetchedAt: new Date().toISOString(),
+    sites: data?.network_sites?.entities || [],
+  };
 }
 
-// Converts unmonitored infrastructure inventory items into table rows.
-function mapUnmonitoredInfrastructureRows(sites, suppressedItemIds = new Set()) {
-  const rows = [];
-
-  for (const site of sites || []) {
-    const currentHistoryMap = buildCurrentInfrastructureHistoryMap(site);
-    const inventoryItems = site?.inventory_items?.entities || [];
-
-    for (const item of inventoryItems) {
-      const itemId = String(item?.id || "").trim();
-
-      if (!itemId || suppressedItemIds.has(itemId)) {
-        continue;
-      }
-
-      const status = getNormalizedInfrastructureStatus(item);
-
-      if (!isUnmonitoredInfrastructureStatus(status)) {
-        continue;
-      }
-
-      const currentInfo = currentHistoryMap.get(itemId) || {
-        descriptions: [],
-        ipAddresses: [],
-      };
-
-      rows.push({
-        inventoryItemId: itemId,
-        deviceName:
-          firstNonEmpty([...currentInfo.descriptions, item?.inventory_model?.name]) ||
-          "(unknown)",
-        status: getInfrastructureStatusLabel(status),
-        ipAddresses: currentInfo.ipAddresses,
-        networkSiteId: site?.id || null,
-        networkSiteName: site?.name || "(unknown)",
-      });
-    }
+// Continues snapshot ids from a snapshot restored from disk, so the next
+// fetch never reuses an id a client has already seen.
+function seedInfrastructureSnapshotVersion(id) {
+  if (Number.isInteger(id) && id > infrastructureSnapshotVersion) {
+    infrastructureSnapshotVersion = id;
   }
+}
 
-  return rows.sort(compareInfrastructureRows);
+// Returns the snapshot id and timestamp sent along with infrastructure responses.
+function describeInfrastructureSnapshot(snapshot) {
+  return {
+    id: snapshot?.id ?? null,
+    fetchedAt: snapshot?.fetchedAt ?? null,
+  };
 }
 
 // Fetches the customer equipment summary used on the overview page.
@@ -312,79 +343,24 @@ async function getCustomerEquipmentSummary() {
   return { customerEquipment: mapInventoryCounts(data) };
 }
 
-// Fetches the infrastructure equipment summary used on the overview page.
-async function getInfrastructureEquipmentSummary({ suppressedItemIds = new Set() } = {}) {
-  const snapshotData = await runSonarQuery(
-    INFRASTRUCTURE_INVENTORY_SNAPSHOT_QUERY,
-    getInfrastructureQueryVariables(),
-  );
-
-  const sites = snapshotData?.network_sites?.entities || [];
-
+// Builds the infrastructure equipment summary used on the overview page.
+function getInfrastructureEquipmentSummary(snapshot, { suppressedItemIds = new Set() } = {}) {
   // For infrastructure, the overview tiles should reflect equipment counts,
   // not just how many sites matched a status.
   return {
-    infrastructureEquipment: summarizeInfrastructureEquipment(sites, suppressedItemIds),
+    infrastructureEquipment: summarizeInfrastructureEquipment(snapshot?.sites, suppressedItemIds),
   };
 }
 
-// Returns visible GOOD infrastructure rows for the detail table.
-async function getInfrastructureGoodRows({ suppressedItemIds = new Set() } = {}) {
-  const data = await runSonarQuery(
-    INFRASTRUCTURE_GOOD_TABLE_QUERY,
-    getInfrastructureQueryVariables(),
-  );
-
-  const sites = data?.network_sites?.entities || [];
-
-  return mapInfrastructureRows(sites, {
-    desiredStatus: "GOOD",
+// Returns visible infrastructure rows for one status bucket
+// ("GOOD", "WARNING", "DOWN" or "UNMONITORED").
+function getInfrastructureRowsByStatus(snapshot, status, { suppressedItemIds = new Set() } = {}) {
+  return mapInfrastructureRows(snapshot?.sites, {
+    desiredStatus: status,
     excludedItemIds: suppressedItemIds,
   });
 }
 
-// Returns visible DOWN infrastructure rows for the detail table.
-async function getInfrastructureDownRows({ suppressedItemIds = new Set() } = {}) {
-  const data = await runSonarQuery(
-    INFRASTRUCTURE_DOWN_TABLE_QUERY,
-    getInfrastructureQueryVariables(),
-  );
-
-  const sites = data?.network_sites?.entities || [];
-
-  return mapInfrastructureRows(sites, {
-    desiredStatus: "DOWN",
-    excludedItemIds: suppressedItemIds,
-  });
-}
-
-// Returns visible WARNING infrastructure rows for the detail table.
-async function getInfrastructureWarningRows({ suppressedItemIds = new Set() } = {}) {
-  const data = await runSonarQuery(
-    INFRASTRUCTURE_WARNING_TABLE_QUERY,
-    getInfrastructureQueryVariables(),
-  );
-
-  const sites = data?.network_sites?.entities || [];
-
-  return mapInfrastructureRows(sites, {
-    desiredStatus: "WARNING",
-    excludedItemIds: suppressedItemIds,
-  });
-}
-
-// Returns visible unmonitored infrastructure rows for the detail table.
-async function getInfrastructureUnmonitoredRows({ suppressedItemIds = new Set() } = {}) {
-  const data = await runSonarQuery(
-    INFRASTRUCTURE_TABLE_SNAPSHOT_QUERY,
-    getInfrastructureQueryVariables(),
-  );
-
-  const sites = data?.network_sites?.entities || [];
-
-  return mapUnmonitoredInfrastructureRows(sites, suppressedItemIds);
-}
-
 // Fetches the count of tickets that are not yet closed.
 async function getOpenTicketCount() {
   const data = await runSonarQuery(OPEN_TICKET_COUNT_QUERY, getInfrastructureQueryVariables());
@@ -392,24 +368,17 @@ async function getOpenTicketCount() {
 }
 
 // Rehydrates suppressed infrastructure IDs back into table rows.
-async function getSuppressedInfrastructureRows({ suppressedItemIds = new Set() } = {}) {
+function getSuppressedInfrastructureRows(snapshot, { suppressedItemIds = new Set() } = {}) {
   if (!suppressedItemIds.size) return [];
 
-  const data = await runSonarQuery(
-    INFRASTRUCTURE_TABLE_SNAPSHOT_QUERY,
-    getInfrastructureQueryVariables(),
-  );
-
-  const sites = data?.network_sites?.entities || [];
-
-  const rows = mapInfrastructureRows(sites, {
+  const rows = mapInfrastructureRows(snapshot?.sites, {
     includedItemIds: suppressedItemIds,
   });
 
   const seenItemIds = new Set(rows.map((row) => String(row.inventoryItemId)));
 
-  // Keep suppressed IDs visible even if Sonar no longer returns a current
-  // IP assignment row for them, so the UI can still offer an unsuppress action.
+  // Keep suppressed IDs visible even if Sonar no longer returns them in the
+  // snapshot, so the UI can still offer an unsuppress action.
   for (const itemId of suppressedItemIds) {
     const normalizedId = String(itemId);
     if (seenItemIds.has(normalizedId)) continue;
@@ -423,7 +392,6 @@ async function getSuppressedInfrastructureRows({ suppressedItemIds = new Set() }
 async function getCustomersByIds(customerIds = []) {
   if (!customerIds.length) return [];
 
-  const { endpoint, token } = getSonarConfig();
   const concurrency = 5;
   const ids = customerIds.map(String);
 
@@ -436,12 +404,7 @@ async function getCustomersByIds(customerIds = []) {
       const idStr = ids[myIdx];
 
       try {
-        const data = await sonarGraphqlRequest({
-          endpoint,
-          token,
-          query: ACCOUNT_BY_ID_QUERY,
-          variables: { id: Number(idStr) },
-        });
+        const data = await runSonarQuery(ACCOUNT_BY_ID_QUERY, { id: Number(idStr) });
 
         const entities = data?.accounts?.entities || [];
         const rows = mapAccountEntitiesToRows(entities, "Suppressed");
@@ -449,6 +412,8 @@ async function getCustomersByIds(customerIds = []) {
         for (const row of rows) results.push(row);
       } catch (err) {
         // If a suppressed account no longer exists in Sonar, just skip it.
+        // Anything else means Sonar itself is unhappy, so let the route know.
+        if (!(err instanceof SonarGraphqlError)) throw err;
       }
     }
   }
@@ -571,19 +536,20 @@ async function getUninventoriedCustomers() {
 }
 
 // Returns customer rows that belong in the dashboard's derived GOOD bucket.
-async function getGoodCustomers() {
-  const [goodEntities, downCustomers, warningCustomers, uninventoriedCustomers] =
-    await Promise.all([
-      fetchAllCustomerAccountEntities(GOOD_ACCOUNTS_QUERY),
-      getDownCustomers(),
-      getWarningCustomers(),
-      getUninventoriedCustomers(),
-    ]);
+// Callers that already hold the other buckets can pass them in to skip
+// fetching them again.
+async function getGoodCustomers({ downCustomers, warningCustomers, uninventoriedCustomers } = {}) {
+  const [goodEntities, down, warning, uninventoried] = await Promise.all([
+    fetchAllCustomerAccountEntities(GOOD_ACCOUNTS_QUERY),
+    downCustomers || getDownCustomers(),
+    warningCustomers || getWarningCustomers(),
+    uninventoriedCustomers || getUninventoriedCustomers(),
+  ]);
 
   const excludedCustomerIds = new Set([
-    ...downCustomers.map((customer) => String(customer.customerId)),
-    ...warningCustomers.map((customer) => String(customer.customerId)),
-    ...uninventoriedCustomers.map((customer) => String(customer.customerId)),
+    ...down.map((customer) => String(customer.customerId)),
+    ...warning.map((customer) => String(customer.customerId)),
+    ...uninventoried.map((customer) => String(customer.customerId)),
   ]);
 
   const goodRows = mapAccountEntitiesToRows(goodEntities, "Good").filter(
@@ -594,17 +560,19 @@ async function getGoodCustomers() {
 }
 
 module.exports = {
+  describeInfrastructureSnapshot,
+  fetchInfrastructureSnapshot,
   getCustomerEquipmentSummary,
   getCustomersByIds,
   getDownCustomers,
   getGoodCustomers,
-  getInfrastructureDownRows,
   getInfrastructureEquipmentSummary,
-  getInfrastructureGoodRows,
-  getInfrastructureUnmonitoredRows,
-  getInfrastructureWarningRows,
+  getInfrastructureRowsByStatus,
   getOpenTicketCount,
+  getSonarCircuitState,
+  getSonarCoalescingStats,
   getSuppressedInfrastructureRows,
   getUninventoriedCustomers,
   getWarningCustomers,
+  seedInfrastructureSnapshotVersion,
 };
@@ -0,0 +1,179 @@
+// src/services/statusSummary.js
+//
+// Builds the overview summary from raw data source values. Shared by the
+// /api/status-summary route, the history recorder and the alert engine so
+// they all count the same way.
+
+const {
+  describeInfrastructureSnapshot,
+  getInfrastructureEquipmentSummary,
+  getInfrastructureRowsByStatus,
+} = require("./sonarService");
+const {
+  getSuppressedAccounts,
+  getSuppressedInfrastructureItems,
+} = require("./suppressionStore");
+const {
+  findCustomerWindow,
+  findInfrastructureWindow,
+  getActiveMaintenanceWindows,
+} = require("./maintenanceStore");
+const {
+  findCustomerRule,
+  findInfrastructureRule,
+  listSuppressionRules,
+} = require("./suppressionRuleStore");
+
+// Returns a check for whether a customer row is left out of views and
+// totals: suppressed, matched by a suppression rule, or in an active
+// maintenance window.
+function buildHiddenCustomerCheck() {
+  const suppressed = getSuppressedAccounts();
+  const rules = listSuppressionRules();
+  const windows = getActiveMaintenanceWindows();
+
+  return (customer) =>
+    suppressed.has(String(customer.customerId)) ||
+    Boolean(findCustomerRule(customer, rules)) ||
+    Boolean(findCustomerWindow(customer, windows));
+}
+
+// Removes hidden customers from a customer row list.
+function filterSuppressed(customers) {
+  const isHidden = buildHiddenCustomerCheck();
+  return customers.filter((customer) => !isHidden(customer));
+}
+
+// Returns the IDs of every hidden customer: suppressed accounts plus the
+// rows in `customers` hidden by a rule or a maintenance window.
+function getHiddenCustomers(customers) {
+  const isHidden = buildHiddenCustomerCheck();
+  const hidden = new Set(getSuppressedAccounts());
+
+  for (const customer of customers) {
+    if (isHidden(customer)) hidden.add(String(customer.customerId));
+  }
+
+  return hidden;
+}
+
+// Returns the IDs of snapshot devices in an active maintenance window.
+function getMaintenanceItemIds(snapshot) {
+  const windows = getActiveMaintenanceWindows();
+  if (!windows.length) return new Set();
+
+  return new Set(
+    getInfrastructureRowsByStatus(snapshot, null)
+      .filter((row) => findInfrastructureWindow(row, windows))
+      .map((row) => String(row.inventoryItemId)),
+  );
+}
+
+// Returns the IDs of snapshot devices matched by a suppression rule.
+function getRuleSuppressedItemIds(snapshot) {
+  const rules = listSuppressionRules().filter((rule) => rule.appliesTo === "infrastructure");
+  if (!rules.length) return new Set();
+
+  return new Set(
+    getInfrastructureRowsByStatus(snapshot, null)
+      .filter((row) => findInfrastructureRule(row, rules))
+      .map((row) => String(row.inventoryItemId)),
+  );
+}
+
+// Returns the IDs of every device left out of views and totals: suppressed
+// devices, devices matched by a suppression rule and devices in an active
+// maintenance window.
+function getHiddenInfrastructureItems(snapshot) {
+  const suppressed = getSuppressedInfrastructureItems();
+  const ruled = getRuleSuppressedItemIds(snapshot);
+  const maintenance = getMaintenanceItemIds(snapshot);
+
+  if (!ruled.size && !maintenance.size) return suppressed;
+  return new Set([...suppressed, ...ruled, ...maintenance]);
+}
+
+// Builds the overview payload from raw source data, current suppressions and
+// suppression rules, and active maintenance windows.
+function buildStatusSummary({
+  infrastructureSnapshot,
+  customerSummary,
+  downCustomers,
+  warningCustomers,
+  uninventoriedCustomers,
+  openTickets,
+}) {
+  const infrastructureSummary = getInfrastructureEquipmentSummary(infrastructureSnapshot, {
+    suppressedItemIds: getHiddenInfrastructureItems(infrastructureSnapshot),
+  });
+
+  const visibleDown = filterSuppressed(downCustomers);
+  const visibleWarning = filterSuppressed(warningCustomers);
+  const visibleUninventoried = filterSuppressed(uninventoriedCustomers);
+
+  const suppressedDown = downCustomers.length - visibleDown.length;
+  const suppressedWarning = warningCustomers.length - visibleWarning.length;
+  const suppressedUninventoried = uninventoriedCustomers.length - visibleUninventoried.length;
+
+  const visibleTotal =
+    customerSummary.customerEquipment.total -
+    suppressedDown -
+    suppressedWarning -
+    suppressedUninventoried;
+
+  const customerEquipment = {
+    down: visibleDown.length,
+    warning: visibleWarning.length,
+    uninventoried: visibleUninventoried.length,
+    good:
+      visibleTotal - visibleDown.length - visibleWarning.length - visibleUninventoried.length,
+    total: visibleTotal,
+  };
+
+  return {
+    infrastructureEquipment: infrastructureSummary.infrastructureEquipment,
+    customerEquipment,
+    // Tickets are shown as a single overview card for now.
+    tickets: {
+      open: openTickets,
+    },
+    meta: {
+      suppressed: {
+        down: suppressedDown,
+        warning: suppressedWarning,
+        uninventoried: suppressedUninventoried,
+      },
+      infrastructureSnapshot: describeInfrastructureSnapshot(infrastructureSnapshot),
+    },
+  };
+}
+
+// Flattens a status summary into the metric names stored in history.
+function summaryToMetrics(summary) {
+  const metrics = {};
+
+  for (const [status, count] of Object.entries(summary.infrastructureEquipment)) {
+    metrics[`infrastructure.${status}`] = count;
+  }
+
+  for (const [status, count] of Object.entries(summary.customerEquipment)) {
+    metrics[`customers.${status}`] = count;
+  }
+
+  metrics["tickets.open"] = summary.tickets.open;
+
+  for (const [status, count] of Object.entries(summary.meta.suppressed)) {
+    metrics[`suppressed.${status}`] = count;
+  }
+
+  return metrics;
+}
+
+module.exports = {
+  buildStatusSummary,
+  filterSuppressed,
+  getHiddenCustomers,
+  getHiddenInfrastructureItems,
+  getMaintenanceItemIds,
+  summaryToMetrics,
+};
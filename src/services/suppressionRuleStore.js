@@ -0,0 +1,230 @@
+// src/services/suppressionRuleStore.js
+//
+// Rule-based suppressions, saved to data/suppression-rules.json. Where a
+// regular suppression hides one account or device by ID, a rule hides every
+// row that matches it, including ones added to Sonar later. Rules are
+// managed on /suppression-rules.html; the file is re-read on every use, so
+// hand edits apply without a restart.
+//
+// A rule applies to customers or infrastructure and matches one row field:
+// - ipPools (customers): one of the customer's IP pools has this name
+// - address (customers): the service address contains this text
+// - networkSiteName (infrastructure): the device is at this network site
+// - deviceName (infrastructure): the device name contains this text
+// - model (infrastructure): the device's inventory model is this name
+// - ipAddresses (both): one of the row's IPs is inside this CIDR range
+//
+// Text compares without regard to case.
+
+const path = require("path");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+const { cidrContains, parseCidr } = require("../utils/network");
+
+const RULES_DATA_PATH = path.resolve(__dirname, "../../data/suppression-rules.json");
+const RULES_FORMAT_VERSION = 1;
+
+const RULE_TARGETS = ["customers", "infrastructure"];
+
+// Fields a rule can match, the targets they exist on, and how the UI
+// describes them.
+const RULE_FIELDS = {
+  ipPools: { targets: ["customers"], label: "IP pool is" },
+  address: { targets: ["customers"], label: "Address contains" },
+  networkSiteName: { targets: ["infrastructure"], label: "Network site is" },
+  deviceName: { targets: ["infrastructure"], label: "Device name contains" },
+  model: { targets: ["infrastructure"], label: "Model is" },
+  ipAddresses: { targets: ["customers", "infrastructure"], label: "IP address in" },
+};
+
+const MAX_NAME_LENGTH = 200;
+const MAX_VALUE_LENGTH = 200;
+
+// Config problems already logged. The file is re-read on every use, so each
+// problem is only reported once.
+const reportedProblems = new Set();
+
+function warnOnce(message) {
+  if (reportedProblems.has(message)) return;
+  reportedProblems.add(message);
+  console.warn(message);
+}
+
+// Validates a rule definition from the API or the rules file.
+// Returns `{ rule }` or `{ error }`.
+function validateSuppressionRule(input) {
+  const raw = input || {};
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  const value = typeof raw.value === "string" ? raw.value.trim() : "";
+  const field = RULE_FIELDS[raw.field];
+
+  if (!name || name.length > MAX_NAME_LENGTH) return { error: "A name is required" };
+  if (!RULE_TARGETS.includes(raw.appliesTo)) {
+    return { error: `appliesTo must be one of: ${RULE_TARGETS.join(", ")}` };
+  }
+  if (!field || !field.targets.includes(raw.appliesTo)) {
+    const allowed = Object.keys(RULE_FIELDS).filter((key) =>
+      RULE_FIELDS[key].targets.includes(raw.appliesTo),
+    );
+    return { error: `field must be one of: ${allowed.join(", ")}` };
+  }
+  if (!value || value.length > MAX_VALUE_LENGTH) return { error: "A value to match is required" };
+  if (raw.field === "ipAddresses" && !parseCidr(value)) {
+    return { error: "value must be an IPv4 address or CIDR range, like 10.20.0.0/24" };
+  }
+
+  return { rule: { name, appliesTo: raw.appliesTo, field: raw.field, value } };
+}
+
+// Describes what a rule matches, e.g. 'IP pool is "Seasonal"'.
+function describeRuleCondition(rule) {
+  return `${RULE_FIELDS[rule.field].label} "${rule.value}"`;
+}
+
+// Reads the raw rule entries, valid or not, so saving through the API never
+// drops a hand-written rule that has a typo in it.
+function readRuleEntries() {
+  const raw = readJsonFile(RULES_DATA_PATH);
+  if (raw?.version !== RULES_FORMAT_VERSION || !Array.isArray(raw.rules)) return [];
+  return raw.rules;
+}
+
+function saveRuleEntries(entries) {
+  writeJsonFileAtomic(RULES_DATA_PATH, { version: RULES_FORMAT_VERSION, rules: entries });
+}
+
+function findEntryIndex(entries, id) {
+  return entries.findIndex((entry) => String(entry?.id ?? "") === String(id));
+}
+
+// Returns every valid rule with a readable `description`. Invalid rules are
+// skipped with a warning.
+function listSuppressionRules() {
+  const rules = [];
+
+  readRuleEntries().forEach((entry, index) => {
+    const { rule, error } = validateSuppressionRule(entry);
+    const id = String(entry?.id ?? "").trim();
+
+    if (!rule || !id) {
+      warnOnce(`[suppression-rules] skipping rule ${index + 1}: ${error || "missing id"}`);
+      return;
+    }
+
+    rules.push({
+      id,
+      ...rule,
+      description: describeRuleCondition(rule),
+      createdAt: entry.createdAt || null,
+      updatedAt: entry.updatedAt || null,
+    });
+  });
+
+  return rules;
+}
+
+// Creates a rule from a validated definition.
+function createSuppressionRule(definition) {
+  const entries = readRuleEntries();
+  const now = new Date().toISOString();
+  const nextId = entries.reduce((max, entry) => Math.max(max, Number(entry?.id) || 0), 0) + 1;
+  const rule = { id: String(nextId), ...definition, createdAt: now, updatedAt: now };
+
+  entries.push(rule);
+  saveRuleEntries(entries);
+  return { ...rule, description: describeRuleCondition(rule) };
+}
+
+// Replaces a rule's definition. Returns null when it does not exist.
+function updateSuppressionRule(id, definition) {
+  const entries = readRuleEntries();
+  const index = findEntryIndex(entries, id);
+  if (index === -1) return null;
+
+  const rule = {
+    id: String(entries[index].id),
+    ...definition,
+    createdAt: entries[index].createdAt || null,
+    updatedAt: new Date().toISOString(),
+  };
+
+  entries[index] = rule;
+  saveRuleEntries(entries);
+  return { ...rule, description: describeRuleCondition(rule) };
+}
+
+// Removes a rule. Returns the removed rule, or null when it does not exist.
+function deleteSuppressionRule(id) {
+  const entries = readRuleEntries();
+  const index = findEntryIndex(entries, id);
+  if (index === -1) return null;
+
+  const [removed] = entries.splice(index, 1);
+  saveRuleEntries(entries);
+  return removed;
+}
+
+function includesText(haystack, needle) {
+  return String(haystack ?? "")
+    .toLowerCase()
+    .includes(needle.toLowerCase());
+}
+
+function equalsText(a, b) {
+  return String(a ?? "").toLowerCase() === b.toLowerCase();
+}
+
+// Whether a customer or infrastructure row matches a rule's field.
+function ruleMatchesRow(rule, row) {
+  switch (rule.field) {
+    case "ipPools":
+      return (row.ipPools || []).some((pool) => equalsText(pool, rule.value));
+    case "address":
+      return includesText(row.address, rule.value);
+    case "networkSiteName":
+      return equalsText(row.networkSiteName, rule.value);
+    case "deviceName":
+      return includesText(row.deviceName, rule.value);
+    case "model":
+      return equalsText(row.model, rule.value);
+    case "ipAddresses": {
+      const range = parseCidr(rule.value);
+      return Boolean(range) && (row.ipAddresses || []).some((ip) => cidrContains(range, ip));
+    }
+    default:
+      return false;
+  }
+}
+
+// Returns the first customer rule in `rules` that matches a customer row,
+// or null.
+function findCustomerRule(customer, rules) {
+  return (
+    rules.find((rule) => rule.appliesTo === "customers" && ruleMatchesRow(rule, customer)) || null
+  );
+}
+
+// Returns the first infrastructure rule in `rules` that matches a device
+// row, or null.
+function findInfrastructureRule(row, rules) {
+  return (
+    rules.find((rule) => rule.appliesTo === "infrastructure" && ruleMatchesRow(rule, row)) || null
+  );
+}
+
+// Keeps the rule fields shown next to a row a rule hides.
+function describeSuppressionRule(rule) {
+  return { id: rule.id, name: rule.name, description: rule.description };
+}
+
+module.exports = {
+  RULE_FIELDS,
+  RULE_TARGETS,
+  createSuppressionRule,
+  deleteSuppressionRule,
+  describeSuppressionRule,
+  findCustomerRule,
+  findInfrastructureRule,
+  listSuppressionRules,
+  updateSuppressionRule,
+  validateSuppressionRule,
+};
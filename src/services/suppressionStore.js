@@ -1,5 +1,8 @@
 const fs = require("fs");
 const path = require("path");
+const { dashboardEvents } = require("./dashboardEvents");
+const { getEnvInt } = require("../utils/env");
+const { writeJsonFileAtomic } = require("../utils/jsonFile");
 
 // Where we store suppression lists on disk.
 const ACCOUNTS_DATA_PATH = path.resolve(__dirname, "../../data/suppressions.json");
@@ -8,8 +11,17 @@ const INFRASTRUCTURE_DATA_PATH = path.resolve(
   "../../data/infrastructure-suppressions.json",
 );
 
+const MAX_REASON_LENGTH = 500;
+const MAX_AUTHOR_LENGTH = 200;
+// How often expired suppressions are looked for.
+const EXPIRY_CHECK_INTERVAL_MS = getEnvInt("SUPPRESSION_EXPIRY_CHECK_MS") ?? 60_000;
+
+// Each suppression is stored as { id, reason, author, createdAt, expiresAt }.
+// Older files held bare IDs; those are migrated on load with empty details.
 let suppressedAccounts = new Set();
 let suppressedInfrastructureItems = new Set();
+let accountDetails = new Map();
+let infrastructureItemDetails = new Map();
 
 // Creates a suppression file on first run when it does not exist yet.
 function ensureJsonFile(filePath, initialValue) {
@@ -19,37 +31,94 @@ function ensureJsonFile(filePath, initialValue) {
   }
 }
 
+// Turns one stored entry, a bare ID or a details object, into details.
+function readEntry(entry) {
+  if (entry && typeof entry === "object") {
+    return {
+      id: String(entry.id),
+      reason: entry.reason || null,
+      author: entry.author || null,
+      createdAt: entry.createdAt || null,
+      expiresAt: entry.expiresAt || null,
+    };
+  }
+
+  return { id: String(entry), reason: null, author: null, createdAt: null, expiresAt: null };
+}
+
+// Reads one suppression file into a details map, rewriting it when it still
+// holds bare IDs.
+function loadDetails(filePath, key, save) {
+  ensureJsonFile(filePath, { [key]: [] });
+
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  const entries = raw[key] || [];
+  const details = new Map(entries.map(readEntry).map((entry) => [entry.id, entry]));
+
+  if (entries.some((entry) => !entry || typeof entry !== "object")) {
+    console.log(`[suppressions] migrated ${path.basename(filePath)} to include details`);
+    save(details);
+  }
+
+  return details;
+}
+
 // Load suppression data from disk into memory.
 function loadAccounts() {
-  ensureJsonFile(ACCOUNTS_DATA_PATH, { accounts: [] });
-
-  const raw = JSON.parse(fs.readFileSync(ACCOUNTS_DATA_PATH, "utf-8"));
-  suppressedAccounts = new Set((raw.accounts || []).map(String));
+  accountDetails = loadDetails(ACCOUNTS_DATA_PATH, "accounts", writeAccounts);
+  suppressedAccounts = new Set(accountDetails.keys());
 }
 
 // Loads infrastructure suppressions from disk into memory.
 function loadInfrastructureItems() {
-  ensureJsonFile(INFRASTRUCTURE_DATA_PATH, { inventoryItems: [] });
+  infrastructureItemDetails = loadDetails(
+    INFRASTRUCTURE_DATA_PATH,
+    "inventoryItems",
+    writeInfrastructureItems,
+  );
+  suppressedInfrastructureItems = new Set(infrastructureItemDetails.keys());
+}
+
+function writeAccounts(details) {
+  writeJsonFileAtomic(ACCOUNTS_DATA_PATH, { accounts: [...details.values()] });
+}
 
-  const raw = JSON.parse(fs.readFileSync(INFRASTRUCTURE_DATA_PATH, "utf-8"));
-  suppressedInfrastructureItems = new Set((raw.inventoryItems || []).map(String));
+function writeInfrastructureItems(details) {
+  writeJsonFileAtomic(INFRASTRUCTURE_DATA_PATH, { inventoryItems: [...details.values()] });
 }
 
-// Persist the in-memory sets back to disk.
+// Persist the in-memory details back to disk.
 // Saves customer suppressions to disk.
 function saveAccounts() {
-  fs.writeFileSync(
-    ACCOUNTS_DATA_PATH,
-    JSON.stringify({ accounts: [...suppressedAccounts] }, null, 2),
-  );
+  writeAccounts(accountDetails);
 }
 
 // Saves infrastructure suppressions to disk.
 function saveInfrastructureItems() {
-  fs.writeFileSync(
-    INFRASTRUCTURE_DATA_PATH,
-    JSON.stringify({ inventoryItems: [...suppressedInfrastructureItems] }, null, 2),
-  );
+  writeInfrastructureItems(infrastructureItemDetails);
+}
+
+// Validates the optional details sent with a new suppression.
+// Returns `{ details }` or `{ error }`.
+function validateSuppressionDetails(input, now = Date.now()) {
+  const raw = input || {};
+  const reason = typeof raw.reason === "string" ? raw.reason.trim() : "";
+  const author = typeof raw.author === "string" ? raw.author.trim() : "";
+  const hasExpiry = raw.expiresAt !== undefined && raw.expiresAt !== null && raw.expiresAt !== "";
+  const expiresAt = hasExpiry ? Date.parse(raw.expiresAt) : null;
+
+  if (reason.length > MAX_REASON_LENGTH) return { error: "Reason is too long" };
+  if (author.length > MAX_AUTHOR_LENGTH) return { error: "Author is too long" };
+  if (hasExpiry && Number.isNaN(expiresAt)) return { error: "expiresAt must be a date" };
+  if (hasExpiry && expiresAt <= now) return { error: "expiresAt must be in the future" };
+
+  return {
+    details: {
+      reason: reason || null,
+      author: author || null,
+      expiresAt: hasExpiry ? new Date(expiresAt).toISOString() : null,
+    },
+  };
 }
 
 // Return the live suppression set.
@@ -63,41 +132,108 @@ function getSuppressedInfrastructureItems() {
   return suppressedInfrastructureItems;
 }
 
-// Add an account ID to suppressions.
-function suppressAccount(id) {
+// Returns the stored details for a suppressed account, or null.
+function getAccountSuppression(id) {
+  return accountDetails.get(String(id)) || null;
+}
+
+// Returns the stored details for a suppressed infrastructure item, or null.
+function getInfrastructureItemSuppression(id) {
+  return infrastructureItemDetails.get(String(id)) || null;
+}
+
+// Builds the stored entry for a new suppression.
+function buildEntry(id, details = {}) {
+  return {
+    id: String(id),
+    reason: details.reason || null,
+    author: details.author || null,
+    createdAt: new Date().toISOString(),
+    expiresAt: details.expiresAt || null,
+  };
+}
+
+// Add an account ID to suppressions. Suppressing it again replaces the
+// details.
+function suppressAccount(id, details) {
   suppressedAccounts.add(String(id));
+  accountDetails.set(String(id), buildEntry(id, details));
   saveAccounts();
 }
 
 // Remove an account ID from suppressions.
 function unsuppressAccount(id) {
   suppressedAccounts.delete(String(id));
+  accountDetails.delete(String(id));
   saveAccounts();
 }
 
 // Adds an infrastructure inventory item to the suppression list.
-function suppressInfrastructureItem(id) {
+function suppressInfrastructureItem(id, details) {
   // Infrastructure suppressions are keyed by inventory item ID so the table
   // rows and overview counts stay aligned.
   suppressedInfrastructureItems.add(String(id));
+  infrastructureItemDetails.set(String(id), buildEntry(id, details));
   saveInfrastructureItems();
 }
 
 // Removes an infrastructure inventory item from the suppression list.
 function unsuppressInfrastructureItem(id) {
   suppressedInfrastructureItems.delete(String(id));
+  infrastructureItemDetails.delete(String(id));
   saveInfrastructureItems();
 }
 
+// Returns the IDs in a details map whose expiry has passed.
+function findExpired(details, now) {
+  return [...details.values()]
+    .filter((entry) => entry.expiresAt && Date.parse(entry.expiresAt) <= now)
+    .map((entry) => entry.id);
+}
+
+// Lifts every suppression whose expiry has passed and announces each one
+// like a manual unsuppress, with `expired: true`.
+function liftExpiredSuppressions(now = Date.now()) {
+  const at = new Date(now).toISOString();
+  const lifted = [
+    ...findExpired(accountDetails, now).map((id) => ({ kind: "accounts", id })),
+    ...findExpired(infrastructureItemDetails, now).map((id) => ({
+      kind: "infrastructure-items",
+      id,
+    })),
+  ];
+
+  for (const { kind, id } of lifted) {
+    if (kind === "accounts") unsuppressAccount(id);
+    else unsuppressInfrastructureItem(id);
+
+    console.log(`[suppressions] ${kind} ${id} expired`);
+    dashboardEvents.emit("suppressions", { kind, id, action: "unsuppressed", expired: true, at });
+  }
+
+  return lifted;
+}
+
+// Starts lifting suppressions as they expire.
+function startSuppressionExpiry() {
+  liftExpiredSuppressions();
+  setInterval(() => liftExpiredSuppressions(), EXPIRY_CHECK_INTERVAL_MS).unref();
+}
+
 // Load once at startup.
 loadAccounts();
 loadInfrastructureItems();
 
 module.exports = {
+  getAccountSuppression,
+  getInfrastructureItemSuppression,
   getSuppressedAccounts,
   getSuppressedInfrastructureItems,
+  liftExpiredSuppressions,
+  startSuppressionExpiry,
   suppressAccount,
   suppressInfrastructureItem,
   unsuppressAccount,
   unsuppressInfrastructureItem,
+  validateSuppressionDetails,
 };
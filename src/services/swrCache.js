@@ -0,0 +1,200 @@
+// src/services/swrCache.js
+//
+// Stale-while-revalidate cache. Fresh values are returned as-is. Values past
+// their TTL but still inside the max-stale window are returned immediately
+// while one background refresh runs. Anything older (or missing, or
+// invalidated) blocks on the loader.
+//
+// The last good value is never thrown away, so callers can still peek at it
+// for a stale fallback when the loader keeps failing.
+
+// `onStore(key, value, ts)` is called after every successful load.
+function createSwrCache({ ttlMs = 60_000, maxStaleMs = 300_000, onStore = null } = {}) {
+  const entries = new Map();
+  const totals = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    refreshes: 0,
+    refreshErrors: 0,
+  };
+
+  function getEntry(key) {
+    let entry = entries.get(key);
+
+    if (!entry) {
+      entry = {
+        value: undefined,
+        ts: 0,
+        hasValue: false,
+        restored: false,
+        invalidated: false,
+        pending: null,
+        lastError: null,
+        ttlMs,
+        maxStaleMs,
+        stats: { hits: 0, staleHits: 0, misses: 0, refreshes: 0, refreshErrors: 0 },
+      };
+      entries.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  function count(entry, field) {
+    totals[field] += 1;
+    entry.stats[field] += 1;
+  }
+
+  // Runs the loader once per key at a time and stores the result.
+  function load(key, entry, loader) {
+    if (entry.pending) return entry.pending;
+
+    count(entry, "refreshes");
+
+    entry.pending = Promise.resolve()
+      .then(loader)
+      .then((value) => {
+        entry.value = value;
+        entry.ts = Date.now();
+        entry.hasValue = true;
+        entry.restored = false;
+        entry.invalidated = false;
+        entry.lastError = null;
+        if (onStore) onStore(key, value, entry.ts);
+        return value;
+      })
+      .catch((err) => {
+        count(entry, "refreshErrors");
+        entry.lastError = err;
+        throw err;
+      })
+      .finally(() => {
+        entry.pending = null;
+      });
+
+    return entry.pending;
+  }
+
+  function describe(entry, fromCache) {
+    return {
+      value: entry.value,
+      ts: entry.ts,
+      fromCache,
+      refreshing: Boolean(entry.pending),
+      // True until the first successful load after restore().
+      restored: entry.restored,
+      // Set when the last refresh failed and this value is older than Sonar.
+      error: entry.lastError,
+    };
+  }
+
+  // Returns the cached value for `key`, loading or refreshing it as needed.
+  // Options override the TTL and max-stale window for this key.
+  async function get(key, loader, options = {}) {
+    const entry = getEntry(key);
+    entry.ttlMs = options.ttlMs ?? entry.ttlMs;
+    entry.maxStaleMs = options.maxStaleMs ?? entry.maxStaleMs;
+
+    const ageMs = Date.now() - entry.ts;
+
+    if (entry.hasValue && !entry.invalidated) {
+      if (ageMs < entry.ttlMs) {
+        count(entry, "hits");
+        return describe(entry, true);
+      }
+
+      if (ageMs < entry.ttlMs + entry.maxStaleMs) {
+        count(entry, "staleHits");
+
+        load(key, entry, loader).catch((err) => {
+          console.error(`Background refresh failed for ${key}:`, err.message);
+        });
+
+        return describe(entry, true);
+      }
+    }
+
+    count(entry, "misses");
+    await load(key, entry, loader);
+    return describe(entry, false);
+  }
+
+  // Starts a refresh for `key` regardless of age and waits for it.
+  async function refresh(key, loader, options = {}) {
+    const entry = getEntry(key);
+    entry.ttlMs = options.ttlMs ?? entry.ttlMs;
+    entry.maxStaleMs = options.maxStaleMs ?? entry.maxStaleMs;
+
+    await load(key, entry, loader);
+    return describe(entry, false);
+  }
+
+  // Returns the stored value for `key` without starting a load, for callers
+  // that leave refreshing to someone else. Waits for a load that is already
+  // running when there is no usable value yet, and throws the last load error
+  // when there is nothing to return.
+  async function read(key) {
+    const entry = entries.get(key);
+
+    if (entry?.pending && (!entry.hasValue || entry.invalidated)) {
+      await entry.pending.catch(() => {});
+    }
+
+    if (!entry?.hasValue) {
+      throw entry?.lastError || new Error(`No data loaded yet for ${key}`);
+    }
+
+    count(entry, "hits");
+    return describe(entry, true);
+  }
+
+  // Returns the last good value for `key` without loading anything.
+  function peek(key) {
+    const entry = entries.get(key);
+    if (!entry?.hasValue) return null;
+    return describe(entry, true);
+  }
+
+  // Seeds `key` with a value saved earlier, keeping its original timestamp.
+  // Ignored once the key already holds a value from a real load.
+  function restore(key, value, ts) {
+    const entry = getEntry(key);
+    if (entry.hasValue) return;
+
+    entry.value = value;
+    entry.ts = ts;
+    entry.hasValue = true;
+    entry.restored = true;
+  }
+
+  // Forces the next read of `key` to wait for fresh data. The old value is
+  // kept for stale fallbacks.
+  function invalidate(key) {
+    const entry = entries.get(key);
+    if (entry) entry.invalidated = true;
+  }
+
+  // Returns hit/miss/refresh counters overall and per key.
+  function getStats() {
+    const keys = {};
+
+    for (const [key, entry] of entries) {
+      keys[key] = {
+        ...entry.stats,
+        ageMs: entry.hasValue ? Date.now() - entry.ts : null,
+        ttlMs: entry.ttlMs,
+        maxStaleMs: entry.maxStaleMs,
+        refreshing: Boolean(entry.pending),
+        restored: entry.restored,
+        lastError: entry.lastError?.message || null,
+      };
+    }
+
+    return { ...totals, keys };
+  }
+
+  return { get, getStats, invalidate, peek, read, refresh, restore };
+}
+
+module.exports = { createSwrCache };
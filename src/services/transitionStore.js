@@ -0,0 +1,245 @@
+// src/services/transitionStore.js
+//
+// Persistent log of status transitions, saved to data/transitions.json.
+//
+// Alongside the log it keeps the last status seen for every device and
+// customer, and since when, so a change that happens while the server is
+// down is still recorded on the first poll after a restart. Entries older
+// than TRANSITION_RETENTION_DAYS are dropped, and the log never grows past
+// MAX_TRANSITIONS entries.
+
+const path = require("path");
+const { getEnvInt } = require("../utils/env");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+
+const TRANSITIONS_DATA_PATH = path.resolve(__dirname, "../../data/transitions.json");
+const TRANSITIONS_FORMAT_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MS = (getEnvInt("TRANSITION_RETENTION_DAYS") ?? 90) * DAY_MS;
+const MAX_TRANSITIONS = 50_000;
+// Batches recorded close together are written to disk in one go.
+const SAVE_DELAY_MS = 2_000;
+
+// Entity kinds tracked by the log.
+const TRANSITION_KINDS = ["infrastructure", "customer"];
+
+let store = loadStore();
+let saveTimer = null;
+
+function emptyStates() {
+  return Object.fromEntries(TRANSITION_KINDS.map((kind) => [kind, {}]));
+}
+
+function loadStore() {
+  const raw = readJsonFile(TRANSITIONS_DATA_PATH);
+
+  if (raw?.version !== TRANSITIONS_FORMAT_VERSION) {
+    return { states: emptyStates(), transitions: [] };
+  }
+
+  return {
+    states: { ...emptyStates(), ...raw.states },
+    transitions: Array.isArray(raw.transitions) ? raw.transitions : [],
+  };
+}
+
+function saveStore() {
+  try {
+    writeJsonFileAtomic(TRANSITIONS_DATA_PATH, { version: TRANSITIONS_FORMAT_VERSION, ...store });
+  } catch (err) {
+    console.error("Could not save status transitions:", err.message);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveStore();
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+// Drops entries past the retention window or over the size cap.
+function prune(now = Date.now()) {
+  const cutoff = new Date(now - RETENTION_MS).toISOString();
+  let drop = 0;
+
+  while (drop < store.transitions.length && store.transitions[drop].at < cutoff) drop += 1;
+  drop = Math.max(drop, store.transitions.length - MAX_TRANSITIONS);
+
+  if (drop > 0) store.transitions.splice(0, drop);
+}
+
+// Compares the current entities of one kind with the last known states and
+// records a transition for every status change. `entities` maps id to
+// `{ status, name, site, siteId }`. Entities seen for the first time only
+// seed the state, with `since` and `firstSeen` set to when they were first
+// seen. With `complete` set,
+// ids missing from `entities` are forgotten; otherwise they keep their last
+// state.
+//
+// Returns the transitions that were recorded.
+function recordStates(kind, entities, { at = new Date().toISOString(), complete = false } = {}) {
+  const previous = store.states[kind];
+  const next = complete ? {} : { ...previous };
+  const recorded = [];
+
+  for (const [id, entity] of Object.entries(entities)) {
+    const before = previous[id];
+
+    if (before && before.status !== entity.status) {
+      recorded.push({
+        at,
+        kind,
+        id,
+        name: entity.name,
+        site: entity.site ?? null,
+        siteId: entity.siteId ?? null,
+        from: before.status,
+        to: entity.status,
+      });
+    }
+
+    const unchanged = before && before.status === entity.status;
+    next[id] = {
+      ...entity,
+      since: unchanged ? before.since || at : at,
+      firstSeen: before ? before.firstSeen || null : at,
+    };
+  }
+
+  store.states[kind] = next;
+
+  if (recorded.length) {
+    // Keep the log sorted even if a batch arrives with an older timestamp.
+    const last = store.transitions[store.transitions.length - 1];
+    store.transitions.push(...recorded);
+    if (last && at < last.at) store.transitions.sort((a, b) => a.at.localeCompare(b.at));
+    prune();
+  }
+
+  scheduleSave();
+  return recorded;
+}
+
+// Returns when an entity entered its current status as an ISO timestamp.
+// With `status` given, returns null unless the entity is tracked in that
+// status, so a row never shows a time that belongs to another status.
+function getStatusSince(kind, id, status = null) {
+  const state = store.states[kind]?.[String(id)];
+  if (!state || (status && state.status !== status)) return null;
+  return state.since || null;
+}
+
+// Counts status changes per id for one kind since `sinceIso`.
+function countChangesSince(kind, sinceIso) {
+  const counts = new Map();
+
+  for (let i = store.transitions.length - 1; i >= 0; i -= 1) {
+    const entry = store.transitions[i];
+    if (entry.at < sinceIso) break;
+    if (entry.kind !== kind) continue;
+    counts.set(entry.id, (counts.get(entry.id) || 0) + 1);
+  }
+
+  return counts;
+}
+
+// Returns every tracked entity of one kind with its transitions, oldest
+// first: `[{ id, status, name, site, siteId, since, firstSeen, transitions }]`.
+function getTrackedEntities(kind) {
+  const byId = new Map();
+
+  for (const entry of store.transitions) {
+    if (entry.kind !== kind) continue;
+    if (!byId.has(entry.id)) byId.set(entry.id, []);
+    byId.get(entry.id).push(entry);
+  }
+
+  return Object.entries(store.states[kind] || {}).map(([id, state]) => ({
+    id,
+    ...state,
+    transitions: byId.get(id) || [],
+  }));
+}
+
+// Returns matching transitions, newest first. Filters:
+// - kind: "infrastructure" or "customer"
+// - site: exact site name
+// - customer: text matched against customer names and ids
+// - status: matches either side of the change ("down" finds X->Down and Down->X)
+// - from / to: ms timestamps
+// - limit: maximum number of entries returned
+function queryTransitions({
+  kind = null,
+  site = null,
+  customer = null,
+  status = null,
+  from = null,
+  to = null,
+  limit = 500,
+} = {}) {
+  const fromIso = from === null ? null : new Date(from).toISOString();
+  const toIso = to === null ? null : new Date(to).toISOString();
+  const customerQuery = customer ? String(customer).toLowerCase() : null;
+  const statusQuery = status ? String(status).toLowerCase() : null;
+
+  const matches = store.transitions.filter((entry) => {
+    if (kind && entry.kind !== kind) return false;
+    if (site && entry.site !== site) return false;
+    if (fromIso && entry.at < fromIso) return false;
+    if (toIso && entry.at > toIso) return false;
+
+    if (customerQuery) {
+      if (entry.kind !== "customer") return false;
+      const blob = `${entry.id} ${entry.name || ""}`.toLowerCase();
+      if (!blob.includes(customerQuery)) return false;
+    }
+
+    if (statusQuery) {
+      const statuses = [entry.from, entry.to].map((value) => String(value).toLowerCase());
+      if (!statuses.includes(statusQuery)) return false;
+    }
+
+    return true;
+  });
+
+  return {
+    total: matches.length,
+    transitions: matches.slice(-limit).reverse(),
+  };
+}
+
+// Returns every site name that appears in the log, for filter dropdowns.
+function getTransitionSites() {
+  const sites = new Set(store.transitions.map((entry) => entry.site).filter(Boolean));
+  return [...sites].sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
+}
+
+// Returns how much is stored, for diagnostics.
+function getTransitionStats() {
+  const oldest = store.transitions[0];
+
+  return {
+    transitions: store.transitions.length,
+    tracked: Object.fromEntries(
+      TRANSITION_KINDS.map((kind) => [kind, Object.keys(store.states[kind]).length]),
+    ),
+    oldest: oldest ? oldest.at : null,
+    retentionDays: RETENTION_MS / DAY_MS,
+  };
+}
+
+module.exports = {
+  TRANSITION_KINDS,
+  countChangesSince,
+  getStatusSince,
+  getTrackedEntities,
+  getTransitionSites,
+  getTransitionStats,
+  queryTransitions,
+  recordStates,
+};
@@ -0,0 +1,95 @@
+// src/services/transitionTracker.js
+//
+// Diffs each new infrastructure snapshot and customer status list against
+// the last known states and records what changed in the transition log.
+// Runs off the dashboard "update" event, so it only does work when Sonar
+// data actually changed.
+
+const { getInfrastructureRowsByStatus } = require("./sonarService");
+const { peekSource } = require("./dashboardData");
+const { dashboardEvents } = require("./dashboardEvents");
+const { recordStates } = require("./transitionStore");
+
+// Customer lists in priority order: an account that shows up in more than
+// one list (mid-refresh, or with mixed equipment) gets the first status.
+const CUSTOMER_SOURCES = [
+  "downCustomers",
+  "warningCustomers",
+  "uninventoriedCustomers",
+  "goodCustomers",
+];
+
+// Returns the current value of a source, or null when it is missing or was
+// restored from disk and has not been confirmed by Sonar yet.
+function peekFreshSource(key) {
+  const result = peekSource(key);
+  if (!result || result.restored) return null;
+  return result;
+}
+
+// Records device transitions from the current infrastructure snapshot.
+function trackInfrastructure() {
+  const result = peekFreshSource("infrastructureSnapshot");
+  if (!result) return [];
+
+  const entities = {};
+
+  for (const row of getInfrastructureRowsByStatus(result.value, null)) {
+    entities[row.inventoryItemId] = {
+      status: row.status,
+      name: row.deviceName,
+      site: row.networkSiteName,
+      siteId: row.networkSiteId,
+    };
+  }
+
+  // The snapshot lists every device, so missing ones were removed in Sonar.
+  return recordStates("infrastructure", entities, {
+    at: result.value.fetchedAt || new Date(result.ts).toISOString(),
+    complete: true,
+  });
+}
+
+// Records customer transitions from the current status lists. The lists
+// refresh one by one, so customers missing from all of them keep their
+// last status instead of being forgotten.
+function trackCustomers() {
+  const results = CUSTOMER_SOURCES.map(peekFreshSource).filter(Boolean);
+  if (!results.length) return [];
+
+  const entities = {};
+
+  for (const result of results) {
+    for (const row of result.value || []) {
+      const id = String(row.customerId);
+      if (entities[id]) continue;
+
+      entities[id] = { status: row.status, name: row.customerName, site: null };
+    }
+  }
+
+  const newest = Math.max(...results.map((result) => result.ts));
+  return recordStates("customer", entities, { at: new Date(newest).toISOString() });
+}
+
+// Starts recording transitions whenever tracked Sonar data changes.
+function startTransitionTracking() {
+  dashboardEvents.on("update", ({ sources }) => {
+    const recorded = [];
+
+    if (sources.includes("infrastructureSnapshot")) recorded.push(...trackInfrastructure());
+    if (sources.some((source) => CUSTOMER_SOURCES.includes(source))) {
+      recorded.push(...trackCustomers());
+    }
+
+    if (!recorded.length) return;
+
+    const at = new Date().toISOString();
+
+    console.log(`[transitions] recorded ${recorded.length} status changes`);
+    dashboardEvents.emit("transitions", { transitions: recorded, at });
+    dashboardEvents.emit("update", { sources: ["transitions"], at });
+  });
+}
+
+module.exports = { startTransitionTracking };
@@ -0,0 +1,138 @@
+// src/services/uptimeReport.js
+//
+// Availability report for infrastructure equipment, rebuilt from the
+// transition log. For every tracked inventory item it replays the status
+// changes inside the requested range and totals:
+// - monitored time: time spent Good, Warning or Down (Unmonitored time and
+//   time before the item was first seen do not count)
+// - downtime and outages: time spent Down and how many times it went Down
+// - MTTR: downtime per outage; MTBF: up time per outage
+//
+// Site rows add up the items at each network site.
+
+const { getTrackedEntities } = require("./transitionStore");
+
+const MINUTE_MS = 60_000;
+const MONITORED_STATUSES = new Set(["Good", "Warning", "Down"]);
+
+// Returns the status an item had at `at`, using the first change after it
+// or, when nothing changed since, the current status.
+function getStatusAt(entity, at) {
+  const next = entity.transitions.find((entry) => Date.parse(entry.at) > at);
+  return next ? next.from : entity.status;
+}
+
+// Totals monitored time, downtime and outages for one item between `from`
+// and `to` (ms timestamps).
+function measureEntity(entity, from, to) {
+  const firstSeen = Date.parse(entity.firstSeen);
+  const start = Number.isFinite(firstSeen) ? Math.max(from, firstSeen) : from;
+  const totals = { monitoredMs: 0, downMs: 0, outages: 0 };
+
+  if (start >= to) return totals;
+
+  let status = getStatusAt(entity, start);
+  let cursor = start;
+
+  if (status === "Down") totals.outages += 1;
+
+  // Adds the time from the cursor up to `until` to the current status.
+  function advance(until) {
+    const ms = until - cursor;
+    if (MONITORED_STATUSES.has(status)) totals.monitoredMs += ms;
+    if (status === "Down") totals.downMs += ms;
+    cursor = until;
+  }
+
+  for (const entry of entity.transitions) {
+    const at = Date.parse(entry.at);
+    if (at <= start) continue;
+    if (at > to) break;
+
+    advance(at);
+    if (entry.to === "Down") totals.outages += 1;
+    status = entry.to;
+  }
+
+  advance(to);
+  return totals;
+}
+
+function toMinutes(ms) {
+  return Math.round((ms / MINUTE_MS) * 10) / 10;
+}
+
+// Turns raw totals into the reported figures. Availability is a percentage
+// with three decimals, or null when nothing was monitored in the range.
+function describeTotals({ monitoredMs, downMs, outages }) {
+  return {
+    monitoredMinutes: toMinutes(monitoredMs),
+    downtimeMinutes: toMinutes(downMs),
+    availability: monitoredMs
+      ? Math.round(((monitoredMs - downMs) / monitoredMs) * 100_000) / 1000
+      : null,
+    outages,
+    mttrMinutes: outages ? toMinutes(downMs / outages) : null,
+    mtbfMinutes: outages ? toMinutes((monitoredMs - downMs) / outages) : null,
+  };
+}
+
+// Sorts report rows worst availability first; rows with no data go last.
+function compareAvailability(a, b, nameField) {
+  if (a.availability === null || b.availability === null) {
+    if (a.availability !== b.availability) return a.availability === null ? 1 : -1;
+  } else if (a.availability !== b.availability) {
+    return a.availability - b.availability;
+  }
+
+  return String(a[nameField]).localeCompare(String(b[nameField]), "en", {
+    sensitivity: "base",
+  });
+}
+
+// Builds the availability report between `from` and `to` (ms timestamps).
+// Items in `excludedItemIds` (suppressed equipment) are left out.
+function buildUptimeReport({ from, to, excludedItemIds = new Set() }) {
+  const items = [];
+  const sites = new Map();
+
+  for (const entity of getTrackedEntities("infrastructure")) {
+    if (excludedItemIds.has(entity.id)) continue;
+
+    const totals = measureEntity(entity, from, to);
+    const siteKey = String(entity.siteId ?? entity.site ?? "");
+
+    items.push({
+      inventoryItemId: entity.id,
+      deviceName: entity.name,
+      networkSiteId: entity.siteId ?? null,
+      networkSiteName: entity.site ?? null,
+      status: entity.status,
+      ...describeTotals(totals),
+    });
+
+    if (!sites.has(siteKey)) {
+      sites.set(siteKey, {
+        networkSiteId: entity.siteId ?? null,
+        networkSiteName: entity.site ?? null,
+        devices: 0,
+        totals: { monitoredMs: 0, downMs: 0, outages: 0 },
+      });
+    }
+
+    const site = sites.get(siteKey);
+    site.devices += 1;
+    site.totals.monitoredMs += totals.monitoredMs;
+    site.totals.downMs += totals.downMs;
+    site.totals.outages += totals.outages;
+  }
+
+  return {
+    items: items.sort((a, b) => compareAvailability(a, b, "deviceName")),
+    sites: [...sites.values()]
+      .map(({ totals, ...site }) => ({ ...site, ...describeTotals(totals) }))
+      .sort((a, b) => compareAvailability(a, b, "networkSiteName")),
+  };
+}
+
+module.exports = { buildUptimeReport };
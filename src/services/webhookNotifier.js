@@ -0,0 +1,406 @@
+// src/services/webhookNotifier.js
+//
+// Sends outbound webhooks for dashboard events:
+// - infrastructure.down / infrastructure.recovered: devices that went Down or
+//   came back, batched per poll so one tower failure is one message
+// - customers.down_threshold: the visible down-customer count crossed the
+//   customerDownThreshold from data/webhooks.json, in either direction
+// - suppression.added / suppression.removed, also sent when a suppression
+//   rule is added or removed and when a maintenance window starts or ends
+// - alert.firing / alert.resolved: an alert rule fired or cleared, unless
+//   quiet hours hold back the webhook channel for its severity
+// - alert.escalation: one step of an escalation policy, sent only to the
+//   webhooks the step names
+//
+// Each delivery is signed when the webhook has a secret, retried with
+// exponential backoff on network errors, timeouts, 429 and 5xx responses,
+// and recorded in the delivery log.
+
+const crypto = require("crypto");
+const { peekSource } = require("./dashboardData");
+const { dashboardEvents } = require("./dashboardEvents");
+const { isQuietTime } = require("./escalationConfig");
+const { filterSuppressed, getHiddenInfrastructureItems } = require("./statusSummary");
+const { buildWebhookPayload } = require("./webhookPayloads");
+const { loadWebhookConfig, startDelivery, updateDelivery, wantsEvent } = require("./webhookStore");
+const { getEnvInt } = require("../utils/env");
+
+const WEBHOOK_MAX_ATTEMPTS = getEnvInt("WEBHOOK_MAX_ATTEMPTS") ?? 4;
+const WEBHOOK_RETRY_BASE_MS = getEnvInt("WEBHOOK_RETRY_BASE_MS") ?? 2_000;
+const WEBHOOK_TIMEOUT_MS = getEnvInt("WEBHOOK_TIMEOUT_MS") ?? 10_000;
+// Longest list of devices written into one message.
+const MAX_LISTED_ITEMS = 20;
+
+const SUPPRESSION_KIND_LABELS = {
+  accounts: "Customer",
+  "infrastructure-items": "Infrastructure item",
+};
+
+// Whether the down-customer count was at or over the threshold last time,
+// or null before the first check.
+let customersAboveThreshold = null;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms).unref());
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Builds the request headers, signing `<timestamp>.<body>` with the
+// webhook secret so receivers can verify the sender and reject replays.
+function buildHeaders(webhook, notification, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "sonar-network-dashboard",
+    "X-Dashboard-Event": notification.event,
+    "X-Dashboard-Timestamp": timestamp,
+  };
+
+  if (webhook.secret) {
+    const signature = crypto
+      .createHmac("sha256", webhook.secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    headers["X-Dashboard-Signature"] = `sha256=${signature}`;
+  }
+
+  return headers;
+}
+
+// Logs a delivery change and tells the delivery log page to re-fetch.
+function recordDelivery(entry, changes) {
+  updateDelivery(entry, changes);
+  dashboardEvents.emit("update", { sources: ["webhooks"], at: new Date().toISOString() });
+}
+
+// Delivers one notification to one webhook, retrying transient failures.
+// Resolves with the final log entry, failed sends included; it only rejects
+// on an unexpected error, such as the delivery log failing to save.
+async function deliver(webhook, notification) {
+  const body = JSON.stringify(buildWebhookPayload(webhook.format, notification));
+  const entry = startDelivery({
+    webhook: webhook.name,
+    event: notification.event,
+    text: notification.title,
+  });
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt += 1) {
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const res = await fetch(webhook.url, {
+        method: "POST",
+        headers: buildHeaders(webhook, notification, body),
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      responseStatus = res.status;
+
+      if (res.ok) {
+        recordDelivery(entry, {
+          status: "delivered",
+          attempts: attempt,
+          responseStatus,
+          error: null,
+          finishedAt: new Date().toISOString(),
+        });
+        return entry;
+      }
+
+      error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.name === "TimeoutError" ? "Timed out" : err.message;
+    }
+
+    const retryable = responseStatus === null || isRetryableStatus(responseStatus);
+    const retry = retryable && attempt < WEBHOOK_MAX_ATTEMPTS;
+
+    recordDelivery(entry, {
+      status: retry ? "retrying" : "failed",
+      attempts: attempt,
+      responseStatus,
+      error,
+      finishedAt: retry ? null : new Date().toISOString(),
+    });
+
+    if (!retry) break;
+    await sleep(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1));
+  }
+
+  console.error(`[webhooks] ${webhook.name}: ${notification.event} failed (${entry.error})`);
+  return entry;
+}
+
+// Sends a notification to every enabled webhook that wants its event.
+function dispatch(notification) {
+  const { webhooks } = loadWebhookConfig();
+
+  for (const webhook of webhooks) {
+    if (!webhook.enabled || !wantsEvent(webhook, notification.event)) continue;
+    deliver(webhook, notification).catch((err) =>
+      console.error(`[webhooks] ${webhook.name}: ${notification.event} failed (${err.message})`),
+    );
+  }
+}
+
+// Lists devices as "Name (Site)" lines, capped at MAX_LISTED_ITEMS.
+function describeItems(transitions) {
+  const lines = transitions
+    .slice(0, MAX_LISTED_ITEMS)
+    .map((entry) => `- ${entry.name || `#${entry.id}`} (${entry.site || "unknown site"})`);
+
+  if (transitions.length > MAX_LISTED_ITEMS) {
+    lines.push(`...and ${transitions.length - MAX_LISTED_ITEMS} more`);
+  }
+
+  return lines.join("\n");
+}
+
+// Builds one notification for a batch of device transitions.
+function buildItemNotification(event, transitions, verb, level) {
+  const count = transitions.length;
+  const title =
+    count === 1
+      ? `${transitions[0].name || `Item #${transitions[0].id}`} is ${verb}`
+      : `${count} infrastructure items ${verb}`;
+
+  return {
+    event,
+    at: transitions[0].at,
+    title,
+    text: describeItems(transitions),
+    level,
+    data: {
+      items: transitions.map((entry) => ({
+        inventoryItemId: entry.id,
+        deviceName: entry.name,
+        networkSiteId: entry.siteId,
+        networkSiteName: entry.site,
+        from: entry.from,
+        to: entry.to,
+        at: entry.at,
+      })),
+    },
+  };
+}
+
+// Sends down / recovered notifications for new device transitions.
+// Suppressed devices and devices in maintenance never page.
+function handleTransitions({ transitions }) {
+  const hidden = getHiddenInfrastructureItems(peekSource("infrastructureSnapshot")?.value);
+  const items = transitions.filter(
+    (entry) => entry.kind === "infrastructure" && !hidden.has(String(entry.id)),
+  );
+
+  const down = items.filter((entry) => entry.to === "Down");
+  const recovered = items.filter(
+    (entry) => entry.from === "Down" && (entry.to === "Good" || entry.to === "Warning"),
+  );
+
+  if (down.length) {
+    dispatch(buildItemNotification("infrastructure.down", down, "down", "critical"));
+  }
+
+  if (recovered.length) {
+    dispatch(buildItemNotification("infrastructure.recovered", recovered, "back up", "ok"));
+  }
+}
+
+// Sends a notification when the visible down-customer count crosses the
+// configured threshold. The first check after startup only records where
+// the count stands, so a restart during an outage does not page again.
+function checkCustomerThreshold() {
+  const { customerDownThreshold } = loadWebhookConfig();
+
+  if (!customerDownThreshold) {
+    customersAboveThreshold = null;
+    return;
+  }
+
+  const result = peekSource("downCustomers");
+  if (!result || result.restored) return;
+
+  const down = filterSuppressed(result.value).length;
+  const above = down >= customerDownThreshold;
+  const previous = customersAboveThreshold;
+  customersAboveThreshold = above;
+
+  if (previous === null || previous === above) return;
+
+  const threshold = customerDownThreshold;
+
+  dispatch({
+    event: "customers.down_threshold",
+    at: new Date().toISOString(),
+    title: above
+      ? `${down} customers down (threshold ${threshold})`
+      : `Down customers back under threshold (${down} of ${threshold})`,
+    text: above
+      ? `The down-customer count rose to ${down}, at or above the threshold of ${threshold}.`
+      : `The down-customer count fell to ${down}, below the threshold of ${threshold}.`,
+    level: above ? "critical" : "ok",
+    data: { down, threshold, above },
+  });
+}
+
+// Describes a maintenance window starting or ending.
+function describeMaintenanceChange({ title, added }) {
+  return {
+    title: `Maintenance "${title}" ${added ? "started" : "ended"}`,
+    text: added
+      ? `Devices and customers in the "${title}" window are hidden from dashboard views and totals until it ends.`
+      : `The "${title}" window ended; its devices and customers count again.`,
+  };
+}
+
+// Describes a suppression rule being added or removed.
+function describeRuleChange({ title, added }) {
+  return {
+    title: `Suppression rule "${title}" ${added ? "added" : "removed"}`,
+    text: added
+      ? `Customers and devices matching the "${title}" rule are hidden from dashboard views and totals.`
+      : `The "${title}" rule was removed; what it matched counts again.`,
+  };
+}
+
+// Describes an account or device being suppressed, unsuppressed, or having
+// its suppression expire.
+function describeSuppressionChange({ label, id, added, reason, expired }) {
+  if (added) {
+    return {
+      title: `${label} ${id} suppressed`,
+      text: `${label} ${id} is now hidden from dashboard views and totals.${reason ? ` Reason: ${reason}` : ""}`,
+    };
+  }
+
+  return {
+    title: `${label} ${id} ${expired ? "suppression expired" : "unsuppressed"}`,
+    text: `${label} ${id} is visible in dashboard views and totals again.`,
+  };
+}
+
+// Sends a notification for a suppression change, including a suppression
+// rule being added or removed and a maintenance window starting or ending.
+function handleSuppression({ kind, id, action, title, reason, expired, at }) {
+  // Edits to a rule or a running window only change what they cover.
+  if (action === "updated") {
+    checkCustomerThreshold();
+    return;
+  }
+
+  const label = SUPPRESSION_KIND_LABELS[kind] || kind;
+  const added = action === "suppressed";
+  let message = describeSuppressionChange({ label, id, added, reason, expired });
+  if (kind === "maintenance") message = describeMaintenanceChange({ title, added });
+  if (kind === "rules") message = describeRuleChange({ title, added });
+
+  dispatch({
+    event: added ? "suppression.added" : "suppression.removed",
+    at,
+    ...message,
+    level: "info",
+    data: { kind, id, action, ...(reason && { reason }), ...(expired && { expired }) },
+  });
+
+  checkCustomerThreshold();
+}
+
+// Sends a notification when an alert rule fires or resolves.
+function handleAlert({ rule, alert, at }) {
+  if (isQuietTime({ channel: "webhook", severity: rule.severity })) return;
+
+  const firing = alert.state === "firing";
+
+  dispatch({
+    event: firing ? "alert.firing" : "alert.resolved",
+    at,
+    title: `${firing ? "Alert firing" : "Alert resolved"}: ${rule.name}`,
+    text: `${rule.description}\n${alert.detail}`,
+    level: firing ? "critical" : "ok",
+    data: {
+      ruleId: rule.id,
+      rule: rule.name,
+      condition: rule.description,
+      state: alert.state,
+      value: alert.value,
+      matches: alert.matches,
+      firedAt: alert.firedAt,
+      resolvedAt: alert.resolvedAt,
+    },
+  });
+}
+
+// Sends one escalation step to a named webhook, whatever events it
+// subscribes to. Resolves with the delivery log entry, or null when no
+// enabled webhook has that name.
+async function sendEscalationNotification(name, { rule, alert, escalation }) {
+  const webhook = loadWebhookConfig().webhooks.find((entry) => entry.name === name);
+  if (!webhook?.enabled) return null;
+
+  const ack = escalation.ackUrl
+    ? `Acknowledge to stop escalating: ${escalation.ackUrl}`
+    : "Acknowledge on the dashboard's Escalations page to stop escalating.";
+
+  return deliver(webhook, {
+    event: "alert.escalation",
+    at: new Date().toISOString(),
+    title: `Escalation step ${escalation.step} of ${escalation.steps}: ${rule.name}`,
+    text: `${rule.description}\n${alert.detail}\n${ack}`,
+    level: "critical",
+    data: {
+      ruleId: rule.id,
+      rule: rule.name,
+      condition: rule.description,
+      severity: rule.severity,
+      policy: escalation.policy,
+      step: escalation.step,
+      steps: escalation.steps,
+      escalationId: escalation.id,
+      acknowledgeUrl: escalation.ackUrl,
+      matches: alert.matches,
+      firedAt: alert.firedAt,
+    },
+  });
+}
+
+// Sends a test notification to one configured webhook, enabled or not.
+// Returns false when no webhook has that name. The result shows up in the
+// delivery log.
+function sendTestNotification(name) {
+  const webhook = loadWebhookConfig().webhooks.find((entry) => entry.name === name);
+  if (!webhook) return false;
+
+  const notification = {
+    event: "test",
+    at: new Date().toISOString(),
+    title: "Test notification from the network dashboard",
+    text: `Webhook "${webhook.name}" is set up correctly.`,
+    level: "info",
+    data: {},
+  };
+
+  deliver(webhook, notification).catch((err) =>
+    console.error(`[webhooks] ${webhook.name}: ${notification.event} failed (${err.message})`),
+  );
+  return true;
+}
+
+// Starts listening for the events that trigger webhooks.
+function startWebhookNotifications() {
+  dashboardEvents.on("transitions", handleTransitions);
+  dashboardEvents.on("suppressions", handleSuppression);
+  dashboardEvents.on("alerts", handleAlert);
+  dashboardEvents.on("update", ({ sources }) => {
+    if (sources.includes("summary")) checkCustomerThreshold();
+  });
+}
+
+module.exports = {
+  sendEscalationNotification,
+  sendTestNotification,
+  startWebhookNotifications,
+};
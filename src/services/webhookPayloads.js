@@ -0,0 +1,96 @@
+// src/services/webhookPayloads.js
+//
+// Builds the request body for each webhook format from one notification:
+// `{ event, at, title, text, level, data }`, where `level` is "critical",
+// "warning", "ok" or "info".
+// - json: the notification as-is, for scripts and generic receivers
+// - slack: Slack incoming-webhook message (also accepted by Mattermost and
+//   Rocket.Chat)
+// - teams: Adaptive Card message for a Microsoft Teams workflow webhook
+
+const LEVEL_COLORS = {
+  critical: "#e85b5b",
+  warning: "#f2c94c",
+  ok: "#55c57a",
+  info: "#2aa8ff",
+};
+
+// Adaptive Card text colors for each level.
+const LEVEL_TEAMS_COLORS = {
+  critical: "Attention",
+  warning: "Warning",
+  ok: "Good",
+  info: "Accent",
+};
+
+function buildJsonPayload(notification) {
+  return {
+    event: notification.event,
+    at: notification.at,
+    title: notification.title,
+    text: notification.text,
+    level: notification.level,
+    data: notification.data,
+  };
+}
+
+function buildSlackPayload(notification) {
+  return {
+    text: notification.title,
+    attachments: [
+      {
+        color: LEVEL_COLORS[notification.level] || LEVEL_COLORS.info,
+        text: notification.text,
+        footer: notification.event,
+        ts: Math.floor(Date.parse(notification.at) / 1000),
+      },
+    ],
+  };
+}
+
+function buildTeamsPayload(notification) {
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body: [
+            {
+              type: "TextBlock",
+              text: notification.title,
+              weight: "Bolder",
+              size: "Medium",
+              color: LEVEL_TEAMS_COLORS[notification.level] || "Default",
+              wrap: true,
+            },
+            { type: "TextBlock", text: notification.text, wrap: true },
+            {
+              type: "TextBlock",
+              text: `${notification.event} at ${notification.at}`,
+              isSubtle: true,
+              size: "Small",
+              wrap: true,
+            },
+          ],
+        },
+      },
+    ],
+  };
+}
+
+const PAYLOAD_BUILDERS = {
+  json: buildJsonPayload,
+  slack: buildSlackPayload,
+  teams: buildTeamsPayload,
+};
+
+// Returns the body to send for a webhook format.
+function buildWebhookPayload(format, notification) {
+  return (PAYLOAD_BUILDERS[format] || buildJsonPayload)(notification);
+}
+
+module.exports = { buildWebhookPayload };
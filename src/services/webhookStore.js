@@ -0,0 +1,190 @@
+// src/services/webhookStore.js
+//
+// Webhook configuration and delivery log.
+//
+// Webhooks are configured by hand in data/webhooks.json (see
+// data/webhooks.example.json). The file is re-read before every dispatch,
+// so edits apply without a restart. Deliveries are logged to
+// data/webhook-deliveries.json, newest last, capped at MAX_DELIVERIES.
+// Retries live only in memory, so deliveries a restart cut off are marked
+// failed when the log is loaded.
+
+const path = require("path");
+const { readJsonFile, writeJsonFileAtomic } = require("../utils/jsonFile");
+
+const WEBHOOKS_CONFIG_PATH = path.resolve(__dirname, "../../data/webhooks.json");
+const DELIVERIES_DATA_PATH = path.resolve(__dirname, "../../data/webhook-deliveries.json");
+const DELIVERIES_FORMAT_VERSION = 1;
+
+const WEBHOOK_FORMATS = ["json", "slack", "teams"];
+const WEBHOOK_EVENTS = [
+  "infrastructure.down",
+  "infrastructure.recovered",
+  "customers.down_threshold",
+  "suppression.added",
+  "suppression.removed",
+  "alert.firing",
+  "alert.resolved",
+];
+
+const MAX_DELIVERIES = 500;
+// Log updates close together are written to disk in one go.
+const SAVE_DELAY_MS = 2_000;
+
+let deliveries = loadDeliveries();
+let nextDeliveryId = deliveries.reduce((max, entry) => Math.max(max, Number(entry.id) || 0), 0) + 1;
+let saveTimer = null;
+// Config problems already logged. The config is re-read on every summary
+// refresh, so each problem is only reported once.
+const reportedProblems = new Set();
+
+// Turns one config entry into a usable webhook, or null when it is invalid.
+// `events` defaults to every event; "*" also means every event.
+function normalizeWebhook(raw, index) {
+  let url;
+
+  try {
+    url = new URL(String(raw?.url || ""));
+  } catch {
+    return null;
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+  const events = Array.isArray(raw.events) && raw.events.length ? raw.events.map(String) : ["*"];
+
+  return {
+    name: String(raw.name || `webhook-${index + 1}`),
+    url: url.toString(),
+    format: WEBHOOK_FORMATS.includes(raw.format) ? raw.format : "json",
+    events,
+    secret: raw.secret ? String(raw.secret) : null,
+    enabled: raw.enabled !== false,
+  };
+}
+
+function warnOnce(message) {
+  if (reportedProblems.has(message)) return;
+  reportedProblems.add(message);
+  console.warn(message);
+}
+
+// Reads the webhook config. Invalid entries are skipped with a warning.
+// Returns `{ webhooks, customerDownThreshold }`.
+function loadWebhookConfig() {
+  const raw = readJsonFile(WEBHOOKS_CONFIG_PATH, {}) || {};
+  const webhooks = [];
+
+  (Array.isArray(raw.webhooks) ? raw.webhooks : []).forEach((entry, index) => {
+    const webhook = normalizeWebhook(entry, index);
+
+    if (!webhook) {
+      warnOnce(`[webhooks] skipping webhook ${index + 1}: missing or invalid url`);
+      return;
+    }
+
+    webhooks.push(webhook);
+  });
+
+  const threshold = Number(raw.customerDownThreshold);
+
+  return {
+    webhooks,
+    customerDownThreshold: Number.isFinite(threshold) && threshold > 0 ? threshold : null,
+  };
+}
+
+// Returns true when a webhook wants an event.
+function wantsEvent(webhook, event) {
+  return webhook.events.includes("*") || webhook.events.includes(event);
+}
+
+function loadDeliveries() {
+  const raw = readJsonFile(DELIVERIES_DATA_PATH);
+  if (raw?.version !== DELIVERIES_FORMAT_VERSION || !Array.isArray(raw.deliveries)) return [];
+
+  const interrupted = raw.deliveries.filter(
+    (entry) => entry.status === "pending" || entry.status === "retrying",
+  );
+
+  if (interrupted.length) {
+    const finishedAt = new Date().toISOString();
+    for (const entry of interrupted) {
+      Object.assign(entry, { status: "failed", error: "Interrupted by restart", finishedAt });
+    }
+
+    console.log(`[webhooks] marked ${interrupted.length} interrupted deliveries as failed`);
+    saveDeliveries(raw.deliveries);
+  }
+
+  return raw.deliveries;
+}
+
+function saveDeliveries(entries) {
+  try {
+    writeJsonFileAtomic(DELIVERIES_DATA_PATH, {
+      version: DELIVERIES_FORMAT_VERSION,
+      deliveries: entries,
+    });
+  } catch (err) {
+    console.error("Could not save webhook deliveries:", err.message);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveDeliveries(deliveries);
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+// Starts a log entry for one delivery and returns it. The notifier updates
+// it in place through updateDelivery as attempts finish.
+function startDelivery({ webhook, event, text }) {
+  const entry = {
+    id: String(nextDeliveryId),
+    at: new Date().toISOString(),
+    webhook,
+    event,
+    text,
+    status: "pending",
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    finishedAt: null,
+  };
+
+  nextDeliveryId += 1;
+  deliveries.push(entry);
+  if (deliveries.length > MAX_DELIVERIES) deliveries.splice(0, deliveries.length - MAX_DELIVERIES);
+
+  scheduleSave();
+  return entry;
+}
+
+function updateDelivery(entry, changes) {
+  Object.assign(entry, changes);
+  scheduleSave();
+}
+
+// Returns logged deliveries, newest first. Filters: webhook name, status.
+function listDeliveries({ webhook = null, status = null, limit = 200 } = {}) {
+  return deliveries
+    .filter((entry) => !webhook || entry.webhook === webhook)
+    .filter((entry) => !status || entry.status === status)
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  listDeliveries,
+  loadWebhookConfig,
+  startDelivery,
+  updateDelivery,
+  wantsEvent,
+};
@@ -0,0 +1,89 @@
+// src/sonar/errors.js
+//
+// Error types for Sonar failures. Each one carries a stable `code` that the
+// routes pass through to the UI, so pages can show actionable text without
+// matching on error messages.
+
+class SonarError extends Error {
+  constructor(message, { code = "SONAR_ERROR", status = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Sonar rejected the API token (401/403).
+class SonarAuthError extends SonarError {
+  constructor(message, { status = 401 } = {}) {
+    super(message, { code: "SONAR_AUTH", status });
+  }
+}
+
+// Sonar asked us to slow down (429). retryAfterMs comes from Retry-After.
+class SonarRateLimitError extends SonarError {
+  constructor(message, { retryAfterMs = null } = {}) {
+    super(message, { code: "SONAR_RATE_LIMIT", status: 429 });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// A single request ran past the configured timeout.
+class SonarTimeoutError extends SonarError {
+  constructor(message, { timeoutMs = null } = {}) {
+    super(message, { code: "SONAR_TIMEOUT" });
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Sonar could not be reached, or answered with a 5xx.
+class SonarUnavailableError extends SonarError {
+  constructor(message, { status = null, retryAfterMs = null } = {}) {
+    super(message, { code: "SONAR_UNAVAILABLE", status });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Sonar answered 200 but the query itself failed (validation, permissions, ...).
+class SonarGraphqlError extends SonarError {
+  constructor(message, { graphqlErrors = [] } = {}) {
+    super(message, { code: "SONAR_GRAPHQL" });
+    this.graphqlErrors = graphqlErrors;
+  }
+}
+
+// Sonar (or a proxy in front of it) answered with a body that is not a
+// GraphQL JSON response, such as an HTML error page sent with a 200.
+class SonarResponseError extends SonarError {
+  constructor(message, { status = null } = {}) {
+    super(message, { code: "SONAR_RESPONSE", status });
+  }
+}
+
+// Recent requests kept failing, so the circuit breaker is failing fast
+// instead of sending more traffic to Sonar. retryAt is when it will try again.
+class SonarCircuitOpenError extends SonarError {
+  constructor(message, { retryAt = null } = {}) {
+    super(message, { code: "SONAR_CIRCUIT_OPEN" });
+    this.retryAt = retryAt;
+  }
+}
+
+// Required settings are missing from .env.
+class SonarConfigError extends SonarError {
+  constructor(message) {
+    super(message, { code: "SONAR_CONFIG" });
+  }
+}
+
+module.exports = {
+  SonarAuthError,
+  SonarCircuitOpenError,
+  SonarConfigError,
+  SonarError,
+  SonarGraphqlError,
+  SonarRateLimitError,
+  SonarResponseError,
+  SonarTimeoutError,
+  SonarUnavailableError,
+};
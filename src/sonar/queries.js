@@ -5,7 +5,6 @@ const {
   buildInventoryCountQuery,
   buildInventoryStatusListQuery,
   buildInventoryUninventoriedListQuery,
-  buildStatusScopedRelationSelection,
 } = require("./inventoryQueryBuilder");
 
 const INVENTORY_STATUS_FIELD = "icmp_device_status";
@@ -75,30 +74,6 @@ const INFRASTRUCTURE_EQUIPMENT_SUMMARY_QUERY = buildInventoryCountQuery({
   ...INFRASTRUCTURE_INVENTORY,
 });
 
-// Full infrastructure snapshot used for equipment totals.
-// This gives us every inventory item so we can count actual equipment instead of sites.
-const INFRASTRUCTURE_INVENTORY_SNAPSHOT_QUERY = buildEntityListQuery({
-  queryName: "network_sites_inventory_snapshot",
-  variables: INFRASTRUCTURE_INVENTORY.variables,
-  entityName: INFRASTRUCTURE_INVENTORY.entityName,
-  args: {
-    ...INFRASTRUCTURE_INVENTORY.baseArgs,
-    paginator: { page: 1, records_per_page: 10000 },
-  },
-  entitySelection: `
-page_info { total_count }
-entities {
-  name
-  inventory_items {
-    entities {
-      id
-      icmp_device_status
-    }
-  }
-}
-`,
-});
-
 // Customer detail table queries.
 const DOWN_ACCOUNTS_QUERY = buildInventoryStatusListQuery({
   queryName: "down_accounts",
@@ -218,99 +193,9 @@ entities {
 `,
 });
 
-// Builds the selection block used by site-scoped infrastructure status views.
-function buildInfrastructureEntitySelection(statusValue) {
-  // For infrastructure detail pages, we want the site name plus only the
-  // inventory items that match the chosen status.
-  return `
-entities {
-  name
-  ${buildStatusScopedRelationSelection({
-    relationName: "inventory_items",
-    statusField: INFRASTRUCTURE_INVENTORY.statusField,
-    statusValue,
-    selection: `
-entities {
-  id
-  icmp_device_status
-}
-`,
-  })}
-  ip_assignment_histories {
-    entities {
-      id
-      description
-    }
-  }
-}
-`;
-}
-
-// Returns the IP-assignment selection used by infrastructure detail tables.
-function buildInfrastructureTableEntitySelection() {
-  return `
-entities {
-  id
-  name
-  ip_assignment_histories {
-    entities {
-      id
-      description
-      subnet
-      removed_datetime
-      ipassignmentable {
-        __typename
-        ... on InventoryModelFieldData {
-          id
-          inventory_item_id
-          inventory_item {
-            id
-            icmp_device_status
-            inventory_model {
-              name
-            }
-          }
-        }
-      }
-    }
-  }
-}
-  `;
-}
-
-// Builds a status-scoped infrastructure table query that still returns IP assignments.
-function buildInfrastructureTableQuery(statusKey) {
-  const statusValue = INFRASTRUCTURE_INVENTORY.statuses[statusKey];
-
-  if (!statusValue) {
-    throw new Error(`Unknown infrastructure table status key: ${statusKey}`);
-  }
-
-  return buildInventoryStatusListQuery({
-    queryName: `network_sites_${statusKey}_table`,
-    variables: INFRASTRUCTURE_INVENTORY.variables,
-    entityName: INFRASTRUCTURE_INVENTORY.entityName,
-    baseArgs: INFRASTRUCTURE_INVENTORY.baseArgs,
-    relationPath: INFRASTRUCTURE_INVENTORY.relationPath,
-    statusField: INFRASTRUCTURE_INVENTORY.statusField,
-    statusValue,
-    paginator: { page: 1, records_per_page: 10000 },
-    entitySelection: buildInfrastructureTableEntitySelection(),
-  });
-}
-
-// GOOD table rows come from the IP assignment side so we can show the
-// device description plus the current live IP for each infrastructure item.
-const INFRASTRUCTURE_GOOD_TABLE_QUERY = buildInfrastructureTableQuery("good");
-
-// WARNING table rows use the same IP assignment join as the other infrastructure views.
-const INFRASTRUCTURE_WARNING_TABLE_QUERY = buildInfrastructureTableQuery("warning");
-
-// DOWN table rows use the same IP assignment join as the GOOD infrastructure view.
-const INFRASTRUCTURE_DOWN_TABLE_QUERY = buildInfrastructureTableQuery("down");
-
-// Broader snapshot used when we need to resolve suppressed or unmonitored
-// infrastructure rows by inventory item ID, regardless of current status.
+// Full infrastructure snapshot shared by every infrastructure table and count.
+// It returns every inventory item plus its current IP assignments, regardless
+// of status, so one fetch can feed all views.
 const INFRASTRUCTURE_TABLE_SNAPSHOT_QUERY = buildEntityListQuery({
   queryName: "network_sites_table_snapshot",
   variables: INFRASTRUCTURE_INVENTORY.variables,
@@ -358,34 +243,6 @@ entities {
 `,
 });
 
-// Builds a network-site query for one infrastructure status bucket.
-function buildInfrastructureSitesByStatusQuery(statusKey) {
-  const statusValue = INFRASTRUCTURE_INVENTORY.statuses[statusKey];
-
-  if (!statusValue) {
-    throw new Error(`Unknown infrastructure status key: ${statusKey}`);
-  }
-
-  return buildInventoryStatusListQuery({
-    queryName: `network_sites_${statusKey}`,
-    variables: INFRASTRUCTURE_INVENTORY.variables,
-    entityName: INFRASTRUCTURE_INVENTORY.entityName,
-    baseArgs: INFRASTRUCTURE_INVENTORY.baseArgs,
-    relationPath: INFRASTRUCTURE_INVENTORY.relationPath,
-    statusField: INFRASTRUCTURE_INVENTORY.statusField,
-    statusValue,
-    paginator: { page: 1, records_per_page: 10000 },
-    entitySelection: buildInfrastructureEntitySelection(statusValue),
-  });
-}
-
-// Returns the snapshot query used to derive unmonitored infrastructure rows.
-function buildInfrastructureUnmonitoredSitesQuery() {
-  // Right now the same snapshot query is enough for unmonitored sites.
-  // We can always swap this later if Sonar gives us a cleaner filter.
-  return INFRASTRUCTURE_INVENTORY_SNAPSHOT_QUERY;
-}
-
 const ACCOUNT_BY_ID_QUERY = `
 query account_by_id($id: Int64Bit) {
   accounts(id: $id) {
@@ -430,15 +287,9 @@ module.exports = {
   CUSTOMER_EQUIPMENT_SUMMARY_QUERY,
   DOWN_ACCOUNTS_QUERY,
   GOOD_ACCOUNTS_QUERY,
-  INFRASTRUCTURE_DOWN_TABLE_QUERY,
   INFRASTRUCTURE_EQUIPMENT_SUMMARY_QUERY,
-  INFRASTRUCTURE_GOOD_TABLE_QUERY,
-  INFRASTRUCTURE_INVENTORY_SNAPSHOT_QUERY,
   INFRASTRUCTURE_TABLE_SNAPSHOT_QUERY,
-  INFRASTRUCTURE_WARNING_TABLE_QUERY,
   OPEN_TICKET_COUNT_QUERY,
   UNINVENTORIED_ACCOUNTS_QUERY,
   WARNING_ACCOUNTS_QUERY,
-  buildInfrastructureSitesByStatusQuery,
-  buildInfrastructureUnmonitoredSitesQuery,
 };
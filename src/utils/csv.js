@@ -0,0 +1,22 @@
+// src/utils/csv.js
+
+// Quotes a value when it contains a delimiter, quote or line break.
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Builds CSV text from rows. `columns` is a list of `{ key, label }`.
+function toCsv(columns, rows) {
+  const lines = [columns.map((column) => escapeCsvValue(column.label)).join(",")];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(row[column.key])).join(","));
+  }
+
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = { escapeCsvValue, toCsv };
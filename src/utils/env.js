@@ -1,5 +1,7 @@
 // src/utils/env.js
 
+const { SonarConfigError } = require("../sonar/errors");
+
 //Validation for env variables
 function getEnvInt(name) {
   const v = process.env[name];
@@ -11,7 +13,7 @@ function getEnvInt(name) {
 
 function requireEnv(name) {
   const v = process.env[name];
-  if (!v) throw new Error(`Missing ${name} in .env`);
+  if (!v) throw new SonarConfigError(`Missing ${name} in .env`);
   return v;
 }
 
@@ -0,0 +1,28 @@
+// src/utils/jsonFile.js
+
+const fs = require("fs");
+const path = require("path");
+
+// Reads a JSON file. Returns `fallback` when the file is missing or unreadable.
+function readJsonFile(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) return fallback;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    console.error(`Could not read ${path.basename(filePath)}:`, err.message);
+    return fallback;
+  }
+}
+
+// Writes JSON to a temp file and renames it over the target, so a crash
+// mid-write never leaves a half-written file behind.
+function writeJsonFileAtomic(filePath, value) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(value));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFileAtomic };
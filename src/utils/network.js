@@ -16,4 +16,43 @@ function getLocalIPs() {
   return results;
 }
 
-module.exports = { getLocalIPs };
+// Converts a dotted IPv4 address to an unsigned 32-bit number, or null.
+function parseIpv4(value) {
+  const parts = String(value ?? "").trim().split(".");
+  if (parts.length !== 4) return null;
+
+  let result = 0;
+
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+    result = result * 256 + Number(part);
+  }
+
+  return result;
+}
+
+// Parses "10.20.0.1/24" (or a bare address, treated as /32) into the network
+// number and prefix length. Returns null for anything that is not IPv4 or
+// whose prefix is not a whole number from 0 to 32, such as "10.20.0.1/".
+function parseCidr(value) {
+  const [address, prefixText, ...rest] = String(value ?? "").trim().split("/");
+  const ip = parseIpv4(address);
+
+  if (ip === null || rest.length) return null;
+  if (prefixText !== undefined && !/^\d{1,2}$/.test(prefixText)) return null;
+
+  const prefix = prefixText === undefined ? 32 : Number(prefixText);
+  if (prefix > 32) return null;
+
+  const size = 2 ** (32 - prefix);
+  return { network: ip - (ip % size), prefix, size };
+}
+
+// Returns true when an IPv4 address (or the network part of a CIDR) falls
+// inside a parsed CIDR range.
+function cidrContains(range, value) {
+  const ip = parseIpv4(String(value ?? "").split("/")[0]);
+  return ip !== null && ip >= range.network && ip < range.network + range.size;
+}
+
+module.exports = { cidrContains, getLocalIPs, parseCidr, parseIpv4 };
@@ -0,0 +1,103 @@
+const { test, expect } = require("@playwright/test");
+const { jsonResponse } = require("./helpers/mockApi");
+
+const META = {
+  firing: 1,
+  pending: 0,
+  metrics: ["infrastructure.down", "customers.down"],
+  operators: [">", ">=", "<", "<=", "="],
+  statuses: ["Down", "Warning", "Good", "Unmonitored"],
+  directions: ["rise", "fall"],
+};
+
+function alertState(overrides = {}) {
+  return {
+    state: "ok",
+    since: null,
+    pendingSince: null,
+    firedAt: null,
+    resolvedAt: null,
+    value: 0,
+    detail: null,
+    matches: [],
+    evaluatedAt: "2026-03-02T02:14:00.000Z",
+    ...overrides,
+  };
+}
+
+test("alert rules page shows alert states and creates a threshold rule", async ({ page }) => {
+  let created = null;
+  let rules = [
+    {
+      id: "1",
+      name: "Ridge Tower device down",
+      type: "item_status",
+      enabled: true,
+      severity: "critical",
+      forMinutes: 0,
+      site: "Ridge Tower",
+      status: "Down",
+      description: "Device in Ridge Tower is Down",
+      alert: alertState({
+        state: "firing",
+        since: "2026-03-02T02:14:00.000Z",
+        firedAt: "2026-03-02T02:14:00.000Z",
+        value: 2,
+        detail: "Down: Sector A, Sector B",
+      }),
+    },
+  ];
+
+  await page.route(/\/api\/alert-rules$/, async (route) => {
+    if (route.request().method() === "POST") {
+      created = route.request().postDataJSON();
+      const rule = {
+        id: "2",
+        name: created.name,
+        type: "threshold",
+        enabled: true,
+        severity: created.severity,
+        forMinutes: 5,
+        metric: created.metric,
+        operator: created.operator,
+        value: 3,
+        description: `${created.metric} ${created.operator} 3 for 5 min`,
+        alert: alertState({ state: "pending", since: "2026-03-02T02:20:00.000Z", value: 4 }),
+      };
+      rules = [...rules, rule];
+      await route.fulfill(jsonResponse({ ok: true, source: "local", rule }, 201));
+      return;
+    }
+
+    await route.fulfill(jsonResponse({ ok: true, source: "local", rules, meta: META }));
+  });
+
+  await page.goto("/alerts.html");
+
+  const firingRow = page.locator("tbody tr").first();
+  await expect(firingRow.locator(".badge--down")).toHaveText(["Critical", "Firing"]);
+  await expect(firingRow).toContainText("Down: Sector A, Sector B");
+
+  await page.getByRole("button", { name: "New rule" }).click();
+  await expect(page.locator("#rule-site")).toBeHidden();
+
+  await page.locator("#rule-name").fill("Many devices down");
+  await page.locator("#rule-metric").selectOption("infrastructure.down");
+  await page.locator("#rule-operator").selectOption(">");
+  await page.locator("#rule-value").fill("3");
+  await page.locator("#rule-for").fill("5");
+  await page.getByRole("button", { name: "Create rule" }).click();
+
+  await expect.poll(() => created?.name).toBe("Many devices down");
+  expect(created).toMatchObject({
+    type: "threshold",
+    severity: "major",
+    value: "3",
+    forMinutes: "5",
+  });
+  await expect(page.locator("#rule-form")).toBeHidden();
+  await expect(page.locator("tbody tr").nth(1).locator(".badge--warning")).toHaveText([
+    "Major",
+    "Pending",
+  ]);
+});
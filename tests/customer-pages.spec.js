@@ -1,5 +1,5 @@
 const { test, expect } = require("@playwright/test");
-const { jsonResponse, mockCustomerList } = require("./helpers/mockApi");
+const { jsonResponse, mockCustomerList, mockJson } = require("./helpers/mockApi");
 
 function customer(id, overrides = {}) {
   return {
@@ -87,6 +87,7 @@ test("good customers page paginates, filters, and refreshes after suppression",
   ];
 
   let suppressedCustomerId = null;
+  let suppressBody = null;
 
   await page.route(/\/api\/good-customers\?page=\d+&pageSize=500$/, async (route) => {
     const url = new URL(route.request().url());
@@ -121,6 +122,7 @@ test("good customers page paginates, filters, and refreshes after suppression",
 
   await page.route(/\/api\/suppressions\/accounts\/\d+$/, async (route) => {
     suppressedCustomerId = route.request().url().split("/").pop();
+    suppressBody = route.request().postDataJSON();
     await route.fulfill(jsonResponse({ ok: true }));
   });
 
@@ -148,9 +150,89 @@ test("good customers page paginates, filters, and refreshes after suppression",
     name: "Suppress",
   }).click();
 
+  const dialog = page.getByRole("dialog", { name: "Suppress customer" });
+  await expect(dialog).toBeVisible();
+  await dialog.getByLabel("Reason").fill("Moved to the fiber plan");
+  await dialog.getByLabel("Your name").fill("Dana");
+  await dialog.getByRole("button", { name: "Suppress" }).click();
+
   await expect(page.locator("tbody tr")).toHaveCount(1);
   await expect(page.locator("tbody tr")).not.toContainText("Good Beta");
   await expect(page.locator("#count")).toContainText("Showing 1-1 of 2 customers");
+  expect(suppressedCustomerId).toBe("2");
+  expect(suppressBody).toEqual({
+    reason: "Moved to the fiber plan",
+    author: "Dana",
+    expiresAt: null,
+  });
+});
+
+test("down customers page shows and sorts by how long each customer has been down", async ({
+  page,
+}) => {
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60_000).toISOString();
+
+  await mockCustomerList(page, "/api/down-customers", [
+    customer(501, { customerName: "Recent Outage", status: "Down", statusSince: minutesAgo(5) }),
+    customer(502, { customerName: "Long Outage", status: "Down", statusSince: minutesAgo(3000) }),
+    customer(503, { customerName: "Unknown Start", status: "Down", statusSince: null }),
+  ]);
+
+  await page.goto("/down.html");
+
+  const names = page.locator("tbody tr td:first-child");
+  await expect(names).toHaveText(["Recent Outage", "Long Outage", "Unknown Start"]);
+  await expect(page.locator("tbody tr").nth(0).locator(".duration-col")).toHaveText("5m");
+  await expect(page.locator("tbody tr").nth(1).locator(".duration-col")).toHaveText("2d 2h");
+  await expect(page.locator("tbody tr").nth(2).locator(".duration-col")).toHaveText("-");
+
+  await page.getByRole("button", { name: "Down for" }).click();
+  await expect(names).toHaveText(["Long Outage", "Recent Outage", "Unknown Start"]);
+
+  await page.getByRole("button", { name: "Down for" }).click();
+  await expect(names).toHaveText(["Recent Outage", "Long Outage", "Unknown Start"]);
+});
+
+test("down customers page shows suspected outages and drills into one", async ({ page }) => {
+  await mockCustomerList(page, "/api/down-customers", [
+    customer(601, { customerName: "Tower Customer A", status: "Down" }),
+    customer(602, { customerName: "Tower Customer B", status: "Down" }),
+    customer(603, { customerName: "Elsewhere", status: "Down" }),
+  ]);
+  await mockJson(page, /\/api\/outages$/, {
+    ok: true,
+    source: "mock",
+    outages: [
+      {
+        key: "site:7",
+        type: "site",
+        name: "North Tower",
+        customers: 3,
+        down: 2,
+        warning: 1,
+        downShare: 66.7,
+        suspected: true,
+        downCustomerIds: ["601", "602"],
+        warningCustomerIds: ["604"],
+      },
+    ],
+  });
+
+  await page.goto("/down.html");
+
+  const card = page.locator(".outage-card");
+  await expect(card).toHaveCount(1);
+  await expect(card).toContainText("North Tower");
+  await expect(card).toContainText("2 of 3 customers down (66.7%), 1 warning");
+  await expect(page.locator("tbody tr")).toHaveCount(3);
+
+  await card.getByRole("button", { name: "Show customers" }).click();
+  await expect(page.locator("tbody tr")).toHaveCount(2);
+  await expect(page.locator("tbody")).not.toContainText("Elsewhere");
+  await expect(page.locator("#outage-filter")).toContainText("Network site North Tower");
+
+  await page.getByRole("button", { name: "Show all" }).click();
+  await expect(page.locator("tbody tr")).toHaveCount(3);
 });
 
 test("suppressed customers page refreshes after unsuppress", async ({ page }) => {
@@ -194,3 +276,108 @@ test("suppressed customers page refreshes after unsuppress", async ({ page }) =>
   await expect(page.locator("#empty")).toBeVisible();
   await expect(page.locator("#count")).toHaveText("0 customers");
 });
+
+test("customer detail pages explain why Sonar data is unavailable", async ({ page }) => {
+  await mockJson(page, /\/api\/down-customers$/, {
+    ok: false,
+    source: "error",
+    error: "Sonar unreachable: connect ECONNREFUSED",
+    errorCode: "SONAR_UNAVAILABLE",
+    customers: [],
+  });
+
+  await page.goto("/down.html");
+
+  await expect(page.locator("#api-status")).toHaveText("API: Sonar unreachable");
+  await expect(page.locator("#empty")).toBeVisible();
+});
+
+test("suppressed customers page shows why and until when each account is hidden", async ({
+  page,
+}) => {
+  await page.route(/\/api\/suppressed-customers$/, async (route) => {
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "mock",
+        customers: [
+          customer(811, {
+            customerName: "Seasonal Cabin",
+            status: "Suppressed",
+            suppressed: true,
+            suppression: {
+              id: "811",
+              reason: "Closed for the winter",
+              author: "Dana",
+              createdAt: "2026-01-05T09:00:00.000Z",
+              expiresAt: "2026-04-01T00:00:00.000Z",
+            },
+          }),
+          customer(812, {
+            customerName: "Old Account",
+            status: "Suppressed",
+            suppressed: true,
+            suppression: {
+              id: "812",
+              reason: null,
+              author: null,
+              createdAt: null,
+              expiresAt: null,
+            },
+          }),
+        ],
+      }),
+    );
+  });
+
+  await page.goto("/suppressed.html");
+
+  const cabin = page.locator("tbody tr", { hasText: "Seasonal Cabin" });
+  await expect(cabin.locator(".suppression-details__reason")).toHaveText("Closed for the winter");
+  await expect(cabin.locator(".suppression-details__meta")).toContainText("by Dana");
+  await expect(cabin.locator(".suppression-details__meta")).toContainText("expires ");
+
+  const old = page.locator("tbody tr", { hasText: "Old Account" });
+  await expect(old.locator(".suppression-details__reason")).toHaveText("No reason given");
+  await expect(old.locator(".suppression-details__meta")).toHaveText(
+    "Suppressed before details were recorded · no expiry",
+  );
+
+  await page.fill("#filter", "winter");
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+  await expect(page.locator("tbody tr")).toContainText("Seasonal Cabin");
+});
+
+test("suppressed customers page names the rule that hides a customer", async ({ page }) => {
+  const rule = { id: "3", name: "Seasonal customers", description: 'IP pool is "Seasonal"' };
+
+  await page.route(/\/api\/suppressed-customers$/, async (route) => {
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "mock",
+        customers: [
+          customer(821, {
+            customerName: "Lake House",
+            status: "Down",
+            suppressed: false,
+            suppression: null,
+            rule,
+          }),
+        ],
+      }),
+    );
+  });
+
+  await page.goto("/suppressed.html");
+
+  const row = page.locator("tbody tr", { hasText: "Lake House" });
+  await expect(row.locator(".badge--suppressed")).toHaveCount(0);
+  await expect(row.locator(".badge--rule")).toHaveText("Rule: Seasonal customers");
+  await expect(row.locator(".suppression-details__meta")).toHaveText('IP pool is "Seasonal"');
+  await expect(row.getByRole("link", { name: "View rule" })).toHaveAttribute(
+    "href",
+    "/suppression-rules.html?rule=3",
+  );
+  await expect(row.getByRole("button", { name: "Unsuppress" })).toHaveCount(0);
+});
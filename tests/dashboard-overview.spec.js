@@ -1,5 +1,5 @@
 const { test, expect } = require("@playwright/test");
-const { mockStatusSummary } = require("./helpers/mockApi");
+const { jsonResponse, mockJson, mockStatusSummary } = require("./helpers/mockApi");
 
 test("overview renders live counts and links to primary detail pages", async ({ page }) => {
   await mockStatusSummary(page, {
@@ -45,3 +45,247 @@ test("overview renders live counts and links to primary detail pages", async ({
   await expect(page.locator('a[href="/infrastructure-down.html"]')).toBeVisible();
   await expect(page.locator("#api-status")).toHaveText("API: Connected");
 });
+
+test("overview shows the flapping tile only when the server enables it", async ({ page }) => {
+  await mockStatusSummary(page, {
+    infrastructureEquipment: { good: 11, warning: 3, unmonitored: 2, down: 1, total: 17 },
+    customerEquipment: { good: 1204, warning: 12, uninventoried: 5, down: 8, total: 1229 },
+    tickets: { open: 4 },
+    flapping: { infrastructure: 2, customers: 5, total: 7, threshold: 4, windowMs: 3_600_000 },
+  });
+
+  await page.goto("/");
+
+  await expect(page.locator("#flapping-section")).toBeVisible();
+  await expect(page.locator("#flapping-total")).toHaveText("7");
+  await expect(page.locator("#flapping-label")).toHaveText("Flapping (2 infra / 5 customers)");
+});
+
+test("overview explains Sonar failures using the payload error code", async ({ page }) => {
+  await mockJson(page, /\/api\/status-summary$/, {
+    ok: false,
+    source: "error",
+    error: "Sonar GraphQL HTTP 401: Unauthenticated.",
+    errorCode: "SONAR_AUTH",
+    summary: {
+      infrastructureEquipment: { good: 0, warning: 0, unmonitored: 0, down: 0, total: 0 },
+      customerEquipment: { good: 0, warning: 0, uninventoried: 0, down: 0, total: 0 },
+      tickets: { open: 0 },
+    },
+  });
+
+  await page.goto("/");
+
+  await expect(page.locator("#api-status")).toHaveText("API: Sonar token rejected");
+  await expect(page.locator("#api-dot")).toHaveClass(/status__dot--bad/);
+});
+
+test("overview keeps the last good counts and shows a stale banner while Sonar is down", async ({ page }) => {
+  await mockJson(page, /\/api\/status-summary$/, {
+    ok: true,
+    source: "stale",
+    summary: {
+      infrastructureEquipment: { good: 40, warning: 1, unmonitored: 0, down: 2, total: 43 },
+      customerEquipment: { good: 900, warning: 4, uninventoried: 0, down: 6, total: 910 },
+      tickets: { open: 3 },
+    },
+    stale: {
+      since: new Date(2026, 0, 1, 14, 5).toISOString(),
+      ageMs: 120000,
+      error: "Sonar requests paused after 5 failures",
+      errorCode: "SONAR_CIRCUIT_OPEN",
+    },
+  });
+
+  await page.goto("/");
+
+  await expect(page.locator("#infra-good")).toHaveText("40");
+  await expect(page.locator("#cust-down")).toHaveText("6");
+  await expect(page.locator("#stale-banner")).toBeVisible();
+  await expect(page.locator("#stale-banner")).toContainText("Stale since");
+  await expect(page.locator("#api-status")).toHaveText(
+    "API: Sonar paused after repeated failures (showing stale data)",
+  );
+});
+
+test("overview marks data restored after a restart until Sonar answers", async ({ page }) => {
+  await mockJson(page, /\/api\/status-summary$/, {
+    ok: true,
+    source: "restored",
+    summary: {
+      infrastructureEquipment: { good: 40, warning: 1, unmonitored: 0, down: 2, total: 43 },
+      customerEquipment: { good: 900, warning: 4, uninventoried: 0, down: 6, total: 910 },
+      tickets: { open: 3 },
+    },
+    stale: {
+      since: new Date(2026, 0, 1, 14, 5).toISOString(),
+      ageMs: 600000,
+      restored: true,
+      error: null,
+      errorCode: null,
+    },
+  });
+
+  await page.goto("/");
+
+  await expect(page.locator("#infra-good")).toHaveText("40");
+  await expect(page.locator("#stale-banner")).toContainText("Restored data from");
+  await expect(page.locator("#api-status")).toHaveText("API: Showing restored data");
+});
+
+test("overview re-fetches when the event stream reports a summary change", async ({ page }) => {
+  let summaryRequests = 0;
+
+  await page.route(/\/api\/status-summary$/, async (route) => {
+    summaryRequests += 1;
+    const down = summaryRequests > 1 ? 3 : 2;
+
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "cache",
+        summary: {
+          infrastructureEquipment: { good: 40, warning: 0, unmonitored: 0, down, total: 43 },
+          customerEquipment: { good: 900, warning: 4, uninventoried: 0, down: 6, total: 910 },
+          tickets: { open: 3 },
+        },
+      }),
+    );
+  });
+
+  await page.route(/\/api\/events$/, async (route) => {
+    await route.fulfill({
+      status: 200,
+      contentType: "text/event-stream",
+      body: [
+        "retry: 60000",
+        "",
+        "event: ready",
+        'data: {"at":"2026-01-01T00:00:00.000Z"}',
+        "",
+        "event: update",
+        'data: {"sources":["downCustomers","summary"],"at":"2026-01-01T00:00:01.000Z"}',
+        "",
+        "",
+      ].join("\n"),
+    });
+  });
+
+  await page.goto("/");
+
+  await expect(page.locator("#infra-down")).toHaveText("3");
+  expect(summaryRequests).toBeGreaterThan(1);
+});
+
+test("overview tiles show hourly deltas and open a larger chart from the sparkline", async ({
+  page,
+}) => {
+  const now = Date.now();
+  const points = [3, 2, 1, 0].map((hoursAgo) => ({
+    t: now - hoursAgo * 60 * 60 * 1000 - 60_000,
+    avg: 4 + (hoursAgo === 0 ? 2 : 0),
+    min: 4,
+    max: 6,
+  }));
+
+  await mockStatusSummary(page, {
+    infrastructureEquipment: { good: 40, warning: 0, unmonitored: 0, down: 2, total: 42 },
+    customerEquipment: { good: 900, warning: 4, uninventoried: 0, down: 6, total: 910 },
+    tickets: { open: 3 },
+  });
+  await mockJson(page, /\/api\/history\?/, {
+    ok: true,
+    source: "local",
+    series: { "customers.down": points },
+  });
+
+  await page.goto("/");
+
+  const downTile = page.locator(".tile", { has: page.locator("#cust-down") });
+  await expect(downTile.locator(".tile__delta")).toHaveText("+2 since last hour");
+
+  await downTile.locator(".sparkline").click();
+
+  await expect(page).toHaveURL(/\/$/);
+  await expect(page.locator("#chart-dialog")).toBeVisible();
+  await expect(page.locator("#chart-title")).toHaveText("Down customers");
+  await expect(page.locator("#chart-svg .chart__line")).toHaveCount(1);
+});
+
+test("overview alarm notifies about newly down infrastructure and can be muted", async ({
+  page,
+}) => {
+  await page.addInitScript(() => {
+    localStorage.setItem(
+      "dashboard.alarm",
+      JSON.stringify({ notifications: true, sound: "off", muted: false, snoozedUntil: null }),
+    );
+
+    window.__notifications = [];
+    window.Notification = class {
+      static permission = "granted";
+
+      constructor(title, options) {
+        window.__notifications.push({ title, body: options.body });
+      }
+
+      close() {}
+    };
+
+    // Poll quickly instead of waiting for pushed updates.
+    window.EventSource = undefined;
+    Object.defineProperty(window, "DASHBOARD_REFRESH_MS", { get: () => 300, set: () => {} });
+  });
+
+  const rows = [{ inventoryItemId: 1, deviceName: "North AP", networkSiteName: "North Hill" }];
+  let customersDown = 8;
+  let summaryRequests = 0;
+
+  await page.route(/\/api\/status-summary$/, async (route) => {
+    summaryRequests += 1;
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "mock",
+        summary: {
+          infrastructureEquipment: { good: 10, warning: 0, unmonitored: 0, down: rows.length },
+          customerEquipment: { good: 900, warning: 0, uninventoried: 0, down: customersDown },
+          tickets: { open: 0 },
+        },
+      }),
+    );
+  });
+  await page.route(/\/api\/infrastructure-down$/, async (route) => {
+    await route.fulfill(jsonResponse({ ok: true, source: "mock", rows }));
+  });
+
+  await page.goto("/");
+
+  await expect(page.locator("#alarm-toggle")).toHaveText("Alarm on");
+  await expect.poll(() => summaryRequests).toBeGreaterThan(2);
+  expect(await page.evaluate(() => window.__notifications)).toEqual([]);
+
+  rows.push({ inventoryItemId: 2, deviceName: "Ridge Router", networkSiteName: "Ridge Tower" });
+  customersDown = 20;
+
+  await expect
+    .poll(() => page.evaluate(() => window.__notifications))
+    .toEqual([
+      {
+        title: "Ridge Router is down, Down customers rose by 12 to 20",
+        body: "Ridge Router (Ridge Tower)",
+      },
+    ]);
+
+  await page.locator("#alarm-toggle").click();
+  await page.getByRole("button", { name: "Mute" }).click();
+
+  await expect(page.locator("#alarm-toggle")).toHaveText("Alarm muted");
+  const saved = await page.evaluate(() => JSON.parse(localStorage.getItem("dashboard.alarm")));
+  expect(saved.muted).toBe(true);
+
+  rows.push({ inventoryItemId: 3, deviceName: "Lab Switch", networkSiteName: "Lab" });
+  const requestsBefore = summaryRequests;
+  await expect.poll(() => summaryRequests).toBeGreaterThan(requestsBefore + 2);
+  expect(await page.evaluate(() => window.__notifications)).toHaveLength(1);
+});
@@ -0,0 +1,110 @@
+const { test, expect } = require("@playwright/test");
+const { jsonResponse } = require("./helpers/mockApi");
+
+const SMTP = {
+  configured: true,
+  host: "smtp.example.com",
+  port: 587,
+  tls: "starttls-required",
+  auth: true,
+  from: "noc@example.com",
+};
+
+test("email page shows the relay and recipients and sends a test email", async ({ page }) => {
+  let testedTo = null;
+  let lastResult = null;
+
+  await page.route("**/api/email", async (route) => {
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "local",
+        smtp: SMTP,
+        recipients: [
+          {
+            email: "oncall@example.com",
+            name: "NOC on-call",
+            severities: ["critical", "major"],
+            digest: true,
+            enabled: true,
+            lastResult,
+          },
+          {
+            email: "team@example.com",
+            name: null,
+            severities: ["minor"],
+            digest: false,
+            enabled: false,
+            lastResult: {
+              at: "2026-03-02T02:14:00.000Z",
+              ok: false,
+              subject: "[FIRING][minor] Lab AP down",
+              error: "Connection refused",
+            },
+          },
+        ],
+        meta: { digestHour: 7 },
+      }),
+    );
+  });
+
+  await page.route("**/api/email/test", async (route) => {
+    testedTo = route.request().postDataJSON().to;
+    lastResult = {
+      at: "2026-03-02T03:00:00.000Z",
+      ok: true,
+      subject: "Test email from the network dashboard",
+      error: null,
+    };
+    await route.fulfill(jsonResponse({ ok: true, source: "local", result: lastResult }));
+  });
+
+  await page.goto("/email.html");
+
+  await expect(page.locator("#smtp-status")).toContainText("smtp.example.com:587");
+  await expect(page.locator("#smtp-status")).toContainText("STARTTLS required");
+  await expect(page.locator("#digest-hint")).toContainText("daily digest is sent at");
+  await expect(page.locator("tbody tr")).toHaveCount(2);
+  await expect(page.locator("tbody tr").first().locator(".badge")).toHaveText([
+    "Critical",
+    "Major",
+  ]);
+  await expect(page.locator("tbody tr").nth(1)).toContainText("(disabled)");
+  await expect(page.locator("tbody tr").nth(1).locator(".badge--down")).toHaveText("Failed");
+
+  await page.fill("#test-to", "me@example.com");
+  await page.getByRole("button", { name: "Send test email" }).click();
+
+  await expect(page.locator("#test-result")).toHaveText("Test email sent to me@example.com.");
+  expect(testedTo).toBe("me@example.com");
+  await expect(page.locator("tbody tr").first().locator(".badge--good")).toHaveText("Sent");
+});
+
+test("email page explains how to turn email on when SMTP is not set", async ({ page }) => {
+  await page.route("**/api/email", async (route) => {
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "local",
+        smtp: {
+          configured: false,
+          host: null,
+          port: 587,
+          tls: "starttls",
+          auth: false,
+          from: null,
+        },
+        recipients: [],
+        meta: { digestHour: -1 },
+      }),
+    );
+  });
+
+  await page.goto("/email.html");
+
+  await expect(page.locator("#smtp-status")).toContainText("Set SMTP_HOST and SMTP_FROM");
+  await expect(page.locator("#digest-hint")).toHaveText("The daily digest is off.");
+  await expect(page.locator("#empty")).toBeVisible();
+  await expect(page.getByRole("button", { name: "Send test email" })).toBeDisabled();
+  await expect(page.getByRole("button", { name: "Send digest now" })).toBeDisabled();
+});
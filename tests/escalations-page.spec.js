@@ -0,0 +1,145 @@
+const { test, expect } = require("@playwright/test");
+const { getOnCall } = require("../src/services/escalationConfig");
+const { jsonResponse } = require("./helpers/mockApi");
+
+const STEPS = [
+  { delayMinutes: 0, notify: [{ channel: "email", schedule: "noc-oncall" }] },
+  { delayMinutes: 15, notify: [{ channel: "email", to: "lead@example.com" }] },
+];
+
+function escalation(overrides = {}) {
+  return {
+    id: "1",
+    ruleId: "r1",
+    ruleName: "Ridge Tower down",
+    severity: "critical",
+    policy: "outages",
+    policySteps: STEPS,
+    state: "active",
+    startedAt: "2026-03-02T03:00:00.000Z",
+    step: 1,
+    nextStepAt: "2026-03-02T03:15:00.000Z",
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    endedAt: null,
+    notifications: [
+      {
+        at: "2026-03-02T03:00:00.000Z",
+        step: 1,
+        channel: "email",
+        to: "alex@example.com",
+        schedule: "noc-oncall",
+        status: "sent",
+        error: null,
+      },
+    ],
+    ...overrides,
+  };
+}
+
+test("escalations page shows who is on call and acknowledges from a link", async ({ page }) => {
+  let escalations = [
+    escalation(),
+    escalation({
+      id: "2",
+      ruleName: "Lab AP down",
+      severity: "minor",
+      state: "resolved",
+      nextStepAt: null,
+      endedAt: "2026-03-01T10:00:00.000Z",
+    }),
+  ];
+  let acknowledged = null;
+
+  await page.route(/\/api\/escalations(\?.*)?$/, async (route) => {
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "local",
+        escalations,
+        onCall: [
+          {
+            schedule: "noc-oncall",
+            name: "Alex",
+            email: "alex@example.com",
+            until: "2026-03-09T09:00:00.000Z",
+          },
+        ],
+        policies: [{ name: "outages", severities: ["critical"], rules: null, steps: STEPS }],
+        meta: { quietHours: 2 },
+      }),
+    );
+  });
+
+  await page.route(/\/api\/escalations\/[^/]+\/acknowledge$/, async (route) => {
+    acknowledged = {
+      id: route.request().url().split("/").at(-2),
+      author: route.request().postDataJSON().author,
+    };
+    escalations = escalations.map((entry) =>
+      entry.id === acknowledged.id
+        ? {
+            ...entry,
+            state: "acknowledged",
+            nextStepAt: null,
+            acknowledgedAt: "2026-03-02T03:05:00.000Z",
+            acknowledgedBy: acknowledged.author,
+          }
+        : entry,
+    );
+    await route.fulfill(jsonResponse({ ok: true, source: "local", escalation: escalations[0] }));
+  });
+
+  await page.goto("/escalations.html?ack=1");
+
+  await expect(page.locator(".webhook-card")).toContainText("Alex (alex@example.com)");
+  await expect(page.locator("#policy-hint")).toHaveText(
+    "1 escalation policy, 2 quiet hours windows.",
+  );
+  await expect(page.locator("tbody tr")).toHaveCount(2);
+  await expect(page.locator("tbody tr").first()).toContainText("alex@example.com (sent)");
+  await expect(page.locator("tbody tr").first()).toContainText("1 of 2, next");
+  await expect(page.locator("tbody tr").nth(1).locator(".badge--good")).toHaveText("Resolved");
+  await expect(page.getByRole("button", { name: "Acknowledge Lab AP down" })).toHaveCount(0);
+
+  await expect(page.locator("#ack-text")).toHaveText(
+    'Acknowledge "Ridge Tower down" to stop escalating it.',
+  );
+  await page.fill("#ack-author", "Sam");
+  await page.locator("#ack-submit").click();
+
+  expect(acknowledged).toEqual({ id: "1", author: "Sam" });
+  await expect(page.locator("#ack-text")).toContainText("was acknowledged");
+  await expect(page.locator("#ack-text")).toContainText("by Sam.");
+  await expect(page.locator("#ack-submit")).toBeHidden();
+  await expect(page.locator("tbody tr").first().locator(".badge--warning")).toHaveText(
+    "Acknowledged",
+  );
+});
+
+test("on-call rotations hand over at the same local time across a DST change", () => {
+  const originalTz = process.env.TZ;
+  process.env.TZ = "America/Chicago";
+
+  try {
+    // Chicago moves to daylight time on 2026-03-08, so the second Monday
+    // 09:00 handoff is 14:00 UTC instead of 15:00 UTC.
+    const schedule = {
+      name: "noc-oncall",
+      members: [{ email: "alex@example.com" }, { email: "sam@example.com" }],
+      handoff: Date.parse("2026-03-02T09:00"),
+    };
+
+    expect(getOnCall(schedule, Date.parse("2026-03-09T13:30:00Z"))).toMatchObject({
+      email: "alex@example.com",
+      until: "2026-03-09T14:00:00.000Z",
+    });
+    expect(getOnCall(schedule, Date.parse("2026-03-09T14:30:00Z"))).toMatchObject({
+      email: "sam@example.com",
+      until: "2026-03-16T14:00:00.000Z",
+    });
+  } finally {
+    if (originalTz === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTz;
+  }
+});
@@ -0,0 +1,73 @@
+const { test, expect } = require("@playwright/test");
+const { jsonResponse, mockCustomerList } = require("./helpers/mockApi");
+
+function incident(overrides = {}) {
+  return {
+    id: "1",
+    title: "North Tower down",
+    severity: "critical",
+    state: "open",
+    customerIds: ["601", "602"],
+    inventoryItemIds: [],
+    timeline: [
+      { at: "2026-03-02T02:14:00.000Z", type: "created", text: "Power out", author: null },
+    ],
+    createdAt: "2026-03-02T02:14:00.000Z",
+    updatedAt: "2026-03-02T02:14:00.000Z",
+    acknowledgedAt: null,
+    resolvedAt: null,
+    ...overrides,
+  };
+}
+
+test("down customers can be turned into an incident that is then acknowledged", async ({
+  page,
+}) => {
+  let incidents = [];
+  let created = null;
+
+  await mockCustomerList(page, "/api/down-customers", [
+    { customerId: 601, customerName: "Tower Customer A", status: "Down", ipPools: [] },
+    { customerId: 602, customerName: "Tower Customer B", status: "Down", ipPools: [] },
+    { customerId: 603, customerName: "Elsewhere", status: "Down", ipPools: [] },
+  ]);
+
+  await page.route(/\/api\/incidents(\?.*)?$/, async (route) => {
+    if (route.request().method() === "POST") {
+      created = route.request().postDataJSON();
+      incidents = [incident({ title: created.title, customerIds: created.customerIds })];
+      await route.fulfill(jsonResponse({ ok: true, source: "local", incident: incidents[0] }, 201));
+      return;
+    }
+
+    await route.fulfill(jsonResponse({ ok: true, source: "local", incidents }));
+  });
+
+  await page.route(/\/api\/incidents\/1\/acknowledge$/, async (route) => {
+    incidents = [incident({ state: "acknowledged" })];
+    await route.fulfill(jsonResponse({ ok: true, source: "local", incident: incidents[0] }));
+  });
+
+  await page.goto("/down.html");
+
+  await expect(page.getByRole("button", { name: "Create incident" })).toBeDisabled();
+  await page.getByLabel("Select Tower Customer A").check();
+  await page.getByLabel("Select Tower Customer B").check();
+  await page.getByRole("button", { name: "Create incident (2)" }).click();
+
+  await expect(page).toHaveURL(/\/incidents\.html\?customerIds=601%2C602/);
+  await expect(page.locator("#create-customers")).toHaveValue("601, 602");
+  await expect(page.locator("#create-title")).toHaveValue("2 customers down");
+
+  await page.getByRole("button", { name: "Create incident" }).click();
+
+  await expect.poll(() => created?.customerIds).toEqual(["601", "602"]);
+  expect(created.severity).toBe("major");
+  await expect(page.locator("#create-form")).toBeHidden();
+  await expect(page.locator("tbody tr")).toContainText("2 customers");
+
+  await page.getByRole("button", { name: "Acknowledge" }).click();
+  await expect(page.locator("tbody tr").first().locator(".badge--warning")).toHaveText(
+    "Acknowledged",
+  );
+});
@@ -76,6 +76,29 @@ for (const pageCase of infrastructurePages) {
   });
 }
 
+test("infrastructure rows that keep changing status get a flapping badge", async ({ page }) => {
+  await mockInfrastructureList(page, "/api/infrastructure-warning", [
+    infrastructureRow(21, {
+      deviceName: "Bouncy AP",
+      status: "Warning",
+      flapping: true,
+      recentChanges: 7,
+    }),
+    infrastructureRow(22, { deviceName: "Steady AP", status: "Warning", flapping: false }),
+  ]);
+
+  await page.goto("/infrastructure-warning.html");
+
+  const bouncy = page.locator("tbody tr", { hasText: "Bouncy AP" });
+  await expect(bouncy.locator(".badge--flapping")).toHaveText("Flapping");
+  await expect(bouncy.locator(".badge--flapping")).toHaveAttribute(
+    "title",
+    "Changed status 7 times recently",
+  );
+  const steady = page.locator("tbody tr", { hasText: "Steady AP" });
+  await expect(steady.locator(".badge--flapping")).toHaveCount(0);
+});
+
 test("suppressed infrastructure page refreshes after unsuppress", async ({ page }) => {
   let suppressedRows = [
     infrastructureRow(99, {
@@ -116,3 +139,55 @@ test("suppressed infrastructure page refreshes after unsuppress", async ({ page
   await expect(page.locator("#empty")).toBeVisible();
   await expect(page.locator("#count")).toHaveText("0 devices");
 });
+
+test("suppressed infrastructure page labels devices in maintenance", async ({ page }) => {
+  const maintenance = {
+    id: "4",
+    title: "Ridge Tower backhaul swap",
+    endsAt: "2026-03-04T08:00:00.000Z",
+  };
+
+  await page.route(/\/api\/suppressed-infrastructure$/, async (route) => {
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "mock",
+        rows: [
+          infrastructureRow(21, {
+            deviceName: "Backhaul radio",
+            status: "Down",
+            suppressed: false,
+            maintenance,
+          }),
+          infrastructureRow(22, {
+            deviceName: "Old switch",
+            status: "Suppressed",
+            suppressed: true,
+            maintenance: null,
+          }),
+        ],
+      }),
+    );
+  });
+
+  await page.goto("/infrastructure-suppressed.html");
+
+  const radio = page.locator("tbody tr", { hasText: "Backhaul radio" });
+  await expect(radio.locator(".badge--maintenance")).toHaveText("In maintenance");
+  await expect(radio.locator(".badge--maintenance")).toHaveAttribute(
+    "title",
+    /^Ridge Tower backhaul swap, until /,
+  );
+  await expect(radio.getByRole("link", { name: "View window" })).toHaveAttribute(
+    "href",
+    "/maintenance.html?window=4",
+  );
+  await expect(radio.getByRole("button", { name: "Unsuppress" })).toHaveCount(0);
+
+  const suppressed = page.locator("tbody tr", { hasText: "Old switch" });
+  await expect(suppressed.locator(".badge--maintenance")).toHaveCount(0);
+  await expect(suppressed.getByRole("button", { name: "Unsuppress" })).toBeVisible();
+
+  await page.fill("#filter", "in maintenance");
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+});
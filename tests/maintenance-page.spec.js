@@ -0,0 +1,126 @@
+const { test, expect } = require("@playwright/test");
+const { jsonResponse } = require("./helpers/mockApi");
+
+// Wednesday, in the browser's local time like the calendar.
+const NOW = new Date("2026-03-04T12:00:00");
+
+const localIso = (value) => new Date(value).toISOString();
+
+function maintenanceWindow(overrides = {}) {
+  return {
+    id: "1",
+    title: "Ridge Tower backhaul swap",
+    startsAt: localIso("2026-03-04T11:00:00"),
+    endsAt: localIso("2026-03-04T13:00:00"),
+    targets: { inventoryItems: [], networkSites: ["Ridge Tower"], ipPools: [], accounts: [] },
+    note: null,
+    state: "active",
+    createdAt: localIso("2026-03-01T09:00:00"),
+    updatedAt: localIso("2026-03-01T09:00:00"),
+    ...overrides,
+  };
+}
+
+const LATER = maintenanceWindow({
+  id: "2",
+  title: "Lab AP firmware",
+  startsAt: localIso("2026-03-10T05:00:00"),
+  endsAt: localIso("2026-03-10T05:30:00"),
+  targets: { inventoryItems: ["4521"], networkSites: [], ipPools: [], accounts: ["8812"] },
+  state: "scheduled",
+});
+
+test("maintenance page shows the week and schedules a window", async ({ page }) => {
+  let windows = [maintenanceWindow(), LATER];
+  let created = null;
+
+  await page.clock.setFixedTime(NOW);
+
+  await page.route("**/api/maintenance", async (route) => {
+    if (route.request().method() === "POST") {
+      created = route.request().postDataJSON();
+      windows = [...windows, maintenanceWindow({ id: "3", ...created, state: "scheduled" })];
+      await route.fulfill(jsonResponse({ ok: true, source: "local", window: windows[2] }, 201));
+      return;
+    }
+
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "local",
+        windows,
+        meta: { active: 1, targets: ["inventoryItems", "networkSites", "ipPools", "accounts"] },
+      }),
+    );
+  });
+
+  await page.goto("/maintenance.html");
+
+  await expect(page.locator(".maintenance-day")).toHaveCount(7);
+  await expect(page.locator(".maintenance-day--today .maintenance-block--active")).toContainText(
+    "Ridge Tower backhaul swap",
+  );
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+  await expect(page.locator("tbody tr").first().locator(".badge--warning")).toHaveText("Active");
+  await expect(page.locator("tbody tr").first()).toContainText("Sites: Ridge Tower");
+  await expect(
+    page.getByRole("button", { name: "End now Ridge Tower backhaul swap" }),
+  ).toBeVisible();
+
+  await page.locator("#next-week").click();
+
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+  await expect(page.locator("tbody tr").first()).toContainText("Lab AP firmware");
+  await expect(page.locator("tbody tr").first()).toContainText("Items: 4521; Accounts: 8812");
+  await expect(page.locator(".maintenance-block--scheduled")).toHaveCount(1);
+
+  await page.locator("#new-window").click();
+  await page.fill("#window-title", "Lab switch swap");
+  await page.fill("#window-starts", "2026-03-12T00:00");
+  await page.fill("#window-ends", "2026-03-12T01:30");
+  await page.fill("#window-sites", "Lab");
+  await page.locator("#window-submit").click();
+
+  await expect(page.locator("#window-form")).toBeHidden();
+  expect(created).toMatchObject({
+    title: "Lab switch swap",
+    startsAt: localIso("2026-03-12T00:00:00"),
+    endsAt: localIso("2026-03-12T01:30:00"),
+    targets: { networkSites: "Lab", inventoryItems: "", ipPools: "", accounts: "" },
+  });
+  await expect(page.locator("tbody tr")).toHaveCount(2);
+  await expect(page.locator("tbody tr").nth(1)).toContainText("Lab switch swap");
+});
+
+test("maintenance page opens a linked window's week and ends a window early", async ({ page }) => {
+  let windows = [maintenanceWindow(), LATER];
+  let deleted = null;
+
+  await page.clock.setFixedTime(NOW);
+
+  await page.route(/\/api\/maintenance(\/[^/]+)?$/, async (route) => {
+    if (route.request().method() === "DELETE") {
+      deleted = route.request().url().split("/").pop();
+      windows = windows.filter((entry) => entry.id !== deleted);
+      await route.fulfill(jsonResponse({ ok: true, source: "local" }));
+      return;
+    }
+
+    await route.fulfill(
+      jsonResponse({ ok: true, source: "local", windows, meta: { active: 1, targets: [] } }),
+    );
+  });
+
+  await page.goto("/maintenance.html?window=2");
+
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+  await expect(page.locator("tbody tr").first()).toContainText("Lab AP firmware");
+
+  await page.locator("#this-week").click();
+  page.once("dialog", (dialog) => dialog.accept());
+  await page.getByRole("button", { name: "End now Ridge Tower backhaul swap" }).click();
+
+  await expect(page.locator("#empty")).toBeVisible();
+  expect(deleted).toBe("1");
+  await expect(page.locator("#count")).toHaveText("0 windows");
+});
@@ -0,0 +1,125 @@
+const { test, expect } = require("@playwright/test");
+const { RULE_FIELDS, RULE_TARGETS } = require("../src/services/suppressionRuleStore");
+const { jsonResponse } = require("./helpers/mockApi");
+
+// Built from the store, so the form lists exactly the fields the server offers.
+const FIELDS = Object.entries(RULE_FIELDS).map(([key, field]) => ({
+  key,
+  label: field.label,
+  targets: field.targets,
+}));
+
+function suppressionRule(overrides = {}) {
+  return {
+    id: "1",
+    name: "Seasonal customers",
+    appliesTo: "customers",
+    field: "ipPools",
+    value: "Seasonal",
+    description: 'IP pool is "Seasonal"',
+    createdAt: "2026-03-01T09:00:00.000Z",
+    updatedAt: "2026-03-01T09:00:00.000Z",
+    ...overrides,
+  };
+}
+
+function rulesPayload(rules) {
+  return jsonResponse({
+    ok: true,
+    source: "local",
+    rules,
+    meta: { targets: RULE_TARGETS, fields: FIELDS },
+  });
+}
+
+test("suppression rules page lists rules and creates one", async ({ page }) => {
+  let rules = [suppressionRule()];
+  let created = null;
+
+  await page.route("**/api/suppression-rules", async (route) => {
+    if (route.request().method() === "POST") {
+      created = route.request().postDataJSON();
+      rules = [
+        ...rules,
+        suppressionRule({ id: "2", ...created, description: 'Model is "AirFiber 5XHD"' }),
+      ];
+      await route.fulfill(jsonResponse({ ok: true, source: "local", rule: rules[1] }, 201));
+      return;
+    }
+
+    await route.fulfill(rulesPayload(rules));
+  });
+
+  await page.goto("/suppression-rules.html");
+
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+  await expect(page.locator("tbody tr").first()).toContainText('IP pool is "Seasonal"');
+  await expect(page.locator("#count")).toHaveText("1 rule");
+
+  await page.locator("#new-rule").click();
+  await expect(page.locator("#rule-field option")).toHaveText([
+    "IP pool is",
+    "Address contains",
+    "IP address in",
+  ]);
+
+  await page.fill("#rule-name", "AirFiber radios");
+  await page.selectOption("#rule-applies-to", "infrastructure");
+  await expect(page.locator("#rule-field option")).toHaveText([
+    "Network site is",
+    "Device name contains",
+    "Model is",
+    "IP address in",
+  ]);
+  await page.selectOption("#rule-field", "model");
+  await expect(page.locator("#rule-value")).toHaveAttribute("placeholder", "e.g. AirFiber 5XHD");
+  await page.fill("#rule-value", "AirFiber 5XHD");
+  await page.locator("#rule-submit").click();
+
+  await expect(page.locator("#rule-form")).toBeHidden();
+  expect(created).toEqual({
+    name: "AirFiber radios",
+    appliesTo: "infrastructure",
+    field: "model",
+    value: "AirFiber 5XHD",
+  });
+  await expect(page.locator("tbody tr")).toHaveCount(2);
+  await expect(page.locator("tbody tr").nth(1)).toContainText("Infrastructure");
+});
+
+test("suppression rules page highlights a linked rule and deletes it", async ({ page }) => {
+  let rules = [
+    suppressionRule(),
+    suppressionRule({
+      id: "2",
+      name: "Lab subnet",
+      appliesTo: "infrastructure",
+      field: "ipAddresses",
+      value: "10.20.0.0/24",
+      description: 'IP address in "10.20.0.0/24"',
+    }),
+  ];
+  let deleted = null;
+
+  await page.route(/\/api\/suppression-rules(\/[^/]+)?$/, async (route) => {
+    if (route.request().method() === "DELETE") {
+      deleted = route.request().url().split("/").pop();
+      rules = rules.filter((rule) => rule.id !== deleted);
+      await route.fulfill(jsonResponse({ ok: true, source: "local" }));
+      return;
+    }
+
+    await route.fulfill(rulesPayload(rules));
+  });
+
+  await page.goto("/suppression-rules.html?rule=2");
+
+  await expect(page.locator("tbody tr.rule-row--linked")).toHaveCount(1);
+  await expect(page.locator("tbody tr.rule-row--linked")).toContainText("Lab subnet");
+
+  page.once("dialog", (dialog) => dialog.accept());
+  await page.getByRole("button", { name: "Delete Lab subnet" }).click();
+
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+  expect(deleted).toBe("2");
+});
@@ -0,0 +1,229 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { test, expect } = require("@playwright/test");
+
+// These tests run against a real server instead of mocked routes. The
+// suppression files are only migrated when the server loads them, so the
+// suite starts its own server on a spare port with prepared files, and puts
+// the original files back when it is done.
+const ROOT = path.resolve(__dirname, "..");
+const ACCOUNTS_PATH = path.join(ROOT, "data/suppressions.json");
+const ITEMS_PATH = path.join(ROOT, "data/infrastructure-suppressions.json");
+const RULES_PATH = path.join(ROOT, "data/suppression-rules.json");
+const PORT = 3101;
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+
+test.describe.configure({ mode: "serial" });
+
+let server = null;
+let serverLog = "";
+let originalFiles = null;
+
+function readFileOrNull(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf-8") : null;
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    try {
+      const res = await fetch(`${BASE_URL}/health`);
+      if (res.ok) return;
+    } catch {
+      // Not listening yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  throw new Error(`Server did not start:\n${serverLog}`);
+}
+
+// Opens /api/events and returns a reader that waits for a matching event.
+async function openEventStream() {
+  const controller = new AbortController();
+  const res = await fetch(`${BASE_URL}/api/events`, { signal: controller.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  async function next(name, matches = () => true) {
+    for (;;) {
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        const event = /^event: (.*)$/m.exec(block)?.[1];
+        const data = /^data: (.*)$/m.exec(block)?.[1];
+        if (event === name && matches(JSON.parse(data))) return JSON.parse(data);
+      }
+
+      const { value, done } = await reader.read();
+      if (done) throw new Error("Event stream closed");
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return { next, close: () => controller.abort() };
+}
+
+test.beforeAll(async () => {
+  originalFiles = [ACCOUNTS_PATH, ITEMS_PATH, RULES_PATH].map((filePath) => [
+    filePath,
+    readFileOrNull(filePath),
+  ]);
+
+  // Files as older versions wrote them, holding bare IDs.
+  fs.writeFileSync(ACCOUNTS_PATH, JSON.stringify({ accounts: ["7", 8] }));
+  fs.writeFileSync(ITEMS_PATH, JSON.stringify({ inventoryItems: ["101"] }));
+
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      POLL_INTERVAL_MS: "0",
+      SUPPRESSION_EXPIRY_CHECK_MS: "200",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  server.stdout.on("data", (chunk) => (serverLog += chunk));
+  server.stderr.on("data", (chunk) => (serverLog += chunk));
+
+  await waitForServer();
+});
+
+test.afterAll(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once("exit", resolve));
+    server.kill();
+    await exited;
+  }
+
+  for (const [filePath, contents] of originalFiles || []) {
+    if (contents === null) fs.rmSync(filePath, { force: true });
+    else fs.writeFileSync(filePath, contents);
+  }
+});
+
+test("migrates suppression files that hold bare IDs", async ({ request }) => {
+  const emptyDetails = { reason: null, author: null, createdAt: null, expiresAt: null };
+
+  expect(readJson(ACCOUNTS_PATH).accounts).toEqual([
+    { id: "7", ...emptyDetails },
+    { id: "8", ...emptyDetails },
+  ]);
+  expect(readJson(ITEMS_PATH).inventoryItems).toEqual([{ id: "101", ...emptyDetails }]);
+  expect(serverLog).toContain("[suppressions] migrated suppressions.json to include details");
+
+  const res = await request.get(`${BASE_URL}/api/suppressions`);
+  expect(await res.json()).toMatchObject({
+    ok: true,
+    accounts: ["7", "8"],
+    infrastructureItems: ["101"],
+  });
+});
+
+test("rejects an expiry that is not a date or already past", async ({ request }) => {
+  const notADate = await request.post(`${BASE_URL}/api/suppressions/accounts/21`, {
+    data: { reason: "Tower work", expiresAt: "next week" },
+  });
+  expect(notADate.status()).toBe(400);
+  expect(await notADate.json()).toEqual({
+    ok: false,
+    source: "error",
+    error: "expiresAt must be a date",
+    errorCode: "INVALID_REQUEST",
+  });
+
+  const past = await request.post(`${BASE_URL}/api/suppressions/infrastructure-items/102`, {
+    data: { expiresAt: new Date(Date.now() - 60_000).toISOString() },
+  });
+  expect(past.status()).toBe(400);
+  expect((await past.json()).error).toBe("expiresAt must be in the future");
+
+  const list = await (await request.get(`${BASE_URL}/api/suppressions`)).json();
+  expect(list.accounts).not.toContain("21");
+  expect(list.infrastructureItems).not.toContain("102");
+});
+
+test("stores the details sent with a suppression", async ({ request }) => {
+  const expiresAt = new Date(Date.now() + 60 * 60_000).toISOString();
+  const res = await request.post(`${BASE_URL}/api/suppressions/accounts/22`, {
+    data: { reason: "  Closed for the winter ", author: "Dana", expiresAt },
+  });
+  expect(res.status()).toBe(200);
+
+  const entry = readJson(ACCOUNTS_PATH).accounts.find(({ id }) => id === "22");
+  expect(entry).toMatchObject({ reason: "Closed for the winter", author: "Dana", expiresAt });
+  expect(Date.parse(entry.createdAt)).not.toBeNaN();
+
+  await request.delete(`${BASE_URL}/api/suppressions/accounts/22`);
+});
+
+test("lifts an expired suppression and announces it", async ({ request }) => {
+  const events = await openEventStream();
+
+  try {
+    await events.next("ready");
+
+    const res = await request.post(`${BASE_URL}/api/suppressions/infrastructure-items/55`, {
+      data: { reason: "Short test", expiresAt: new Date(Date.now() + 1_000).toISOString() },
+    });
+    expect(res.status()).toBe(200);
+
+    const lifted = await events.next("suppressions", (data) => data.id === "55" && data.expired);
+    expect(lifted).toMatchObject({
+      kind: "infrastructure-items",
+      id: "55",
+      action: "unsuppressed",
+      expired: true,
+    });
+  } finally {
+    events.close();
+  }
+
+  const list = await (await request.get(`${BASE_URL}/api/suppressions`)).json();
+  expect(list.infrastructureItems).not.toContain("55");
+  expect(readJson(ITEMS_PATH).inventoryItems.map(({ id }) => id)).toEqual(["101"]);
+  expect(serverLog).toContain("[suppressions] infrastructure-items 55 expired");
+});
+
+test("rejects a suppression rule with a malformed CIDR range", async ({ request }) => {
+  for (const value of ["10.20.0.1/", "10.20.0.1/ ", "10.20.0.0/33", "10.20.0.0/24/8"]) {
+    const res = await request.post(`${BASE_URL}/api/suppression-rules`, {
+      data: { name: "Malformed range", appliesTo: "customers", field: "ipAddresses", value },
+    });
+
+    expect(res.status(), value).toBe(400);
+    expect(await res.json()).toMatchObject({ ok: false, errorCode: "INVALID_REQUEST" });
+  }
+
+  const list = await (await request.get(`${BASE_URL}/api/suppression-rules`)).json();
+  expect(list.rules.map(({ name }) => name)).not.toContain("Malformed range");
+});
+
+test("creates a suppression rule for an infrastructure model", async ({ request }) => {
+  const created = await request.post(`${BASE_URL}/api/suppression-rules`, {
+    data: {
+      name: "AirFiber radios",
+      appliesTo: "infrastructure",
+      field: "model",
+      value: "AirFiber 5XHD",
+    },
+  });
+  expect(created.status()).toBe(201);
+
+  const { rule } = await created.json();
+  expect(rule).toMatchObject({ field: "model", description: 'Model is "AirFiber 5XHD"' });
+  await request.delete(`${BASE_URL}/api/suppression-rules/${rule.id}`);
+
+  const forCustomers = await request.post(`${BASE_URL}/api/suppression-rules`, {
+    data: { name: "AirFiber customers", appliesTo: "customers", field: "model", value: "AirFiber" },
+  });
+  expect(forCustomers.status()).toBe(400);
+});
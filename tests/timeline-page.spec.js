@@ -0,0 +1,62 @@
+const { test, expect } = require("@playwright/test");
+const { jsonResponse } = require("./helpers/mockApi");
+
+const transitions = [
+  {
+    at: "2026-03-02T02:14:00.000Z",
+    kind: "infrastructure",
+    id: "123",
+    name: "Core Router",
+    site: "North Tower",
+    from: "Good",
+    to: "Down",
+  },
+  {
+    at: "2026-03-02T01:05:00.000Z",
+    kind: "customer",
+    id: "456",
+    name: "Jane Customer",
+    site: null,
+    from: "Down",
+    to: "Good",
+  },
+];
+
+test("timeline page lists transitions and filters them on the server", async ({ page }) => {
+  const requests = [];
+
+  await page.route(/\/api\/transitions(\?.*)?$/, async (route) => {
+    const url = new URL(route.request().url());
+    requests.push(url.searchParams.toString());
+
+    const site = url.searchParams.get("site");
+    const rows = site ? transitions.filter((entry) => entry.site === site) : transitions;
+
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "local",
+        transitions: rows,
+        meta: { total: rows.length, returned: rows.length, sites: ["North Tower"] },
+      }),
+    );
+  });
+
+  await page.goto("/timeline.html");
+
+  await expect(page.getByRole("heading", { name: "Status Timeline" })).toBeVisible();
+  await expect(page.locator("tbody tr")).toHaveCount(2);
+  await expect(page.locator("tbody tr").first()).toContainText("Core Router (#123)");
+  await expect(page.locator("tbody tr").first().locator(".badge--down")).toHaveText("Down");
+  await expect(page.locator("tbody tr").nth(1)).toContainText("Customer");
+  await expect(page.locator("#count")).toHaveText("2 changes");
+
+  await page.getByLabel("Filter by site").selectOption("North Tower");
+
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+  expect(requests[requests.length - 1]).toBe("site=North+Tower");
+
+  await page.getByLabel("Filter by customer").fill("Jane");
+
+  await expect.poll(() => requests[requests.length - 1]).toBe("site=North+Tower&customer=Jane");
+});
@@ -0,0 +1,67 @@
+const { test, expect } = require("@playwright/test");
+const { jsonResponse } = require("./helpers/mockApi");
+
+const report = {
+  ok: true,
+  source: "local",
+  range: "24h",
+  sites: [
+    {
+      networkSiteId: 7,
+      networkSiteName: "North Tower",
+      devices: 3,
+      monitoredMinutes: 4320,
+      downtimeMinutes: 90,
+      availability: 97.917,
+      outages: 2,
+      mttrMinutes: 45,
+      mtbfMinutes: 2115,
+    },
+  ],
+  items: [
+    {
+      inventoryItemId: "123",
+      deviceName: "Core Router",
+      networkSiteId: 7,
+      networkSiteName: "North Tower",
+      status: "Good",
+      monitoredMinutes: 1440,
+      downtimeMinutes: 90,
+      availability: 93.75,
+      outages: 2,
+      mttrMinutes: 45,
+      mtbfMinutes: 675,
+    },
+  ],
+};
+
+test("uptime page switches ranges and levels and links the matching CSV", async ({ page }) => {
+  const requests = [];
+
+  await page.route(/\/api\/uptime\?.*$/, async (route) => {
+    requests.push(new URL(route.request().url()).searchParams.get("range"));
+    await route.fulfill(jsonResponse(report));
+  });
+
+  await page.goto("/uptime.html");
+
+  await expect(page.getByRole("heading", { name: "Infrastructure Uptime" })).toBeVisible();
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+  await expect(page.locator("tbody tr")).toContainText("North Tower");
+  await expect(page.locator("tbody tr")).toContainText("97.917%");
+  await expect(page.locator("tbody tr")).toContainText("90 min");
+  await expect(page.locator("tbody tr")).toContainText("1d 11h");
+  await expect(page.locator("#count")).toHaveText("1 site");
+
+  await page.getByRole("button", { name: "7d" }).click();
+  await expect.poll(() => requests[requests.length - 1]).toBe("7d");
+  await expect(page.locator("#download-csv")).toHaveAttribute(
+    "href",
+    /range=7d&format=csv&level=sites/,
+  );
+
+  await page.getByLabel("Report level").selectOption("items");
+  await expect(page.locator("tbody tr")).toContainText("Core Router");
+  await expect(page.locator("thead th").first()).toHaveText("Device");
+  await expect(page.locator("#download-csv")).toHaveAttribute("href", /level=items/);
+});
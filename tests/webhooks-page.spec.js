@@ -0,0 +1,91 @@
+const { test, expect } = require("@playwright/test");
+const { jsonResponse } = require("./helpers/mockApi");
+
+function delivery(overrides = {}) {
+  return {
+    id: "1",
+    at: "2026-03-02T02:14:00.000Z",
+    webhook: "noc-slack",
+    event: "infrastructure.down",
+    text: "North Tower AP is down",
+    status: "delivered",
+    attempts: 1,
+    responseStatus: 200,
+    error: null,
+    finishedAt: "2026-03-02T02:14:01.000Z",
+    ...overrides,
+  };
+}
+
+test("webhooks page lists hooks, shows the delivery log and sends a test", async ({ page }) => {
+  let deliveries = [
+    delivery(),
+    delivery({
+      id: "2",
+      webhook: "ticketing",
+      status: "failed",
+      attempts: 4,
+      responseStatus: 503,
+      error: "HTTP 503",
+    }),
+  ];
+  let tested = null;
+
+  await page.route(/\/api\/webhooks(\?.*)?$/, async (route) => {
+    const status = new URL(route.request().url()).searchParams.get("status");
+
+    await route.fulfill(
+      jsonResponse({
+        ok: true,
+        source: "local",
+        webhooks: [
+          {
+            name: "noc-slack",
+            format: "slack",
+            events: ["infrastructure.down"],
+            target: "hooks.slack.com",
+            signed: false,
+            enabled: true,
+          },
+          {
+            name: "ticketing",
+            format: "json",
+            events: ["*"],
+            target: "tickets.example.com",
+            signed: true,
+            enabled: true,
+          },
+        ],
+        deliveries: deliveries.filter((entry) => !status || entry.status === status),
+        meta: { customerDownThreshold: 25 },
+      }),
+    );
+  });
+
+  await page.route(/\/api\/webhooks\/[^/]+\/test$/, async (route) => {
+    tested = decodeURIComponent(route.request().url().split("/").at(-2));
+    deliveries = [
+      delivery({ id: "3", webhook: tested, event: "test", text: "Test notification" }),
+      ...deliveries,
+    ];
+    await route.fulfill(jsonResponse({ ok: true, source: "local" }, 202));
+  });
+
+  await page.goto("/webhooks.html");
+
+  await expect(page.locator(".webhook-card")).toHaveCount(2);
+  await expect(page.locator(".webhook-card").nth(1)).toContainText("tickets.example.com | Signed");
+  await expect(page.locator("#webhook-hint")).toContainText("25 or more customers");
+  await expect(page.locator("tbody tr")).toHaveCount(2);
+  await expect(page.locator("tbody tr").nth(1).locator(".badge--down")).toHaveText("Failed");
+
+  await page.locator("#status").selectOption("failed");
+  await expect(page.locator("tbody tr")).toHaveCount(1);
+  await expect(page.locator("tbody tr")).toContainText("4 (HTTP 503)");
+
+  await page.locator("#status").selectOption("");
+  await page.getByRole("button", { name: "Send test to noc-slack" }).click();
+
+  await expect.poll(() => tested).toBe("noc-slack");
+  await expect(page.locator("tbody tr").first()).toContainText("Test notification");
+});